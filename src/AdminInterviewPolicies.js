@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from 'react';
+import { fetchAdminInterviewPolicies, updateAdminInterviewPolicies } from './api';
+import { DEFAULT_INTERVIEW_POLICIES, normalizeInterviewPolicies } from './interviewControls';
+
+const NUMBER_FIELDS = [
+  { key: 'max_pauses', label: 'Pauses per session', min: 0, max: 10 },
+  { key: 'max_pause_seconds', label: 'Longest pause (seconds)', min: 30, max: 1800 },
+  { key: 'max_skips', label: 'Skips per session', min: 0, max: 10 },
+];
+
+const AdminInterviewPolicies = () => {
+  const [policies, setPolicies] = useState(DEFAULT_INTERVIEW_POLICIES);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchAdminInterviewPolicies()
+      .then(({ data }) => {
+        if (!cancelled) {
+          setPolicies(normalizeInterviewPolicies(data));
+        }
+      })
+      .catch((err) => {
+        console.warn('Failed to load interview policies', err);
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const updateField = (key, value) => {
+    setMessage('');
+    setError('');
+    setPolicies((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    setMessage('');
+    setError('');
+    try {
+      const { data } = await updateAdminInterviewPolicies(normalizeInterviewPolicies(policies));
+      setPolicies(normalizeInterviewPolicies(data));
+      setMessage('Interview policies saved. They apply to sessions started from now on.');
+    } catch (err) {
+      console.error('Failed to save interview policies', err);
+      setError(err?.response?.data?.detail || 'Unable to save interview policies.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="admin-panel admin-panel--loading">Loading interview policies…</div>;
+  }
+
+  return (
+    <form className="admin-panel admin-panel--form admin-question-card" onSubmit={handleSubmit}>
+      <div className="admin-question-header">
+        <div>
+          <h2 className="admin-question-title">Interview Controls</h2>
+          <span className="admin-question-subtitle">
+            Limits for pausing, skipping and flagging questions during timed interviews
+          </span>
+        </div>
+      </div>
+
+      <div className="admin-form-section">
+        <div className="admin-form-grid admin-form-grid--bulk-meta">
+          {NUMBER_FIELDS.map((field) => (
+            <div className="admin-form-field" key={field.key}>
+              <label htmlFor={`policy-${field.key}`}>{field.label}</label>
+              <input
+                id={`policy-${field.key}`}
+                type="number"
+                min={field.min}
+                max={field.max}
+                value={policies[field.key]}
+                onChange={(event) => updateField(field.key, event.target.value)}
+              />
+            </div>
+          ))}
+          <div className="admin-form-field">
+            <label htmlFor="policy-allow-skip">Skipping</label>
+            <select
+              id="policy-allow-skip"
+              value={policies.allow_skip ? 'true' : 'false'}
+              onChange={(event) => updateField('allow_skip', event.target.value === 'true')}
+            >
+              <option value="true">Allowed</option>
+              <option value="false">Not allowed</option>
+            </select>
+          </div>
+          <div className="admin-form-field">
+            <label htmlFor="policy-allow-flag">Flag for review</label>
+            <select
+              id="policy-allow-flag"
+              value={policies.allow_flag ? 'true' : 'false'}
+              onChange={(event) => updateField('allow_flag', event.target.value === 'true')}
+            >
+              <option value="true">Allowed</option>
+              <option value="false">Not allowed</option>
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {message && <div className="admin-inline-success">{message}</div>}
+      {error && <div className="admin-alert admin-alert--error">{error}</div>}
+
+      <div className="admin-form-actions">
+        <button type="submit" className="admin-button-text admin-button-text--primary" disabled={saving}>
+          {saving ? 'Saving…' : 'Save Policies'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default AdminInterviewPolicies;
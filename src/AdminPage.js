@@ -19,8 +19,11 @@ import {
   fetchUbpPrograms,
   fetchUbpBatches,
   fetchJobRolesByWorkExperience,
+  getActiveApiEnvironment,
 } from './api';
 import FeedbackScreen from './FeedbackScreen';
+import AdminInterviewPolicies from './AdminInterviewPolicies';
+import { isPracticeSession } from './practiceMode';
 import './AdminPage.css';
 import './MentorRegister.css';
 import {
@@ -1803,6 +1806,8 @@ const AdminPage = ({ admin, onLogout }) => {
 
   const closeReportModal = () => setActiveSession(null);
 
+  const apiEnvironment = getActiveApiEnvironment();
+
   return (
     <div className="admin-page">
       <button
@@ -1828,6 +1833,12 @@ const AdminPage = ({ admin, onLogout }) => {
         >
           <header className="admin-sidebar__head">
             <h1>Admin Panel</h1>
+            <span
+              className={`admin-env-badge admin-env-badge--${apiEnvironment.isProduction ? 'production' : 'nonprod'}`}
+              title={`API environment: ${apiEnvironment.environment}`}
+            >
+              {apiEnvironment.label}
+            </span>
           </header>
           <p className="admin-sidebar__sub">Monitor student progress and session activity.</p>
           <nav className="admin-tabs" aria-label="Admin Sections">
@@ -1866,6 +1877,13 @@ const AdminPage = ({ admin, onLogout }) => {
             >
               Interview Questions
             </button>
+            <button
+              type="button"
+              className={`admin-tab ${activeTab === 'policies' ? 'admin-tab--active' : ''}`}
+              onClick={() => setActiveTab('policies')}
+            >
+              Interview Policies
+            </button>
           </nav>
           {admin && (
             <footer className="admin-sidebar__footer" aria-label="Admin actions">
@@ -2535,6 +2553,11 @@ const AdminPage = ({ admin, onLogout }) => {
                                         {attemptLabel}
                                       </span>
                                     ) : null}
+                                    {isPracticeSession(session) ? (
+                                      <span className="admin-attempt-chip practice" title="Practice session — excluded from leaderboards and retention">
+                                        Practice
+                                      </span>
+                                    ) : null}
                                   </div>
                                 </td>
                                 <td>
@@ -2797,6 +2820,14 @@ const AdminPage = ({ admin, onLogout }) => {
             </div>
           )}
 
+          {activeTab === 'policies' && (
+            <div className="admin-tabpanel" role="tabpanel">
+              <section className="admin-section">
+                <AdminInterviewPolicies />
+              </section>
+            </div>
+          )}
+
           {activeTab === 'questions' && (
             <div className="admin-tabpanel" role="tabpanel">
               {/* Single Question Form */}
@@ -3401,7 +3432,7 @@ const AdminPage = ({ admin, onLogout }) => {
               </button>
             </header>
             <div className="feedback-modal__body">
-              <FeedbackScreen sessionId={activeSession} />
+              <FeedbackScreen sessionId={activeSession} showIntegrity />
             </div>
           </div>
         </div>
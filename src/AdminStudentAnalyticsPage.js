@@ -1,6 +1,7 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { fetchAdminStudentAnalytics } from './api';
+import { isPracticeSession } from './practiceMode';
 import FeedbackScreen from './FeedbackScreen';
 import {
   ResponsiveContainer,
@@ -378,6 +379,9 @@ const AdminStudentAnalyticsPage = ({ admin, onLogout }) => {
                               <tr key={session.session_id || idx}>
                                 <td style={{ paddingLeft: '1.25rem', fontWeight: 500 }}>
                                   {session.job_role || 'N/A'}
+                                  {isPracticeSession(session) ? (
+                                    <span className="admin-attempt-chip practice" style={{ marginLeft: '0.5rem' }}>Practice</span>
+                                  ) : null}
                                 </td>
                                 <td style={{ fontWeight: 500 }}>{session.company_name || 'N/A'}</td>
                                 <td>{session.interview_type || 'N/A'}</td>
@@ -441,7 +445,7 @@ const AdminStudentAnalyticsPage = ({ admin, onLogout }) => {
               </button>
             </header>
             <div className="feedback-modal__body">
-              <FeedbackScreen sessionId={activeSession} />
+              <FeedbackScreen sessionId={activeSession} showIntegrity />
             </div>
           </div>
         </div>
@@ -0,0 +1,269 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { parseSpeakingMetrics } from './speakingAnalytics';
+import {
+    activeWordIndex,
+    buildReplayMarkers,
+    parseFeedbackMarkers,
+    parseWordTimings,
+    REPLAY_MARKER_LABELS,
+    replayDurationMs,
+} from './replayMarkers';
+import './AnswerReplay.css';
+
+const formatClock = (ms) => {
+    const totalSeconds = Math.max(0, Math.round((ms || 0) / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+const percentOf = (ms, durationMs) => `${Math.min(Math.max((ms / durationMs) * 100, 0), 100)}%`;
+
+/**
+ * Replay of one recorded answer in the feedback report: the video (or audio
+ * for audio-only captures) with the transcript highlighted word by word and
+ * a timeline of feedback, filler-word and no-face markers. `fetchRecording`
+ * is the api.js call for the student or admin report, resolving to a Blob.
+ */
+const AnswerReplay = ({
+    sessionId,
+    questionNumber,
+    fetchRecording,
+    audioOnly,
+    speakingMetrics,
+    videoMetrics,
+    feedbackMarkers,
+    transcript,
+}) => {
+    const mediaRef = useRef(null);
+    const transcriptRef = useRef(null);
+    const [recording, setRecording] = useState({ status: 'loading', url: null, isAudio: Boolean(audioOnly) });
+    const [currentMs, setCurrentMs] = useState(0);
+    const [mediaDuration, setMediaDuration] = useState(null);
+    const [isPlaying, setIsPlaying] = useState(false);
+
+    const metrics = useMemo(() => parseSpeakingMetrics(speakingMetrics), [speakingMetrics]);
+    const wordTimings = useMemo(() => parseWordTimings(metrics?.wordTimings), [metrics]);
+    const markers = useMemo(() => buildReplayMarkers({
+        feedbackMarkers: parseFeedbackMarkers(feedbackMarkers),
+        wordTimings,
+        noFaceSpans: videoMetrics?.noFaceSpans,
+    }), [feedbackMarkers, wordTimings, videoMetrics]);
+    const durationMs = replayDurationMs(mediaDuration, metrics, videoMetrics, markers);
+    const activeIndex = activeWordIndex(wordTimings, currentMs);
+
+    useEffect(() => {
+        let cancelled = false;
+        let url = null;
+        setRecording({ status: 'loading', url: null, isAudio: Boolean(audioOnly) });
+        fetchRecording(sessionId, questionNumber)
+            .then((response) => {
+                const blob = response?.data;
+                if (cancelled) {
+                    return;
+                }
+                if (!(blob instanceof Blob) || !blob.size) {
+                    setRecording({ status: 'unavailable', url: null, isAudio: Boolean(audioOnly) });
+                    return;
+                }
+                url = URL.createObjectURL(blob);
+                setRecording({
+                    status: 'ready',
+                    url,
+                    isAudio: Boolean(audioOnly) || blob.type.startsWith('audio/'),
+                });
+            })
+            .catch((error) => {
+                if (!cancelled) {
+                    console.warn('Answer recording unavailable:', error);
+                    setRecording({ status: 'unavailable', url: null, isAudio: Boolean(audioOnly) });
+                }
+            });
+        return () => {
+            cancelled = true;
+            if (url) {
+                URL.revokeObjectURL(url);
+            }
+        };
+    }, [fetchRecording, sessionId, questionNumber, audioOnly]);
+
+    // timeupdate only fires a few times a second, too coarse for word-level highlighting.
+    useEffect(() => {
+        if (!isPlaying) {
+            return undefined;
+        }
+        let frame = null;
+        const tick = () => {
+            if (mediaRef.current) {
+                setCurrentMs(Math.round(mediaRef.current.currentTime * 1000));
+            }
+            frame = requestAnimationFrame(tick);
+        };
+        frame = requestAnimationFrame(tick);
+        return () => cancelAnimationFrame(frame);
+    }, [isPlaying]);
+
+    // Keep the spoken word in view without scrolling the whole report.
+    useEffect(() => {
+        const container = transcriptRef.current;
+        const word = container?.querySelector('.is-active');
+        if (!container || !word) {
+            return;
+        }
+        // The transcript is the positioned parent, so offsetTop is relative to it.
+        const top = word.offsetTop;
+        if (top < container.scrollTop || top + word.offsetHeight > container.scrollTop + container.clientHeight) {
+            container.scrollTop = Math.max(0, top - container.clientHeight / 3);
+        }
+    }, [activeIndex]);
+
+    const seekTo = useCallback((ms) => {
+        const media = mediaRef.current;
+        if (!media) {
+            return;
+        }
+        media.currentTime = Math.max(0, ms) / 1000;
+        setCurrentMs(Math.max(0, ms));
+    }, []);
+
+    const handleTrackClick = (event) => {
+        if (!durationMs) {
+            return;
+        }
+        const bounds = event.currentTarget.getBoundingClientRect();
+        seekTo(((event.clientX - bounds.left) / bounds.width) * durationMs);
+    };
+
+    const handleLoadedMetadata = () => {
+        const media = mediaRef.current;
+        if (media && Number.isFinite(media.duration)) {
+            setMediaDuration(media.duration);
+        }
+    };
+
+    const feedbackMarkerList = markers.filter((marker) => marker.kind === 'strength' || marker.kind === 'gap');
+    const markerCounts = markers.reduce((counts, marker) => ({
+        ...counts,
+        [marker.kind]: (counts[marker.kind] || 0) + 1,
+    }), {});
+    const MediaTag = recording.isAudio ? 'audio' : 'video';
+
+    return (
+        <div className="answer-replay">
+            <div className="answer-replay__header">
+                <h4>Answer replay</h4>
+                {durationMs ? (
+                    <span className="answer-replay__meta">
+                        {formatClock(currentMs)} / {formatClock(durationMs)}
+                    </span>
+                ) : null}
+            </div>
+
+            {recording.status === 'loading' ? (
+                <p className="answer-replay__status">Loading recording…</p>
+            ) : recording.status === 'unavailable' ? (
+                <p className="answer-replay__status">Recording not available for this answer.</p>
+            ) : (
+                <MediaTag
+                    ref={mediaRef}
+                    className={`answer-replay__media answer-replay__media--${MediaTag}`}
+                    src={recording.url}
+                    controls
+                    preload="metadata"
+                    playsInline
+                    onLoadedMetadata={handleLoadedMetadata}
+                    onDurationChange={handleLoadedMetadata}
+                    onPlay={() => setIsPlaying(true)}
+                    onPause={() => setIsPlaying(false)}
+                    onEnded={() => setIsPlaying(false)}
+                    onSeeked={(event) => setCurrentMs(Math.round(event.currentTarget.currentTime * 1000))}
+                    onTimeUpdate={(event) => {
+                        if (!isPlaying) {
+                            setCurrentMs(Math.round(event.currentTarget.currentTime * 1000));
+                        }
+                    }}
+                />
+            )}
+
+            {durationMs && recording.status === 'ready' ? (
+                <>
+                    <div
+                        className="answer-replay__track"
+                        onClick={handleTrackClick}
+                        role="presentation"
+                    >
+                        <div className="answer-replay__progress" style={{ width: percentOf(currentMs, durationMs) }} />
+                        {markers.map((marker) => (
+                            <button
+                                type="button"
+                                key={marker.id}
+                                className={`answer-replay__marker answer-replay__marker--${marker.kind}`}
+                                style={{
+                                    left: percentOf(marker.startMs, durationMs),
+                                    ...(marker.kind === 'no_face'
+                                        ? { width: percentOf(marker.endMs - marker.startMs, durationMs) }
+                                        : {}),
+                                }}
+                                title={`${marker.label} at ${formatClock(marker.startMs)}${marker.note ? ` — ${marker.note}` : ''}`}
+                                aria-label={`${marker.label} at ${formatClock(marker.startMs)}`}
+                                onClick={(event) => {
+                                    event.stopPropagation();
+                                    seekTo(marker.startMs);
+                                }}
+                            />
+                        ))}
+                    </div>
+                    {markers.length > 0 && (
+                        <ul className="answer-replay__legend">
+                            {Object.entries(REPLAY_MARKER_LABELS)
+                                .filter(([kind]) => markerCounts[kind])
+                                .map(([kind, label]) => (
+                                    <li key={kind}>
+                                        <span className={`answer-replay__swatch answer-replay__swatch--${kind}`} />
+                                        {label} ×{markerCounts[kind]}
+                                    </li>
+                                ))}
+                        </ul>
+                    )}
+                    {feedbackMarkerList.length > 0 && (
+                        <ol className="answer-replay__notes">
+                            {feedbackMarkerList.map((marker) => (
+                                <li key={marker.id}>
+                                    <button
+                                        type="button"
+                                        className={`answer-replay__note answer-replay__note--${marker.kind}`}
+                                        onClick={() => seekTo(marker.startMs)}
+                                    >
+                                        <span className="answer-replay__note-time">{formatClock(marker.startMs)}</span>
+                                        <span className="answer-replay__note-label">{marker.label}</span>
+                                        <span>{marker.note}</span>
+                                    </button>
+                                </li>
+                            ))}
+                        </ol>
+                    )}
+                </>
+            ) : null}
+
+            {wordTimings.length ? (
+                <p className="answer-replay__transcript" ref={transcriptRef}>
+                    {wordTimings.map((entry, index) => (
+                        <React.Fragment key={index}>
+                            <span
+                                className={`answer-replay__word${index === activeIndex ? ' is-active' : ''}${index < activeIndex ? ' is-spoken' : ''}`}
+                                onClick={() => seekTo(entry.startMs)}
+                                role="presentation"
+                            >
+                                {entry.word}
+                            </span>{' '}
+                        </React.Fragment>
+                    ))}
+                </p>
+            ) : transcript ? (
+                <p className="answer-replay__transcript answer-replay__transcript--plain">{transcript}</p>
+            ) : null}
+        </div>
+    );
+};
+
+export default AnswerReplay;
@@ -5,6 +5,7 @@ import StudentLogin from './StudentLogin';
 import MentorRegister from './MentorRegister';
 import Dashboard from './Dashboard';
 import InstructionScreen from './InstructionScreen';
+import DeviceCheckWizard from './DeviceCheckWizard';
 import AdminPage from './AdminPage';
 import AdminStudentAnalyticsPage from './AdminStudentAnalyticsPage';
 import AdminLogin from './AdminLogin';
@@ -16,8 +17,14 @@ import {
     adminLogin as authenticateAdmin,
     adminLogout as invalidateAdmin,
     fetchAdminProfile,
+    saveDeviceCheck,
     setAdminAuthToken,
 } from './api';
+import { findLatestCheckpoint, clearCheckpoint } from './interviewCheckpoint';
+import { loadSpeechProfile, saveSpeechProfile } from './speechProfiles';
+import { loadCaptureProfile, saveCaptureProfile } from './captureQuality';
+import { isPracticeSession } from './practiceMode';
+import { resumeVideoUploads } from './videoUploadQueue';
 
 const ACTIVE_INTERVIEW_STORAGE_KEY = 'activeInterview';
 
@@ -29,6 +36,7 @@ function App() {
     const [interviewData, setInterviewData] = useState(null);
     const [interviewHydrated, setInterviewHydrated] = useState(false);
     const [showInstructions, setShowInstructions] = useState(false);
+    const [showDeviceCheck, setShowDeviceCheck] = useState(false);
     const [dashboardRefresh, setDashboardRefresh] = useState(0);
     const [adminSession, setAdminSession] = useState(null);
     const [adminLoading, setAdminLoading] = useState(true);
@@ -85,6 +93,15 @@ function App() {
                     setShowInstructions(!!parsed.showInstructions);
                     hydrated = true;
                 }
+            } else if (location.pathname === '/interview') {
+                // sessionStorage does not survive a crashed or closed tab; fall back to the
+                // interview checkpoint kept in localStorage.
+                const checkpoint = findLatestCheckpoint(student.email);
+                if (checkpoint?.interviewData) {
+                    setInterviewData(checkpoint.interviewData);
+                    setShowInstructions(false);
+                    hydrated = true;
+                }
             }
         } catch (error) {
             console.error('Failed to hydrate interview session', error);
@@ -97,7 +114,7 @@ function App() {
                 setTimeout(() => setInterviewHydrated(true), 0);
             }
         }
-    }, [isHydrated, interviewData, student]);
+    }, [isHydrated, interviewData, student, location.pathname]);
 
     useEffect(() => {
         if (!isHydrated) {
@@ -115,6 +132,13 @@ function App() {
         }
     }, [student, location.pathname, navigate, isHydrated]);
 
+    useEffect(() => {
+        // Answer videos left in the upload queue by an earlier visit carry on in the background.
+        if (student) {
+            resumeVideoUploads();
+        }
+    }, [student]);
+
     const hydrateAdminProfile = useCallback(async () => {
         const token = sessionStorage.getItem('adminToken');
         if (!token) {
@@ -148,11 +172,12 @@ function App() {
             return;
         }
         if (interviewData) {
-            persistActiveInterview(interviewData, showInstructions);
+            // A reload during the device check starts again from the instructions.
+            persistActiveInterview(interviewData, showInstructions || showDeviceCheck);
         } else {
             persistActiveInterview(null);
         }
-    }, [interviewData, showInstructions, persistActiveInterview, isHydrated]);
+    }, [interviewData, showInstructions, showDeviceCheck, persistActiveInterview, isHydrated]);
 
     const handleLogin = (studentData) => {
         localStorage.setItem('student', JSON.stringify(studentData));
@@ -166,6 +191,7 @@ function App() {
         setStudent(null);
         setInterviewData(null);
         setShowInstructions(false);
+        setShowDeviceCheck(false);
         persistActiveInterview(null);
         navigate('/login', { replace: true });
         addToast('You have been logged out.', 'info');
@@ -221,17 +247,45 @@ function App() {
             message: data.message,
             sessionStatus: data.status,
             studentEmail: student?.email || '',
+            speechLanguage: loadSpeechProfile(student?.email),
+            captureProfile: loadCaptureProfile(student?.email),
+            isPractice: isPracticeSession(data),
         };
 
         setInterviewData(fullInterviewData);
         setShowInstructions(true); // Open the modal
     };
+    const handleSpeechLanguageChange = (profileId) => {
+        saveSpeechProfile(student?.email, profileId);
+        setInterviewData((prev) => (prev ? { ...prev, speechLanguage: profileId } : prev));
+    };
+    const handleCaptureProfileChange = (profileId) => {
+        saveCaptureProfile(student?.email, profileId);
+        setInterviewData((prev) => (prev ? { ...prev, captureProfile: profileId } : prev));
+    };
     const handleAcknowledgeAndStart = () => {
         setShowInstructions(false);
+        setShowDeviceCheck(true);
+    };
+
+    const handleDeviceCheckComplete = (report, selectedDevices) => {
+        setInterviewData((prev) => (prev ? { ...prev, deviceCheck: report, selectedDevices } : prev));
+        if (interviewData?.sessionId) {
+            saveDeviceCheck(interviewData.sessionId, report).catch((error) => {
+                console.warn('Failed to save device check results', error);
+            });
+        }
+        setShowDeviceCheck(false);
         navigate('/interview');
     };
 
+    const handleDeviceCheckClose = () => {
+        setShowDeviceCheck(false);
+        setShowInstructions(true);
+    };
+
     const handleInterviewEnd = (sessionId) => {
+        clearCheckpoint(sessionId);
         setInterviewData(null);
         persistActiveInterview(null);
         navigate('/dashboard', { replace: true }); // Replace interview route in history
@@ -340,8 +394,21 @@ function App() {
                 <InstructionScreen 
                     onStart={handleAcknowledgeAndStart} 
                     onClose={() => setShowInstructions(false)} 
+                    speechLanguage={interviewData?.speechLanguage}
+                    onSpeechLanguageChange={handleSpeechLanguageChange}
+                    captureProfile={interviewData?.captureProfile}
+                    onCaptureProfileChange={handleCaptureProfileChange}
+                    isPractice={Boolean(interviewData?.isPractice)}
                 />
             }
+            {showDeviceCheck && interviewData && (
+                <DeviceCheckWizard
+                    requiresCamera={!interviewData.isPractice}
+                    speechLanguage={interviewData.speechLanguage}
+                    onComplete={handleDeviceCheckComplete}
+                    onClose={handleDeviceCheckClose}
+                />
+            )}
             <ToastContainer
                 position="top-right"
                 newestOnTop
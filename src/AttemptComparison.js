@@ -0,0 +1,303 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+    Bar,
+    BarChart,
+    CartesianGrid,
+    Legend,
+    Line,
+    LineChart,
+    ResponsiveContainer,
+    Tooltip,
+    XAxis,
+    YAxis,
+} from 'recharts';
+import { fetchFeedbackReport } from './api';
+import { parseFeedback } from './FeedbackScreen';
+import { attemptOverallScore, buildAttemptComparison, formatDelta, ordinal } from './compareAttempts';
+import './AttemptComparison.css';
+
+const ATTEMPT_COLORS = ['#8B5CF6', '#38BDF8', '#F59E0B', '#34D399', '#F472B6', '#F87171'];
+
+const tooltipStyle = {
+    backgroundColor: 'rgba(15, 13, 28, 0.95)',
+    border: '1px solid rgba(120, 97, 196, 0.4)',
+    borderRadius: 8,
+    color: '#F7F4FF',
+    fontSize: '0.8rem',
+};
+
+const formatScore = (score) => (score == null ? '—' : Number(score).toFixed(1));
+
+const formatDate = (value) => {
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime())
+        ? date.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })
+        : '';
+};
+
+const deltaTone = (delta) => {
+    if (delta == null || delta === 0) return 'flat';
+    return delta > 0 ? 'up' : 'down';
+};
+
+const DeltaChip = ({ delta }) => (
+    <span className={`attempt-delta attempt-delta--${deltaTone(delta)}`}>{formatDelta(delta)}</span>
+);
+
+// Default to the chosen session and the attempt before it (or after it, for a first attempt).
+const initialSelection = (sessions, sessionId) => {
+    const index = Math.max(0, sessions.findIndex((session) => session.session_id === sessionId));
+    const partner = index > 0 ? index - 1 : index + 1;
+    return [sessions[partner], sessions[index]].filter(Boolean).map((session) => session.session_id);
+};
+
+const ScoreDeltaTable = ({ title, rows, labels }) => {
+    if (!rows.length) {
+        return null;
+    }
+    return (
+        <table className="attempt-comparison__table">
+            <thead>
+                <tr>
+                    <th scope="col">{title}</th>
+                    {labels.map((label) => <th scope="col" key={label}>{label}</th>)}
+                    <th scope="col">Change</th>
+                </tr>
+            </thead>
+            <tbody>
+                {rows.map((row) => (
+                    <tr key={row.name}>
+                        <th scope="row">{row.name}</th>
+                        {row.scores.map((score, index) => <td key={labels[index]}>{formatScore(score)}</td>)}
+                        <td><DeltaChip delta={row.delta} /></td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+};
+
+const ScoreBarChart = ({ rows, labels }) => {
+    const data = rows.map((row) => ({
+        name: row.name,
+        ...Object.fromEntries(labels.map((label, index) => [label, row.scores[index]])),
+    }));
+    return (
+        <ResponsiveContainer width="100%" height={Math.max(220, rows.length * 48)}>
+            <BarChart data={data} layout="vertical" margin={{ top: 8, right: 16, left: 8, bottom: 0 }}>
+                <CartesianGrid stroke="rgba(151, 121, 255, 0.15)" horizontal={false} />
+                <XAxis type="number" domain={[0, 5]} stroke="#9b8ec4" />
+                <YAxis type="category" dataKey="name" width={150} stroke="#9b8ec4" />
+                <Tooltip contentStyle={tooltipStyle} />
+                <Legend />
+                {labels.map((label, index) => (
+                    <Bar key={label} dataKey={label} fill={ATTEMPT_COLORS[index % ATTEMPT_COLORS.length]} radius={[0, 4, 4, 0]} />
+                ))}
+            </BarChart>
+        </ResponsiveContainer>
+    );
+};
+
+/**
+ * Compares the feedback reports of two or more attempts at the same interview
+ * configuration. `sessions` is the attempt group, oldest first, and
+ * `attemptMap` the Dashboard's session id → attempt number lookup.
+ */
+const AttemptComparison = ({ sessionId, sessions, attemptMap }) => {
+    const [selectedIds, setSelectedIds] = useState(() => initialSelection(sessions, sessionId));
+    const [reports, setReports] = useState({});
+
+    useEffect(() => {
+        setSelectedIds(initialSelection(sessions, sessionId));
+    }, [sessions, sessionId]);
+
+    useEffect(() => {
+        const missing = selectedIds.filter((id) => !reports[id]);
+        if (!missing.length) {
+            return;
+        }
+        setReports((prev) => ({
+            ...prev,
+            ...Object.fromEntries(missing.map((id) => [id, { status: 'loading' }])),
+        }));
+        missing.forEach(async (id) => {
+            let next;
+            try {
+                const response = await fetchFeedbackReport(id);
+                const { structured } = parseFeedback(response.data?.feedback);
+                next = structured ? { status: 'ready', structured } : { status: 'missing' };
+            } catch (error) {
+                console.error('Failed to load feedback for comparison:', error);
+                next = { status: 'error' };
+            }
+            setReports((prev) => ({ ...prev, [id]: next }));
+        });
+    }, [selectedIds, reports]);
+
+    const attemptNumberOf = (session, index) => attemptMap?.[session.session_id] || index + 1;
+
+    const attempts = useMemo(() => sessions
+        .map((session, index) => ({
+            sessionId: session.session_id,
+            attemptNumber: attemptMap?.[session.session_id] || index + 1,
+            session,
+            structured: reports[session.session_id]?.structured || null,
+        }))
+        .filter((attempt) => selectedIds.includes(attempt.sessionId) && attempt.structured), [sessions, attemptMap, reports, selectedIds]);
+
+    const comparison = useMemo(() => buildAttemptComparison(attempts), [attempts]);
+    const labels = attempts.map((attempt) => `${ordinal(attempt.attemptNumber)} attempt`);
+    const isLoading = selectedIds.some((id) => reports[id]?.status === 'loading');
+    const unavailable = selectedIds.filter((id) => ['error', 'missing'].includes(reports[id]?.status));
+
+    const toggleAttempt = (id) => {
+        setSelectedIds((prev) => (prev.includes(id) ? prev.filter((entry) => entry !== id) : [...prev, id]));
+    };
+
+    const reference = sessions[0] || {};
+    const overallData = attempts.map((attempt, index) => ({
+        label: labels[index],
+        overall: attemptOverallScore(attempt),
+    }));
+
+    return (
+        <div className="attempt-comparison">
+            <div className="attempt-comparison__context">
+                {[reference.job_role, reference.company_name, reference.interview_type, reference.work_experience]
+                    .filter(Boolean)
+                    .map((value) => <span className="context-pill" key={value}>{value}</span>)}
+            </div>
+
+            <fieldset className="attempt-comparison__picker">
+                <legend>Attempts to compare</legend>
+                {sessions.map((session, index) => (
+                    <label
+                        key={session.session_id}
+                        className={`attempt-comparison__option${selectedIds.includes(session.session_id) ? ' is-selected' : ''}`}
+                    >
+                        <input
+                            type="checkbox"
+                            checked={selectedIds.includes(session.session_id)}
+                            onChange={() => toggleAttempt(session.session_id)}
+                        />
+                        <span className="attempt-comparison__option-label">
+                            {ordinal(attemptNumberOf(session, index))} attempt
+                        </span>
+                        <span className="attempt-comparison__option-meta">
+                            {formatDate(session.completed_at || session.started_at)}
+                            {session.overall_score != null ? ` · ${formatScore(session.overall_score)}/5` : ''}
+                        </span>
+                    </label>
+                ))}
+            </fieldset>
+
+            {unavailable.length > 0 && (
+                <p className="attempt-comparison__notice">
+                    {unavailable.length === 1 ? 'One report is' : `${unavailable.length} reports are`} not available
+                    yet and {unavailable.length === 1 ? 'is' : 'are'} left out of the comparison.
+                </p>
+            )}
+
+            {isLoading && attempts.length < 2 ? (
+                <p className="attempt-comparison__status">Loading feedback reports…</p>
+            ) : attempts.length < 2 ? (
+                <p className="attempt-comparison__status">Select at least two attempts with a feedback report to compare.</p>
+            ) : (
+                <>
+                    <section className="attempt-comparison__section">
+                        <h4>Overall score</h4>
+                        <div className="attempt-comparison__overall">
+                            {attempts.map((attempt, index) => (
+                                <div className="attempt-comparison__overall-card" key={attempt.sessionId}>
+                                    <span className="attempt-comparison__overall-label">{labels[index]}</span>
+                                    <strong>{formatScore(comparison.overall.scores[index])}</strong>
+                                    <span className="attempt-comparison__overall-date">
+                                        {formatDate(attempt.session.completed_at || attempt.session.started_at)}
+                                    </span>
+                                </div>
+                            ))}
+                            <div className="attempt-comparison__overall-card attempt-comparison__overall-card--delta">
+                                <span className="attempt-comparison__overall-label">Change</span>
+                                <DeltaChip delta={comparison.overall.delta} />
+                            </div>
+                        </div>
+                        <ResponsiveContainer width="100%" height={200}>
+                            <LineChart data={overallData} margin={{ top: 12, right: 16, left: 0, bottom: 0 }}>
+                                <CartesianGrid stroke="rgba(151, 121, 255, 0.15)" vertical={false} />
+                                <XAxis dataKey="label" stroke="#9b8ec4" />
+                                <YAxis domain={[0, 5]} stroke="#9b8ec4" />
+                                <Tooltip contentStyle={tooltipStyle} />
+                                <Line dataKey="overall" name="Overall score" stroke="#8B5CF6" strokeWidth={2} connectNulls />
+                            </LineChart>
+                        </ResponsiveContainer>
+                    </section>
+
+                    {comparison.competencies.length > 0 && (
+                        <section className="attempt-comparison__section">
+                            <h4>Core competencies</h4>
+                            <ScoreBarChart rows={comparison.competencies} labels={labels} />
+                            <ScoreDeltaTable title="Competency" rows={comparison.competencies} labels={labels} />
+                        </section>
+                    )}
+
+                    {comparison.skills.length > 0 && (
+                        <section className="attempt-comparison__section">
+                            <h4>Mandatory skills</h4>
+                            <ScoreBarChart rows={comparison.skills} labels={labels} />
+                            <ScoreDeltaTable title="Skill" rows={comparison.skills} labels={labels} />
+                        </section>
+                    )}
+
+                    <section className="attempt-comparison__section">
+                        <h4>Repeated questions</h4>
+                        {comparison.questions.length ? (
+                            comparison.questions.map((row) => (
+                                <article className="attempt-comparison__question" key={row.question}>
+                                    <header className="attempt-comparison__question-header">
+                                        <p>{row.question}</p>
+                                        <DeltaChip delta={row.delta} />
+                                    </header>
+                                    <div
+                                        className="attempt-comparison__answers"
+                                        style={{ gridTemplateColumns: `repeat(${labels.length}, minmax(220px, 1fr))` }}
+                                    >
+                                        {row.answers.map((answer, index) => (
+                                            <div className="attempt-comparison__answer" key={labels[index]}>
+                                                <div className="attempt-comparison__answer-header">
+                                                    <span style={{ color: ATTEMPT_COLORS[index % ATTEMPT_COLORS.length] }}>
+                                                        {labels[index]}
+                                                    </span>
+                                                    {answer && <span>Q{answer.number} · {formatScore(answer.score)}/5</span>}
+                                                </div>
+                                                {!answer ? (
+                                                    <p className="attempt-comparison__answer-empty">Not asked in this attempt.</p>
+                                                ) : answer.skipped ? (
+                                                    <p className="attempt-comparison__answer-empty">Skipped.</p>
+                                                ) : answer.isCoding ? (
+                                                    <pre className="attempt-comparison__code"><code>{answer.answer}</code></pre>
+                                                ) : (
+                                                    <p>{answer.answer || 'No answer recorded.'}</p>
+                                                )}
+                                                {answer?.improvements?.length ? (
+                                                    <p className="attempt-comparison__answer-note">
+                                                        <strong>To improve:</strong> {answer.improvements.join(' ')}
+                                                    </p>
+                                                ) : null}
+                                            </div>
+                                        ))}
+                                    </div>
+                                </article>
+                            ))
+                        ) : (
+                            <p className="attempt-comparison__status">
+                                None of the questions repeat across the selected attempts.
+                            </p>
+                        )}
+                    </section>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default AttemptComparison;
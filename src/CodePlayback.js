@@ -0,0 +1,187 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { FiPause, FiPlay, FiRotateCcw } from 'react-icons/fi';
+import { createTimelinePlayer, parseTimeline } from './codeTimeline';
+import './CodePlayback.css';
+
+const SPEEDS = [1, 2, 4, 8];
+// Idle stretches longer than this are compressed during playback.
+const MAX_STEP_MS = 1200;
+
+const RUN_LABELS = {
+    run: 'Run',
+    tests: 'Tests',
+    submit: 'Submitted',
+};
+
+const formatClock = (ms) => {
+    const totalSeconds = Math.max(0, Math.round((ms || 0) / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+const runtimeLabel = (runtimeKey) => (runtimeKey ? runtimeKey.split('@')[0] : '');
+
+const CodePlayback = ({ timeline: rawTimeline }) => {
+    const timeline = useMemo(() => parseTimeline(rawTimeline), [rawTimeline]);
+    const player = useMemo(() => (timeline ? createTimelinePlayer(timeline) : null), [timeline]);
+    const [position, setPosition] = useState(0);
+    const [isPlaying, setIsPlaying] = useState(false);
+    const [speed, setSpeed] = useState(2);
+
+    useEffect(() => {
+        setPosition(player ? player.length - 1 : 0);
+        setIsPlaying(false);
+    }, [player]);
+
+    useEffect(() => {
+        if (!isPlaying || !player) {
+            return undefined;
+        }
+        if (position >= player.length - 1) {
+            setIsPlaying(false);
+            return undefined;
+        }
+        const gap = player.events[position + 1].t - player.events[position].t;
+        const timer = setTimeout(() => {
+            setPosition((prev) => Math.min(prev + 1, player.length - 1));
+        }, Math.min(Math.max(gap, 0), MAX_STEP_MS) / speed);
+        return () => clearTimeout(timer);
+    }, [isPlaying, position, player, speed]);
+
+    const markers = useMemo(() => {
+        if (!player) return [];
+        return player.events
+            .map((event, index) => ({ event, index }))
+            .filter(({ event, index }) => event.k === 'run' || (event.k === 'snapshot' && event.reason === 'runtime' && index > 0));
+    }, [player]);
+
+    if (!player) {
+        return null;
+    }
+
+    const state = player.stateAt(position);
+    const activeFile = state.files.find((file) => file.id === state.activeId) || state.files[0];
+    const content = activeFile?.content || '';
+    const change = state.lastChange && state.lastChange.fileId === activeFile?.id ? state.lastChange : null;
+    const currentEvent = player.events[position];
+    const lastIndex = Math.max(player.length - 1, 1);
+
+    const togglePlayback = () => {
+        if (!isPlaying && position >= player.length - 1) {
+            setPosition(0);
+        }
+        setIsPlaying((prev) => !prev);
+    };
+
+    return (
+        <div className="code-playback">
+            <div className="code-playback__header">
+                <h4>Code playback</h4>
+                <span className="code-playback__meta">
+                    {runtimeLabel(state.runtimeKey)}
+                    {state.runtimeKey ? ' · ' : ''}
+                    {formatClock(currentEvent?.t)} / {formatClock(player.durationMs)}
+                </span>
+            </div>
+
+            {state.files.length > 1 && (
+                <div className="code-playback__files" role="list">
+                    {state.files.map((file) => (
+                        <span
+                            key={file.id}
+                            role="listitem"
+                            className={`code-playback__file${file.id === activeFile?.id ? ' is-active' : ''}`}
+                        >
+                            {file.name}
+                        </span>
+                    ))}
+                </div>
+            )}
+
+            <pre className="code-block code-playback__code" aria-live="off">
+                <code>
+                    {change ? (
+                        <>
+                            {content.slice(0, change.offset)}
+                            <mark className="code-playback__change">
+                                {content.slice(change.offset, change.offset + change.length)}
+                            </mark>
+                            {content.slice(change.offset + change.length)}
+                        </>
+                    ) : content}
+                </code>
+            </pre>
+
+            <div className="code-playback__controls">
+                <button
+                    type="button"
+                    className="code-playback__button"
+                    onClick={togglePlayback}
+                    aria-label={isPlaying ? 'Pause playback' : 'Play back the solution'}
+                >
+                    {isPlaying ? <FiPause /> : <FiPlay />}
+                </button>
+                <button
+                    type="button"
+                    className="code-playback__button"
+                    onClick={() => {
+                        setIsPlaying(false);
+                        setPosition(0);
+                    }}
+                    aria-label="Restart playback"
+                >
+                    <FiRotateCcw />
+                </button>
+                <div className="code-playback__track">
+                    <input
+                        type="range"
+                        min={0}
+                        max={player.length - 1}
+                        value={position}
+                        onChange={(event) => {
+                            setIsPlaying(false);
+                            setPosition(Number(event.target.value));
+                        }}
+                        aria-label="Scrub through the solution history"
+                    />
+                    {markers.map(({ event, index }) => (
+                        <button
+                            type="button"
+                            key={`marker-${index}`}
+                            className={`code-playback__marker code-playback__marker--${event.k === 'run' ? event.kind : 'runtime'}${event.success === false ? ' is-failed' : ''}`}
+                            style={{ left: `${(index / lastIndex) * 100}%` }}
+                            title={event.k === 'run'
+                                ? `${RUN_LABELS[event.kind] || 'Run'} at ${formatClock(event.t)}${event.detail ? ` — ${event.detail}` : ''}`
+                                : `Switched to ${runtimeLabel(event.runtimeKey)} at ${formatClock(event.t)}`}
+                            onClick={() => {
+                                setIsPlaying(false);
+                                setPosition(index);
+                            }}
+                        />
+                    ))}
+                </div>
+                <select
+                    className="code-playback__speed"
+                    value={speed}
+                    onChange={(event) => setSpeed(Number(event.target.value))}
+                    aria-label="Playback speed"
+                >
+                    {SPEEDS.map((value) => (
+                        <option key={value} value={value}>{value}×</option>
+                    ))}
+                </select>
+            </div>
+
+            {currentEvent?.k === 'run' && (
+                <p className={`code-playback__event${currentEvent.success === false ? ' is-failed' : ''}`}>
+                    {RUN_LABELS[currentEvent.kind] || 'Run'}
+                    {currentEvent.success != null ? (currentEvent.success ? ' succeeded' : ' failed') : ''}
+                    {currentEvent.detail ? `: ${currentEvent.detail}` : ''}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default CodePlayback;
@@ -1,8 +1,24 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import Editor from '@monaco-editor/react';
 import Split from 'react-split';
+import { FiEdit2, FiFilePlus, FiFolder, FiPlay, FiTrash2 } from 'react-icons/fi';
 
 import { fetchPistonRuntimes, executeWithPiston } from './api';
+import { runTestCases, summarizeVerdicts } from './codeJudge';
+import {
+  buildHarnessFiles,
+  generateHarnessStub,
+  harnessLanguageFor,
+  parseHarnessOutput,
+  toHarnessTestCases,
+} from './codeHarness';
+import {
+  buildSandboxScript,
+  compareResultSets,
+  parseSandboxOutput,
+  rebaseSandboxErrors,
+} from './sqlSandbox';
+import { createCodeTimeline } from './codeTimeline';
 
 const DEFAULT_CODE = '# Write your answer here\n';
 
@@ -119,6 +135,15 @@ const PLACEHOLDER_PATTERNS = [
 ];
 
 const IMAGE_STDOUT_PREFIX = '__IMAGE_PNG__:';
+// Drafts change on every keystroke; the timeline copy in them is refreshed at most this often.
+const TIMELINE_DRAFT_INTERVAL_MS = 10000;
+
+const TEST_STATUS_LABELS = {
+  passed: 'Passed',
+  failed: 'Wrong answer',
+  error: 'Runtime error',
+  timeout: 'Time limit exceeded',
+};
 
 const parseVisualizationsFromStdout = (stdout) => {
   if (!stdout) {
@@ -147,6 +172,86 @@ const parseVisualizationsFromStdout = (stdout) => {
   };
 };
 
+const getSourceFileName = (runtime) => {
+  const runtimeLanguageLower = runtime.language.toLowerCase();
+  const fallbackExtension = (runtime.aliases?.[0]?.toLowerCase()) || runtimeLanguageLower;
+  switch (runtimeLanguageLower) {
+    case 'python':
+      return 'main.py';
+    case 'javascript':
+    case 'node':
+    case 'nodejs':
+      return 'main.js';
+    case 'typescript':
+    case 'ts':
+      return 'main.ts';
+    case 'java':
+      return 'Main.java';
+    case 'c':
+      return 'main.c';
+    case 'cpp':
+    case 'cplusplus':
+      return 'main.cpp';
+    case 'csharp':
+    case 'c#':
+      return 'Program.cs';
+    case 'go':
+    case 'golang':
+      return 'main.go';
+    case 'rust':
+      return 'main.rs';
+    case 'ruby':
+      return 'main.rb';
+    case 'php':
+      return 'main.php';
+    case 'swift':
+      return 'main.swift';
+    case 'kotlin':
+      return 'Main.kt';
+    default:
+      return `main.${fallbackExtension || runtimeLanguageLower}`;
+  }
+};
+
+// Each runtime keeps its own project in languageCodeMap: { files, entryId, activeId }.
+// A file without a name uses the runtime's default source name (main.py, Main.java...).
+// The entry file is sent first because Piston executes files[0].
+const FILE_NAME_PATTERN = /^[\w.-]+(\/[\w.-]+)*$/;
+
+const createProjectFile = (content = '', name = null) => ({
+  id: `file-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  name,
+  content,
+});
+
+const toProject = (value) => {
+  if (typeof value === 'string') {
+    const file = createProjectFile(value);
+    return { files: [file], entryId: file.id, activeId: file.id };
+  }
+  if (!value || !Array.isArray(value.files) || !value.files.length) {
+    return null;
+  }
+  const files = value.files.map((file) => ({
+    ...createProjectFile(file.content || '', file.name || null),
+    ...(file.id ? { id: file.id } : {}),
+  }));
+  const hasFile = (id) => files.some((file) => file.id === id);
+  return {
+    files,
+    entryId: hasFile(value.entryId) ? value.entryId : files[0].id,
+    activeId: hasFile(value.activeId) ? value.activeId : files[0].id,
+  };
+};
+
+const fileNameOf = (file, defaultName) => file.name || defaultName;
+
+const commentPrefixFor = (fileName) => {
+  if (/\.(py|rb)$/i.test(fileName)) return '#';
+  if (/\.sql$/i.test(fileName)) return '--';
+  return '//';
+};
+
 const matchesLanguage = (runtime, targetLanguage) => {
   if (!runtime || !targetLanguage) return false;
   const normalized = targetLanguage.toLowerCase();
@@ -222,6 +327,37 @@ const matchesCoreLanguage = (runtime) => {
   return (runtime.aliases || []).some((alias) => CORE_LANGUAGE_SET.has(alias.toLowerCase()));
 };
 
+const SqlResultGrid = ({ resultSet, highlightedRows = [], className = '' }) => {
+  const highlighted = new Set(highlightedRows);
+  return (
+    <div className={`neo-sql-grid ${className}`.trim()}>
+      <table>
+        <thead>
+          <tr>
+            {resultSet.columns.map((column, index) => (
+              <th key={`${column}-${index}`}>{column}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {resultSet.rows.map((row, rowIndex) => (
+            <tr key={rowIndex} className={highlighted.has(rowIndex) ? 'neo-sql-grid__row--diff' : undefined}>
+              {row.map((cell, cellIndex) => (
+                <td key={cellIndex} className={cell == null ? 'neo-sql-grid__null' : undefined}>
+                  {cell == null ? 'NULL' : cell}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="neo-sql-grid__count">
+        {resultSet.rows.length} row{resultSet.rows.length === 1 ? '' : 's'}
+      </div>
+    </div>
+  );
+};
+
 export default function CodingWorkspace({
   onSubmit,
   isSubmitting,
@@ -234,8 +370,20 @@ export default function CodingWorkspace({
   editorHeight = '420px',
   addToast,
   enforceSqlOnly = false,
+  initialDraft = null,
+  onDraftChange,
+  testCases = null,
+  harness = null,
+  sqlSandbox = null,
 }) {
+  // Only the draft present at mount is restored; later question changes start clean.
+  const restoredDraftRef = useRef(initialDraft);
+  const restoredRuntimeKeyRef = useRef(initialDraft?.runtimeKey || null);
   const [code, setCode] = useState(initialCode);
+  const [project, setProject] = useState(() => toProject(initialCode));
+  const [showFileTree, setShowFileTree] = useState(false);
+  const [renamingFileId, setRenamingFileId] = useState(null);
+  const [renameDraft, setRenameDraft] = useState('');
   const [stdinText, setStdinText] = useState('');
   const [stdoutText, setStdoutText] = useState('');
   const [stderrText, setStderrText] = useState('');
@@ -250,8 +398,14 @@ export default function CodingWorkspace({
   const [languageCodeMap, setLanguageCodeMap] = useState({});
   const [visualizations, setVisualizations] = useState([]);
   const [manualInputEnabled, setManualInputEnabled] = useState(false);
+  const [testVerdicts, setTestVerdicts] = useState(null);
+  const [isJudging, setIsJudging] = useState(false);
+  const [sqlOutcome, setSqlOutcome] = useState(null);
   const consoleRef = useRef(null);
   const manualInputRef = useRef(null);
+  const timelineRef = useRef(null);
+  const timelineDraftRef = useRef({ capturedAt: 0, value: null });
+  const recordedRuntimeKeyRef = useRef(null);
 
   const normalizedDefaultLanguage = (defaultLanguage || 'python').toLowerCase();
   const normalizedSupportedLanguages = useMemo(() => {
@@ -282,8 +436,67 @@ export default function CodingWorkspace({
 
   const monacoLanguageId = useMemo(() => getMonacoLanguageId(selectedRuntime), [selectedRuntime]);
 
-  const runtimeDisabled = isRunning || loadingRuntimes || !selectedRuntime;
-  const submitDisabled = isSubmitting;
+  const defaultFileName = selectedRuntime ? getSourceFileName(selectedRuntime) : 'main';
+  // `code` mirrors the open file; the snapshot folds it back into the project.
+  const projectSnapshot = useMemo(() => ({
+    ...project,
+    files: project.files.map((file) => (file.id === project.activeId ? { ...file, content: code } : file)),
+  }), [project, code]);
+  const entryFile = projectSnapshot.files.find((file) => file.id === projectSnapshot.entryId) || projectSnapshot.files[0];
+  const projectFiles = useMemo(() => {
+    const entry = projectSnapshot.files.find((file) => file.id === projectSnapshot.entryId) || projectSnapshot.files[0];
+    return [entry, ...projectSnapshot.files.filter((file) => file.id !== entry.id)].map((file) => ({
+      name: fileNameOf(file, defaultFileName),
+      content: file.content,
+    }));
+  }, [projectSnapshot, defaultFileName]);
+  const supportsProjects = !enforceSqlOnly;
+
+  const fileTreeRows = useMemo(() => {
+    const rows = [];
+    const seenFolders = new Set();
+    [...projectSnapshot.files]
+      .sort((a, b) => fileNameOf(a, defaultFileName).localeCompare(fileNameOf(b, defaultFileName)))
+      .forEach((file) => {
+        const segments = fileNameOf(file, defaultFileName).split('/');
+        segments.slice(0, -1).forEach((segment, depth) => {
+          const folderPath = segments.slice(0, depth + 1).join('/');
+          if (!seenFolders.has(folderPath)) {
+            seenFolders.add(folderPath);
+            rows.push({ type: 'folder', key: `folder:${folderPath}`, label: segment, depth });
+          }
+        });
+        rows.push({ type: 'file', key: file.id, file, label: segments[segments.length - 1], depth: segments.length - 1 });
+      });
+    return rows;
+  }, [projectSnapshot, defaultFileName]);
+
+  // Function-signature questions run the candidate's function through a generated driver.
+  const harnessLanguage = useMemo(
+    () => (harness ? harnessLanguageFor(selectedRuntime) : null),
+    [harness, selectedRuntime],
+  );
+  const activeTestCases = useMemo(() => {
+    if (!harnessLanguage || !testCases) {
+      return testCases;
+    }
+    return {
+      ...testCases,
+      sample: toHarnessTestCases(testCases.sample, harness),
+    };
+  }, [harness, harnessLanguage, testCases]);
+
+  // Seeded SQL questions rely on sqlite3 dot-commands, so other engines run the plain
+  // query against an empty database; the console says so instead of failing silently.
+  const sandboxActive = Boolean(sqlSandbox && isSqliteRuntime(selectedRuntime));
+  const sandboxUnavailable = Boolean(sqlSandbox && selectedRuntime && !sandboxActive);
+
+  const hasSampleTests = Boolean(activeTestCases?.sample?.length);
+  const hiddenTestCount = activeTestCases?.hiddenCount || 0;
+  const testSummary = useMemo(() => (testVerdicts ? summarizeVerdicts(testVerdicts) : null), [testVerdicts]);
+
+  const runtimeDisabled = isRunning || isJudging || loadingRuntimes || !selectedRuntime;
+  const submitDisabled = isSubmitting || isJudging;
 
   const lineCount = useMemo(() => {
     if (!code) {
@@ -294,7 +507,7 @@ export default function CodingWorkspace({
 
   const workspaceClassName = useMemo(() => {
     const classes = ['coding-workspace', 'neo-layout'];
-    if (hasRun) {
+    if (hasRun || testVerdicts) {
       classes.push('neo-layout--expanded');
     }
     if (lineCount > 80) {
@@ -303,7 +516,7 @@ export default function CodingWorkspace({
       classes.push('coding-workspace--lg');
     }
     return classes.join(' ');
-  }, [hasRun, lineCount]);
+  }, [hasRun, testVerdicts, lineCount]);
 
   const notify = React.useCallback((message, type = 'warning') => {
     if (typeof addToast === 'function') {
@@ -319,12 +532,16 @@ export default function CodingWorkspace({
     return !PLACEHOLDER_PATTERNS.some((pattern) => pattern.test(trimmed));
   }, []);
 
+  const projectHasCode = projectSnapshot.files.some((file) => hasMeaningfulCode(file.content));
+
   const resetOutputs = () => {
     setStdoutText('');
     setStderrText('');
     setInternalError(null);
     setLastRunSucceeded(null);
     setVisualizations([]);
+    setTestVerdicts(null);
+    setSqlOutcome(null);
   };
 
   const compilerMessage = useMemo(() => {
@@ -370,6 +587,16 @@ export default function CodingWorkspace({
       return;
     }
 
+    if (restoredRuntimeKeyRef.current) {
+      const restoredKey = restoredRuntimeKeyRef.current;
+      restoredRuntimeKeyRef.current = null;
+      if (runtimes.some((runtime) => runtimeToKey(runtime) === restoredKey)) {
+        setSelectedRuntimeKey(restoredKey);
+        setUserLanguageOverride(true);
+        return;
+      }
+    }
+
     const allowedList = normalizedSupportedLanguages && normalizedSupportedLanguages.length
       ? normalizedSupportedLanguages
       : effectiveCoreLanguages;
@@ -414,10 +641,25 @@ export default function CodingWorkspace({
   ]);
 
   useEffect(() => {
-    setLanguageCodeMap({});
-    setCode(initialCode || DEFAULT_CODE);
-    setStdinText('');
-    setManualInputEnabled(false);
+    const draft = restoredDraftRef.current;
+    restoredDraftRef.current = null;
+    const draftCodeMap = draft?.codeByRuntime || {};
+    const draftProject = draft?.runtimeKey ? toProject(draftCodeMap[draft.runtimeKey]) : null;
+    const nextProject = draftProject || toProject(initialCode || DEFAULT_CODE);
+    setLanguageCodeMap(draftCodeMap);
+    setProject(nextProject);
+    timelineRef.current = createCodeTimeline(draft?.timeline);
+    timelineDraftRef.current = { capturedAt: 0, value: null };
+    timelineRef.current.snapshot(draft?.timeline ? 'resume' : 'start', {
+      runtimeKey: draft?.runtimeKey || null,
+      files: nextProject.files.map((file) => ({ ...file, name: file.name || 'main' })),
+      activeId: nextProject.activeId,
+    });
+    setCode(nextProject.files.find((file) => file.id === nextProject.activeId).content);
+    setShowFileTree(nextProject.files.length > 1);
+    setRenamingFileId(null);
+    setStdinText(draft?.stdin || '');
+    setManualInputEnabled(Boolean(draft?.stdin));
     resetOutputs();
     setHasRun(false);
   }, [initialCode]);
@@ -428,23 +670,120 @@ export default function CodingWorkspace({
     }
     setLanguageCodeMap((prev) => {
       const existing = prev[selectedRuntimeKey];
-      if (existing === code) {
+      if (existing === projectSnapshot) {
         return prev;
       }
       return {
         ...prev,
-        [selectedRuntimeKey]: code,
+        [selectedRuntimeKey]: projectSnapshot,
       };
     });
-  }, [code, selectedRuntimeKey]);
+  }, [projectSnapshot, selectedRuntimeKey]);
 
   useEffect(() => {
     // Reset user language override when a new question arrives
     setUserLanguageOverride(false);
   }, [initialCode, normalizedDefaultLanguage]);
 
+  useEffect(() => {
+    if (typeof onDraftChange !== 'function') {
+      return;
+    }
+    const now = Date.now();
+    const timelineDraft = timelineDraftRef.current;
+    if (timelineRef.current && (!timelineDraft.value || now - timelineDraft.capturedAt >= TIMELINE_DRAFT_INTERVAL_MS)) {
+      timelineDraftRef.current = { capturedAt: now, value: timelineRef.current.toJSON() };
+    }
+    onDraftChange({
+      codeByRuntime: languageCodeMap,
+      runtimeKey: selectedRuntimeKey,
+      stdin: stdinText,
+      // The code itself is always current; a resumed timeline just misses the last few seconds.
+      timeline: timelineDraftRef.current.value,
+    });
+  }, [languageCodeMap, selectedRuntimeKey, stdinText, onDraftChange]);
+
+  // Every runtime change (auto-selection included) starts a fresh snapshot in the timeline,
+  // since switching languages swaps the whole project.
+  useEffect(() => {
+    if (!selectedRuntimeKey || recordedRuntimeKeyRef.current === selectedRuntimeKey || !timelineRef.current) {
+      return;
+    }
+    recordedRuntimeKeyRef.current = selectedRuntimeKey;
+    timelineRef.current.snapshot('runtime', {
+      runtimeKey: selectedRuntimeKey,
+      files: projectSnapshot.files.map((file) => ({ ...file, name: fileNameOf(file, defaultFileName) })),
+      activeId: projectSnapshot.activeId,
+    });
+  }, [selectedRuntimeKey, projectSnapshot, defaultFileName]);
+
+  const handleEditorChange = (value) => {
+    const next = value ?? '';
+    timelineRef.current?.edit(project.activeId, code, next);
+    setCode(next);
+  };
+
+  // Single Piston round-trip for the current code; shared by manual runs and test judging.
+  const executeSource = async (stdin) => {
+    const payload = {
+      language: selectedRuntime.language,
+      version: selectedRuntime.version,
+      stdin,
+      files: harnessLanguage
+        ? [...buildHarnessFiles(harnessLanguage, harness, entryFile.content), ...projectFiles.slice(1)]
+        : sandboxActive
+          ? [{ name: getSourceFileName(selectedRuntime), content: buildSandboxScript(sqlSandbox, entryFile.content) }]
+          : projectFiles,
+    };
+    if (activeTestCases?.timeLimitMs) {
+      payload.run_timeout = activeTestCases.timeLimitMs;
+    }
+
+    const response = await executeWithPiston(payload);
+    const data = response?.data || {};
+    const runResult = data.run || {};
+    const compileResult = data.compile || {};
+
+    const stderrSegments = [];
+    if (compileResult.output || compileResult.stderr) {
+      stderrSegments.push(compileResult.output || compileResult.stderr);
+    }
+    if (runResult.stderr) {
+      stderrSegments.push(runResult.stderr);
+    }
+    if (harnessLanguage) {
+      // Judge only the returned value; anything the candidate printed is kept as logs.
+      const { result, logs } = parseHarnessOutput(runResult.stdout ?? '');
+      return {
+        stdout: result ?? '',
+        logs,
+        stderr: stderrSegments.join('\n').trim(),
+        success: (compileResult.code == null || compileResult.code === 0) && runResult.code === 0 && result != null,
+        internalError: null,
+        timedOut: runResult.signal === 'SIGKILL',
+      };
+    }
+    if (sandboxActive) {
+      return {
+        stdout: runResult.stdout ?? '',
+        stderr: rebaseSandboxErrors(stderrSegments.join('\n').trim(), sqlSandbox),
+        success: runResult.code === 0 && !runResult.stderr,
+        internalError: null,
+        timedOut: runResult.signal === 'SIGKILL',
+      };
+    }
+    // Piston's `output` interleaves stdout and stderr; cases are judged on stdout alone.
+    return {
+      stdout: runResult.stdout ?? '',
+      stderr: stderrSegments.join('\n').trim(),
+      success: (compileResult.code == null || compileResult.code === 0) && runResult.code === 0,
+      internalError: null,
+      timedOut: runResult.signal === 'SIGKILL',
+    };
+  };
+
   const runCode = async () => {
-    if (!hasMeaningfulCode(code)) {
+    if (!projectHasCode) {
       notify('Please write your solution before running.');
       return {
         stdout: '',
@@ -483,77 +822,24 @@ export default function CodingWorkspace({
     // Don't reset lastRunSucceeded until we have new results
 
     try {
-      const runtimeLanguage = selectedRuntime.language;
-      const runtimeLanguageLower = runtimeLanguage.toLowerCase();
-      const fallbackExtension = (selectedRuntime.aliases?.[0]?.toLowerCase()) || runtimeLanguageLower;
-      const fileName = (() => {
-        switch (runtimeLanguageLower) {
-          case 'python':
-            return 'main.py';
-          case 'javascript':
-          case 'node':
-          case 'nodejs':
-            return 'main.js';
-          case 'typescript':
-          case 'ts':
-            return 'main.ts';
-          case 'java':
-            return 'Main.java';
-          case 'c':
-            return 'main.c';
-          case 'cpp':
-          case 'cplusplus':
-            return 'main.cpp';
-          case 'csharp':
-          case 'c#':
-            return 'Program.cs';
-          case 'go':
-          case 'golang':
-            return 'main.go';
-          case 'rust':
-            return 'main.rs';
-          case 'ruby':
-            return 'main.rb';
-          case 'php':
-            return 'main.php';
-          case 'swift':
-            return 'main.swift';
-          case 'kotlin':
-            return 'Main.kt';
-          default:
-            return `main.${fallbackExtension || runtimeLanguageLower}`;
-        }
-      })();
-
-      const payload = {
-        language: selectedRuntime.language,
-        version: selectedRuntime.version,
-        stdin: stdinText,
-        files: [
-          {
-            name: fileName,
-            content: code,
-          },
-        ],
-      };
-
-      const response = await executeWithPiston(payload);
-      const data = response?.data || {};
-      const runResult = data.run || {};
-      const compileResult = data.compile || {};
-
-      const stdoutValue = runResult.output ?? runResult.stdout ?? '';
-      const stderrSegments = [];
-      if (compileResult.output || compileResult.stderr) {
-        stderrSegments.push(compileResult.output || compileResult.stderr);
+      const { stdout: stdoutValue, logs, stderr: stderrCombined, success } = await executeSource(stdinText);
+      let outcome = null;
+      let consoleText = stdoutValue;
+      if (sandboxActive) {
+        const sections = parseSandboxOutput(stdoutValue);
+        const expected = sqlSandbox.expectedResult;
+        outcome = {
+          result: sections.candidate,
+          expected,
+          comparison: expected && success
+            ? compareResultSets(sections.candidate, expected, { orderSensitive: sqlSandbox.orderSensitive })
+            : null,
+        };
+        consoleText = sections.logs;
+      } else if (harnessLanguage) {
+        consoleText = [logs, stdoutValue && `Returned: ${stdoutValue}`].filter(Boolean).join('\n');
       }
-      if (runResult.stderr) {
-        stderrSegments.push(runResult.stderr);
-      }
-      const stderrCombined = stderrSegments.join('\n').trim();
-      const success = (compileResult.code == null || compileResult.code === 0) && runResult.code === 0;
-
-      const parsed = parseVisualizationsFromStdout(stdoutValue);
+      const parsed = parseVisualizationsFromStdout(consoleText);
 
       setStdoutText(parsed.text);
       setStderrText(stderrCombined);
@@ -561,6 +847,11 @@ export default function CodingWorkspace({
       setLastRunSucceeded(success);
       setHasRun(true);
       setVisualizations(parsed.visualizations);
+      setSqlOutcome(outcome);
+      timelineRef.current?.run('run', {
+        success,
+        detail: stderrCombined || (outcome?.comparison ? outcome.comparison.reason || 'Result matches' : parsed.text),
+      });
 
       return {
         stdout: parsed.text,
@@ -568,11 +859,13 @@ export default function CodingWorkspace({
         success,
         internalError: null,
         language: selectedRuntime.language,
+        sqlOutcome: outcome,
       };
     } catch (error) {
       console.error('Error executing code via Piston:', error);
       const errorMessage = error?.response?.data?.message || error?.message || 'Failed to execute code.';
       setInternalError(errorMessage);
+      timelineRef.current?.run('run', { success: false, detail: errorMessage });
       // Set lastRunSucceeded after error is set
       setLastRunSucceeded(false);
       setHasRun(true);
@@ -602,13 +895,57 @@ export default function CodingWorkspace({
     }
   };
 
+  const judgeCases = async (cases) => {
+    setIsJudging(true);
+    setTestVerdicts([]);
+    try {
+      const verdicts = await runTestCases(
+        cases,
+        async (stdin) => {
+          try {
+            const result = await executeSource(stdin);
+            return { ...result, stdout: parseVisualizationsFromStdout(result.stdout).text };
+          } catch (error) {
+            console.error('Error executing test case via Piston:', error);
+            return {
+              stdout: '',
+              stderr: '',
+              success: false,
+              internalError: error?.response?.data?.message || error?.message || 'Failed to execute code.',
+            };
+          }
+        },
+        { onProgress: setTestVerdicts },
+      );
+      const summary = summarizeVerdicts(verdicts);
+      timelineRef.current?.run('tests', {
+        success: summary.passed === summary.total,
+        detail: `${summary.passed}/${summary.total} test cases passed`,
+      });
+      return verdicts;
+    } finally {
+      setIsJudging(false);
+    }
+  };
+
+  const runSampleTests = async () => {
+    if (!projectHasCode) {
+      notify('Please write your solution before running.');
+      return;
+    }
+    if (!selectedRuntime || isJudging) {
+      return;
+    }
+    await judgeCases(activeTestCases.sample);
+  };
+
   const handleSubmit = async () => {
-    if (!hasMeaningfulCode(code)) {
+    if (!projectHasCode) {
       notify('Please write your solution before submitting.');
       return;
     }
 
-    if (!hasRun) {
+    if (!hasRun && !testVerdicts) {
       notify('Please run your code before submitting.');
       return;
     }
@@ -626,8 +963,29 @@ export default function CodingWorkspace({
       language: selectedRuntime?.language || normalizedDefaultLanguage,
     };
 
+    // Seeded SQL answers are re-run so the submitted grid matches the submitted query.
+    if (sandboxActive) {
+      latest = await runCode();
+    }
+
+    // Sample verdicts for the submitted code go along as advisory data only; the
+    // backend judges the hidden cases itself.
+    const verdicts = hasSampleTests ? await judgeCases(activeTestCases.sample) : null;
+
+    // Single-file answers submit the source as-is; projects also carry a labelled listing.
+    const submittedCode = projectFiles.length > 1
+      ? projectFiles
+        .map((file) => `${commentPrefixFor(file.name)} ===== ${file.name} =====\n${file.content}`)
+        .join('\n\n')
+      : entryFile.content;
+
+    timelineRef.current?.run('submit', { success: latest?.success ?? null });
+
     onSubmit({
-      code,
+      code: submittedCode,
+      timeline: timelineRef.current?.toJSON() || null,
+      files: projectFiles,
+      entryFile: projectFiles[0].name,
       stdin: stdinText,
       stdout: latest?.stdout ?? stdoutText,
       stderr: latest?.stderr ?? stderrText,
@@ -635,6 +993,10 @@ export default function CodingWorkspace({
       internalError: latest?.internalError || internalError,
       hasRun: hasRun || Boolean(latest),
       language: latest?.language || selectedRuntime?.language || normalizedDefaultLanguage,
+      testResults: verdicts,
+      testSummary: verdicts ? summarizeVerdicts(verdicts) : null,
+      sqlResult: latest?.sqlOutcome?.result ?? null,
+      sqlComparison: latest?.sqlOutcome?.comparison ?? null,
     });
   };
 
@@ -648,17 +1010,101 @@ export default function CodingWorkspace({
     const runtime = runtimes.find((rt) => runtimeToKey(rt) === value);
     if (runtime) {
       const runtimeLang = runtime.language.toLowerCase();
-      const template = CODE_TEMPLATES[runtimeLang];
-      const storedCode = languageCodeMap[value];
+      const runtimeHarnessLanguage = harness ? harnessLanguageFor(runtime) : null;
+      const template = runtimeHarnessLanguage
+        ? generateHarnessStub(runtimeHarnessLanguage, harness)
+        : CODE_TEMPLATES[runtimeLang];
+      const storedProject = toProject(languageCodeMap[value]);
+      const nextProject = storedProject || toProject(template || '');
+
+      setProject(nextProject);
+      setCode(nextProject.files.find((file) => file.id === nextProject.activeId).content);
+      setRenamingFileId(null);
+    }
+  };
 
-      if (storedCode != null) {
-        setCode(storedCode);
-      } else if (template) {
-        setCode(template);
-      } else {
-        setCode('');
-      }
+  const openFile = (fileId) => {
+    if (fileId === projectSnapshot.activeId) {
+      return;
     }
+    const target = projectSnapshot.files.find((file) => file.id === fileId);
+    timelineRef.current?.file('open', fileId);
+    setProject({ ...projectSnapshot, activeId: fileId });
+    setCode(target.content);
+  };
+
+  const addFile = () => {
+    const extension = defaultFileName.includes('.') ? defaultFileName.split('.').pop() : 'txt';
+    const base = /^[A-Z]/.test(defaultFileName) ? 'Helper' : 'helper';
+    const takenNames = new Set(projectSnapshot.files.map((file) => fileNameOf(file, defaultFileName)));
+    let index = 1;
+    while (takenNames.has(`${base}${index}.${extension}`)) {
+      index += 1;
+    }
+    const file = createProjectFile('', `${base}${index}.${extension}`);
+    timelineRef.current?.file('create', file.id, file.name);
+    setProject({ ...projectSnapshot, files: [...projectSnapshot.files, file], activeId: file.id });
+    setCode('');
+    setShowFileTree(true);
+    setRenamingFileId(file.id);
+    setRenameDraft(file.name);
+  };
+
+  const startRename = (file) => {
+    setRenamingFileId(file.id);
+    setRenameDraft(fileNameOf(file, defaultFileName));
+  };
+
+  const commitRename = () => {
+    const fileId = renamingFileId;
+    const name = renameDraft.trim();
+    setRenamingFileId(null);
+    if (!fileId) {
+      return;
+    }
+    const current = projectSnapshot.files.find((file) => file.id === fileId);
+    if (!current || name === fileNameOf(current, defaultFileName)) {
+      return;
+    }
+    if (!FILE_NAME_PATTERN.test(name)) {
+      notify('File names may only use letters, numbers, dots, dashes, underscores and "/" for folders.');
+      return;
+    }
+    if (projectSnapshot.files.some((file) => file.id !== fileId && fileNameOf(file, defaultFileName) === name)) {
+      notify(`A file named ${name} already exists.`);
+      return;
+    }
+    timelineRef.current?.file('rename', fileId, name);
+    setProject({
+      ...projectSnapshot,
+      files: projectSnapshot.files.map((file) => (file.id === fileId ? { ...file, name } : file)),
+    });
+  };
+
+  const deleteFile = (file) => {
+    if (projectSnapshot.files.length === 1) {
+      notify('A project needs at least one file.');
+      return;
+    }
+    if (!window.confirm(`Delete ${fileNameOf(file, defaultFileName)}?`)) {
+      return;
+    }
+    const files = projectSnapshot.files.filter((candidate) => candidate.id !== file.id);
+    const entryId = projectSnapshot.entryId === file.id ? files[0].id : projectSnapshot.entryId;
+    const activeId = projectSnapshot.activeId === file.id ? entryId : projectSnapshot.activeId;
+    timelineRef.current?.file('delete', file.id);
+    if (activeId !== projectSnapshot.activeId) {
+      timelineRef.current?.file('open', activeId);
+    }
+    setProject({ files, entryId, activeId });
+    setCode(files.find((candidate) => candidate.id === activeId).content);
+  };
+
+  const markEntryFile = (fileId) => {
+    timelineRef.current?.file('entry', fileId);
+    setProject({ ...projectSnapshot, entryId: fileId });
+    resetOutputs();
+    setHasRun(false);
   };
 
   const languageOptions = useMemo(() => {
@@ -746,23 +1192,46 @@ export default function CodingWorkspace({
               <option key={option.key} value={option.key}>{option.label}</option>
             ))}
           </select>
+          {supportsProjects && (
+            <button
+              type="button"
+              className={`neo-toolbar__files-toggle${showFileTree ? ' is-active' : ''}`}
+              onClick={() => setShowFileTree((prev) => !prev)}
+              aria-pressed={showFileTree}
+            >
+              <FiFolder aria-hidden="true" />
+              <span>Files ({projectSnapshot.files.length})</span>
+            </button>
+          )}
         </div>
         <div className="neo-toolbar__right">
-          <button
-            type="button"
-            className="coding-button secondary"
-            onClick={runCode}
-            disabled={runtimeDisabled}
-          >
-            {isRunning ? 'Running…' : 'Run code'}
-          </button>
+          {!(harnessLanguage && hasSampleTests) && (
+            <button
+              type="button"
+              className="coding-button secondary"
+              onClick={runCode}
+              disabled={runtimeDisabled}
+            >
+              {isRunning ? 'Running…' : 'Run code'}
+            </button>
+          )}
+          {hasSampleTests && (
+            <button
+              type="button"
+              className="coding-button secondary"
+              onClick={runSampleTests}
+              disabled={runtimeDisabled}
+            >
+              {isJudging ? 'Testing…' : 'Run tests'}
+            </button>
+          )}
           <button
             type="button"
             className="coding-button primary"
             onClick={handleSubmit}
             disabled={submitDisabled}
           >
-            {isSubmitting ? 'Submitting…' : 'Submit & next'}
+            {isJudging ? 'Judging…' : isSubmitting ? 'Submitting…' : 'Submit & next'}
           </button>
         </div>
       </div>
@@ -778,25 +1247,89 @@ export default function CodingWorkspace({
         dragInterval={1}
         cursor="row-resize"
       >
-        <div className="neo-editor">
-          <Editor
-            height="100%"
-            language={monacoLanguageId}
-            defaultLanguage={monacoLanguageId}
-            theme="vs-dark"
-            value={code}
-            defaultValue={initialCode}
-            onChange={(value) => setCode(value ?? '')}
-            options={{
-              fontSize: 14,
-              minimap: { enabled: false },
-              scrollBeyondLastLine: false,
-              automaticLayout: true,
-              scrollbar: {
-                alwaysConsumeMouseWheel: false,
-              },
-            }}
-          />
+        <div className={`neo-editor${supportsProjects && showFileTree ? ' neo-editor--with-files' : ''}`}>
+          {supportsProjects && showFileTree && (
+            <aside className="neo-files" aria-label="Project files">
+              <div className="neo-files__header">
+                <span>Project</span>
+                <button type="button" onClick={addFile} title="New file" aria-label="New file">
+                  <FiFilePlus aria-hidden="true" />
+                </button>
+              </div>
+              <ul className="neo-files__list">
+                {fileTreeRows.map((row) => (row.type === 'folder' ? (
+                  <li key={row.key} className="neo-files__folder" style={{ paddingLeft: 10 + row.depth * 12 }}>
+                    <FiFolder aria-hidden="true" />
+                    <span>{row.label}</span>
+                  </li>
+                ) : (
+                  <li
+                    key={row.key}
+                    className={`neo-files__item${row.file.id === projectSnapshot.activeId ? ' is-active' : ''}`}
+                    style={{ paddingLeft: 10 + row.depth * 12 }}
+                  >
+                    {renamingFileId === row.file.id ? (
+                      <input
+                        className="neo-files__rename"
+                        value={renameDraft}
+                        autoFocus
+                        onChange={(event) => setRenameDraft(event.target.value)}
+                        onBlur={commitRename}
+                        onKeyDown={(event) => {
+                          if (event.key === 'Enter') commitRename();
+                          if (event.key === 'Escape') setRenamingFileId(null);
+                        }}
+                      />
+                    ) : (
+                      <button
+                        type="button"
+                        className="neo-files__name"
+                        onClick={() => openFile(row.file.id)}
+                        onDoubleClick={() => startRename(row.file)}
+                        title={fileNameOf(row.file, defaultFileName)}
+                      >
+                        {row.label}
+                        {row.file.id === entryFile.id && <span className="neo-files__entry-badge">entry</span>}
+                      </button>
+                    )}
+                    <span className="neo-files__actions">
+                      {row.file.id !== entryFile.id && (
+                        <button type="button" onClick={() => markEntryFile(row.file.id)} title="Use as entry point" aria-label="Use as entry point">
+                          <FiPlay aria-hidden="true" />
+                        </button>
+                      )}
+                      <button type="button" onClick={() => startRename(row.file)} title="Rename" aria-label="Rename">
+                        <FiEdit2 aria-hidden="true" />
+                      </button>
+                      <button type="button" onClick={() => deleteFile(row.file)} title="Delete" aria-label="Delete">
+                        <FiTrash2 aria-hidden="true" />
+                      </button>
+                    </span>
+                  </li>
+                )))}
+              </ul>
+            </aside>
+          )}
+          <div className="neo-editor__surface">
+            <Editor
+              height="100%"
+              language={monacoLanguageId}
+              defaultLanguage={monacoLanguageId}
+              theme="vs-dark"
+              value={code}
+              defaultValue={initialCode}
+              onChange={handleEditorChange}
+              options={{
+                fontSize: 14,
+                minimap: { enabled: false },
+                scrollBeyondLastLine: false,
+                automaticLayout: true,
+                scrollbar: {
+                  alwaysConsumeMouseWheel: false,
+                },
+              }}
+            />
+          </div>
         </div>
 
         <div className="neo-runner" ref={consoleRef}>
@@ -818,6 +1351,27 @@ export default function CodingWorkspace({
           </label>
         </div>
 
+        {sandboxActive && sqlSandbox.tables.length > 0 && (
+          <details className="neo-runner__schema">
+            <summary>Schema</summary>
+            <ul>
+              {sqlSandbox.tables.map((table) => (
+                <li key={table.name}>
+                  <strong>{table.name}</strong>
+                  <span>{table.columns.join(', ')}</span>
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+
+        {sandboxUnavailable && (
+          <p className="neo-runner__notice" role="status">
+            This question’s tables and sample data only load on SQLite. On {selectedRuntime.language} your
+            query runs against an empty database and isn’t compared with the expected result.
+          </p>
+        )}
+
         {manualInputEnabled && (
           <div className="neo-runner__manual">
             <label htmlFor="coding-stdin">Provide input</label>
@@ -841,7 +1395,29 @@ export default function CodingWorkspace({
               <div className="neo-runner__output">
                 <label>Output</label>
                 <div className="neo-runner__output-box">
-                  {shouldShowOutputText && (
+                  {sqlOutcome?.comparison && (
+                    <div className={`neo-sql-compare ${sqlOutcome.comparison.matches ? 'success' : 'error'}`}>
+                      {sqlOutcome.comparison.matches
+                        ? `Result matches the expected output${sqlSandbox.orderSensitive ? ' (row order checked)' : ''}.`
+                        : sqlOutcome.comparison.reason}
+                    </div>
+                  )}
+                  {sqlOutcome?.result && (
+                    <SqlResultGrid
+                      resultSet={sqlOutcome.result}
+                      highlightedRows={sqlOutcome.comparison?.extraRowIndexes}
+                    />
+                  )}
+                  {sqlOutcome?.comparison?.missingRows?.length > 0 && (
+                    <>
+                      <label>Expected rows missing from your result</label>
+                      <SqlResultGrid
+                        resultSet={{ columns: sqlOutcome.expected.columns, rows: sqlOutcome.comparison.missingRows }}
+                        className="neo-sql-grid--missing"
+                      />
+                    </>
+                  )}
+                  {shouldShowOutputText && !(sqlOutcome?.result && !hasStdout) && (
                     <pre aria-live="polite">
                       {hasStdout ? stdoutText : 'No output'}
                     </pre>
@@ -867,6 +1443,46 @@ export default function CodingWorkspace({
             ) : null}
           </div>
         )}
+
+        {testVerdicts && (
+          <div className="neo-runner__tests">
+            <div className="neo-runner__tests-header">
+              <label>Test cases</label>
+              {testSummary && (
+                <span className={`neo-runner__tests-summary ${testSummary.passed === testSummary.total && testSummary.total > 0 ? 'success' : 'error'}`}>
+                  {isJudging ? `Running case ${testSummary.total + 1}…` : `${testSummary.passed}/${testSummary.total} passed`}
+                </span>
+              )}
+            </div>
+            <table className="neo-test-table">
+              <thead>
+                <tr>
+                  <th>Case</th>
+                  <th>Result</th>
+                  <th>Input</th>
+                  <th>Expected</th>
+                  <th>Output</th>
+                </tr>
+              </thead>
+              <tbody>
+                {testVerdicts.map((verdict) => (
+                  <tr key={verdict.id} className={`neo-test-table__row neo-test-table__row--${verdict.status}`}>
+                    <td>{verdict.name}</td>
+                    <td>{TEST_STATUS_LABELS[verdict.status] || verdict.status}</td>
+                    <td><pre>{verdict.input || '—'}</pre></td>
+                    <td><pre>{verdict.expected || '—'}</pre></td>
+                    <td><pre>{verdict.error && !verdict.actual ? verdict.error : (verdict.actual || '—')}</pre></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {hiddenTestCount > 0 && (
+              <p className="neo-runner__tests-note">
+                {hiddenTestCount === 1 ? '1 hidden test case is' : `${hiddenTestCount} hidden test cases are`} checked when you submit.
+              </p>
+            )}
+          </div>
+        )}
         </div>
       </Split>
     </div>
@@ -12,8 +12,12 @@ import {
 } from './api';
 import './Dashboard.css';
 import FeedbackScreen from './FeedbackScreen';
+import AttemptComparison from './AttemptComparison';
+import StudyPlan from './StudyPlan';
+import { ordinal } from './compareAttempts';
 import TrendingCompanies from './TrendingCompanies';
 import { trendingCompanies } from './companyData';
+import { isPracticeSession, PRACTICE_MODE } from './practiceMode';
 
 const FeedbackModal = ({ sessionId, onClose }) => {
   if (!sessionId) return null;
@@ -35,23 +39,24 @@ const FeedbackModal = ({ sessionId, onClose }) => {
   );
 };
 
-const ordinal = (value) => {
-  const v = Number(value);
-  if (!Number.isFinite(v)) return `${value}`;
-  const remainder = v % 100;
-  if (remainder >= 11 && remainder <= 13) {
-    return `${v}th`;
-  }
-  switch (v % 10) {
-    case 1:
-      return `${v}st`;
-    case 2:
-      return `${v}nd`;
-    case 3:
-      return `${v}rd`;
-    default:
-      return `${v}th`;
-  }
+const AttemptComparisonModal = ({ sessionId, sessions, attemptMap, onClose }) => {
+  if (!sessionId) return null;
+
+  return (
+    <div className="feedback-modal-backdrop" role="dialog" aria-modal="true" aria-label="Compare attempts">
+      <div className="feedback-modal">
+        <header className="feedback-modal__header">
+          <h3>Compare Attempts</h3>
+          <button type="button" className="feedback-modal__close" onClick={onClose}>
+            ✕
+          </button>
+        </header>
+        <div className="feedback-modal__body">
+          <AttemptComparison sessionId={sessionId} sessions={sessions} attemptMap={attemptMap} />
+        </div>
+      </div>
+    </div>
+  );
 };
 
 const formatScoreDisplay = (value, decimals = 2, emptyLabel = 'N/A') => {
@@ -303,6 +308,8 @@ export default function Dashboard({ student, onLogout, onInterviewStart, addToas
   
   const [sessions, setSessions] = useState([]);
   const [attemptIndexBySession, setAttemptIndexBySession] = useState({});
+  // Session id -> every completed session in its attempt group, oldest first.
+  const [attemptGroupBySession, setAttemptGroupBySession] = useState({});
   const [allRoles, setAllRoles] = useState([]);
   const [allIndustries, setAllIndustries] = useState([]);
   const [allCompanies, setAllCompanies] = useState([]);
@@ -311,7 +318,9 @@ export default function Dashboard({ student, onLogout, onInterviewStart, addToas
   const [programInfo, setProgramInfo] = useState(student?.program || null);
 
   const [selectedSession, setSelectedSession] = useState(null);
+  const [comparisonSessionId, setComparisonSessionId] = useState(null);
   const [isStarting, setIsStarting] = useState(false);
+  const [isPracticeMode, setIsPracticeMode] = useState(false);
   const [reattemptPrompt, setReattemptPrompt] = useState({
     open: false,
     sessions: [],
@@ -497,7 +506,8 @@ export default function Dashboard({ student, onLogout, onInterviewStart, addToas
                 normalize(session.company_name),
                 normalize(session.industry_type),
                 normalize(session.interview_type),
-                normalize(session.work_experience)
+                normalize(session.work_experience),
+                isPracticeSession(session) ? PRACTICE_MODE : ''
               ].join('::');
               if (!grouped.has(key)) {
                 grouped.set(key, []);
@@ -507,6 +517,7 @@ export default function Dashboard({ student, onLogout, onInterviewStart, addToas
 
           // Create attempt lookup with proper numbering
           const attemptLookup = {};
+          const groupLookup = {};
           grouped.forEach((sessions) => {
             // Sort sessions by started_at to determine attempt numbers
             sessions
@@ -520,10 +531,12 @@ export default function Dashboard({ student, onLogout, onInterviewStart, addToas
               })
               .forEach((session, index) => {
                 attemptLookup[session.session_id] = index + 1;
+                groupLookup[session.session_id] = sessions;
               });
           });
 
           setAttemptIndexBySession(attemptLookup);
+          setAttemptGroupBySession(groupLookup);
           setSessions(
             uniqueCompletedSessions
               .slice()
@@ -539,6 +552,7 @@ export default function Dashboard({ student, onLogout, onInterviewStart, addToas
         } else {
           setSessions([]);
           setAttemptIndexBySession({});
+          setAttemptGroupBySession({});
         }
       } catch (error) {
         console.error('Failed to fetch dashboard data:', error);
@@ -719,6 +733,14 @@ export default function Dashboard({ student, onLogout, onInterviewStart, addToas
     setSelectedSession(null);
   };
 
+  const handleCompareAttempts = (sessionId) => {
+    setComparisonSessionId(sessionId);
+  };
+
+  const closeComparison = () => {
+    setComparisonSessionId(null);
+  };
+
   const startInterview = async (force = false, overrides = {}) => {
     const effectiveJobRole = overrides.jobRole ?? jobRole;
     const effectiveCompanyName = overrides.companyName ?? companyName;
@@ -726,6 +748,7 @@ export default function Dashboard({ student, onLogout, onInterviewStart, addToas
     const effectiveInterviewType = overrides.interviewType ?? interviewType;
     const effectiveWorkExperience = overrides.workExperience ?? workExperience;
     const isFromCompanyCard = overrides.isFromCompanyCard ?? false;
+    const isPractice = overrides.practice ?? isPracticeMode;
 
     if (!effectiveJobRole || !effectiveCompanyName || !effectiveInterviewType || !effectiveWorkExperience) {
       addToast('Please select a Job Role, Company, Interview Type, and Work Experience to start.', 'error');
@@ -750,6 +773,9 @@ export default function Dashboard({ student, onLogout, onInterviewStart, addToas
       if (force) {
         params.append('force_reattempt', 'true');
       }
+      if (isPractice) {
+        params.append('mode', PRACTICE_MODE);
+      }
 
       const response = await interviewApi.post('/interview/start', params, { headers });
       const data = response.data || {};
@@ -760,7 +786,8 @@ export default function Dashboard({ student, onLogout, onInterviewStart, addToas
         return Number.isNaN(date.getTime()) ? null : date;
       };
 
-      if (!force && data.requires_confirmation) {
+      // Practice runs never count as attempts, so they skip the reattempt check.
+      if (!force && !isPractice && data.requires_confirmation) {
         const existingSessionsRaw = Array.isArray(data.existing_sessions)
           ? data.existing_sessions.filter(
               (session) =>
@@ -823,6 +850,7 @@ export default function Dashboard({ student, onLogout, onInterviewStart, addToas
         company_name: data.company_name ? data.company_name : effectiveCompanyName,
         interview_type: data.interview_type ? data.interview_type : effectiveInterviewType,
         work_experience: data.work_experience ? data.work_experience : effectiveWorkExperience,
+        mode: isPractice ? PRACTICE_MODE : data.mode,
       };
 
       setReattemptPrompt({
@@ -841,6 +869,7 @@ export default function Dashboard({ student, onLogout, onInterviewStart, addToas
 
       // Use the onInterviewStart prop passed from App.js
       onInterviewStart(payload);
+      return payload;
     } catch (error) {
       console.error('Error starting interview:', error);
       addToast('Failed to start interview. Is the backend server running?', 'error');
@@ -849,6 +878,9 @@ export default function Dashboard({ student, onLogout, onInterviewStart, addToas
     }
   };
 
+  // Study-plan items are practice runs pre-filled with the configuration to practise.
+  const startStudyPlanPractice = (config) => startInterview(false, { ...config, practice: true });
+
   const confirmReattempt = async () => {
     try {
       await startInterview(true, {
@@ -1008,6 +1040,15 @@ export default function Dashboard({ student, onLogout, onInterviewStart, addToas
               ))}
             </select>
 
+            <label className="practice-toggle" title="Untimed, no video, with hints and instant feedback after each answer">
+              <input
+                type="checkbox"
+                checked={isPracticeMode}
+                onChange={(e) => setIsPracticeMode(e.target.checked)}
+              />
+              Practice mode
+            </label>
+
             <button
               onClick={() => startInterview()}
               className="start-button"
@@ -1020,11 +1061,18 @@ export default function Dashboard({ student, onLogout, onInterviewStart, addToas
                 !jobRole
               }
             >
-              {isStarting ? 'Starting…' : 'Start Interview'}
+              {isStarting ? 'Starting…' : isPracticeMode ? 'Start Practice' : 'Start Interview'}
             </button>
           </div>
         </section>
 
+        <StudyPlan
+          studentEmail={student?.email}
+          sessions={sessions}
+          onStartPractice={startStudyPlanPractice}
+          isStarting={isStarting}
+        />
+
         <section className="records-section card">
           <h2>Mock Interview Records</h2>
           <p>Review and track all your mock interview attempts.</p>
@@ -1062,6 +1110,9 @@ export default function Dashboard({ student, onLogout, onInterviewStart, addToas
                           </span>
                         );
                       })()}
+                      {isPracticeSession(session) && (
+                        <span className="practice-chip" title="Practice sessions are not ranked">Practice</span>
+                      )}
                     </div>
                     <div>{session.company_name || 'N/A'}</div>
                     <div>{session.interview_type || 'N/A'}</div>
@@ -1088,6 +1139,15 @@ export default function Dashboard({ student, onLogout, onInterviewStart, addToas
                       >
                         View Report
                       </button>
+                      {(attemptGroupBySession[session.session_id]?.length || 0) > 1 && (
+                        <button
+                          onClick={() => handleCompareAttempts(session.session_id)}
+                          className="compare-attempts-button"
+                          title="Compare with other attempts at this interview"
+                        >
+                          Compare
+                        </button>
+                      )}
                     </div>
                   </div>
                 ))
@@ -1100,6 +1160,12 @@ export default function Dashboard({ student, onLogout, onInterviewStart, addToas
       </main>
 
       <FeedbackModal sessionId={selectedSession} onClose={closeReport} />
+      <AttemptComparisonModal
+        sessionId={comparisonSessionId}
+        sessions={attemptGroupBySession[comparisonSessionId] || []}
+        attemptMap={attemptIndexBySession}
+        onClose={closeComparison}
+      />
       <ReattemptPrompt
         isOpen={reattemptPrompt.open}
         sessions={reattemptPrompt.sessions}
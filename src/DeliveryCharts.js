@@ -0,0 +1,137 @@
+import React, { useMemo } from 'react';
+import {
+    Bar,
+    BarChart,
+    CartesianGrid,
+    ComposedChart,
+    Legend,
+    Line,
+    ResponsiveContainer,
+    Tooltip,
+    XAxis,
+    YAxis,
+} from 'recharts';
+import { describePace, PACE_RANGE, parseSpeakingMetrics } from './speakingAnalytics';
+import './DeliveryCharts.css';
+
+const tooltipStyle = {
+    backgroundColor: 'rgba(15, 13, 28, 0.95)',
+    border: '1px solid rgba(120, 97, 196, 0.4)',
+    borderRadius: 8,
+    color: '#F7F4FF',
+    fontSize: '0.8rem',
+};
+
+const formatSeconds = (ms) => {
+    const totalSeconds = Math.round((ms || 0) / 1000);
+    return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Session overview: pace per question against the conversational band, with filler density.
+ */
+export const DeliveryOverviewChart = ({ questions = [] }) => {
+    const data = useMemo(() => questions
+        .map((item, index) => {
+            const metrics = parseSpeakingMetrics(item.speaking_metrics);
+            if (!metrics) return null;
+            return {
+                label: `Q${item.number ?? index + 1}`,
+                wpm: metrics.wordsPerMinute,
+                fillers: metrics.fillersPer100Words,
+                pauses: metrics.longPauseCount,
+            };
+        })
+        .filter(Boolean), [questions]);
+
+    if (!data.length) {
+        return null;
+    }
+
+    return (
+        <section className="delivery-section">
+            <h2>Delivery Quality</h2>
+            <p className="delivery-section__hint">
+                Speaking pace per answer (a comfortable range is {PACE_RANGE.slow}–{PACE_RANGE.fast} words per minute)
+                and filler words per 100 words.
+            </p>
+            <ResponsiveContainer width="100%" height={240}>
+                <ComposedChart data={data} margin={{ top: 12, right: 12, left: 0, bottom: 0 }}>
+                    <CartesianGrid stroke="rgba(151, 121, 255, 0.15)" vertical={false} />
+                    <XAxis dataKey="label" stroke="#9b8ec4" />
+                    <YAxis yAxisId="wpm" stroke="#9b8ec4" />
+                    <YAxis yAxisId="fillers" orientation="right" stroke="#9b8ec4" />
+                    <Tooltip contentStyle={tooltipStyle} />
+                    <Legend />
+                    <Bar yAxisId="wpm" dataKey="wpm" name="Words per minute" fill="#8B5CF6" radius={[6, 6, 0, 0]} />
+                    <Line yAxisId="fillers" dataKey="fillers" name="Fillers / 100 words" stroke="#F59E0B" strokeWidth={2} />
+                    <Line yAxisId="fillers" dataKey="pauses" name="Long pauses" stroke="#38BDF8" strokeWidth={2} />
+                </ComposedChart>
+            </ResponsiveContainer>
+        </section>
+    );
+};
+
+/**
+ * Per-question delivery stats with a breakdown of the filler words used.
+ */
+export const DeliveryStats = ({ metrics: rawMetrics }) => {
+    const metrics = useMemo(() => parseSpeakingMetrics(rawMetrics), [rawMetrics]);
+    const fillerData = useMemo(() => (
+        metrics
+            ? Object.entries(metrics.fillers || {})
+                .map(([word, count]) => ({ word, count }))
+                .sort((a, b) => b.count - a.count)
+            : []
+    ), [metrics]);
+
+    if (!metrics) {
+        return null;
+    }
+
+    const pace = describePace(metrics.wordsPerMinute);
+
+    return (
+        <div className="detail-block">
+            <h4>Delivery</h4>
+            <dl className="delivery-stats">
+                <div className={pace && pace !== 'steady' ? 'is-warning' : undefined}>
+                    <dt>Pace</dt>
+                    <dd>{metrics.wordsPerMinute || '—'} wpm{pace ? ` · ${pace}` : ''}</dd>
+                </div>
+                <div>
+                    <dt>Talk time</dt>
+                    <dd>
+                        {formatSeconds(metrics.talkTimeMs)}
+                        {metrics.timeLimitMs ? ` of ${formatSeconds(metrics.timeLimitMs)}` : ''}
+                    </dd>
+                </div>
+                <div>
+                    <dt>Fillers</dt>
+                    <dd>{metrics.fillerCount}</dd>
+                </div>
+                <div>
+                    <dt>Long pauses</dt>
+                    <dd>
+                        {metrics.longPauseCount}
+                        {metrics.longPauseCount ? ` (max ${Math.round(metrics.longestPauseMs / 1000)}s)` : ''}
+                    </dd>
+                </div>
+                <div>
+                    <dt>Repeats</dt>
+                    <dd>{metrics.repetitionCount}</dd>
+                </div>
+            </dl>
+            {fillerData.length > 0 && (
+                <ResponsiveContainer width="100%" height={Math.max(80, fillerData.length * 28)}>
+                    <BarChart data={fillerData} layout="vertical" margin={{ top: 8, right: 16, left: 8, bottom: 0 }}>
+                        <XAxis type="number" allowDecimals={false} stroke="#9b8ec4" />
+                        <YAxis type="category" dataKey="word" width={80} stroke="#9b8ec4" />
+                        <Tooltip contentStyle={tooltipStyle} cursor={{ fill: 'rgba(151, 121, 255, 0.1)' }} />
+                        <Bar dataKey="count" name="Times used" fill="#F59E0B" radius={[0, 6, 6, 0]} />
+                    </BarChart>
+                </ResponsiveContainer>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,56 @@
+import React from 'react';
+import { CheckStatusBadge } from './DeviceCheckWizard';
+import { describeCheckResult, DEVICE_CHECK_LABELS, DEVICE_CHECK_STEPS } from './deviceCheck';
+import './DeviceCheckSummary.css';
+
+const formatCompletedAt = (iso) => {
+    const date = new Date(iso);
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+/**
+ * Pre-interview device check results for the admin report, so environment
+ * problems can be weighed separately from answer quality.
+ */
+const DeviceCheckSummary = ({ report }) => (
+    <section className="device-check-summary">
+        <header className="device-check-summary__header">
+            <h2>Device &amp; Environment Check</h2>
+            {report && <CheckStatusBadge status={report.status} />}
+        </header>
+        {!report ? (
+            <p className="device-check-summary__empty">No device check was recorded for this session.</p>
+        ) : (
+            <>
+                <p className="device-check-summary__meta">
+                    {[report.camera_label, report.microphone_label, formatCompletedAt(report.completed_at)]
+                        .filter(Boolean)
+                        .join(' · ')}
+                </p>
+                {report.issues?.length > 0 && (
+                    <ul className="device-check-summary__issues">
+                        {report.issues.map((issue) => (
+                            <li key={issue}>{issue}</li>
+                        ))}
+                    </ul>
+                )}
+                <dl className="device-check-summary__checks">
+                    {DEVICE_CHECK_STEPS.map((step) => {
+                        const result = report.checks?.[step] || { status: 'skipped' };
+                        return (
+                            <div key={step} className="device-check-summary__row">
+                                <dt>{DEVICE_CHECK_LABELS[step]}</dt>
+                                <dd>
+                                    <CheckStatusBadge status={result.status} />
+                                    <span>{describeCheckResult(step, result)}</span>
+                                </dd>
+                            </div>
+                        );
+                    })}
+                </dl>
+            </>
+        )}
+    </section>
+);
+
+export default DeviceCheckSummary;
@@ -0,0 +1,555 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FiAlertTriangle, FiCheckCircle, FiMinusCircle, FiXCircle } from 'react-icons/fi';
+import { probeUploadBandwidth } from './api';
+import {
+    buildMediaConstraints,
+    classifyAudioLevel,
+    createBandwidthProbe,
+    createLevelMeter,
+    describeCheckResult,
+    DEVICE_CHECK_LABELS,
+    DEVICE_CHECK_STATUS_LABELS,
+    DEVICE_CHECK_STEPS,
+    evaluateBandwidth,
+    evaluateEnvironment,
+    evaluateRecording,
+    listMediaDevices,
+    measureBrightness,
+    summarizeDeviceCheck,
+} from './deviceCheck';
+import { analyzeFaceFrame } from './faceMetrics';
+import { createFaceDetector } from './faceDetector';
+import { getSpeechRecognitionClass } from './speechProfiles';
+import { getSupportedMimeType } from './VideoRecorder';
+import './DeviceCheckWizard.css';
+
+const LEVEL_POLL_MS = 100;
+const ENVIRONMENT_SAMPLE_MS = 300;
+const ENVIRONMENT_DURATION_MS = 3000;
+const TEST_RECORDING_MS = 5000;
+const SPEECH_TIMEOUT_MS = 8000;
+const SPEECH_TEST_PHRASE = 'I am ready for my interview';
+// Rough answer-upload bitrate to compare against when no test clip was recorded.
+const FALLBACK_REQUIRED_KBPS = { video: 1000, audio: 64 };
+
+const STATUS_ICONS = {
+    pass: FiCheckCircle,
+    warn: FiAlertTriangle,
+    fail: FiXCircle,
+    skipped: FiMinusCircle,
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const describeMediaError = (error) => {
+    if (error?.name === 'NotAllowedError') {
+        return 'Camera or microphone access was blocked. Allow access in your browser settings and try again.';
+    }
+    if (error?.name === 'NotFoundError' || error?.name === 'OverconstrainedError') {
+        return 'The selected device could not be found. Pick another one.';
+    }
+    if (error?.name === 'NotReadableError') {
+        return 'The device is in use by another application.';
+    }
+    return 'Could not open your camera or microphone.';
+};
+
+export const CheckStatusBadge = ({ status }) => {
+    const Icon = STATUS_ICONS[status];
+    return (
+        <span className={`device-check-badge device-check-badge--${status}`}>
+            {Icon && <Icon aria-hidden="true" />}
+            {DEVICE_CHECK_STATUS_LABELS[status]}
+        </span>
+    );
+};
+
+/**
+ * Step-by-step check of camera, microphone, lighting, speech recognition and
+ * upload speed. Calls `onComplete(report, { cameraId, microphoneId })`, where the
+ * report comes from summarizeDeviceCheck. Practice sessions record no video, so
+ * `requiresCamera` false drops the camera, framing and bandwidth steps.
+ */
+const DeviceCheckWizard = ({ requiresCamera = true, speechLanguage, onComplete, onClose }) => {
+    const steps = requiresCamera
+        ? DEVICE_CHECK_STEPS
+        : DEVICE_CHECK_STEPS.filter((step) => step !== 'environment' && step !== 'bandwidth');
+    const [stepIndex, setStepIndex] = useState(0);
+    const [devices, setDevices] = useState({ cameras: [], microphones: [] });
+    const [cameraId, setCameraId] = useState('');
+    const [microphoneId, setMicrophoneId] = useState('');
+    const [stream, setStream] = useState(null);
+    const [streamError, setStreamError] = useState('');
+    const [level, setLevel] = useState(0);
+    const [results, setResults] = useState({});
+    const [isRunning, setIsRunning] = useState(false);
+    const [playbackUrl, setPlaybackUrl] = useState(null);
+    const [speechTranscript, setSpeechTranscript] = useState('');
+    const videoRef = useRef(null);
+    const meterRef = useRef(null);
+    const detectorRef = useRef(null);
+
+    const currentStep = steps[stepIndex];
+    const isLastStep = stepIndex === steps.length - 1;
+    const videoTrack = stream?.getVideoTracks()[0] || null;
+    const audioTrack = stream?.getAudioTracks()[0] || null;
+    const activeCameraId = cameraId || videoTrack?.getSettings().deviceId || '';
+    const activeMicrophoneId = microphoneId || audioTrack?.getSettings().deviceId || '';
+
+    const setResult = (step, result) => {
+        setResults((prev) => ({ ...prev, [step]: result }));
+    };
+
+    useEffect(() => {
+        let cancelled = false;
+        let acquired = null;
+
+        const openDevices = async () => {
+            if (typeof navigator === 'undefined' || !navigator.mediaDevices?.getUserMedia) {
+                setStreamError('Your browser does not support camera and microphone access.');
+                return;
+            }
+            try {
+                acquired = await navigator.mediaDevices.getUserMedia(
+                    buildMediaConstraints({ cameraId, microphoneId, includeVideo: requiresCamera }),
+                );
+                if (cancelled) {
+                    acquired.getTracks().forEach((track) => track.stop());
+                    return;
+                }
+                setStream(acquired);
+                setStreamError('');
+                // Device labels are only exposed after access has been granted.
+                const available = await listMediaDevices();
+                if (!cancelled) {
+                    setDevices(available);
+                }
+            } catch (error) {
+                console.error('Device check could not open media devices:', error);
+                if (!cancelled) {
+                    setStream(null);
+                    setStreamError(describeMediaError(error));
+                }
+            }
+        };
+
+        openDevices();
+
+        return () => {
+            cancelled = true;
+            if (acquired) {
+                acquired.getTracks().forEach((track) => track.stop());
+            }
+        };
+    }, [cameraId, microphoneId, requiresCamera]);
+
+    useEffect(() => {
+        if (videoRef.current) {
+            videoRef.current.srcObject = stream;
+        }
+    }, [stream]);
+
+    useEffect(() => {
+        const meter = createLevelMeter(stream);
+        meterRef.current = meter;
+        if (!meter) {
+            setLevel(0);
+            return undefined;
+        }
+        const interval = setInterval(() => setLevel(meter.read()), LEVEL_POLL_MS);
+        return () => {
+            clearInterval(interval);
+            meter.close();
+            meterRef.current = null;
+        };
+    }, [stream]);
+
+    useEffect(() => {
+        if (!requiresCamera) {
+            return undefined;
+        }
+        let cancelled = false;
+        createFaceDetector()
+            .then((detector) => {
+                if (cancelled) {
+                    detector.close();
+                } else {
+                    detectorRef.current = detector;
+                }
+            })
+            .catch((error) => {
+                console.error('Failed to initialize face detector:', error);
+            });
+        return () => {
+            cancelled = true;
+            if (detectorRef.current) {
+                detectorRef.current.close();
+                detectorRef.current = null;
+            }
+        };
+    }, [requiresCamera]);
+
+    useEffect(() => () => {
+        if (playbackUrl) {
+            URL.revokeObjectURL(playbackUrl);
+        }
+    }, [playbackUrl]);
+
+    const handleDeviceChange = (setter) => (event) => {
+        setter(event.target.value);
+        // Earlier measurements no longer describe the selected hardware.
+        setResults({});
+        setPlaybackUrl(null);
+    };
+
+    const evaluateDevices = () => {
+        if (!stream || (requiresCamera && !videoTrack)) {
+            return { status: 'fail', note: streamError || 'Camera or microphone could not be opened' };
+        }
+        const peakLevel = meterRef.current?.peak() || 0;
+        return classifyAudioLevel(peakLevel) === 'fail'
+            ? { status: 'warn', peak_level: Number(peakLevel.toFixed(3)), note: 'No sound was picked up from the microphone' }
+            : { status: 'pass', peak_level: Number(peakLevel.toFixed(3)) };
+    };
+
+    const runEnvironmentCheck = async () => {
+        setIsRunning(true);
+        const canvas = document.createElement('canvas');
+        const samples = [];
+        const deadline = Date.now() + ENVIRONMENT_DURATION_MS;
+        while (Date.now() < deadline) {
+            const video = videoRef.current;
+            let frame = null;
+            if (detectorRef.current && video?.readyState >= 2) {
+                try {
+                    const detections = detectorRef.current.detectForVideo(video, performance.now());
+                    frame = analyzeFaceFrame(detections.detections, video.videoWidth, video.videoHeight);
+                } catch (error) {
+                    console.error('Face detection error:', error);
+                }
+            }
+            samples.push({ brightness: measureBrightness(video, canvas), frame });
+            await sleep(ENVIRONMENT_SAMPLE_MS);
+        }
+        setResult('environment', evaluateEnvironment(samples));
+        setIsRunning(false);
+    };
+
+    const runTestRecording = async () => {
+        if (!stream) {
+            return;
+        }
+        setIsRunning(true);
+        setPlaybackUrl(null);
+        const chunks = [];
+        let recorder;
+        try {
+            const mimeType = requiresCamera ? getSupportedMimeType() : null;
+            recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        } catch (error) {
+            console.error('Test recording failed to start:', error);
+            setResult('recording', { status: 'fail', note: 'Recording is not supported in this browser' });
+            setIsRunning(false);
+            return;
+        }
+        recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+        const stopped = new Promise((resolve) => {
+            recorder.onstop = resolve;
+        });
+        meterRef.current?.resetPeak();
+        const startedAt = performance.now();
+        recorder.start();
+        await sleep(TEST_RECORDING_MS);
+        recorder.stop();
+        await stopped;
+        const durationMs = performance.now() - startedAt;
+        const blob = chunks.length ? new Blob(chunks, { type: recorder.mimeType || 'video/webm' }) : null;
+        setPlaybackUrl(blob ? URL.createObjectURL(blob) : null);
+        setResult('recording', evaluateRecording({ blob, durationMs, peakLevel: meterRef.current?.peak() || 0 }));
+        setIsRunning(false);
+    };
+
+    const runSpeechCheck = async () => {
+        const Recognition = getSpeechRecognitionClass();
+        if (!Recognition) {
+            setResult('speech', {
+                status: 'warn',
+                supported: false,
+                note: 'Live transcription is not supported in this browser; answers will be typed',
+            });
+            return;
+        }
+        setIsRunning(true);
+        setSpeechTranscript('');
+        const { transcript, errorCode } = await new Promise((resolve) => {
+            const recognition = new Recognition();
+            recognition.lang = speechLanguage;
+            recognition.interimResults = true;
+            recognition.continuous = false;
+            let heard = '';
+            let lastError = null;
+            const timer = setTimeout(() => recognition.stop(), SPEECH_TIMEOUT_MS);
+            recognition.onresult = (event) => {
+                heard = Array.from(event.results).map((result) => result[0].transcript).join(' ').trim();
+                setSpeechTranscript(heard);
+            };
+            recognition.onerror = (event) => {
+                lastError = event.error;
+            };
+            recognition.onend = () => {
+                clearTimeout(timer);
+                resolve({ transcript: heard, errorCode: lastError });
+            };
+            try {
+                recognition.start();
+            } catch (error) {
+                clearTimeout(timer);
+                resolve({ transcript: '', errorCode: 'start-failed' });
+            }
+        });
+        setResult('speech', transcript
+            ? { status: 'pass', supported: true, language: speechLanguage, transcript }
+            : {
+                status: 'fail',
+                supported: true,
+                language: speechLanguage,
+                error: errorCode,
+                ...(errorCode === 'not-allowed' ? { note: 'Speech recognition was blocked by the browser' } : {}),
+            });
+        setIsRunning(false);
+    };
+
+    const runBandwidthCheck = async () => {
+        setIsRunning(true);
+        const probe = createBandwidthProbe();
+        const requiredKbps = results.recording?.bitrate_kbps
+            || FALLBACK_REQUIRED_KBPS[requiresCamera ? 'video' : 'audio'];
+        const startedAt = performance.now();
+        try {
+            await probeUploadBandwidth(probe);
+            setResult('bandwidth', evaluateBandwidth({
+                bytes: probe.size,
+                elapsedMs: performance.now() - startedAt,
+                requiredKbps,
+            }));
+        } catch (error) {
+            console.error('Bandwidth probe failed:', error);
+            setResult('bandwidth', {
+                status: 'fail',
+                upload_kbps: null,
+                required_kbps: requiredKbps,
+                note: 'The upload speed test could not reach the server',
+            });
+        } finally {
+            setIsRunning(false);
+        }
+    };
+
+    const stepRunners = {
+        environment: runEnvironmentCheck,
+        recording: runTestRecording,
+        speech: runSpeechCheck,
+        bandwidth: runBandwidthCheck,
+    };
+
+    const handleNext = () => {
+        const nextResults = currentStep === 'devices'
+            ? { ...results, devices: evaluateDevices() }
+            : results;
+        setResults(nextResults);
+        if (!isLastStep) {
+            setStepIndex((prev) => prev + 1);
+            return;
+        }
+        const report = summarizeDeviceCheck(nextResults, {
+            cameraLabel: videoTrack?.label,
+            microphoneLabel: audioTrack?.label,
+        });
+        onComplete(report, {
+            cameraId: activeCameraId || null,
+            microphoneId: activeMicrophoneId || null,
+        });
+    };
+
+    const currentResult = results[currentStep];
+    const needsStream = currentStep === 'environment' || currentStep === 'recording';
+    // Steps that cannot run without devices are left as skipped rather than blocking the interview.
+    const canAdvance = !isRunning && (
+        currentStep === 'devices'
+            ? Boolean(stream || streamError)
+            : Boolean(currentResult) || (needsStream && !stream)
+    );
+
+    const renderStep = () => {
+        switch (currentStep) {
+            case 'devices':
+                return (
+                    <>
+                        <p className="device-check__hint">
+                            Pick the {requiresCamera ? 'camera and microphone' : 'microphone'} you will use, then say a few
+                            words and watch the level meter move.
+                        </p>
+                        {requiresCamera && (
+                            <label className="device-check__field">
+                                <span>Camera</span>
+                                <select
+                                    value={activeCameraId}
+                                    onChange={handleDeviceChange(setCameraId)}
+                                    disabled={!devices.cameras.length}
+                                >
+                                    {devices.cameras.map((device) => (
+                                        <option key={device.id} value={device.id}>{device.label}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        )}
+                        <label className="device-check__field">
+                            <span>Microphone</span>
+                            <select
+                                value={activeMicrophoneId}
+                                onChange={handleDeviceChange(setMicrophoneId)}
+                                disabled={!devices.microphones.length}
+                            >
+                                {devices.microphones.map((device) => (
+                                    <option key={device.id} value={device.id}>{device.label}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <p className="device-check__hint device-check__hint--muted">
+                            Live transcription always listens through your browser’s default microphone.
+                        </p>
+                        {streamError && <p className="device-check__error" role="alert">{streamError}</p>}
+                    </>
+                );
+            case 'environment':
+                return (
+                    <p className="device-check__hint">
+                        Sit where you will take the interview and look at the screen. We sample the camera for a few
+                        seconds to check the light and how you are framed.
+                    </p>
+                );
+            case 'recording':
+                return (
+                    <>
+                        <p className="device-check__hint">
+                            Record a {TEST_RECORDING_MS / 1000}-second clip, speaking as you would in an answer, then play
+                            it back to check how you look and sound.
+                        </p>
+                        {playbackUrl && (
+                            requiresCamera ? (
+                                <video className="device-check__playback" src={playbackUrl} controls playsInline />
+                            ) : (
+                                <audio className="device-check__playback" src={playbackUrl} controls />
+                            )
+                        )}
+                    </>
+                );
+            case 'speech':
+                return (
+                    <>
+                        <p className="device-check__hint">
+                            Press the button and say: <strong>“{SPEECH_TEST_PHRASE}”</strong>
+                        </p>
+                        {speechTranscript && (
+                            <p className="device-check__transcript">{speechTranscript}</p>
+                        )}
+                    </>
+                );
+            case 'bandwidth':
+                return (
+                    <p className="device-check__hint">
+                        We upload a small test file to estimate whether your answer videos will upload without delay.
+                    </p>
+                );
+            default:
+                return null;
+        }
+    };
+
+    const runStep = stepRunners[currentStep];
+
+    return (
+        <div className="device-check" role="dialog" aria-modal="true" aria-labelledby="device-check-heading">
+            <div className="device-check__panel">
+                <header className="device-check__header">
+                    <h2 id="device-check-heading">Check your setup</h2>
+                    <p>
+                        A quick check before the first question. The results are saved with your session so a weak
+                        connection or a dark room isn’t mistaken for a weak answer.
+                    </p>
+                    <ol className="device-check__steps">
+                        {steps.map((step, index) => (
+                            <li
+                                key={step}
+                                className={[
+                                    'device-check__step',
+                                    index === stepIndex ? 'is-active' : '',
+                                    results[step] ? `is-${results[step].status}` : '',
+                                ].filter(Boolean).join(' ')}
+                            >
+                                {DEVICE_CHECK_LABELS[step]}
+                            </li>
+                        ))}
+                    </ol>
+                </header>
+
+                <div className="device-check__body">
+                    <div className="device-check__preview">
+                        {requiresCamera && (
+                            <video ref={videoRef} autoPlay playsInline muted aria-label="Camera preview" />
+                        )}
+                        <div className="device-check__meter" aria-label="Microphone level">
+                            <span style={{ width: `${Math.min(100, Math.round(level * 400))}%` }} />
+                        </div>
+                    </div>
+
+                    <div className="device-check__content">
+                        <h3>{DEVICE_CHECK_LABELS[currentStep]}</h3>
+                        {renderStep()}
+                        {runStep && (
+                            <button
+                                type="button"
+                                className="device-check__run"
+                                onClick={runStep}
+                                disabled={isRunning || (needsStream && !stream)}
+                            >
+                                {isRunning ? 'Checking…' : currentResult ? 'Run again' : 'Run check'}
+                            </button>
+                        )}
+                        {currentResult && !isRunning && (
+                            <div className="device-check__result">
+                                <CheckStatusBadge status={currentResult.status} />
+                                <span>{describeCheckResult(currentStep, currentResult)}</span>
+                            </div>
+                        )}
+                    </div>
+                </div>
+
+                <footer className="device-check__footer">
+                    <button type="button" className="device-check__secondary" onClick={onClose} disabled={isRunning}>
+                        Back to instructions
+                    </button>
+                    <div className="device-check__nav">
+                        <button
+                            type="button"
+                            className="device-check__secondary"
+                            onClick={() => setStepIndex((prev) => prev - 1)}
+                            disabled={stepIndex === 0 || isRunning}
+                        >
+                            Previous
+                        </button>
+                        <button type="button" className="device-check__next" onClick={handleNext} disabled={!canAdvance}>
+                            {isLastStep ? 'Start interview' : 'Next'}
+                        </button>
+                    </div>
+                </footer>
+            </div>
+        </div>
+    );
+};
+
+export default DeviceCheckWizard;
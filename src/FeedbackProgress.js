@@ -0,0 +1,50 @@
+import React from 'react';
+import { describeFeedbackProgress } from './feedbackGeneration';
+import './FeedbackProgress.css';
+
+const formatScore = (score) => (score == null ? '—' : `${Number(score).toFixed(1)}/5`);
+
+/**
+ * Progress bar for feedback generation, with per-question scores listed as
+ * they arrive. `progress` is a normalized snapshot from feedbackGeneration.js.
+ */
+const FeedbackProgress = ({ progress }) => {
+    const percent = progress?.percent ?? 0;
+    const scores = progress?.questionScores || [];
+
+    return (
+        <div className="feedback-progress" role="status" aria-live="polite">
+            <div className="feedback-progress__header">
+                <span className="feedback-progress__stage">{describeFeedbackProgress(progress)}</span>
+                <span className="feedback-progress__percent">{percent}%</span>
+            </div>
+            <div
+                className="feedback-progress__bar"
+                role="progressbar"
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={percent}
+                aria-label="Feedback report progress"
+            >
+                <span style={{ width: `${percent}%` }} />
+            </div>
+            {scores.length > 0 && (
+                <ul className="feedback-progress__scores">
+                    {scores.map((entry) => (
+                        <li key={entry.questionNumber} className="feedback-progress__score">
+                            <span className="feedback-progress__score-label">Q{entry.questionNumber}</span>
+                            {entry.question && (
+                                <span className="feedback-progress__score-question" title={entry.question}>
+                                    {entry.question}
+                                </span>
+                            )}
+                            <span className="feedback-progress__score-value">{formatScore(entry.score)}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default FeedbackProgress;
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react'
 import {
     FiChevronDown,
     FiChevronUp,
+    FiDownload,
     FiUserCheck,
     FiCpu,
     FiMessageCircle,
@@ -10,8 +11,27 @@ import {
     FiUsers,
     FiLayers,
 } from 'react-icons/fi';
-import { interviewApi, getFeedbackStatus, triggerFeedbackGeneration } from './api';
+import {
+    fetchAdminAnswerVideo,
+    fetchAnswerVideo,
+    fetchFeedbackReport,
+    subscribeToFeedbackProgress,
+    triggerFeedbackGeneration,
+} from './api';
+import { mergeFeedbackProgress } from './feedbackGeneration';
+import FeedbackProgress from './FeedbackProgress';
 import SystemDesignViewer from './SystemDesignViewer';
+import CodePlayback from './CodePlayback';
+import IntegrityTimeline from './IntegrityTimeline';
+import DeviceCheckSummary from './DeviceCheckSummary';
+import AnswerReplay from './AnswerReplay';
+import { FRAMING_LABELS, parseVideoMetrics } from './faceMetrics';
+import { DeliveryOverviewChart, DeliveryStats } from './DeliveryCharts';
+import { parseConversation } from './followUps';
+import { parseReviewEvents, summarizeReviewEvents } from './interviewControls';
+import { formatAttemptDuration, parseRecordingAttempts } from './attemptHistory';
+import ReportExportDialog from './ReportExportDialog';
+import { availableReportSections, buildReportPdf, reportFileName, reportHasImageText } from './reportExport';
 import './FeedbackScreen.css';
 
 const classifyScore = (score) => {
@@ -27,7 +47,7 @@ const classifyScore = (score) => {
 const FRIENDLY_FEEDBACK_ERROR = "We couldn't generate your feedback right now. Please regenerate the report.";
 const NO_ANSWERED_QUESTIONS_MESSAGE = 'No answered questions found for this session';
 
-const parseFeedback = (payload) => {
+export const parseFeedback = (payload) => {
     if (!payload) return { structured: null, raw: null };
 
     // If backend already sends structured/raw keys
@@ -90,7 +110,16 @@ const formatScoreDisplay = (score, decimals = 1) => {
     return rounded.toFixed(decimals);
 };
 
-const SummaryCard = ({ icon: Icon, title, subtitle, data }) => {
+const formatRatio = (ratio) => (ratio == null ? '—' : `${Math.round(ratio * 100)}%`);
+
+const dominantFraming = (framing) => {
+    const entries = Object.entries(framing || {}).filter(([, ratio]) => ratio != null);
+    if (!entries.length) return null;
+    const [key] = entries.reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+    return FRAMING_LABELS[key] || key;
+};
+
+const SummaryCard = ({ icon: Icon, title, subtitle, data, expandAll = false }) => {
     const score = data?.score ?? null;
     const tone = classifyScore(score);
     const sections = useMemo(() => {
@@ -140,7 +169,7 @@ const SummaryCard = ({ icon: Icon, title, subtitle, data }) => {
             </div>
             <div className="summary-content summary-content--accordion">
                 {sections.map((section, idx) => {
-                    const isOpen = Boolean(openSections[section.key]);
+                    const isOpen = expandAll || Boolean(openSections[section.key]);
                     const triggerId = `${section.key}-trigger-${title.replace(/\s+/g, '-').toLowerCase()}`;
                     const panelId = `${section.key}-panel-${title.replace(/\s+/g, '-').toLowerCase()}`;
                     return (
@@ -178,7 +207,7 @@ const SummaryCard = ({ icon: Icon, title, subtitle, data }) => {
     );
 };
 
-export default function FeedbackScreen({ sessionId, preloadedFeedback }) {
+export default function FeedbackScreen({ sessionId, preloadedFeedback, showIntegrity = false }) {
     const [feedback, setFeedback] = useState({ structured: null, raw: null });
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
@@ -189,12 +218,17 @@ export default function FeedbackScreen({ sessionId, preloadedFeedback }) {
     const [expandedCode, setExpandedCode] = useState(null);
     const [expandedDiagram, setExpandedDiagram] = useState(null);
     const triggerRefs = useRef([]);
-    const statusPollingRef = useRef(null);
+    const [generationProgress, setGenerationProgress] = useState(null);
+    const statusSubscriptionRef = useRef(null);
+    const [isExportOpen, setIsExportOpen] = useState(false);
+    // Sections chosen for printing; set while the print stylesheet is in use.
+    const [printSections, setPrintSections] = useState(null);
+    const isPrinting = Boolean(printSections);
 
-    const clearStatusPolling = useCallback(() => {
-        if (statusPollingRef.current) {
-            clearInterval(statusPollingRef.current);
-            statusPollingRef.current = null;
+    const stopStatusTracking = useCallback(() => {
+        if (statusSubscriptionRef.current) {
+            statusSubscriptionRef.current();
+            statusSubscriptionRef.current = null;
         }
     }, []);
 
@@ -209,7 +243,7 @@ export default function FeedbackScreen({ sessionId, preloadedFeedback }) {
             }
 
             try {
-                const response = await interviewApi.get(`/feedback/${sessionId}`);
+                const response = await fetchFeedbackReport(sessionId);
                 const parsed = parseFeedback(response.data?.feedback);
                 const backendStatus = response?.data?.status;
 
@@ -256,68 +290,68 @@ export default function FeedbackScreen({ sessionId, preloadedFeedback }) {
         [sessionId]
     );
 
-    const checkFeedbackStatus = useCallback(async () => {
-        if (!sessionId) {
-            return;
-        }
-
-        try {
-            const { data } = await getFeedbackStatus(sessionId);
-            const status = data?.status || 'pending';
-            const statusError = data?.error || null;
+    const handleStatusProgress = useCallback(async (data) => {
+        const status = data?.status || 'pending';
+        const statusError = data?.error || null;
 
-            setFeedbackStatus(status);
+        setGenerationProgress((prev) => mergeFeedbackProgress(prev, data));
+        setFeedbackStatus(status);
 
-            if (status === 'completed') {
-                clearStatusPolling();
-                setError(null);
-                setNoAnsweredQuestions(false);
-                const fetched = await fetchFeedback({ skipLoading: true });
-                if (!fetched) {
-                    beginStatusPolling();
-                }
-            } else if (status === 'failed') {
-                clearStatusPolling();
-                const normalizedDetail = typeof (statusError || '') === 'string'
-                    ? statusError.toLowerCase()
-                    : '';
-                const isNoAnswers = normalizedDetail.includes('no answered questions found');
-                setNoAnsweredQuestions(isNoAnswers);
-                setError(isNoAnswers ? NO_ANSWERED_QUESTIONS_MESSAGE : (statusError || FRIENDLY_FEEDBACK_ERROR));
-                setFeedback({ structured: null, raw: null });
-                setIsLoading(false);
-            } else {
-                setError(null);
-                setNoAnsweredQuestions(false);
-                setIsLoading(true);
-            }
-        } catch (err) {
-            console.error('Failed to check feedback status:', err);
-            clearStatusPolling();
-            setFeedbackStatus('failed');
+        if (status === 'completed') {
+            stopStatusTracking();
+            setError(null);
             setNoAnsweredQuestions(false);
-            setError('We could not verify the feedback status. Please regenerate the report.');
+            const fetched = await fetchFeedback({ skipLoading: true });
+            if (!fetched) {
+                beginStatusTracking();
+            }
+        } else if (status === 'failed') {
+            stopStatusTracking();
+            const normalizedDetail = typeof (statusError || '') === 'string'
+                ? statusError.toLowerCase()
+                : '';
+            const isNoAnswers = normalizedDetail.includes('no answered questions found');
+            setNoAnsweredQuestions(isNoAnswers);
+            setError(isNoAnswers ? NO_ANSWERED_QUESTIONS_MESSAGE : (statusError || FRIENDLY_FEEDBACK_ERROR));
             setFeedback({ structured: null, raw: null });
             setIsLoading(false);
+        } else {
+            setError(null);
+            setNoAnsweredQuestions(false);
+            setIsLoading(true);
         }
-    }, [sessionId, fetchFeedback, clearStatusPolling]);
+    }, [fetchFeedback, stopStatusTracking]);
 
-    const beginStatusPolling = useCallback(() => {
+    const handleStatusError = useCallback((err) => {
+        console.error('Failed to check feedback status:', err);
+        stopStatusTracking();
+        setFeedbackStatus('failed');
+        setNoAnsweredQuestions(false);
+        setError('We could not verify the feedback status. Please regenerate the report.');
+        setFeedback({ structured: null, raw: null });
+        setIsLoading(false);
+    }, [stopStatusTracking]);
+
+    // Follow generation over the progress stream; api.js falls back to polling when needed.
+    const beginStatusTracking = useCallback(() => {
         if (!sessionId) {
             return;
         }
 
-        clearStatusPolling();
+        stopStatusTracking();
         setFeedbackStatus('pending');
+        setGenerationProgress(null);
         setError(null);
         setIsLoading(true);
-        checkFeedbackStatus();
-        statusPollingRef.current = setInterval(checkFeedbackStatus, 7000);
-    }, [sessionId, checkFeedbackStatus, clearStatusPolling]);
+        statusSubscriptionRef.current = subscribeToFeedbackProgress(sessionId, {
+            onProgress: handleStatusProgress,
+            onError: handleStatusError,
+        });
+    }, [sessionId, handleStatusProgress, handleStatusError, stopStatusTracking]);
 
     useEffect(() => {
         if (preloadedFeedback) { 
-            clearStatusPolling();
+            stopStatusTracking();
             if (preloadedFeedback.error) {
                 setFeedbackStatus('failed');
                 setError(FRIENDLY_FEEDBACK_ERROR);
@@ -331,17 +365,17 @@ export default function FeedbackScreen({ sessionId, preloadedFeedback }) {
                     setFeedbackStatus('completed');
                     setIsLoading(false);
                 } else {
-                    beginStatusPolling();
+                    beginStatusTracking();
                 }
             }
         } else if (sessionId) {
-            beginStatusPolling();
+            beginStatusTracking();
         }
-    }, [sessionId, preloadedFeedback, beginStatusPolling, clearStatusPolling]);
+    }, [sessionId, preloadedFeedback, beginStatusTracking, stopStatusTracking]);
 
     useEffect(() => () => {
-        clearStatusPolling();
-    }, [clearStatusPolling]);
+        stopStatusTracking();
+    }, [stopStatusTracking]);
 
     const hasStructured = Boolean(feedback.structured);
     const metadata = feedback.structured?.metadata || {};
@@ -382,7 +416,7 @@ export default function FeedbackScreen({ sessionId, preloadedFeedback }) {
             setIsRegenerating(true);
             setError(null);
             await triggerFeedbackGeneration(sessionId);
-            beginStatusPolling();
+            beginStatusTracking();
         } catch (err) {
             console.error('Error regenerating feedback:', err);
             setError(FRIENDLY_FEEDBACK_ERROR);
@@ -392,7 +426,44 @@ export default function FeedbackScreen({ sessionId, preloadedFeedback }) {
                 setIsLoading(false);
             }
         }
-    }, [sessionId, isRegenerating, beginStatusPolling, triggerFeedbackGeneration, feedbackStatus]);
+    }, [sessionId, isRegenerating, beginStatusTracking, triggerFeedbackGeneration, feedbackStatus]);
+
+    const reportSections = useMemo(() => availableReportSections(feedback.structured), [feedback]);
+    const reportImageText = useMemo(() => reportHasImageText(feedback.structured), [feedback]);
+
+    const handleDownloadReport = useCallback(async (sections) => {
+        const blob = buildReportPdf(feedback.structured, { sections });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = reportFileName(feedback.structured?.metadata);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        setIsExportOpen(false);
+    }, [feedback]);
+
+    const handlePrintReport = useCallback((sections) => {
+        setIsExportOpen(false);
+        setPrintSections(sections);
+    }, []);
+
+    useEffect(() => {
+        if (!printSections) {
+            return undefined;
+        }
+        const handleAfterPrint = () => setPrintSections(null);
+        document.body.classList.add('report-printing');
+        window.addEventListener('afterprint', handleAfterPrint);
+        // Give the expanded accordions and diagrams a moment to lay out first.
+        const timer = window.setTimeout(() => window.print(), 300);
+        return () => {
+            window.clearTimeout(timer);
+            window.removeEventListener('afterprint', handleAfterPrint);
+            document.body.classList.remove('report-printing');
+        };
+    }, [printSections]);
 
     const technical = feedback.structured?.technical_summary;
     const communication = feedback.structured?.communication_summary;
@@ -421,11 +492,13 @@ export default function FeedbackScreen({ sessionId, preloadedFeedback }) {
     }, [hasStructured, feedback.structured, technical, communication, attitude]);
 
     if (isLoading) {
+        const isGenerating = feedbackStatus === 'pending' || feedbackStatus === 'processing';
         return (
             <div className="feedback-screen loading">
-                <div className="spinner" />
+                {!isGenerating && <div className="spinner" />}
                 <h2>Generating your feedback report...</h2>
                 <p>The AI is analyzing your performance. This may take a moment.</p>
+                {isGenerating && <FeedbackProgress progress={generationProgress} />}
             </div>
         );
     }
@@ -472,11 +545,26 @@ export default function FeedbackScreen({ sessionId, preloadedFeedback }) {
         }
     };
 
+    const printClassName = isPrinting
+        ? ['is-printing', ...reportSections
+            .filter((section) => !printSections.includes(section.id))
+            .map((section) => `print-hide-${section.id}`)].join(' ')
+        : '';
+
     return (
-        <div className="feedback-screen">
+        <div className={`feedback-screen ${printClassName}`}>
             <div className="feedback-card">
                 <header className="feedback-header">
                     <h1>Interview Performance Report</h1>
+                    {hasStructured && reportSections.length > 0 && (
+                        <button
+                            type="button"
+                            className="report-export-button"
+                            onClick={() => setIsExportOpen(true)}
+                        >
+                            <FiDownload /> Export report
+                        </button>
+                    )}
                     {metadata && (metadata.company_name || metadata.job_role || metadata.interview_type) && (
                         <div className="interview-metadata">
                             {metadata.company_name && (
@@ -501,13 +589,32 @@ export default function FeedbackScreen({ sessionId, preloadedFeedback }) {
                     )}
                 </header>
 
+                {isPrinting && (
+                    <section className="report-print-summary" data-report-section="summary">
+                        <h2>Overview</h2>
+                        {feedback.structured?.overall_score != null && (
+                            <p className="report-print-summary__overall">
+                                Overall score: <strong>{formatScoreDisplay(feedback.structured.overall_score)}/5</strong>
+                            </p>
+                        )}
+                        <ol className="report-print-summary__questions">
+                            {questions.map((item, idx) => (
+                                <li key={`print-score-${item.number || idx}`}>
+                                    <span>{item.question}</span>
+                                    <strong>{formatScoreDisplay(item.score)}/5</strong>
+                                </li>
+                            ))}
+                        </ol>
+                    </section>
+                )}
+
                 {questions.length > 0 ? (
-                    <section className="question-section">
+                    <section className="question-section" data-report-section="questions">
                         <h2>Question-wise Analysis</h2>
                         <div className="accordion-list">
                             {questions.map((item, idx) => {
                                 const tone = classifyScore(item.score);
-                                const isOpen = openQuestions.has(idx);
+                                const isOpen = isPrinting || openQuestions.has(idx);
                                 const triggerId = `question-trigger-${idx}`;
                                 const panelId = `question-panel-${idx}`;
                                 const questionNumber = item.number ?? idx + 1;
@@ -559,6 +666,15 @@ export default function FeedbackScreen({ sessionId, preloadedFeedback }) {
                                     : questionTypeValue.includes('python')
                                     ? 'Python'
                                     : '';
+                                const videoMetrics = parseVideoMetrics(item.video_metrics);
+                                const conversation = parseConversation(item.conversation);
+                                const reviewSummary = summarizeReviewEvents(parseReviewEvents(item.review_events));
+                                const isSkipped = item.answer_status === 'skipped' || reviewSummary.skipped;
+                                const recordingAttempts = parseRecordingAttempts(item.recording_attempts);
+                                const hasReplay = Boolean(item.has_video) && !isCoding && !isSystemDesign && !isSkipped;
+                                const submittedAttempt = Number(item.selected_attempt)
+                                    || recordingAttempts.find((entry) => entry.submitted)?.attempt
+                                    || null;
                                 const safeBetterExample = (() => {
                                     if (item.better_example == null) {
                                         return '';
@@ -590,6 +706,23 @@ export default function FeedbackScreen({ sessionId, preloadedFeedback }) {
                                                     Question {questionNumber}
                                                 </span>
                                                 <span className="accordion-question">{item.question}</span>
+                                                {(isSkipped || reviewSummary.flagged || reviewSummary.revised || reviewSummary.pauses > 0 || recordingAttempts.length > 1) && (
+                                                    <span className="review-chips">
+                                                        {recordingAttempts.length > 1 && submittedAttempt && (
+                                                            <span className="review-chip">
+                                                                Attempt {submittedAttempt} of {recordingAttempts.length}
+                                                            </span>
+                                                        )}
+                                                        {isSkipped && <span className="review-chip review-chip--skipped">Skipped</span>}
+                                                        {reviewSummary.flagged && <span className="review-chip review-chip--flagged">Flagged</span>}
+                                                        {reviewSummary.revised && <span className="review-chip">Revised</span>}
+                                                        {reviewSummary.pauses > 0 && (
+                                                            <span className="review-chip" title={`Paused for ${Math.round(reviewSummary.pausedMs / 1000)}s in total`}>
+                                                                Paused ×{reviewSummary.pauses}
+                                                            </span>
+                                                        )}
+                                                    </span>
+                                                )}
                                             </div>
                                             <div className="accordion-actions">
                                                 <span className={`score-badge ${scoreTone}`}>
@@ -628,6 +761,31 @@ export default function FeedbackScreen({ sessionId, preloadedFeedback }) {
                                                             </div>
                                                         </div>
                                                     </div>
+                                                ) : conversation.length > 2 && !isCoding ? (
+                                                    <div className="detail-block">
+                                                        <h4>Conversation</h4>
+                                                        <ol className="conversation-thread">
+                                                            {conversation.map((turn, turnIndex) => (
+                                                                <li
+                                                                    key={turnIndex}
+                                                                    className={`conversation-turn conversation-turn--${turn.role}`}
+                                                                >
+                                                                    <span className="conversation-turn__speaker">
+                                                                        {turn.role === 'interviewer'
+                                                                            ? (turnIndex === 0 ? 'Interviewer' : `Interviewer · follow-up ${(turn.follow_up_index ?? 0) + 1}`)
+                                                                            : 'You'}
+                                                                        {turn.role === 'candidate' && turn.score != null
+                                                                            ? ` · ${formatScoreDisplay(turn.score)}/5`
+                                                                            : ''}
+                                                                    </span>
+                                                                    <p>{turn.text || 'No transcript captured.'}</p>
+                                                                    {turn.commentary ? (
+                                                                        <p className="conversation-turn__commentary">{turn.commentary}</p>
+                                                                    ) : null}
+                                                                </li>
+                                                            ))}
+                                                        </ol>
+                                                    </div>
                                                 ) : safeAnswerText && !isSystemDesign ? (
                                                     <div className={`detail-block ${isCoding ? 'detail-block--code' : ''}`}>
                                                         <h4>
@@ -654,12 +812,83 @@ export default function FeedbackScreen({ sessionId, preloadedFeedback }) {
                                                                 <pre className="code-block" aria-label="Your code answer">
                                                                     <code>{safeAnswerText}</code>
                                                                 </pre>
+                                                                {item.code_timeline ? (
+                                                                    <CodePlayback timeline={item.code_timeline} />
+                                                                ) : null}
                                                             </div>
                                                         ) : (
                                                             <p>{safeAnswerText}</p>
                                                         )}
                                                     </div>
                                                 ) : null}
+                                                {hasReplay && sessionId && !isPrinting ? (
+                                                    <AnswerReplay
+                                                        sessionId={sessionId}
+                                                        questionNumber={questionNumber}
+                                                        fetchRecording={showIntegrity ? fetchAdminAnswerVideo : fetchAnswerVideo}
+                                                        audioOnly={item.audio_only}
+                                                        speakingMetrics={item.speaking_metrics}
+                                                        videoMetrics={videoMetrics}
+                                                        feedbackMarkers={item.feedback_markers}
+                                                        transcript={safeAnswerText}
+                                                    />
+                                                ) : null}
+                                                <DeliveryStats metrics={item.speaking_metrics} />
+                                                {videoMetrics ? (
+                                                    <div className="detail-block">
+                                                        <h4>On-camera presence</h4>
+                                                        <dl className="video-metrics">
+                                                            <div>
+                                                                <dt>Face visible</dt>
+                                                                <dd>{formatRatio(videoMetrics.facePresenceRatio)}</dd>
+                                                            </div>
+                                                            <div>
+                                                                <dt>Looking away</dt>
+                                                                <dd>{formatRatio(videoMetrics.gazeAwayRatio)}</dd>
+                                                            </div>
+                                                            <div>
+                                                                <dt>Framing</dt>
+                                                                <dd>{dominantFraming(videoMetrics.framing) || '—'}</dd>
+                                                            </div>
+                                                            {videoMetrics.maxFaceCount > 1 && (
+                                                                <div className="is-warning">
+                                                                    <dt>Extra faces</dt>
+                                                                    <dd>{formatRatio(videoMetrics.multipleFacesRatio)}</dd>
+                                                                </div>
+                                                            )}
+                                                        </dl>
+                                                    </div>
+                                                ) : null}
+                                                {recordingAttempts.length > 1 ? (
+                                                    <div className="detail-block">
+                                                        <h4>Recording attempts</h4>
+                                                        <ol className="attempt-history">
+                                                            {recordingAttempts.map((entry) => {
+                                                                const isSubmitted = entry.attempt === submittedAttempt;
+                                                                const metrics = entry.speaking_metrics;
+                                                                return (
+                                                                    <li
+                                                                        key={entry.attempt}
+                                                                        className={`attempt-history__item${isSubmitted ? ' is-submitted' : ''}`}
+                                                                    >
+                                                                        <span className="attempt-history__label">
+                                                                            Attempt {entry.attempt}
+                                                                            {isSubmitted ? ' · submitted' : ''}
+                                                                        </span>
+                                                                        <span className="attempt-history__stats">
+                                                                            {[
+                                                                                formatAttemptDuration(entry.duration_ms),
+                                                                                metrics ? `${metrics.wordsPerMinute || '—'} wpm` : null,
+                                                                                metrics ? `${metrics.fillerCount} fillers` : null,
+                                                                            ].filter(Boolean).join(' · ')}
+                                                                        </span>
+                                                                        <p>{entry.transcript || 'No transcript captured.'}</p>
+                                                                    </li>
+                                                                );
+                                                            })}
+                                                        </ol>
+                                                    </div>
+                                                ) : null}
                                                 {item.strengths?.length ? (
                                                     <div className="detail-block">
                                                         <h4>What you did well</h4>
@@ -737,8 +966,20 @@ export default function FeedbackScreen({ sessionId, preloadedFeedback }) {
                     </section>
                 ) : null}
 
+                <div data-report-section="delivery">
+                    <DeliveryOverviewChart questions={questions} />
+                </div>
+
+                {showIntegrity && (
+                    <DeviceCheckSummary report={feedback.structured?.device_check} />
+                )}
+
+                {showIntegrity && (
+                    <IntegrityTimeline events={feedback.structured?.integrity_events} questions={questions} />
+                )}
+
                 {mandatorySkills.length ? (
-                    <section className="mandatory-skill-section">
+                    <section className="mandatory-skill-section" data-report-section="skills">
                         <h2>Mandatory Skill Scores</h2>
                         <div className="mandatory-skill-grid">
                             {mandatorySkills.map((entry, idx) => {
@@ -769,7 +1010,7 @@ export default function FeedbackScreen({ sessionId, preloadedFeedback }) {
                 ) : null}
 
                 {dynamicCompetencies.length ? (
-                    <section className="summary-section">
+                    <section className="summary-section" data-report-section="competencies">
                         <div className="summary-section-header">
                             <h2>Core Competency Breakdown</h2>
                         </div>
@@ -786,17 +1027,18 @@ export default function FeedbackScreen({ sessionId, preloadedFeedback }) {
                                         next_steps: entry.next_steps,
                                         evidence: entry.evidence,
                                     }}
+                                    expandAll={isPrinting}
                                 />
                             ))}
                         </div>
                     </section>
                 ) : hasStructured ? (
-                    <section className="summary-section">
+                    <section className="summary-section" data-report-section="competencies">
                         <h2>Core Competency Breakdown</h2>
                         <div className="summary-grid">
-                            <SummaryCard icon={FiCpu} title="Technical Mastery" data={technical} />
-                            <SummaryCard icon={FiMessageCircle} title="Communication & STAR" data={communication} />
-                            <SummaryCard icon={FiUserCheck} title="Attitude & Readiness" data={attitude} />
+                            <SummaryCard icon={FiCpu} title="Technical Mastery" data={technical} expandAll={isPrinting} />
+                            <SummaryCard icon={FiMessageCircle} title="Communication & STAR" data={communication} expandAll={isPrinting} />
+                            <SummaryCard icon={FiUserCheck} title="Attitude & Readiness" data={attitude} expandAll={isPrinting} />
                         </div>
                     </section>
                 ) : null}
@@ -859,6 +1101,14 @@ export default function FeedbackScreen({ sessionId, preloadedFeedback }) {
                     </div>
                 </div>
             )}
+            <ReportExportDialog
+                isOpen={isExportOpen}
+                sections={reportSections}
+                hasImageText={reportImageText}
+                onDownload={handleDownloadReport}
+                onPrint={handlePrintReport}
+                onClose={() => setIsExportOpen(false)}
+            />
         </div>
     );
 }
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import './FlagReviewScreen.css';
+
+const KIND_LABELS = {
+    text: 'Text answer',
+    coding: 'Code',
+    design: 'System design',
+};
+
+const FlaggedAnswer = ({ item, onSave }) => {
+    const [draft, setDraft] = useState(item.answer || '');
+    const [status, setStatus] = useState(item.revised ? 'saved' : 'idle');
+    const [error, setError] = useState('');
+    const isEditable = item.kind === 'text' || item.kind === 'coding';
+    const isDirty = draft !== (item.answer || '');
+
+    const handleSave = async () => {
+        if (!draft.trim()) {
+            setError('The revised answer cannot be empty.');
+            return;
+        }
+        setStatus('saving');
+        setError('');
+        try {
+            await onSave(item, draft);
+            setStatus('saved');
+        } catch (saveError) {
+            console.error('Failed to revise flagged answer:', saveError);
+            setStatus('idle');
+            setError(saveError?.response?.data?.detail || 'Could not save your changes. Please try again.');
+        }
+    };
+
+    return (
+        <li className="flag-review__item">
+            <div className="flag-review__meta">
+                <span className="flag-review__number">Question {item.questionNumber}</span>
+                <span className="flag-review__kind">
+                    {KIND_LABELS[item.kind] || 'Answer'}
+                    {item.language ? ` · ${item.language.toUpperCase()}` : ''}
+                    {item.skipped ? ' · skipped' : ''}
+                </span>
+            </div>
+            <p className="flag-review__question">{item.questionText}</p>
+            {isEditable ? (
+                <>
+                    <textarea
+                        className={`flag-review__editor${item.kind === 'coding' ? ' flag-review__editor--code' : ''}`}
+                        value={draft}
+                        onChange={(event) => {
+                            setDraft(event.target.value);
+                            if (status === 'saved') setStatus('idle');
+                        }}
+                        rows={item.kind === 'coding' ? 10 : 5}
+                        spellCheck={item.kind !== 'coding'}
+                        aria-label={`Revise your answer to question ${item.questionNumber}`}
+                    />
+                    <div className="flag-review__actions">
+                        {error && <span className="flag-review__error" role="alert">{error}</span>}
+                        {status === 'saved' && !isDirty && <span className="flag-review__saved">Saved</span>}
+                        <button type="button" onClick={handleSave} disabled={!isDirty || status === 'saving'}>
+                            {status === 'saving' ? 'Saving…' : 'Save changes'}
+                        </button>
+                    </div>
+                </>
+            ) : (
+                <p className="flag-review__locked">This answer type can’t be changed after submission.</p>
+            )}
+        </li>
+    );
+};
+
+const FlagReviewScreen = ({ items, onSave, onDone }) => (
+    <div className="flag-review" role="dialog" aria-modal="true" aria-labelledby="flag-review-heading">
+        <div className="flag-review__panel">
+            <header className="flag-review__header">
+                <h2 id="flag-review-heading">Review flagged answers</h2>
+                <p>
+                    Before the final question you can revisit the answers you flagged. Your timer for the
+                    final question starts once you continue.
+                </p>
+            </header>
+            <ol className="flag-review__list">
+                {items.map((item) => (
+                    <FlaggedAnswer key={item.questionNumber} item={item} onSave={onSave} />
+                ))}
+            </ol>
+            <footer className="flag-review__footer">
+                <button type="button" className="flag-review__continue" onClick={onDone}>
+                    Continue to final question
+                </button>
+            </footer>
+        </div>
+    </div>
+);
+
+export default FlagReviewScreen;
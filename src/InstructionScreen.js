@@ -6,6 +6,17 @@ import howToRespondLogo from './assets/logos/how_respond_effectively_logo.png';
 import importantGuidelinesLogo from './assets/logos/important_guidelines.png';
 import whenYouAreReadyLogo from "./assets/logos/when_you're_ready.png";
 import afterTheInterviewLogo from './assets/logos/after_the_interview_logo.png';
+import {
+  DEFAULT_SPEECH_PROFILE,
+  isSpeechRecognitionSupported,
+  SPEECH_PROFILES,
+} from './speechProfiles';
+import {
+  CAPTURE_PROFILES,
+  DEFAULT_CAPTURE_PROFILE,
+  estimateBytesPerMinute,
+  formatBytesPerMinute,
+} from './captureQuality';
 
 const instructions = [
   {
@@ -95,8 +106,19 @@ const instructions = [
   },
 ];
 
-export default function InstructionScreen({ onStart, onClose, isStarting }) {
+export default function InstructionScreen({
+  onStart,
+  onClose,
+  isStarting,
+  speechLanguage = DEFAULT_SPEECH_PROFILE,
+  onSpeechLanguageChange,
+  captureProfile = DEFAULT_CAPTURE_PROFILE,
+  onCaptureProfileChange,
+  isPractice = false,
+}) {
   const [currentStep, setCurrentStep] = useState(0);
+  const speechSupported = isSpeechRecognitionSupported();
+  const activeProfile = SPEECH_PROFILES.find((profile) => profile.id === speechLanguage);
 
   const handleNext = () => {
     setCurrentStep((prev) => Math.min(prev + 1, instructions.length - 1));
@@ -116,8 +138,16 @@ export default function InstructionScreen({ onStart, onClose, isStarting }) {
     <div className="modal-overlay">
       <div className="instruction-modal card">
         <button className="close-button" onClick={onClose}>&times;</button>
-        <h1 className="instruction-title">AI Mock Interview Instructions</h1>
+        <h1 className="instruction-title">
+          {isPractice ? 'Practice Session Instructions' : 'AI Mock Interview Instructions'}
+        </h1>
         <p className="instruction-intro">Welcome! Please read the following instructions carefully before you begin.</p>
+        {isPractice && (
+          <p className="practice-notice">
+            Practice mode: there is no timer and no video recording. You can ask for hints, and each answer is
+            scored right away with a model answer. Practice sessions don’t count towards rankings.
+          </p>
+        )}
         
         <div className="carousel-content">
           <h2 className="step-title">
@@ -159,6 +189,50 @@ export default function InstructionScreen({ onStart, onClose, isStarting }) {
           </ul>
         </div>
 
+        <div className="speech-language">
+          <label htmlFor="speech-language-select">Answer language</label>
+          {speechSupported ? (
+            <>
+              <select
+                id="speech-language-select"
+                value={speechLanguage}
+                onChange={(event) => onSpeechLanguageChange?.(event.target.value)}
+              >
+                {SPEECH_PROFILES.map((profile) => (
+                  <option key={profile.id} value={profile.id}>{profile.label}</option>
+                ))}
+              </select>
+              {activeProfile && <span className="speech-language__hint">{activeProfile.description}</span>}
+            </>
+          ) : (
+            <span className="speech-language__hint">
+              Your browser doesn’t support live transcription, so you’ll type your answers while recording.
+            </span>
+          )}
+        </div>
+
+        {!isPractice && (
+          <div className="capture-quality">
+            <label htmlFor="capture-quality-select">Video quality</label>
+            <select
+              id="capture-quality-select"
+              value={captureProfile}
+              onChange={(event) => onCaptureProfileChange?.(event.target.value)}
+            >
+              {CAPTURE_PROFILES.map((profile) => (
+                <option key={profile.id} value={profile.id}>
+                  {profile.label} · about {formatBytesPerMinute(estimateBytesPerMinute(profile))}
+                </option>
+              ))}
+            </select>
+            <span className="speech-language__hint">
+              {captureProfile === 'audio'
+                ? 'Only your voice is uploaded; the camera stays on for the preview.'
+                : 'Quality may be lowered automatically to keep each answer small enough to upload.'}
+            </span>
+          </div>
+        )}
+
         <div className="progress-indicator">
           {instructions.map((_, index) => (
             <div key={index} className={`progress-dot ${index === currentStep ? 'active' : ''}`}></div>
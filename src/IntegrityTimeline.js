@@ -0,0 +1,143 @@
+import React, { useMemo } from 'react';
+import { FiAlertTriangle } from 'react-icons/fi';
+import {
+    describeIntegrityEvent,
+    FLAGGED_INTEGRITY_TYPES,
+    INTEGRITY_EVENT_LABELS,
+    parseIntegrityEvents,
+} from './integrityMonitor';
+import './IntegrityTimeline.css';
+
+const formatOffset = (ms) => {
+    const totalSeconds = Math.max(0, Math.round((ms || 0) / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+const formatClockTime = (iso) => {
+    const date = new Date(iso);
+    return Number.isNaN(date.getTime())
+        ? ''
+        : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+};
+
+/**
+ * Session-wide integrity log for the admin report. Accepts a session-level
+ * `events` list and/or the feedback questions, whose `integrity_events` are merged in.
+ */
+const IntegrityTimeline = ({ events: sessionEvents, questions = [] }) => {
+    const groups = useMemo(() => {
+        const titles = new Map();
+        const all = parseIntegrityEvents(sessionEvents);
+        questions.forEach((item, index) => {
+            const number = item.number ?? index + 1;
+            titles.set(number, item.question);
+            if (!sessionEvents) {
+                parseIntegrityEvents(item.integrity_events).forEach((event) => {
+                    all.push({ ...event, question: event.question ?? number });
+                });
+            }
+        });
+
+        const byQuestion = new Map();
+        all.forEach((event) => {
+            if (!byQuestion.has(event.question)) {
+                byQuestion.set(event.question, []);
+            }
+            byQuestion.get(event.question).push(event);
+        });
+
+        return [...byQuestion.entries()]
+            .sort(([a], [b]) => Number(a) - Number(b))
+            .map(([number, list]) => {
+                const sorted = [...list].sort((a, b) => (a.offsetMs || 0) - (b.offsetMs || 0));
+                const span = Math.max(...sorted.map((event) => (event.offsetMs || 0) + (event.durationMs || 0)), 1);
+                return {
+                    number,
+                    title: titles.get(number),
+                    events: sorted,
+                    span,
+                    flagged: sorted.filter((event) => FLAGGED_INTEGRITY_TYPES.has(event.type)).length,
+                };
+            });
+    }, [sessionEvents, questions]);
+
+    const totals = useMemo(() => {
+        const counts = {};
+        groups.forEach((group) => group.events.forEach((event) => {
+            if (FLAGGED_INTEGRITY_TYPES.has(event.type)) {
+                counts[event.type] = (counts[event.type] || 0) + 1;
+            }
+        }));
+        return Object.entries(counts);
+    }, [groups]);
+
+    return (
+        <section className="integrity-timeline">
+            <h2>Integrity Timeline</h2>
+            {groups.length === 0 ? (
+                <p className="integrity-timeline__empty">No integrity events were recorded for this session.</p>
+            ) : (
+                <>
+                    {totals.length > 0 && (
+                        <div className="integrity-timeline__totals">
+                            {totals.map(([type, count]) => (
+                                <span key={type} className={`integrity-chip integrity-chip--${type}`}>
+                                    {INTEGRITY_EVENT_LABELS[type] || type}: {count}
+                                </span>
+                            ))}
+                        </div>
+                    )}
+                    {groups.map((group) => (
+                        <article key={`integrity-q-${group.number}`} className="integrity-timeline__question">
+                            <header>
+                                <h3>Question {group.number}</h3>
+                                {group.flagged > 0 && (
+                                    <span className="integrity-timeline__flagged">
+                                        <FiAlertTriangle aria-hidden="true" /> {group.flagged} flagged
+                                    </span>
+                                )}
+                            </header>
+                            {group.title && <p className="integrity-timeline__title">{group.title}</p>}
+                            <div className="integrity-timeline__track" aria-hidden="true">
+                                {group.events.map((event, index) => (
+                                    <span
+                                        key={`bar-${index}`}
+                                        className={`integrity-timeline__mark integrity-chip--${event.type}`}
+                                        style={{
+                                            left: `${((event.offsetMs || 0) / group.span) * 100}%`,
+                                            width: event.durationMs ? `${(event.durationMs / group.span) * 100}%` : undefined,
+                                        }}
+                                        title={INTEGRITY_EVENT_LABELS[event.type] || event.type}
+                                    />
+                                ))}
+                            </div>
+                            <ol className="integrity-timeline__events">
+                                {group.events.map((event, index) => {
+                                    const detail = describeIntegrityEvent(event);
+                                    return (
+                                        <li
+                                            key={`event-${index}`}
+                                            className={FLAGGED_INTEGRITY_TYPES.has(event.type) ? 'is-flagged' : undefined}
+                                        >
+                                            <span className="integrity-timeline__time" title={formatClockTime(event.at)}>
+                                                +{formatOffset(event.offsetMs)}
+                                            </span>
+                                            <span className="integrity-timeline__label">
+                                                {INTEGRITY_EVENT_LABELS[event.type] || event.type}
+                                            </span>
+                                            {detail && <span className="integrity-timeline__detail">{detail}</span>}
+                                        </li>
+                                    );
+                                })}
+                            </ol>
+                        </article>
+                    ))}
+                </>
+            )}
+        </section>
+    );
+};
+
+export default IntegrityTimeline;
@@ -1,6 +1,78 @@
 import React, { useEffect, useMemo, useRef, useState, useCallback } from 'react';
-import { FiBriefcase, FiHome, FiZap, FiAward, FiTrash2 } from 'react-icons/fi';
-import { interviewApi, fetchSessionRating, submitSessionRating, getFeedbackStatus, triggerFeedbackGeneration } from './api';
+import { FiBriefcase, FiHome, FiZap, FiAward } from 'react-icons/fi';
+import {
+    interviewApi,
+    fetchSessionRating,
+    submitSessionRating,
+    subscribeToFeedbackProgress,
+    triggerFeedbackGeneration,
+    fetchInterviewProgress,
+    fetchInterviewPolicies,
+    reviseInterviewAnswer,
+} from './api';
+import {
+    loadCheckpoint,
+    saveCheckpoint,
+    clearCheckpoint,
+    saveRecordingBlob,
+    loadRecordingBlob,
+    reconcileCheckpoint,
+} from './interviewCheckpoint';
+import { extractTestCases } from './codeJudge';
+import { extractHarnessSpec, generateHarnessStub, HARNESS_LANGUAGES } from './codeHarness';
+import { extractSqlSandbox } from './sqlSandbox';
+import { createIntegrityMonitor, LARGE_PASTE_CHARS } from './integrityMonitor';
+import {
+    applyVocabulary,
+    applyVocabularyHints,
+    buildVocabulary,
+    getSpeechRecognitionClass,
+    loadSpeechProfile,
+    normalizeSpeechProfile,
+} from './speechProfiles';
+import {
+    buildCaptureMetadata,
+    DEFAULT_ANSWER_SECONDS,
+    estimateBytesPerMinute,
+    formatBytes,
+    formatBytesPerMinute,
+    getCaptureProfile,
+    maxProfileForBandwidth,
+    measureRecording,
+    normalizeCaptureProfile,
+    QUESTION_VIDEO_BUDGET_BYTES,
+    selectCaptureProfile,
+    updateCalibration,
+} from './captureQuality';
+import { createSpeakingTracker, describePace } from './speakingAnalytics';
+import {
+    isSpeechSynthesisSupported,
+    listVoices,
+    loadVoicePreferences,
+    saveVoicePreferences,
+    speakSegments,
+} from './interviewerVoice';
+import InterviewerAvatar from './InterviewerAvatar';
+import { advanceFollowUpThread, extractFollowUps } from './followUps';
+import { extractHints, parsePracticeFeedback } from './practiceMode';
+import PracticeFeedbackPanel from './PracticeFeedbackPanel';
+import {
+    createReviewEvent,
+    DEFAULT_INTERVIEW_POLICIES,
+    normalizeInterviewPolicies,
+} from './interviewControls';
+import FlagReviewScreen from './FlagReviewScreen';
+import RecordingAttempts from './RecordingAttempts';
+import { summarizeAttempts, toCheckpointAttempt } from './attemptHistory';
+import { mergeFeedbackProgress } from './feedbackGeneration';
+import {
+    createVideoUploadEntry,
+    finishSessionUploads,
+    retryVideoUpload,
+    startVideoUpload,
+    subscribeToVideoUploads,
+} from './videoUploadQueue';
+import VideoUploadStatus from './VideoUploadStatus';
 import SessionCompleted from './SessionCompleted';
 import FeedbackScreen from './FeedbackScreen';
 import './InterviewScreen.css';
@@ -52,6 +124,16 @@ const normalizeQuestion = (rawQuestion) => {
     };
 };
 
+const CHECKPOINT_DEBOUNCE_MS = 500;
+const RESUME_REFETCH_ATTEMPTS = 3;
+const RESUME_REFETCH_DELAY_MS = 1500;
+
+const TYPED_ANSWER_MESSAGES = {
+    unsupported: 'Live transcription isn’t available in this browser. Type your answer below while you record.',
+    denied: 'Microphone access was blocked, so live transcription is off. Type your answer below while you record.',
+    failed: 'Live transcription couldn’t start. Type your answer below while you record.',
+};
+
 export default function InterviewScreen({ interviewData, onInterviewEnd, addToast }) {
     const {
         sessionId,
@@ -62,7 +144,16 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
         companyName,
         questionNumber: initialQuestionNumber = 1,
         maxQuestions: initialMaxQuestions = null,
+        speechLanguage,
+        studentEmail,
+        isPractice = false,
+        selectedDevices = null,
+        deviceCheck = null,
+        captureProfile,
     } = interviewData;
+    const recognitionLanguage = speechLanguage
+        ? normalizeSpeechProfile(speechLanguage)
+        : loadSpeechProfile(studentEmail);
 
     const displayRole = jobRole && jobRole.trim() !== '' ? jobRole : 'Any Role';
     const displayCompany = companyName && companyName.trim() !== '' ? companyName : 'Any Company';
@@ -81,6 +172,7 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
     const [isLoading, setIsLoading] = useState(false);
     const [isComplete, setIsComplete] = useState(false);
     const [isAnalyzingFinal, setIsAnalyzingFinal] = useState(false);
+    const [isFinishingUploads, setIsFinishingUploads] = useState(false);
     const [answer, setAnswer] = useState('');
     const [finalFeedback, setFinalFeedback] = useState(null);
     const [showFeedback, setShowFeedback] = useState(false);
@@ -93,8 +185,10 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
     const [ratingLoaded, setRatingLoaded] = useState(false);
     const [feedbackStatus, setFeedbackStatus] = useState('not_requested');
     const [feedbackError, setFeedbackError] = useState(null);
+    // Stage, percentage and per-question scores streamed while the report is generated.
+    const [feedbackProgress, setFeedbackProgress] = useState(null);
     const [isNoAnsweredQuestions, setIsNoAnsweredQuestions] = useState(false);
-    const pollingRef = useRef(null);
+    const feedbackSubscriptionRef = useRef(null);
     const toastTimerRef = useRef(null);
     const videoRecorderRef = useRef(null);
     const [videoStatus, setVideoStatus] = useState('idle');
@@ -102,6 +196,8 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
     const [videoError, setVideoError] = useState(null);
     const [faceDetected, setFaceDetected] = useState(false);
     const [isVideoUploading, setIsVideoUploading] = useState(false);
+    // Background chunked uploads of submitted answer videos for this session.
+    const [videoUploads, setVideoUploads] = useState([]);
     const [microphoneReady, setMicrophoneReady] = useState(false);
     const [microphoneError, setMicrophoneError] = useState(null);
     const [floatingPanelPosition, setFloatingPanelPosition] = useState(null);
@@ -118,20 +214,61 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
     const autoSubmitTriggeredRef = useRef(false);
     const microphoneRequestRef = useRef(false);
     const [recordingAttempts, setRecordingAttempts] = useState(0);
-    const [savedRecording, setSavedRecording] = useState(null);
+    // Every attempt on the current speech question (see attemptHistory.js); the
+    // selected one is what gets submitted.
+    const [recordingHistory, setRecordingHistory] = useState([]);
+    const [selectedAttempt, setSelectedAttempt] = useState(null);
+    const savedRecording = useMemo(
+        () => recordingHistory.find((entry) => entry.attempt === selectedAttempt) || null,
+        [recordingHistory, selectedAttempt],
+    );
+    const recordingStartedAtRef = useRef(null);
+    const checkpointedBlobsRef = useRef(new WeakSet());
+    // Follow-up exchange on the current question; null until the backend probes further.
+    const [followUpThread, setFollowUpThread] = useState(null);
+    // Practice mode: hints revealed for this question, and instant feedback held until the student continues.
+    const [revealedHintCount, setRevealedHintCount] = useState(0);
+    const [practiceResult, setPracticeResult] = useState(null);
+    // Pause / skip / flag-for-review. Counts and flagged answers span the session;
+    // review events for the current question are sent with its answer.
+    const [interviewPolicies, setInterviewPolicies] = useState(DEFAULT_INTERVIEW_POLICIES);
+    const [pausesUsed, setPausesUsed] = useState(0);
+    const [skipsUsed, setSkipsUsed] = useState(0);
+    const [pauseState, setPauseState] = useState(null);
+    const [pauseSecondsLeft, setPauseSecondsLeft] = useState(null);
+    const [isCurrentFlagged, setIsCurrentFlagged] = useState(false);
+    const [flaggedAnswers, setFlaggedAnswers] = useState([]);
+    const [hasReviewedFlags, setHasReviewedFlags] = useState(false);
+    const [isReviewOpen, setIsReviewOpen] = useState(false);
+    const reviewEventsRef = useRef([]);
+    const reviewFrozenMsRef = useRef(null);
     const [isRecordingActive, setIsRecordingActive] = useState(false);
     const MAX_RECORDING_ATTEMPTS = 3;
     const recordingAttemptsRef = useRef(recordingAttempts);
     const savedRecordingRef = useRef(savedRecording);
     const savedTranscriptRef = useRef(null);
+    const integrityMonitorRef = useRef(null);
+    if (integrityMonitorRef.current === null) {
+        integrityMonitorRef.current = createIntegrityMonitor();
+    }
     const [audioTrackStatus, setAudioTrackStatus] = useState('active'); // 'active', 'muted', 'ended'
     const audioStreamRef = useRef(null);
     const audioMonitorIntervalRef = useRef(null);
-
-    const clearFeedbackPolling = useCallback(() => {
-        if (pollingRef.current) {
-            clearInterval(pollingRef.current);
-            pollingRef.current = null;
+    // Resume-after-reload state; see interviewCheckpoint.js
+    const [isResuming, setIsResuming] = useState(() => Boolean(loadCheckpoint(sessionId)));
+    const [isResumeSettled, setIsResumeSettled] = useState(false);
+    const [resumeFailedQuestion, setResumeFailedQuestion] = useState(null);
+    const [restoreToken, setRestoreToken] = useState(0);
+    const [codingInitialDraft, setCodingInitialDraft] = useState(null);
+    const pendingDraftRef = useRef(null);
+    const codingDraftRef = useRef(null);
+    const checkpointTimerRef = useRef(null);
+    const buildCheckpointRef = useRef(null);
+
+    const stopFeedbackTracking = useCallback(() => {
+        if (feedbackSubscriptionRef.current) {
+            feedbackSubscriptionRef.current();
+            feedbackSubscriptionRef.current = null;
         }
     }, []);
 
@@ -142,88 +279,134 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
         }
     }, []);
 
-    const fetchStatus = useCallback(async () => {
-        try {
-            const { data } = await getFeedbackStatus(sessionId);
-            const { status, error } = data;
-            const normalizedStatus = status || 'pending';
-            const normalizedError = error || null;
-            const isNoAnswers = typeof normalizedError === 'string' && normalizedError.toLowerCase().includes('no answered questions found');
-
-            setFeedbackStatus(normalizedStatus);
-            setFeedbackError(normalizedError);
-            setIsNoAnsweredQuestions(isNoAnswers);
-
-            if (normalizedStatus === 'completed') {
-                clearFeedbackPolling();
-                setIsAnalyzingFinal(false);
-                setIsComplete(true);
-                setCanViewFeedback(true);
-            } else if (normalizedStatus === 'failed') {
-                clearFeedbackPolling();
-                setIsAnalyzingFinal(false);
-                setIsComplete(true);
-                setCanViewFeedback(true);
-                if (!normalizedError) {
-                    const fallbackError = 'We hit a snag while preparing your report. Please try regenerating.';
-                setFeedbackError(fallbackError);
-                setIsNoAnsweredQuestions(fallbackError.toLowerCase().includes('no answered questions found'));
-                }
-            }
-        } catch (err) {
-            console.error('Failed to fetch feedback status', err);
-            clearFeedbackPolling();
-            setFeedbackStatus('failed');
-            const statusError = 'We could not verify the feedback status. Please regenerate the report.';
-            setFeedbackError(statusError);
-            setIsNoAnsweredQuestions(statusError.toLowerCase().includes('no answered questions found'));
+    const handleFeedbackProgress = useCallback((data) => {
+        const { status, error } = data;
+        const normalizedStatus = status || 'pending';
+        const normalizedError = error || null;
+        const isNoAnswers = typeof normalizedError === 'string' && normalizedError.toLowerCase().includes('no answered questions found');
+
+        setFeedbackProgress((prev) => mergeFeedbackProgress(prev, data));
+        setFeedbackStatus(normalizedStatus);
+        setFeedbackError(normalizedError);
+        setIsNoAnsweredQuestions(isNoAnswers);
+
+        if (normalizedStatus === 'completed') {
+            stopFeedbackTracking();
+            setIsAnalyzingFinal(false);
+            setIsComplete(true);
+            setCanViewFeedback(true);
+        } else if (normalizedStatus === 'failed') {
+            stopFeedbackTracking();
             setIsAnalyzingFinal(false);
             setIsComplete(true);
             setCanViewFeedback(true);
+            if (!normalizedError) {
+                const fallbackError = 'We hit a snag while preparing your report. Please try regenerating.';
+                setFeedbackError(fallbackError);
+                setIsNoAnsweredQuestions(fallbackError.toLowerCase().includes('no answered questions found'));
+            }
         }
-    }, [sessionId, clearFeedbackPolling]);
+    }, [stopFeedbackTracking]);
+
+    const handleFeedbackProgressError = useCallback((err) => {
+        console.error('Failed to fetch feedback status', err);
+        stopFeedbackTracking();
+        setFeedbackStatus('failed');
+        const statusError = 'We could not verify the feedback status. Please regenerate the report.';
+        setFeedbackError(statusError);
+        setIsNoAnsweredQuestions(statusError.toLowerCase().includes('no answered questions found'));
+        setIsAnalyzingFinal(false);
+        setIsComplete(true);
+        setCanViewFeedback(true);
+    }, [stopFeedbackTracking]);
 
-    const beginFeedbackPolling = useCallback(() => {
+    // Follow feedback generation over the progress stream (polling where streaming is unavailable).
+    const beginFeedbackTracking = useCallback(() => {
         setFeedbackStatus('pending');
+        setFeedbackProgress(null);
         setFeedbackError(null);
         setIsNoAnsweredQuestions(false);
         setIsAnalyzingFinal(true);
         setIsComplete(true);
         setCanViewFeedback(false);
         setShowFeedback(false);
-        fetchStatus();
-        clearFeedbackPolling();
-        pollingRef.current = setInterval(fetchStatus, 7000);
-    }, [fetchStatus, clearFeedbackPolling]);
+        stopFeedbackTracking();
+        feedbackSubscriptionRef.current = subscribeToFeedbackProgress(sessionId, {
+            onProgress: handleFeedbackProgress,
+            onError: handleFeedbackProgressError,
+        });
+    }, [sessionId, handleFeedbackProgress, handleFeedbackProgressError, stopFeedbackTracking]);
+
+    const isUnmountedRef = useRef(false);
+    useEffect(() => {
+        isUnmountedRef.current = false;
+        return () => {
+            isUnmountedRef.current = true;
+        };
+    }, []);
+
+    // Video analysis must see every answer video, so tracking starts only once this
+    // session's uploads have finished or failed and the backend has been told.
+    const finishInterview = useCallback(async () => {
+        setIsAnalyzingFinal(true);
+        setIsFinishingUploads(true);
+        const failed = await finishSessionUploads(sessionId);
+        if (isUnmountedRef.current) {
+            return;
+        }
+        setIsFinishingUploads(false);
+        if (failed.length && typeof addToast === 'function') {
+            addToast(failed.length === 1
+                ? 'One answer video couldn\'t be uploaded, so your report won\'t include it.'
+                : `${failed.length} answer videos couldn't be uploaded, so your report won't include them.`, 'error');
+        }
+        beginFeedbackTracking();
+    }, [sessionId, addToast, beginFeedbackTracking]);
 
     useEffect(() => () => {
-        clearFeedbackPolling();
+        stopFeedbackTracking();
         clearToastTimer();
-    }, [clearFeedbackPolling, clearToastTimer]);
+    }, [stopFeedbackTracking, clearToastTimer]);
 
     // Refs for speech recognition and text area focus management
     const recognitionRef = useRef(null);
     const stopSpeechRecognitionRef = useRef(null);
     const answerInputRef = useRef(null);
     const answerRef = useRef('');
+    const recognitionLanguageRef = useRef(recognitionLanguage);
+    recognitionLanguageRef.current = recognitionLanguage;
+    const speechVocabularyRef = useRef([]);
+    const speakingTrackerRef = useRef(null);
+    const [speakingMeter, setSpeakingMeter] = useState(null);
+    const isVoiceSupported = isSpeechSynthesisSupported();
+    const [voicePreferences, setVoicePreferences] = useState(loadVoicePreferences);
+    const [interviewerVoices, setInterviewerVoices] = useState([]);
+    const [isInterviewerSpeaking, setIsInterviewerSpeaking] = useState(false);
+    const [interviewerCaption, setInterviewerCaption] = useState(null);
+    const cancelInterviewerSpeechRef = useRef(null);
+    // Acknowledgment from the last answer, spoken before the next question.
+    const pendingAcknowledgmentRef = useRef(null);
+    // Reason the candidate is typing instead of dictating; null while live transcription works.
+    const [typedAnswerReason, setTypedAnswerReason] = useState(() => (getSpeechRecognitionClass() ? null : 'unsupported'));
 
     const startSpeechRecognition = useCallback(() => {
         console.log('Attempting to start speech recognition...');
 
-        if (!window.SpeechRecognition && !window.webkitSpeechRecognition) {
-            alert('Browser does not support speech recognition.');
+        const SpeechRecognition = getSpeechRecognitionClass();
+        if (!SpeechRecognition) {
+            setTypedAnswerReason('unsupported');
             return;
         }
 
         try {
-            const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
             recognitionRef.current = new SpeechRecognition();
 
             // Basic settings
             recognitionRef.current.continuous = true;
             recognitionRef.current.interimResults = true;
-            recognitionRef.current.lang = 'en-US';
+            recognitionRef.current.lang = recognitionLanguageRef.current;
             recognitionRef.current.manualStop = false; // Initialize the flag
+            applyVocabularyHints(recognitionRef.current, speechVocabularyRef.current);
 
             const existingAnswer = answerRef.current || '';
             let finalTranscript = existingAnswer;
@@ -244,7 +427,9 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
                     }
                 }
 
-                const fullText = (finalTranscript + interimTranscript).replace(/\s+/g, ' ').trimStart();
+                const spokenText = (finalTranscript + interimTranscript).replace(/\s+/g, ' ').trimStart();
+                speakingTrackerRef.current?.update(spokenText);
+                const fullText = applyVocabulary(spokenText, speechVocabularyRef.current);
                 console.log('📝 Setting answer to:', fullText);
                 setAnswer(fullText);
             };
@@ -274,8 +459,11 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
 
             recognitionRef.current.onerror = (event) => {
                 console.error('❌ Speech recognition error:', event.error);
-                if (event.error === 'not-allowed') {
-                    alert('Microphone access denied. Please allow microphone access and try again.');
+                if (event.error === 'not-allowed' || event.error === 'service-not-allowed') {
+                    if (recognitionRef.current) {
+                        recognitionRef.current.manualStop = true;
+                    }
+                    setTypedAnswerReason('denied');
                 }
             };
 
@@ -288,7 +476,7 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
             recognitionRef.current.start();
         } catch (error) {
             console.error('❌ Failed to initialize speech recognition:', error);
-            alert('Failed to start speech recognition: ' + error.message);
+            setTypedAnswerReason('failed');
         }
     }, []);
 
@@ -384,6 +572,9 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
     
     // Timer duration based on question type and difficulty
     const questionTimeLimitSeconds = useMemo(() => {
+        if (isPractice) {
+            return null;
+        }
         const difficulty = normalizedDifficulty;
         const speechDurations = {
             easy: 2 * 60,
@@ -403,18 +594,42 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
             return codingDurations[difficulty] ?? codingDurations.medium;
         }
         return 2 * 60; // Default for other question types
-    }, [isSpeechQuestion, isCodingQuestion, isSystemDesignQuestion, normalizedDifficulty]);
+    }, [isPractice, isSpeechQuestion, isCodingQuestion, isSystemDesignQuestion, normalizedDifficulty]);
+
+    // Capture quality: the student's preferred profile, stepped down for a slow
+    // upload or when the measured size per minute would overrun the answer budget.
+    const [captureCalibration, setCaptureCalibration] = useState({});
+    const preferredCaptureProfile = normalizeCaptureProfile(captureProfile);
+    const bandwidthCaptureCap = maxProfileForBandwidth(deviceCheck?.checks?.bandwidth?.upload_kbps);
+    const captureProfileId = useMemo(() => selectCaptureProfile({
+        preferredId: preferredCaptureProfile,
+        bandwidthCapId: bandwidthCaptureCap,
+        expectedSeconds: questionTimeLimitSeconds || DEFAULT_ANSWER_SECONDS,
+        calibration: captureCalibration,
+    }), [preferredCaptureProfile, bandwidthCaptureCap, questionTimeLimitSeconds, captureCalibration]);
+    const activeCaptureProfile = getCaptureProfile(captureProfileId);
+
+    const practiceHints = useMemo(() => (
+        isPractice ? extractHints(question?.raw) : []
+    ), [isPractice, question]);
 
     const trimmedAnswer = useMemo(() => (
         typeof answer === 'string' ? answer.trim() : ''
     ), [answer]);
 
+    const codingHarness = useMemo(() => (
+        isCodingQuestion && !isSqlQuestion ? extractHarnessSpec(question?.raw) : null
+    ), [isCodingQuestion, isSqlQuestion, question]);
+
     const codingSupportedLanguages = useMemo(() => {
         if (!isCodingQuestion) {
             return undefined;
         }
-        return isSqlQuestion ? ['sqlite'] : ['python'];
-    }, [isCodingQuestion, isSqlQuestion]);
+        if (isSqlQuestion) {
+            return ['sqlite'];
+        }
+        return codingHarness ? HARNESS_LANGUAGES : ['python'];
+    }, [isCodingQuestion, isSqlQuestion, codingHarness]);
 
     const codingDefaultLanguage = useMemo(() => {
         if (!isCodingQuestion) {
@@ -431,8 +646,19 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
         if (starter && typeof starter === 'string') {
             return starter;
         }
+        if (codingHarness) {
+            return generateHarnessStub(codingDefaultLanguage || 'python', codingHarness);
+        }
         return isSqlQuestion ? '-- Write your answer here\n' : '# Write your answer here\n';
-    }, [isSqlQuestion, question]);
+    }, [isSqlQuestion, question, codingHarness, codingDefaultLanguage]);
+
+    const codingSqlSandbox = useMemo(() => (
+        isSqlQuestion ? extractSqlSandbox(question?.raw) : null
+    ), [isSqlQuestion, question]);
+
+    const codingTestCases = useMemo(() => (
+        isCodingQuestion ? extractTestCases(question?.raw) : null
+    ), [isCodingQuestion, question]);
 
     const renderSkillsSection = (isCompact = false) => (
         <div className={`skills-section${isCompact ? ' skills-section--compact' : ''}`}>
@@ -491,8 +717,15 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
         setIsSystemDesignModalOpen(false);
         // Reset recording state for new question
         setRecordingAttempts(0);
-        setSavedRecording(null);
+        setRecordingHistory([]);
+        setSelectedAttempt(null);
         setIsRecordingActive(false);
+        setFollowUpThread(null);
+        setRevealedHintCount(0);
+        setPracticeResult(null);
+        setIsCurrentFlagged(false);
+        setPauseState(null);
+        reviewEventsRef.current = [];
         // Reset timer for new question (timer starts only when recording begins)
         timerDeadlineRef.current = null;
         const hasTimer = typeof questionTimeLimitSeconds === 'number' && questionTimeLimitSeconds > 0;
@@ -500,7 +733,49 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
         autoSubmitTriggeredRef.current = false;
         setHasTimeExpired(false);
         setIsAnswering(hasInterviewStarted);
-    }, [isCodingQuestion, questionNumber, questionTimeLimitSeconds, hasInterviewStarted]);
+
+        const restored = pendingDraftRef.current;
+        if (!restored || restored.questionNumber !== questionNumber) {
+            codingDraftRef.current = null;
+            return;
+        }
+        pendingDraftRef.current = null;
+        setAnswer(restored.answer || '');
+        setSystemDesignDiagram(restored.systemDesignDiagram || '');
+        setRecordingAttempts(restored.recordingAttempts || 0);
+        setFollowUpThread(restored.followUp || null);
+        setRevealedHintCount(restored.revealedHintCount || 0);
+        setPracticeResult(restored.practiceResult || null);
+        setIsCurrentFlagged(Boolean(restored.flagged));
+        reviewEventsRef.current = Array.isArray(restored.reviewEvents) ? restored.reviewEvents : [];
+        if (restored.pause) {
+            setPauseState(restored.pause);
+        }
+        if (Array.isArray(restored.recordingHistory) && restored.recordingHistory.length) {
+            setRecordingHistory(restored.recordingHistory.map(({ hasVideo, ...entry }) => ({ ...entry, videoBlob: null })));
+            setSelectedAttempt(restored.selectedAttempt ?? null);
+            restored.recordingHistory
+                .filter((entry) => entry.hasVideo)
+                .forEach((entry) => {
+                    loadRecordingBlob(sessionId, questionNumber, entry.attempt).then((blob) => {
+                        if (!blob) return;
+                        checkpointedBlobsRef.current.add(blob);
+                        setRecordingHistory((current) => current.map((item) => (
+                            item.attempt === entry.attempt && item.timestamp === entry.timestamp
+                                ? { ...item, videoBlob: blob }
+                                : item
+                        )));
+                    });
+                });
+        }
+        if (restored.timerDeadline && !isSpeechQuestion && hasTimer) {
+            // Re-sync from the original deadline. An expired deadline gets a short
+            // grace so the auto-submit runs against the restored draft.
+            timerDeadlineRef.current = Math.max(restored.timerDeadline, Date.now() + 1000);
+            setTimeRemaining(Math.max(0, Math.ceil((restored.timerDeadline - Date.now()) / 1000)));
+            setTimerResetToken((token) => token + 1);
+        }
+    }, [isCodingQuestion, questionNumber, questionTimeLimitSeconds, hasInterviewStarted, restoreToken, isSpeechQuestion, sessionId]);
 
     // Refs to hold handlers/state for timeouts
     const handleSubmitAnswerRef = useRef(null);
@@ -621,6 +896,10 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
         }
     };
 
+    useEffect(() => subscribeToVideoUploads((entries) => {
+        setVideoUploads(entries.filter((entry) => entry.sessionId === sessionId));
+    }), [sessionId]);
+
     useEffect(() => {
         const loadExistingRating = async () => {
             if (!sessionId || !interviewData?.studentEmail) {
@@ -718,15 +997,20 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
         setHasTimeExpired(false);
         autoSubmitTriggeredRef.current = false;
         
-        // Clear any previous recording
-        setSavedRecording(null);
+        // Earlier attempts stay in the history; only the selection is cleared
+        setSelectedAttempt(null);
         setAnswer('');
         setAnswerError('');
         
         // Start video and speech recording
+        cancelInterviewerSpeechRef.current?.();
         setIsRecordingActive(true);
         setRecordingAttempts(prev => prev + 1);
+        recordingStartedAtRef.current = Date.now();
         await startVideoSegment();
+        speakingTrackerRef.current = createSpeakingTracker({
+            timeLimitMs: hasTimer ? questionTimeLimitSeconds * 1000 : null,
+        });
         startSpeechRecognition();
         startAudioMonitoring();
     }, [
@@ -748,16 +1032,34 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
         // Stop speech recognition
         stopSpeechRecognition();
         
-        // Capture video
-        const videoBlob = await captureVideoClip();
+        // Capture video and the face metrics gathered while it recorded
+        const clip = await captureVideoClip();
+        
+        const speakingMetrics = speakingTrackerRef.current ? speakingTrackerRef.current.finish() : null;
+        speakingTrackerRef.current = null;
         
-        // Save the recording
+        const durationMs = recordingStartedAtRef.current ? Date.now() - recordingStartedAtRef.current : null;
+        // Measured size per minute recalibrates the profile for the next recording
+        const captureMeasurement = clip?.blob ? measureRecording(clip.profile, clip.blob, durationMs) : null;
+        if (captureMeasurement) {
+            setCaptureCalibration((prev) => updateCalibration(prev, captureMeasurement));
+        }
+        
+        // Keep the attempt alongside earlier ones and select it for submission
         const recording = {
+            attempt: recordingAttemptsRef.current,
             transcript: answer,
-            videoBlob: videoBlob,
+            videoBlob: clip?.blob || null,
+            videoMetrics: clip?.metrics || null,
+            speakingMetrics,
+            durationMs,
+            captureProfile: clip?.profile || null,
+            captureMeasurement,
             timestamp: Date.now()
         };
-        setSavedRecording(recording);
+        recordingStartedAtRef.current = null;
+        setRecordingHistory((prev) => [...prev, recording]);
+        setSelectedAttempt(recording.attempt);
         
         setIsRecordingActive(false);
         
@@ -771,16 +1073,29 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
         return recording;
     }, [isRecordingActive, stopSpeechRecognition, captureVideoClip, answer, stopAudioMonitoring]);
 
-    const handleDeleteRecording = useCallback(() => {
-        setSavedRecording(null);
-        setAnswer('');
-        setAnswerError('');
-    }, []);
+    // Refresh the live speaking meter once a second so pauses show up between results.
+    useEffect(() => {
+        if (!isRecordingActive) {
+            setSpeakingMeter(null);
+            return undefined;
+        }
+        const interval = setInterval(() => {
+            if (speakingTrackerRef.current) {
+                setSpeakingMeter(speakingTrackerRef.current.snapshot());
+            }
+        }, 1000);
+        return () => clearInterval(interval);
+    }, [isRecordingActive]);
 
-    const handleReRecord = useCallback(async () => {
-        handleDeleteRecording();
-        await handleStartRecording();
-    }, [handleDeleteRecording, handleStartRecording]);
+    const handleSelectAttempt = useCallback((attempt) => {
+        const entry = recordingHistory.find((item) => item.attempt === attempt);
+        if (!entry) {
+            return;
+        }
+        setSelectedAttempt(attempt);
+        setAnswer(entry.transcript || '');
+        setAnswerError('');
+    }, [recordingHistory]);
 
     const handleRatingSubmit = async ({ rating, comments }) => {
         if (!sessionId || !interviewData?.studentEmail) {
@@ -826,7 +1141,7 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
             setIsRatingModalOpen(false);
             setShowFeedback(false);
             await triggerFeedbackGeneration(sessionId);
-            beginFeedbackPolling();
+            beginFeedbackTracking();
         } catch (error) {
             console.error('Failed to regenerate feedback:', error);
             const message = error?.response?.data?.detail || 'Unable to regenerate feedback right now. Please try again later.';
@@ -837,7 +1152,7 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
                 addToast(message, 'error');
             }
         }
-    }, [sessionId, beginFeedbackPolling, addToast]);
+    }, [sessionId, beginFeedbackTracking, addToast]);
 
     const handleReturnToDashboard = () => {
         if (existingRating.rating > 0) {
@@ -861,8 +1176,264 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
         }
     }, [hasTimeExpired, isRecordingActive, handleStopRecording]);
 
-    const postAnswer = async (formData) => {
+    // Resume after a reload: reconcile the local checkpoint with the backend's
+    // current question, then restore the draft through the reset effect above.
+    useEffect(() => {
+        let cancelled = false;
+        const checkpoint = loadCheckpoint(sessionId);
+
+        const loadProgress = async () => {
+            try {
+                const { data } = await fetchInterviewProgress(sessionId);
+                return data;
+            } catch (error) {
+                console.warn('Unable to fetch interview progress; resuming from local checkpoint only.', error);
+                return null;
+            }
+        };
+
+        const resume = async () => {
+            let plan = reconcileCheckpoint(checkpoint, await loadProgress(), initialQuestionNumber || 1);
+            if (cancelled) {
+                return;
+            }
+
+            // The backend moved past the question we have without sending the new
+            // one; ask again rather than let the next submit answer a stale number.
+            if (plan.action === 'refetch') {
+                setIsResuming(true);
+                for (let attempt = 1; attempt <= RESUME_REFETCH_ATTEMPTS && plan.action === 'refetch'; attempt += 1) {
+                    await new Promise((resolve) => {
+                        setTimeout(resolve, RESUME_REFETCH_DELAY_MS * attempt);
+                    });
+                    const progress = cancelled ? null : await loadProgress();
+                    if (cancelled) {
+                        return;
+                    }
+                    if (progress) {
+                        plan = reconcileCheckpoint(checkpoint, progress, initialQuestionNumber || 1);
+                    }
+                }
+                if (plan.action === 'refetch') {
+                    clearCheckpoint(sessionId);
+                    setResumeFailedQuestion(plan.questionNumber);
+                    setIsResuming(false);
+                    return;
+                }
+            }
+
+            if (plan.action === 'completed') {
+                clearCheckpoint(sessionId);
+                finishInterview();
+            } else if (plan.action === 'restore' || plan.action === 'advance') {
+                const draft = plan.action === 'restore' ? plan.draft : {};
+                const started = plan.action === 'advance' || plan.questionNumber > 1 || Boolean(draft.hasInterviewStarted);
+                pendingDraftRef.current = { ...draft, questionNumber: plan.questionNumber };
+                if (checkpoint?.controls) {
+                    setPausesUsed(checkpoint.controls.pausesUsed || 0);
+                    setSkipsUsed(checkpoint.controls.skipsUsed || 0);
+                    setFlaggedAnswers(checkpoint.controls.flaggedAnswers || []);
+                    setHasReviewedFlags(Boolean(checkpoint.controls.hasReviewedFlags));
+                }
+                setCodingInitialDraft(draft.coding ? { questionNumber: plan.questionNumber, draft: draft.coding } : null);
+                setQuestion(normalizeQuestion(plan.question));
+                setQuestionNumber(plan.questionNumber);
+                if (plan.maxQuestions != null) {
+                    setMaxQuestions(plan.maxQuestions);
+                }
+                setHasInterviewStarted(started);
+                setIsAnswering(started);
+                setRestoreToken((token) => token + 1);
+                if (plan.action === 'advance') {
+                    addToast(`Your previous answer was received. Continuing with question ${plan.questionNumber}.`, 'info');
+                } else if (started) {
+                    addToast(`Restored your progress on question ${plan.questionNumber}.`, 'info');
+                }
+            }
+            setIsResuming(false);
+            setIsResumeSettled(true);
+        };
+
+        resume();
+        return () => {
+            cancelled = true;
+        };
+    }, [sessionId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+    buildCheckpointRef.current = () => {
+        if (!isResumeSettled || isComplete || !question) {
+            return null;
+        }
+        // A recording cut off by the reload keeps its partial transcript as its own
+        // attempt and becomes the selection; the attempt is already counted.
+        const interruptedAttempt = isRecordingActive && answer
+            ? { attempt: recordingAttempts, transcript: answer, timestamp: Date.now(), hasVideo: false }
+            : null;
+        const historySnapshot = recordingHistory.map(toCheckpointAttempt);
+        if (interruptedAttempt) {
+            historySnapshot.push(interruptedAttempt);
+        }
+        return {
+            interviewData,
+            questionNumber,
+            maxQuestions,
+            question: question.raw,
+            draft: {
+                hasInterviewStarted,
+                answer: isSpeechQuestion ? '' : answer,
+                systemDesignDiagram,
+                coding: codingDraftRef.current,
+                recordingAttempts,
+                recordingHistory: historySnapshot,
+                selectedAttempt: interruptedAttempt ? interruptedAttempt.attempt : selectedAttempt,
+                timerDeadline: timerDeadlineRef.current,
+                followUp: followUpThread,
+                revealedHintCount,
+                practiceResult,
+                flagged: isCurrentFlagged,
+                reviewEvents: reviewEventsRef.current,
+                pause: pauseState,
+            },
+            controls: {
+                pausesUsed,
+                skipsUsed,
+                flaggedAnswers,
+                hasReviewedFlags,
+            },
+        };
+    };
+
+    const flushCheckpoint = useCallback(() => {
+        if (checkpointTimerRef.current) {
+            clearTimeout(checkpointTimerRef.current);
+            checkpointTimerRef.current = null;
+        }
+        const snapshot = buildCheckpointRef.current?.();
+        if (snapshot) {
+            saveCheckpoint(sessionId, snapshot);
+        }
+    }, [sessionId]);
+
+    const scheduleCheckpoint = useCallback(() => {
+        if (checkpointTimerRef.current) {
+            clearTimeout(checkpointTimerRef.current);
+        }
+        checkpointTimerRef.current = setTimeout(flushCheckpoint, CHECKPOINT_DEBOUNCE_MS);
+    }, [flushCheckpoint]);
+
+    const discardCheckpoint = useCallback(() => {
+        if (checkpointTimerRef.current) {
+            clearTimeout(checkpointTimerRef.current);
+            checkpointTimerRef.current = null;
+        }
+        clearCheckpoint(sessionId);
+    }, [sessionId]);
+
+    const handleCodingDraftChange = useCallback((draft) => {
+        codingDraftRef.current = draft;
+        scheduleCheckpoint();
+    }, [scheduleCheckpoint]);
+
+    useEffect(() => {
+        scheduleCheckpoint();
+    }, [
+        scheduleCheckpoint,
+        isResumeSettled,
+        question,
+        questionNumber,
+        maxQuestions,
+        hasInterviewStarted,
+        answer,
+        systemDesignDiagram,
+        recordingAttempts,
+        recordingHistory,
+        selectedAttempt,
+        isRecordingActive,
+        timerResetToken,
+        followUpThread,
+        revealedHintCount,
+        practiceResult,
+        isCurrentFlagged,
+        pauseState,
+        pausesUsed,
+        skipsUsed,
+        flaggedAnswers,
+        hasReviewedFlags,
+    ]);
+
+    useEffect(() => {
+        if (!isResumeSettled) {
+            return;
+        }
+        recordingHistory.forEach((entry) => {
+            if (entry.videoBlob && !checkpointedBlobsRef.current.has(entry.videoBlob)) {
+                checkpointedBlobsRef.current.add(entry.videoBlob);
+                saveRecordingBlob(sessionId, questionNumber, entry.videoBlob, entry.attempt);
+            }
+        });
+    }, [isResumeSettled, recordingHistory, sessionId, questionNumber]);
+
+    useEffect(() => {
+        window.addEventListener('pagehide', flushCheckpoint);
+        return () => {
+            window.removeEventListener('pagehide', flushCheckpoint);
+            if (checkpointTimerRef.current) {
+                clearTimeout(checkpointTimerRef.current);
+                checkpointTimerRef.current = null;
+            }
+        };
+    }, [flushCheckpoint]);
+
+    // Fresh recording state for the next reply in a follow-up thread on the same question.
+    const resetForFollowUpReply = () => {
+        setRecordingHistory([]);
+        setSelectedAttempt(null);
+        setRecordingAttempts(0);
+        setAnswer('');
+        setAnswerError('');
+        setHasTimeExpired(false);
+        autoSubmitTriggeredRef.current = false;
+        timerDeadlineRef.current = null;
+        const hasTimer = typeof questionTimeLimitSeconds === 'number' && questionTimeLimitSeconds > 0;
+        setTimeRemaining(hasTimer ? questionTimeLimitSeconds : null);
+        if (!isSpeechQuestion) {
+            ensureQuestionTimerRunning();
+        }
+    };
+
+    const postAnswer = async (formData, submittedAnswer = '', videoUpload = null) => {
+        const integrityEvents = integrityMonitorRef.current.eventsFor(questionNumber);
+        if (integrityEvents.length) {
+            formData.append('integrity_events', JSON.stringify(integrityEvents));
+        }
+        if (isPractice) {
+            formData.append('hints_used', String(revealedHintCount));
+        }
+        const reviewEvents = reviewEventsRef.current;
+        if (reviewEvents.length) {
+            formData.append('review_events', JSON.stringify(reviewEvents));
+        }
         const response = await interviewApi.post(`/interview/${sessionId}/answer`, formData);
+        // Queue the video only once the answer it belongs to has been accepted.
+        if (videoUpload) {
+            startVideoUpload(videoUpload);
+        }
+        integrityMonitorRef.current.clear(questionNumber);
+        reviewEventsRef.current = [];
+        if (isCurrentFlagged && !followUpThread) {
+            const flaggedAnswer = {
+                questionNumber,
+                questionText: question?.text || '',
+                kind: isCodingQuestion ? 'coding' : (isSystemDesignQuestion ? 'design' : 'text'),
+                language: isCodingQuestion ? (isSqlQuestion ? 'sql' : codingDefaultLanguage || 'python') : null,
+                answer: submittedAnswer,
+                skipped: formData.get('answer_status') === 'skipped',
+            };
+            setFlaggedAnswers((previous) => [
+                ...previous.filter((item) => item.questionNumber !== questionNumber),
+                flaggedAnswer,
+            ]);
+        }
         const {
             next_question,
             next_question_meta,
@@ -876,15 +1447,64 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
             setMaxQuestions(current_max_questions);
         }
 
+        const staysOnQuestion = typeof question_number === 'number'
+            ? question_number === questionNumber
+            : !next_question && !next_question_meta;
+        // Follow-ups only probe spoken answers.
+        const nextThread = !completed && staysOnQuestion && isSpeechQuestion
+            ? advanceFollowUpThread(followUpThread, {
+                questionText: question?.text || '',
+                answerText: submittedAnswer,
+                followUps: extractFollowUps(response.data),
+            })
+            : null;
+        if (nextThread) {
+            setFollowUpThread(nextThread);
+            resetForFollowUpReply();
+            if (acknowledgment) {
+                clearToastTimer();
+                addToast(acknowledgment);
+                toastTimerRef.current = setTimeout(() => {
+                    toastTimerRef.current = null;
+                }, 1100);
+            }
+            speakAsInterviewerRef.current([acknowledgment, nextThread.pending[0].prompt]);
+            setIsAnalyzingFinal(false);
+            return;
+        }
+        setFollowUpThread(null);
+
+        const practiceFeedback = isPractice ? parsePracticeFeedback(response.data) : null;
+        if (practiceFeedback) {
+            // The next question waits until the student has read the instant feedback.
+            setPracticeResult({ feedback: practiceFeedback, response: response.data });
+            setIsAnalyzingFinal(false);
+            return;
+        }
+        applyAnswerResponse(response.data);
+    };
+
+    const applyAnswerResponse = (data) => {
+        const {
+            next_question,
+            next_question_meta,
+            acknowledgment,
+            completed,
+            question_number,
+        } = data;
+
         if (completed) {
+            discardCheckpoint();
             clearToastTimer();
             toastTimerRef.current = setTimeout(() => {
-                beginFeedbackPolling();
+                toastTimerRef.current = null;
+                finishInterview();
             }, 1100);
             return;
         }
 
         const normalizedNext = next_question_meta ? normalizeQuestion(next_question_meta) : normalizeQuestion(next_question);
+        pendingAcknowledgmentRef.current = acknowledgment || null;
         if (normalizedNext) {
             setQuestion(normalizedNext);
             if (typeof question_number === 'number') {
@@ -966,12 +1586,59 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
             }
             
             // Use saved video blob for speech-based questions
+            const activeFollowUp = followUpThread?.pending[0];
+            if (activeFollowUp) {
+                formData.append('is_follow_up', 'true');
+                formData.append('follow_up_index', String(followUpThread.answered));
+                formData.append('follow_up_prompt', activeFollowUp.prompt);
+                if (activeFollowUp.id != null) {
+                    formData.append('follow_up_id', String(activeFollowUp.id));
+                }
+                formData.append('conversation', JSON.stringify([
+                    ...followUpThread.turns,
+                    { role: 'candidate', text: answerPayload, follow_up_index: followUpThread.answered },
+                ]));
+            }
+
+            // The video follows in the background upload queue; the answer only carries its upload id.
+            let videoUpload = null;
             if (isSpeechQuestion && effectiveRecording?.videoBlob) {
-                const extension = effectiveRecording.videoBlob.type === 'video/mp4' ? 'mp4' : 'webm';
-                formData.append('response_video', effectiveRecording.videoBlob, `session-${sessionId}-q${questionNumber}.${extension}`);
+                videoUpload = createVideoUploadEntry({
+                    sessionId,
+                    questionNumber,
+                    blob: effectiveRecording.videoBlob,
+                    metadata: {
+                        ...buildCaptureMetadata(
+                            effectiveRecording.captureProfile || captureProfileId,
+                            effectiveRecording.captureMeasurement,
+                        ),
+                        attempt: effectiveRecording.attempt ?? null,
+                        ...(activeFollowUp ? { follow_up_index: followUpThread.answered } : {}),
+                    },
+                });
+                formData.append('video_upload_id', videoUpload.id);
+                formData.append('video_size', String(videoUpload.size));
+                formData.append('video_mime_type', videoUpload.mimeType);
+            }
+            if (!isSystemDesignQuestion) {
+                formData.append('speech_language', recognitionLanguage);
+                formData.append('answer_input_mode', typedAnswerReason ? 'typed' : 'speech');
+            }
+            if (effectiveRecording?.speakingMetrics) {
+                formData.append('speaking_metrics', JSON.stringify(effectiveRecording.speakingMetrics));
+            }
+            if (isSpeechQuestion && effectiveRecording?.videoMetrics) {
+                formData.append('video_metrics', JSON.stringify(effectiveRecording.videoMetrics));
+            }
+            if (isSpeechQuestion && effectiveRecording?.attempt != null) {
+                formData.append('selected_attempt', String(effectiveRecording.attempt));
+                const attempts = recordingHistory.some((entry) => entry.attempt === effectiveRecording.attempt)
+                    ? recordingHistory
+                    : [...recordingHistory, effectiveRecording];
+                formData.append('recording_attempts', JSON.stringify(summarizeAttempts(attempts, effectiveRecording.attempt)));
             }
             
-            await postAnswer(formData);
+            await postAnswer(formData, answerPayload, videoUpload);
         } catch (error) {
             console.error('Error submitting answer:', error);
             const message = error?.response?.data?.detail && !/^\d{3}/.test(error.response.data.detail)
@@ -998,6 +1665,138 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
         }
     };
 
+    // Freeze the question deadline; returns the time that was left (null when no timer ran).
+    const freezeQuestionTimer = () => {
+        const remainingMs = timerDeadlineRef.current ? Math.max(0, timerDeadlineRef.current - Date.now()) : null;
+        timerDeadlineRef.current = null;
+        return remainingMs;
+    };
+
+    const thawQuestionTimer = (remainingMs) => {
+        if (remainingMs == null) {
+            return;
+        }
+        timerDeadlineRef.current = Date.now() + remainingMs;
+        setTimeRemaining(Math.ceil(remainingMs / 1000));
+        setTimerResetToken((token) => token + 1);
+    };
+
+    const handlePause = () => {
+        if (!canPause) {
+            return;
+        }
+        cancelInterviewerSpeechRef.current?.();
+        setPauseState({ startedAt: Date.now(), remainingMs: freezeQuestionTimer() });
+        setPausesUsed((count) => count + 1);
+    };
+
+    const handleResume = () => {
+        if (!pauseState) {
+            return;
+        }
+        reviewEventsRef.current = [
+            ...reviewEventsRef.current,
+            createReviewEvent('pause', questionNumber, { durationMs: Date.now() - pauseState.startedAt }),
+        ];
+        thawQuestionTimer(pauseState.remainingMs);
+        setPauseState(null);
+    };
+    const handleResumeRef = useRef(handleResume);
+    handleResumeRef.current = handleResume;
+
+    const handleToggleFlag = () => {
+        if (!canFlag) {
+            return;
+        }
+        reviewEventsRef.current = [
+            ...reviewEventsRef.current,
+            createReviewEvent(isCurrentFlagged ? 'unflag' : 'flag', questionNumber),
+        ];
+        setIsCurrentFlagged((flagged) => !flagged);
+    };
+
+    const handleSkipQuestion = async () => {
+        if (!canSkip) {
+            return;
+        }
+        if (!window.confirm('Skip this question? It will be recorded as skipped and scored as unanswered.')) {
+            return;
+        }
+        if (isRecordingActive) {
+            await handleStopRecording();
+        }
+        const frozenMs = freezeQuestionTimer();
+        const isCurrentQuestionFinal = isFinalQuestion;
+        const skipEvent = createReviewEvent('skip', questionNumber);
+        reviewEventsRef.current = [...reviewEventsRef.current, skipEvent];
+        setAnswerError('');
+        setIsLoading(true);
+        setIsAnalyzingFinal(isCurrentQuestionFinal);
+        try {
+            const formData = new FormData();
+            formData.append('answer', '');
+            formData.append('answer_status', 'skipped');
+            if (question?.id != null) {
+                formData.append('question_id', String(question.id));
+            }
+            if (question?.type) {
+                formData.append('question_type', question.type);
+            }
+            if (isCurrentQuestionFinal) {
+                formData.append('is_final', 'true');
+            }
+            setSkipsUsed((count) => count + 1);
+            await postAnswer(formData, '');
+        } catch (error) {
+            console.error('Error skipping question:', error);
+            setSkipsUsed((count) => Math.max(0, count - 1));
+            reviewEventsRef.current = reviewEventsRef.current.filter((event) => event !== skipEvent);
+            setAnswerError('Failed to skip the question. Please try again.');
+            setIsAnalyzingFinal(false);
+            thawQuestionTimer(frozenMs);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleReviseFlaggedAnswer = async (item, revisedAnswer) => {
+        const formData = new FormData();
+        formData.append('answer', revisedAnswer);
+        if (item.kind === 'coding') {
+            formData.append('code', revisedAnswer);
+        }
+        formData.append('review_events', JSON.stringify([createReviewEvent('revise', item.questionNumber)]));
+        await reviseInterviewAnswer(sessionId, item.questionNumber, formData);
+        setFlaggedAnswers((previous) => previous.map((entry) => (
+            entry.questionNumber === item.questionNumber
+                ? { ...entry, answer: revisedAnswer, skipped: false, revised: true }
+                : entry
+        )));
+    };
+
+    const handleFinishReview = () => {
+        setIsReviewOpen(false);
+        setHasReviewedFlags(true);
+        thawQuestionTimer(reviewFrozenMsRef.current);
+        reviewFrozenMsRef.current = null;
+    };
+
+    const handleContinueAfterPractice = () => {
+        const pending = practiceResult?.response;
+        setPracticeResult(null);
+        if (!pending) {
+            return;
+        }
+        if (pending.completed) {
+            setIsAnalyzingFinal(true);
+        }
+        applyAnswerResponse(pending);
+    };
+
+    const handleRevealHint = () => {
+        setRevealedHintCount((count) => Math.min(count + 1, practiceHints.length));
+    };
+
     // Keep ref updated for auto-submit timer
     handleSubmitAnswerRef.current = handleSubmitAnswer;
 
@@ -1028,6 +1827,13 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
             const formData = new FormData();
             formData.append('answer', submission.stdout || submission.code);
             formData.append('code', submission.code);
+            if (submission.timeline) {
+                formData.append('code_timeline', JSON.stringify(submission.timeline));
+            }
+            if (Array.isArray(submission.files) && submission.files.length > 1) {
+                formData.append('files', JSON.stringify(submission.files));
+                formData.append('entry_file', submission.entryFile);
+            }
             if (submission.stdin) {
                 formData.append('stdin', submission.stdin);
             }
@@ -1042,6 +1848,21 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
             }
             formData.append('execution_success', submission.success ? 'true' : 'false');
             formData.append('has_run', submission.hasRun ? 'true' : 'false');
+            if (submission.language) {
+                formData.append('language', submission.language);
+            }
+            // Advisory only: the backend judges the hidden cases itself on submit.
+            if (Array.isArray(submission.testResults)) {
+                formData.append('sample_test_results', JSON.stringify(submission.testResults));
+                formData.append('sample_tests_passed', String(submission.testSummary?.passed ?? 0));
+                formData.append('sample_tests_total', String(submission.testSummary?.total ?? submission.testResults.length));
+            }
+            if (submission.sqlResult) {
+                formData.append('sql_result', JSON.stringify(submission.sqlResult));
+            }
+            if (submission.sqlComparison) {
+                formData.append('sql_result_matches', submission.sqlComparison.matches ? 'true' : 'false');
+            }
             if (question?.id != null) {
                 formData.append('question_id', String(question.id));
             }
@@ -1052,7 +1873,7 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
                 formData.append('is_final', 'true');
             }
             // No video capture for coding questions - only for speech-based
-            await postAnswer(formData);
+            await postAnswer(formData, submission.code);
         } catch (error) {
             console.error('Error submitting code answer:', error);
             const message = error?.response?.data?.detail && !/^\d{3}/.test(error.response.data.detail)
@@ -1082,11 +1903,17 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
     };
 
     const rawSkills = question?.raw?.mandatory_skills ?? keySkills;
-    const skillList = Array.isArray(rawSkills)
-        ? rawSkills
-        : typeof rawSkills === 'string'
-            ? rawSkills.split(',').map(skill => skill.trim()).filter(Boolean)
-            : (Array.isArray(keySkills) ? keySkills : []);
+    const skillList = useMemo(() => (
+        Array.isArray(rawSkills)
+            ? rawSkills
+            : typeof rawSkills === 'string'
+                ? rawSkills.split(',').map(skill => skill.trim()).filter(Boolean)
+                : (Array.isArray(keySkills) ? keySkills : [])
+    ), [rawSkills, keySkills]);
+    const speechVocabulary = useMemo(() => buildVocabulary(skillList), [skillList]);
+    useEffect(() => {
+        speechVocabularyRef.current = speechVocabulary;
+    }, [speechVocabulary]);
     const columnsClass = isCodingQuestion
         ? "interview-columns interview-columns--split"
         : "interview-columns interview-columns--stack";
@@ -1105,6 +1932,59 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
         return typeof maxQuestions === 'number' ? questionNumber >= maxQuestions : false;
     }, [maxQuestions, questionNumber]);
 
+    const pausesLeft = Math.max(0, interviewPolicies.max_pauses - pausesUsed);
+    const skipsLeft = Math.max(0, interviewPolicies.max_skips - skipsUsed);
+    const canPause = !isPractice && pausesLeft > 0 && !pauseState && !isRecordingActive && !isLoading;
+    const canSkip = interviewPolicies.allow_skip && skipsLeft > 0 && !followUpThread && !isLoading;
+    const canFlag = interviewPolicies.allow_flag && !isFinalQuestion && !followUpThread;
+    const isAwaitingFlagReview = isFinalQuestion && flaggedAnswers.length > 0 && !hasReviewedFlags;
+
+    useEffect(() => {
+        let cancelled = false;
+        fetchInterviewPolicies()
+            .then(({ data }) => {
+                if (!cancelled) {
+                    setInterviewPolicies(normalizeInterviewPolicies(data));
+                }
+            })
+            .catch((error) => {
+                console.warn('Interview policies unavailable; using defaults.', error);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    // A pause ends by itself once the policy's maximum pause length runs out.
+    useEffect(() => {
+        if (!pauseState) {
+            setPauseSecondsLeft(null);
+            return undefined;
+        }
+        const limitMs = interviewPolicies.max_pause_seconds * 1000;
+        const tick = () => {
+            const leftMs = pauseState.startedAt + limitMs - Date.now();
+            if (leftMs <= 0) {
+                handleResumeRef.current();
+                return;
+            }
+            setPauseSecondsLeft(Math.ceil(leftMs / 1000));
+        };
+        tick();
+        const interval = setInterval(tick, 1000);
+        return () => clearInterval(interval);
+    }, [pauseState, interviewPolicies.max_pause_seconds]);
+
+    // Flagged answers are reviewed once, right before the final question.
+    useEffect(() => {
+        if (!isAwaitingFlagReview || !hasInterviewStarted || isComplete || isReviewOpen) {
+            return;
+        }
+        cancelInterviewerSpeechRef.current?.();
+        reviewFrozenMsRef.current = freezeQuestionTimer();
+        setIsReviewOpen(true);
+    }, [isAwaitingFlagReview, hasInterviewStarted, isComplete, isReviewOpen]); // eslint-disable-line react-hooks/exhaustive-deps
+
     const renderQuestionText = (rawText) => {
         const sourceText = typeof rawText === 'string' && rawText.trim().length > 0
             ? rawText.replace(/\n/g, '\n')
@@ -1166,13 +2046,11 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
 
     // Show video panel for all speech-based questions (pre-interview or during answers)
     const shouldShowVideoPanel = useMemo(() => {
-        if (isCodingQuestion || isSystemDesignQuestion) {
+        if (isPractice || isCodingQuestion || isSystemDesignQuestion) {
             return false;
         }
         return true;
-    }, [isCodingQuestion, isSystemDesignQuestion]);
-
-    const hasRemainingRecordingAttempts = recordingAttempts < MAX_RECORDING_ATTEMPTS;
+    }, [isPractice, isCodingQuestion, isSystemDesignQuestion]);
 
     const handleVideoReady = useCallback(() => {
         setVideoReady(true);
@@ -1189,23 +2067,168 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
         setVideoStatus(status);
     }, []);
 
-    const handleFaceDetected = useCallback((detected) => {
+    const handleFaceDetected = useCallback((detected, faceCount = detected ? 1 : 0) => {
         setFaceDetected(detected);
+        integrityMonitorRef.current.observeFaces(faceCount);
     }, []);
 
+    useEffect(() => {
+        if (!isVoiceSupported) {
+            return undefined;
+        }
+        const refreshVoices = () => setInterviewerVoices(listVoices(recognitionLanguage));
+        refreshVoices();
+        window.speechSynthesis.addEventListener('voiceschanged', refreshVoices);
+        return () => window.speechSynthesis.removeEventListener('voiceschanged', refreshVoices);
+    }, [isVoiceSupported, recognitionLanguage]);
+
+    const speakAsInterviewer = useCallback((segments) => {
+        cancelInterviewerSpeechRef.current?.();
+        cancelInterviewerSpeechRef.current = null;
+        const lines = segments.filter(Boolean);
+        if (!isVoiceSupported || !voicePreferences.enabled || !lines.length) {
+            return;
+        }
+        setIsInterviewerSpeaking(true);
+        const cancel = speakSegments(lines, {
+            voiceURI: voicePreferences.voiceURI,
+            rate: voicePreferences.rate,
+            lang: recognitionLanguage,
+            onCaption: setInterviewerCaption,
+            onEnd: () => {
+                if (cancelInterviewerSpeechRef.current === cancel) {
+                    cancelInterviewerSpeechRef.current = null;
+                }
+                setIsInterviewerSpeaking(false);
+            },
+        });
+        cancelInterviewerSpeechRef.current = cancel;
+    }, [isVoiceSupported, voicePreferences, recognitionLanguage]);
+
+    const speakAsInterviewerRef = useRef(speakAsInterviewer);
+    speakAsInterviewerRef.current = speakAsInterviewer;
+
+    // Read each new question aloud (after the previous answer's acknowledgment).
+    // The final question waits until any flagged answers have been reviewed.
+    useEffect(() => {
+        if (!hasInterviewStarted || isComplete || !question?.text || isAwaitingFlagReview) {
+            return;
+        }
+        const acknowledgment = pendingAcknowledgmentRef.current;
+        pendingAcknowledgmentRef.current = null;
+        speakAsInterviewerRef.current([acknowledgment, question.text]);
+    }, [question, hasInterviewStarted, isComplete, isAwaitingFlagReview]);
+
+    useEffect(() => {
+        if (isComplete) {
+            cancelInterviewerSpeechRef.current?.();
+        }
+    }, [isComplete]);
+
+    useEffect(() => () => {
+        cancelInterviewerSpeechRef.current?.();
+    }, []);
+
+    const handleVoicePreferencesChange = useCallback((next) => {
+        setVoicePreferences(next);
+        saveVoicePreferences(next);
+        if (!next.enabled) {
+            cancelInterviewerSpeechRef.current?.();
+        }
+    }, []);
+
+    const interviewerAvatarProps = {
+        isSpeaking: isInterviewerSpeaking,
+        caption: interviewerCaption,
+        preferences: voicePreferences,
+        voices: interviewerVoices,
+        isSupported: isVoiceSupported,
+        onPreferencesChange: handleVoicePreferencesChange,
+        onReplay: () => speakAsInterviewer([question?.text]),
+        onSkip: () => cancelInterviewerSpeechRef.current?.(),
+    };
+    // Speech answers can't be recorded (and their timer can't start) until the question has been read out.
+    const isWaitingForInterviewer = isSpeechQuestion && isInterviewerSpeaking;
+
+    // Integrity signals are only collected between the first question and completion.
+    const isIntegrityMonitoring = hasInterviewStarted && !isComplete && !isPractice;
+
+    useEffect(() => {
+        integrityMonitorRef.current.setQuestion(isIntegrityMonitoring ? questionNumber : null);
+    }, [isIntegrityMonitoring, questionNumber]);
+
+    useEffect(() => {
+        if (!isIntegrityMonitoring) {
+            return undefined;
+        }
+        const monitor = integrityMonitorRef.current;
+        let blurredAt = null;
+        let hiddenAt = null;
+        let wasFullscreen = Boolean(document.fullscreenElement);
+
+        const handlePaste = (event) => {
+            const text = event.clipboardData?.getData('text') || '';
+            if (text.length < LARGE_PASTE_CHARS) {
+                return;
+            }
+            const target = event.target instanceof Element ? event.target : null;
+            let source = 'other';
+            if (target?.closest('.monaco-editor')) {
+                source = 'code_editor';
+            } else if (target?.closest('.saved-recording-transcript')) {
+                source = 'transcript';
+            } else if (target && (target.tagName === 'TEXTAREA' || target.tagName === 'INPUT' || target.isContentEditable)) {
+                source = 'text_input';
+            }
+            monitor.record('paste', { chars: text.length, source });
+        };
+        const handleBlur = () => {
+            blurredAt = Date.now();
+            monitor.record('window_blur');
+        };
+        const handleFocus = () => {
+            monitor.record('window_focus', blurredAt != null ? { awayMs: Date.now() - blurredAt } : {});
+            blurredAt = null;
+        };
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') {
+                hiddenAt = Date.now();
+                monitor.record('tab_hidden');
+            } else {
+                monitor.record('tab_visible', hiddenAt != null ? { hiddenMs: Date.now() - hiddenAt } : {});
+                hiddenAt = null;
+            }
+        };
+        const handleFullscreenChange = () => {
+            const isFullscreen = Boolean(document.fullscreenElement);
+            if (wasFullscreen && !isFullscreen) {
+                monitor.record('fullscreen_exit');
+            }
+            wasFullscreen = isFullscreen;
+        };
+
+        // Capture phase so editors that stop propagation (Monaco) still report pastes.
+        document.addEventListener('paste', handlePaste, true);
+        window.addEventListener('blur', handleBlur);
+        window.addEventListener('focus', handleFocus);
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        document.addEventListener('fullscreenchange', handleFullscreenChange);
+        return () => {
+            document.removeEventListener('paste', handlePaste, true);
+            window.removeEventListener('blur', handleBlur);
+            window.removeEventListener('focus', handleFocus);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            document.removeEventListener('fullscreenchange', handleFullscreenChange);
+        };
+    }, [isIntegrityMonitoring]);
+
     const handleTranscriptEdit = useCallback((event) => {
         const newTranscript = event.currentTarget.innerText;
-        setSavedRecording((previous) => {
-            if (!previous) {
-                return previous;
-            }
-            return {
-                ...previous,
-                transcript: newTranscript,
-            };
-        });
+        setRecordingHistory((previous) => previous.map((entry) => (
+            entry.attempt === selectedAttempt ? { ...entry, transcript: newTranscript } : entry
+        )));
         setAnswer(newTranscript);
-    }, []);
+    }, [selectedAttempt]);
 
 
     // Video recording is now manually controlled via handleStartRecording/handleStopRecording
@@ -1221,7 +2244,10 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
             return;
         }
         try {
-            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            const microphoneId = selectedDevices?.microphoneId;
+            const stream = await navigator.mediaDevices.getUserMedia({
+                audio: microphoneId ? { deviceId: { ideal: microphoneId } } : true,
+            });
             audioStreamRef.current = stream;
             setMicrophoneReady(true);
             setMicrophoneError(null);
@@ -1230,7 +2256,7 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
             setMicrophoneReady(false);
             setMicrophoneError(error);
         }
-    }, []);
+    }, [selectedDevices?.microphoneId]);
 
     useEffect(() => {
         if (!requiresMicrophone) {
@@ -1317,8 +2343,11 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
     }, [videoReady, videoError, requiresMicrophone, microphoneReady, microphoneError]);
 
     const showAnalyzingOverlay = isAnalyzingFinal && !isComplete;
-    const canStartInterview = videoReady && microphoneReady && faceDetected;
-    const deviceWarning = !videoReady
+    // Practice sessions record no video, so only the microphone gates the start.
+    const canStartInterview = isPractice ? microphoneReady : videoReady && microphoneReady && faceDetected;
+    const deviceWarning = isPractice
+        ? (microphoneReady ? '' : 'Please allow microphone access to continue')
+        : !videoReady
         ? 'Please allow camera access to continue'
         : !microphoneReady
             ? 'Please allow microphone access to continue'
@@ -1393,6 +2422,11 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
             return;
         }
 
+        // Let the interviewer controls inside the panel receive clicks.
+        if (event.target instanceof Element && event.target.closest('button, select, input, label')) {
+            return;
+        }
+
         const panelRect = floatingPanelRef.current?.getBoundingClientRect();
         if (!panelRect) {
             return;
@@ -1461,6 +2495,39 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
         />
     );
 
+    if (isResuming) {
+        return (
+            <div className="interview-screen">
+                <div className="ai-overlay" role="status" aria-live="polite">
+                    <div className="ai-overlay__content">
+                        <div className="ai-overlay__spinner" />
+                        <p className="ai-overlay__text">Restoring your interview…</p>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    if (resumeFailedQuestion !== null) {
+        return (
+            <div className="interview-screen">
+                <div className="ai-overlay" role="alert">
+                    <div className="ai-overlay__content">
+                        <div className="ai-overlay__text-group">
+                            <p className="ai-overlay__heading">Couldn’t load question {resumeFailedQuestion}</p>
+                            <p className="ai-overlay__text">
+                                Your previous answers are saved. Check your connection and reload to continue.
+                            </p>
+                        </div>
+                        <button type="button" className="start-answering-button" onClick={() => window.location.reload()}>
+                            Reload
+                        </button>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
     if (isComplete) {
         if (showFeedback && canViewFeedback) {
             return (
@@ -1489,12 +2556,14 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
                 <SessionCompleted
                     key="session-completed"
                     status={feedbackStatus}
+                    progress={feedbackProgress}
                     errorMessage={feedbackError}
                     isNoAnsweredQuestions={isNoAnsweredQuestions}
                     onRetry={handleRegenerateFeedback}
                     onGetFeedback={handleViewFeedback}
                     canViewFeedback={canViewFeedback}
                 />
+                <VideoUploadStatus uploads={videoUploads} onRetry={retryVideoUpload} />
                 {ratingModal}
             </div>
         );
@@ -1508,11 +2577,38 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
                         <div className="ai-overlay__spinner" />
                         <div className="ai-overlay__text-group">
                             <p className="ai-overlay__heading">Thanks for completing the interview!</p>
-                            <p className="ai-overlay__text">Please wait while the AI reviews your responses and generates personalized feedback for you</p>
+                            <p className="ai-overlay__text">
+                                {isFinishingUploads
+                                    ? 'Uploading your answer videos. Please keep this tab open until they finish'
+                                    : 'Please wait while the AI reviews your responses and generates personalized feedback for you'}
+                            </p>
                         </div>
                     </div>
                 </div>
             )}
+            {pauseState && (
+                <div className="ai-overlay" role="dialog" aria-modal="true" aria-labelledby="interview-paused-heading">
+                    <div className="ai-overlay__content ai-overlay__content--final">
+                        <div className="ai-overlay__text-group">
+                            <p className="ai-overlay__heading" id="interview-paused-heading">Interview paused</p>
+                            <p className="ai-overlay__text">
+                                Your timer is frozen. The interview resumes automatically
+                                {pauseSecondsLeft != null ? ` in ${formatTime(pauseSecondsLeft)}` : ''}.
+                            </p>
+                        </div>
+                        <button type="button" className="start-answering-button" onClick={handleResume}>
+                            Resume
+                        </button>
+                    </div>
+                </div>
+            )}
+            {isReviewOpen && (
+                <FlagReviewScreen
+                    items={flaggedAnswers}
+                    onSave={handleReviseFlaggedAnswer}
+                    onDone={handleFinishReview}
+                />
+            )}
             <div className={isCodingQuestion ? "interview-content interview-content--split" : "interview-content"}>
                 <div className="interview-header">
                     <div className="header-item">
@@ -1536,6 +2632,9 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
                             <span className="header-value">{formattedIndustry}</span>
                         </div>
                     </div>
+                    {isPractice && (
+                        <span className="practice-badge" title="Untimed practice — not ranked">Practice</span>
+                    )}
                     {/* Question Timer */}
                     {!isPreInterview && timeRemaining !== null && (
                         <div className={`question-timer ${timeRemaining <= 30 ? 'question-timer--warning' : ''} ${timeRemaining <= 10 ? 'question-timer--critical' : ''}`}>
@@ -1558,7 +2657,7 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
                 </div>
 
                 {/* Show video panel for speech-based questions or during pre-interview */}
-                {(isPreInterview || shouldShowVideoPanel) && (
+                {!isPractice && (isPreInterview || shouldShowVideoPanel) && (
                     <div
                         className={videoPanelClasses.join(' ')}
                         aria-live="polite"
@@ -1566,6 +2665,7 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
                         onPointerDown={handleFloatingPanelPointerDown}
                         ref={!isPreInterview ? floatingPanelRef : undefined}
                     >
+                        {!isPreInterview && <InterviewerAvatar {...interviewerAvatarProps} />}
                         {isPreInterview && (
                             <div className="video-panel__header video-panel__header--compact">
                                 <span className={`video-status-tag video-status-tag--${videoStatus}`}>
@@ -1579,9 +2679,25 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
                             onError={handleVideoError}
                             onStatusChange={handleVideoStatusChange}
                             onFaceDetected={handleFaceDetected}
+                            deviceId={selectedDevices?.cameraId}
+                            microphoneId={selectedDevices?.microphoneId}
+                            captureProfile={captureProfileId}
                             muted
                             showStatusText={false}
                         />
+                        <p className="video-panel__hint video-panel__hint--quality">
+                            {activeCaptureProfile.label} · about {formatBytesPerMinute(estimateBytesPerMinute(activeCaptureProfile, captureCalibration))}
+                            {savedRecording?.captureMeasurement && (
+                                <> · last take {formatBytesPerMinute(savedRecording.captureMeasurement.bytesPerMinute)}</>
+                            )}
+                            {captureProfileId !== preferredCaptureProfile && (
+                                <span className="video-panel__quality-note">
+                                    {bandwidthCaptureCap === captureProfileId
+                                        ? 'Lowered for your upload speed'
+                                        : `Lowered to keep answers under ${formatBytes(QUESTION_VIDEO_BUDGET_BYTES)}`}
+                                </span>
+                            )}
+                        </p>
                         {isRecordingActive && !faceDetected && (
                             <p className="video-panel__warning" role="alert">
                                 Face not detected. Please stay in frame — this may impact your feedback score.
@@ -1590,6 +2706,7 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
                         {isVideoUploading && (
                             <p className="video-panel__hint">Uploading your response video…</p>
                         )}
+                        <VideoUploadStatus uploads={videoUploads} onRetry={retryVideoUpload} compact />
                         {videoError && (
                             <p className="video-panel__error" role="alert">Camera access failed. Please allow camera permissions and refresh.</p>
                         )}
@@ -1614,6 +2731,7 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
                     <div className={questionColumnClass}>
                         {!shouldHideQuestionContent && (
                             <>
+                                {!shouldShowVideoPanel && <InterviewerAvatar {...interviewerAvatarProps} compact />}
                                 {renderSkillsSection(isCodingQuestion)}
 
                                 <div className={questionCardClasses.join(' ')}>
@@ -1624,15 +2742,83 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
                                             Note : Create your own tables, insert your own records, and perform the necessary operations to solve this query.
                                         </p>
                                     ) : null}
+                                    {practiceHints.length > 0 && (
+                                        <div className="practice-hints">
+                                            {revealedHintCount > 0 && (
+                                                <ol className="practice-hints__list">
+                                                    {practiceHints.slice(0, revealedHintCount).map((hint, index) => (
+                                                        <li key={index}>{hint}</li>
+                                                    ))}
+                                                </ol>
+                                            )}
+                                            {revealedHintCount < practiceHints.length && !practiceResult && (
+                                                <button type="button" className="practice-hints__button" onClick={handleRevealHint}>
+                                                    {revealedHintCount === 0 ? 'Show a hint' : 'Show another hint'}
+                                                    {` (${practiceHints.length - revealedHintCount} left)`}
+                                                </button>
+                                            )}
+                                        </div>
+                                    )}
                                 </div>
+                                {!practiceResult && (canPause || canSkip || canFlag || isCurrentFlagged) && (
+                                    <div className="interview-controls" role="group" aria-label="Question controls">
+                                        {!isPractice && interviewPolicies.max_pauses > 0 && (
+                                            <button type="button" onClick={handlePause} disabled={!canPause}>
+                                                Pause ({pausesLeft} left)
+                                            </button>
+                                        )}
+                                        {interviewPolicies.allow_skip && interviewPolicies.max_skips > 0 && (
+                                            <button type="button" onClick={handleSkipQuestion} disabled={!canSkip}>
+                                                Skip ({skipsLeft} left)
+                                            </button>
+                                        )}
+                                        {canFlag && (
+                                            <button
+                                                type="button"
+                                                className={isCurrentFlagged ? 'is-active' : ''}
+                                                onClick={handleToggleFlag}
+                                                aria-pressed={isCurrentFlagged}
+                                            >
+                                                {isCurrentFlagged ? 'Flagged for review' : 'Flag for review'}
+                                            </button>
+                                        )}
+                                    </div>
+                                )}
+                                {followUpThread && (
+                                    <ol className="follow-up-thread" aria-label="Follow-up questions">
+                                        {followUpThread.turns.slice(1).map((turn, index) => {
+                                            const isActivePrompt = index === followUpThread.turns.length - 2;
+                                            return (
+                                                <li
+                                                    key={index}
+                                                    className={`follow-up-thread__turn follow-up-thread__turn--${turn.role}${isActivePrompt ? ' is-active' : ''}`}
+                                                >
+                                                    <span className="follow-up-thread__label">
+                                                        {turn.role === 'interviewer'
+                                                            ? `Follow-up ${turn.follow_up_index + 1}`
+                                                            : 'Your answer'}
+                                                    </span>
+                                                    <p>{turn.text || 'No transcript captured.'}</p>
+                                                </li>
+                                            );
+                                        })}
+                                    </ol>
+                                )}
                             </>
                         )}
                     </div>
 
-                    {isCodingQuestion ? (
+                    {practiceResult ? (
+                        <PracticeFeedbackPanel
+                            feedback={practiceResult.feedback}
+                            isCoding={isCodingQuestion}
+                            isLastQuestion={Boolean(practiceResult.response?.completed)}
+                            onContinue={handleContinueAfterPractice}
+                        />
+                    ) : isCodingQuestion ? (
                         <div className="coding-column coding-column--workspace">
                             <CodingWorkspace
-                                key={`${sessionId}-${question?.id ?? questionNumber}`}
+                                key={`${sessionId}-${question?.id ?? questionNumber}-${restoreToken}`}
                                 onSubmit={handleSubmitCoding}
                                 isSubmitting={isLoading}
                                 initialCode={codingInitialCode}
@@ -1640,6 +2826,11 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
                                 supportedLanguages={codingSupportedLanguages}
                                 addToast={addToast}
                                 enforceSqlOnly={isSqlQuestion}
+                                initialDraft={codingInitialDraft?.questionNumber === questionNumber ? codingInitialDraft.draft : null}
+                                onDraftChange={handleCodingDraftChange}
+                                testCases={codingTestCases}
+                                harness={codingHarness}
+                                sqlSandbox={codingSqlSandbox}
                             />
                         </div>
                     ) : isSystemDesignQuestion ? (
@@ -1677,7 +2868,9 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
                             {!savedRecording && !isRecordingActive && (
                                 <div className="recording-prompt">
                                     <p className="recording-prompt-text">
-                                        Click "Start Recording" to record your answer with video and audio.
+                                        {isWaitingForInterviewer
+                                            ? 'Listen to the question. Recording unlocks when the interviewer finishes speaking.'
+                                            : 'Click "Start Recording" to record your answer with video and audio.'}
                                     </p>
                                 </div>
                             )}
@@ -1688,11 +2881,45 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
                                         <div className="recording-pulse"></div>
                                         <span className="recording-status-text">Recording</span>
                                     </div>
-                                    <div className="answer-preview">
-                                        <div className="answer-preview-content">
-                                            {answer || 'Speak to see your transcript here...'}
+                                    {speakingMeter && !typedAnswerReason && (
+                                        <div className="speaking-meter">
+                                            <span className={`speaking-meter__pace speaking-meter__pace--${describePace(speakingMeter.wordsPerMinute) || 'idle'}`}>
+                                                {speakingMeter.wordsPerMinute || '—'} wpm
+                                            </span>
+                                            <span>{speakingMeter.fillerCount} filler{speakingMeter.fillerCount === 1 ? '' : 's'}</span>
+                                            <span>{speakingMeter.longPauseCount} long pause{speakingMeter.longPauseCount === 1 ? '' : 's'}</span>
+                                            {speakingMeter.repetitionCount > 0 && (
+                                                <span>{speakingMeter.repetitionCount} repeat{speakingMeter.repetitionCount === 1 ? '' : 's'}</span>
+                                            )}
+                                            <span>Talk time {formatTime(Math.round(speakingMeter.talkTimeMs / 1000))}</span>
+                                            {speakingMeter.timeUsedRatio != null && (
+                                                <span className="speaking-meter__time" aria-hidden="true">
+                                                    <span style={{ width: `${Math.min(speakingMeter.timeUsedRatio, 1) * 100}%` }} />
+                                                </span>
+                                            )}
                                         </div>
-                                    </div>
+                                    )}
+                                    {typedAnswerReason ? (
+                                        <>
+                                            <p className="typed-answer-note" role="note">
+                                                {TYPED_ANSWER_MESSAGES[typedAnswerReason]}
+                                            </p>
+                                            <textarea
+                                                className="typed-answer-input"
+                                                ref={answerInputRef}
+                                                value={answer}
+                                                onChange={(event) => setAnswer(event.target.value)}
+                                                placeholder="Type your answer here..."
+                                                aria-label="Type your answer"
+                                            />
+                                        </>
+                                    ) : (
+                                        <div className="answer-preview">
+                                            <div className="answer-preview-content">
+                                                {answer || 'Speak to see your transcript here...'}
+                                            </div>
+                                        </div>
+                                    )}
                                     {audioTrackStatus === 'muted' && (
                                         <p className="recording-audio-warning" role="alert">
                                             Microphone is muted. Please unmute to record audio.
@@ -1706,19 +2933,21 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
                                 </div>
                             )}
 
+                            {recordingHistory.length > 1 && !isRecordingActive && (
+                                <RecordingAttempts
+                                    attempts={recordingHistory}
+                                    selectedAttempt={selectedAttempt}
+                                    onSelect={handleSelectAttempt}
+                                    disabled={isLoading || isVideoUploading}
+                                />
+                            )}
+
                             {savedRecording && !isRecordingActive && (
                                 <div className="saved-recording-preview">
                                     <div className="saved-recording-header">
-                                        <span className="saved-recording-label">✓ Recording Saved</span>
-                                        <button
-                                            type="button"
-                                            className="delete-recording-button"
-                                            onClick={handleDeleteRecording}
-                                            title="Delete recording"
-                                            disabled={!hasRemainingRecordingAttempts}
-                                        >
-                                            <FiTrash2 aria-hidden="true" />
-                                        </button>
+                                        <span className="saved-recording-label">
+                                            ✓ {recordingHistory.length > 1 ? `Attempt ${savedRecording.attempt} selected` : 'Recording Saved'}
+                                        </span>
                                     </div>
                                     <div
                                         className="saved-recording-transcript"
@@ -1743,7 +2972,7 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
                                         type="button"
                                         className="start-recording-button"
                                         onClick={handleStartRecording}
-                                        disabled={recordingAttempts >= MAX_RECORDING_ATTEMPTS || isLoading || !faceDetected}
+                                        disabled={recordingAttempts >= MAX_RECORDING_ATTEMPTS || isLoading || !faceDetected || isWaitingForInterviewer}
                                     >
                                         {recordingAttempts === 0 ? 'Start Recording' : 'Start Recording'}
                                     </button>
@@ -1763,7 +2992,7 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
                                     <button
                                         type="button"
                                         className="re-record-button"
-                                        onClick={handleReRecord}
+                                        onClick={handleStartRecording}
                                         disabled={isLoading || !faceDetected}
                                     >
                                         Re-record
@@ -1777,7 +3006,9 @@ export default function InterviewScreen({ interviewData, onInterviewEnd, addToas
                                         onClick={handleSubmitAnswer}
                                         disabled={isLoading || isVideoUploading}
                                     >
-                                        {isLoading || isVideoUploading ? 'Submitting…' : 'Submit Answer'}
+                                        {isLoading || isVideoUploading
+                                            ? 'Submitting…'
+                                            : recordingHistory.length > 1 ? `Submit Attempt ${savedRecording.attempt}` : 'Submit Answer'}
                                     </button>
                                 )}
                             </div>
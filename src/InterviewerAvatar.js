@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { FiRepeat, FiSettings, FiSkipForward, FiVolume2, FiVolumeX } from 'react-icons/fi';
+import { VOICE_RATES } from './interviewerVoice';
+import './InterviewerAvatar.css';
+
+const renderCaption = (caption) => {
+    if (!caption?.sentence) {
+        return null;
+    }
+    const { sentence, charIndex = 0 } = caption;
+    const wordEnd = sentence.slice(charIndex).search(/\s/);
+    const end = wordEnd === -1 ? sentence.length : charIndex + wordEnd;
+    return (
+        <>
+            <span className="interviewer-avatar__spoken">{sentence.slice(0, charIndex)}</span>
+            <mark>{sentence.slice(charIndex, end)}</mark>
+            {sentence.slice(end)}
+        </>
+    );
+};
+
+const InterviewerAvatar = ({
+    isSpeaking,
+    caption,
+    preferences,
+    voices = [],
+    isSupported = true,
+    compact = false,
+    onPreferencesChange,
+    onReplay,
+    onSkip,
+}) => {
+    const [showSettings, setShowSettings] = useState(false);
+
+    if (!isSupported) {
+        return null;
+    }
+
+    const updatePreferences = (changes) => onPreferencesChange?.({ ...preferences, ...changes });
+
+    return (
+        <div className={`interviewer-avatar${compact ? ' interviewer-avatar--compact' : ''}${isSpeaking ? ' is-speaking' : ''}`}>
+            <div className="interviewer-avatar__row">
+                <div className="interviewer-avatar__face" aria-hidden="true">
+                    <span className="interviewer-avatar__eye" />
+                    <span className="interviewer-avatar__eye" />
+                    <span className="interviewer-avatar__mouth" />
+                </div>
+                <div className="interviewer-avatar__body">
+                    <span className="interviewer-avatar__name">
+                        Interviewer{isSpeaking ? ' · speaking' : ''}
+                    </span>
+                    <p className="interviewer-avatar__caption" aria-live="polite">
+                        {preferences.enabled
+                            ? (renderCaption(caption) || 'Captions appear here while the interviewer speaks.')
+                            : 'Voice is off. Turn it on to hear each question.'}
+                    </p>
+                </div>
+                <div className="interviewer-avatar__actions">
+                    {isSpeaking ? (
+                        <button type="button" onClick={onSkip} aria-label="Skip the spoken question" title="Skip">
+                            <FiSkipForward />
+                        </button>
+                    ) : (
+                        <button
+                            type="button"
+                            onClick={onReplay}
+                            disabled={!preferences.enabled}
+                            aria-label="Replay the question"
+                            title="Replay"
+                        >
+                            <FiRepeat />
+                        </button>
+                    )}
+                    <button
+                        type="button"
+                        onClick={() => updatePreferences({ enabled: !preferences.enabled })}
+                        aria-label={preferences.enabled ? 'Turn interviewer voice off' : 'Turn interviewer voice on'}
+                        title={preferences.enabled ? 'Voice on' : 'Voice off'}
+                    >
+                        {preferences.enabled ? <FiVolume2 /> : <FiVolumeX />}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => setShowSettings((prev) => !prev)}
+                        aria-expanded={showSettings}
+                        aria-label="Interviewer voice settings"
+                        title="Voice settings"
+                    >
+                        <FiSettings />
+                    </button>
+                </div>
+            </div>
+            {showSettings && (
+                <div className="interviewer-avatar__settings">
+                    <label>
+                        Voice
+                        <select
+                            value={preferences.voiceURI || ''}
+                            onChange={(event) => updatePreferences({ voiceURI: event.target.value || null })}
+                        >
+                            <option value="">Browser default</option>
+                            {voices.map((voice) => (
+                                <option key={voice.voiceURI} value={voice.voiceURI}>
+                                    {voice.name} ({voice.lang})
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                    <label>
+                        Speed
+                        <select
+                            value={preferences.rate}
+                            onChange={(event) => updatePreferences({ rate: Number(event.target.value) })}
+                        >
+                            {VOICE_RATES.map((rate) => (
+                                <option key={rate} value={rate}>{rate}×</option>
+                            ))}
+                        </select>
+                    </label>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default InterviewerAvatar;
@@ -0,0 +1,58 @@
+import React from 'react';
+import './PracticeFeedbackPanel.css';
+
+const scoreTone = (score) => {
+    if (score == null) return 'neutral';
+    if (score >= 3.5) return 'great';
+    if (score >= 2) return 'average';
+    return 'low';
+};
+
+const PracticeFeedbackPanel = ({ feedback, isCoding = false, isLastQuestion = false, onContinue }) => {
+    if (!feedback) {
+        return null;
+    }
+    const { score, strengths, improvements, modelAnswer } = feedback;
+
+    return (
+        <section className="practice-feedback" aria-live="polite">
+            <header className="practice-feedback__header">
+                <h3>Instant feedback</h3>
+                <span className={`practice-feedback__score practice-feedback__score--${scoreTone(score)}`}>
+                    {score != null ? `${score.toFixed(1)}/5` : 'Not scored'}
+                </span>
+            </header>
+            {strengths.length > 0 && (
+                <div className="practice-feedback__block">
+                    <h4>What worked</h4>
+                    <ul>
+                        {strengths.map((item, index) => <li key={index}>{item}</li>)}
+                    </ul>
+                </div>
+            )}
+            {improvements.length > 0 && (
+                <div className="practice-feedback__block">
+                    <h4>What to improve</h4>
+                    <ul>
+                        {improvements.map((item, index) => <li key={index}>{item}</li>)}
+                    </ul>
+                </div>
+            )}
+            {modelAnswer && (
+                <div className="practice-feedback__block">
+                    <h4>Model answer</h4>
+                    {isCoding ? (
+                        <pre className="practice-feedback__code"><code>{modelAnswer}</code></pre>
+                    ) : (
+                        <p className="practice-feedback__model">{modelAnswer}</p>
+                    )}
+                </div>
+            )}
+            <button type="button" className="practice-feedback__continue" onClick={onContinue}>
+                {isLastQuestion ? 'Finish practice' : 'Next question'}
+            </button>
+        </section>
+    );
+};
+
+export default PracticeFeedbackPanel;
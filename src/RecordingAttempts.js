@@ -0,0 +1,82 @@
+import React, { useEffect, useState } from 'react';
+import { formatAttemptDuration } from './attemptHistory';
+import './RecordingAttempts.css';
+
+const AttemptVideo = ({ blob, attempt }) => {
+    const [url, setUrl] = useState(null);
+
+    useEffect(() => {
+        if (!blob) {
+            setUrl(null);
+            return undefined;
+        }
+        const objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+        return () => URL.revokeObjectURL(objectUrl);
+    }, [blob]);
+
+    if (!url) {
+        return <div className="recording-attempt__video recording-attempt__video--empty">No video for this attempt</div>;
+    }
+    return (
+        <video
+            className="recording-attempt__video"
+            src={url}
+            controls
+            playsInline
+            preload="metadata"
+            aria-label={`Playback of attempt ${attempt}`}
+        />
+    );
+};
+
+/**
+ * Side-by-side playback of every recording attempt on the current question,
+ * with the candidate choosing which one to submit.
+ */
+const RecordingAttempts = ({ attempts, selectedAttempt, onSelect, disabled = false }) => (
+    <div className="recording-attempts">
+        <p className="recording-attempts__intro">
+            Compare your attempts and choose the one to submit. Only the selected attempt is scored.
+        </p>
+        <div className="recording-attempts__grid">
+            {attempts.map((entry) => {
+                const isSelected = entry.attempt === selectedAttempt;
+                const metrics = entry.speakingMetrics;
+                return (
+                    <article
+                        key={`${entry.attempt}-${entry.timestamp}`}
+                        className={`recording-attempt${isSelected ? ' is-selected' : ''}`}
+                    >
+                        <header className="recording-attempt__header">
+                            <h4>Attempt {entry.attempt}</h4>
+                            <span>{formatAttemptDuration(entry.durationMs)}</span>
+                        </header>
+                        <AttemptVideo blob={entry.videoBlob} attempt={entry.attempt} />
+                        {metrics && (
+                            <div className="recording-attempt__stats">
+                                <span>{metrics.wordsPerMinute || '—'} wpm</span>
+                                <span>{metrics.fillerCount} filler{metrics.fillerCount === 1 ? '' : 's'}</span>
+                                <span>{metrics.longPauseCount} long pause{metrics.longPauseCount === 1 ? '' : 's'}</span>
+                            </div>
+                        )}
+                        <p className="recording-attempt__transcript">
+                            {entry.transcript || 'No transcript captured.'}
+                        </p>
+                        <button
+                            type="button"
+                            className="recording-attempt__select"
+                            onClick={() => onSelect(entry.attempt)}
+                            disabled={disabled || isSelected}
+                            aria-pressed={isSelected}
+                        >
+                            {isSelected ? 'Selected' : 'Use this attempt'}
+                        </button>
+                    </article>
+                );
+            })}
+        </div>
+    </div>
+);
+
+export default RecordingAttempts;
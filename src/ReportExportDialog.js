@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from 'react';
+import { FiDownload, FiPrinter, FiX } from 'react-icons/fi';
+import './ReportExportDialog.css';
+
+/**
+ * Lets a student pick which report sections to export, then download them as
+ * a PDF or send them to the browser's print dialog. `sections` are the
+ * available entries from REPORT_SECTIONS; `hasImageText` flags reports whose
+ * text the PDF can only carry as images (see reportHasImageText).
+ */
+const ReportExportDialog = ({ isOpen, sections, hasImageText = false, onDownload, onPrint, onClose }) => {
+    const [selected, setSelected] = useState(() => sections.map((section) => section.id));
+    const [isExporting, setIsExporting] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (isOpen) {
+            setSelected(sections.map((section) => section.id));
+            setError('');
+        }
+    }, [isOpen, sections]);
+
+    if (!isOpen) return null;
+
+    const toggleSection = (id) => {
+        setSelected((prev) => (prev.includes(id) ? prev.filter((entry) => entry !== id) : [...prev, id]));
+    };
+
+    const handleDownload = async () => {
+        setError('');
+        setIsExporting(true);
+        try {
+            await onDownload(selected);
+        } catch (exportError) {
+            console.error('Report export failed:', exportError);
+            setError('We could not create the PDF. Please try again, or use Print instead.');
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const nothingSelected = selected.length === 0;
+
+    return (
+        <div className="report-export-dialog" role="dialog" aria-modal="true" aria-labelledby="report-export-title">
+            <div className="report-export-dialog__backdrop" onClick={onClose} />
+            <div className="report-export-dialog__content">
+                <header className="report-export-dialog__header">
+                    <h2 id="report-export-title">Export report</h2>
+                    <button type="button" className="report-export-dialog__close" onClick={onClose} aria-label="Close">
+                        <FiX />
+                    </button>
+                </header>
+                <p className="report-export-dialog__hint">Choose the sections to include.</p>
+                <fieldset className="report-export-dialog__sections" disabled={isExporting}>
+                    <legend>Sections</legend>
+                    {sections.map((section) => (
+                        <label key={section.id} className="report-export-dialog__option">
+                            <input
+                                type="checkbox"
+                                checked={selected.includes(section.id)}
+                                onChange={() => toggleSection(section.id)}
+                            />
+                            <span>{section.label}</span>
+                        </label>
+                    ))}
+                </fieldset>
+                {hasImageText && (
+                    <p className="report-export-dialog__notice">
+                        Some of this report uses characters the PDF fonts don’t cover. The PDF shows them as
+                        images, so that text can’t be selected or searched; use Print to keep it as text.
+                    </p>
+                )}
+                {error && <p className="report-export-dialog__error" role="alert">{error}</p>}
+                <div className="report-export-dialog__actions">
+                    <button
+                        type="button"
+                        className="report-export-dialog__secondary"
+                        onClick={() => onPrint(selected)}
+                        disabled={nothingSelected || isExporting}
+                    >
+                        <FiPrinter /> Print
+                    </button>
+                    <button
+                        type="button"
+                        className="report-export-dialog__primary"
+                        onClick={handleDownload}
+                        disabled={nothingSelected || isExporting}
+                    >
+                        <FiDownload /> {isExporting ? 'Preparing PDF…' : 'Download PDF'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ReportExportDialog;
@@ -1,7 +1,8 @@
 import React from 'react';
+import FeedbackProgress from './FeedbackProgress';
 import './SessionCompleted.css';
 
-export default function SessionCompleted({ onGetFeedback, status, errorMessage, onRetry, canViewFeedback, isNoAnsweredQuestions }) {
+export default function SessionCompleted({ onGetFeedback, status, progress, errorMessage, onRetry, canViewFeedback, isNoAnsweredQuestions }) {
     const normalizedStatus = status || 'not_requested';
     const isPending = normalizedStatus === 'pending' || normalizedStatus === 'processing';
     const isFailed = normalizedStatus === 'failed';
@@ -12,12 +13,7 @@ export default function SessionCompleted({ onGetFeedback, status, errorMessage,
                 <div className="checkmark-icon">✓</div>
                 <h1>Session Completed!</h1>
                 <p>Your interview has been successfully submitted. Your detailed feedback report is being generated by the AI.</p>
-                {isPending ? (
-                    <div className="session-completed-status" role="status" aria-live="polite">
-                        <div className="session-completed-spinner" aria-hidden="true" />
-                        <p className="session-completed-status-text">Finalizing your results… please wait.</p>
-                    </div>
-                ) : null}
+                {isPending ? <FeedbackProgress progress={progress} /> : null}
                 {isFailed && errorMessage && !isNoAnsweredQuestions ? (
                     <div className="session-completed-error" role="alert">
                         <p>{errorMessage}</p>
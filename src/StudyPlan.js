@@ -0,0 +1,254 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { fetchFeedbackReport } from './api';
+import { parseFeedback } from './FeedbackScreen';
+import { formatDelta } from './compareAttempts';
+import {
+    aggregateWeakSkills,
+    buildStudyPlan,
+    loadStudyPlan,
+    markPlanItemStarted,
+    recentSessionsForPlan,
+    reconcileStudyPlan,
+    saveStudyPlan,
+    sessionsToReconcile,
+    STUDY_PLAN_TARGET_SCORE,
+    summarizeStudyPlan,
+} from './studyPlanner';
+import './StudyPlan.css';
+
+const STATUS_LABELS = {
+    pending: 'To do',
+    started: 'In progress',
+    completed: 'Done',
+};
+
+const formatScore = (score) => (score == null ? '—' : Number(score).toFixed(1));
+
+const formatWeekStart = (value) => {
+    const date = new Date(`${value}T00:00:00`);
+    return Number.isNaN(date.getTime())
+        ? ''
+        : date.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+};
+
+const describeConfig = (config) => [config.jobRole, config.companyName, config.interviewType]
+    .filter(Boolean)
+    .join(' · ');
+
+/**
+ * Dashboard card with the student's study plan: practice interviews targeting
+ * their weakest skills, launched through `onStartPractice(config)` (which
+ * resolves to the started session, if any) and checked off as their reports
+ * come in. `sessions` are the student's completed sessions.
+ */
+const StudyPlan = ({ studentEmail, sessions, onStartPractice, isStarting }) => {
+    const [plan, setPlan] = useState(() => loadStudyPlan(studentEmail));
+    const [isBuilding, setIsBuilding] = useState(false);
+    const [message, setMessage] = useState('');
+    const [startingItemId, setStartingItemId] = useState(null);
+    const planRef = useRef(plan);
+    // Session id -> parsed report; only finished reports are cached.
+    const reportCacheRef = useRef(new Map());
+
+    const updatePlan = useCallback((next) => {
+        planRef.current = next;
+        saveStudyPlan(studentEmail, next);
+        setPlan(next);
+    }, [studentEmail]);
+
+    useEffect(() => {
+        const stored = loadStudyPlan(studentEmail);
+        planRef.current = stored;
+        setPlan(stored);
+    }, [studentEmail]);
+
+    const fetchReportEntries = useCallback(async (targetSessions) => {
+        const entries = await Promise.all(targetSessions.map(async (session) => {
+            const cache = reportCacheRef.current;
+            if (!cache.has(session.session_id)) {
+                try {
+                    const response = await fetchFeedbackReport(session.session_id);
+                    const { structured } = parseFeedback(response.data?.feedback);
+                    if (structured) {
+                        cache.set(session.session_id, structured);
+                    }
+                } catch (error) {
+                    console.warn('Unable to load feedback for study plan:', session.session_id, error);
+                }
+            }
+            const structured = cache.get(session.session_id);
+            return structured ? { session, structured } : null;
+        }));
+        return entries.filter(Boolean);
+    }, []);
+
+    const planId = plan?.id;
+    useEffect(() => {
+        const targets = sessionsToReconcile(planRef.current, sessions);
+        if (!planId || !targets.length) {
+            return undefined;
+        }
+        let cancelled = false;
+        fetchReportEntries(targets).then((entries) => {
+            if (cancelled || !entries.length || planRef.current?.id !== planId) {
+                return;
+            }
+            updatePlan(reconcileStudyPlan(planRef.current, entries));
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [planId, sessions, fetchReportEntries, updatePlan]);
+
+    const handleBuildPlan = async () => {
+        if (plan && !window.confirm('Replace your current study plan with a new one based on your latest reports?')) {
+            return;
+        }
+        setIsBuilding(true);
+        setMessage('');
+        try {
+            const entries = await fetchReportEntries(recentSessionsForPlan(sessions));
+            if (!entries.length) {
+                setMessage('Complete an interview and wait for its feedback report, then build your plan.');
+                return;
+            }
+            const next = buildStudyPlan(aggregateWeakSkills(entries));
+            if (!next) {
+                setMessage(`Every skill in your recent reports is at ${STUDY_PLAN_TARGET_SCORE}/5 or above. Keep it up!`);
+                return;
+            }
+            updatePlan(next);
+        } finally {
+            setIsBuilding(false);
+        }
+    };
+
+    const handleStart = async (item) => {
+        setStartingItemId(item.id);
+        try {
+            const session = await onStartPractice(item.config);
+            if (session?.session_id && planRef.current) {
+                updatePlan(markPlanItemStarted(planRef.current, item.id, session.session_id));
+            }
+        } finally {
+            setStartingItemId(null);
+        }
+    };
+
+    const summary = summarizeStudyPlan(plan);
+
+    return (
+        <section className="study-plan card">
+            <div className="study-plan__header">
+                <div>
+                    <h2>Study Plan</h2>
+                    <p>
+                        Practice interviews aimed at the skills your recent reports rated lowest,
+                        spread over the next few weeks.
+                    </p>
+                </div>
+                <button
+                    type="button"
+                    className="study-plan__build"
+                    onClick={handleBuildPlan}
+                    disabled={isBuilding || !sessions.length}
+                >
+                    {isBuilding ? 'Building…' : plan ? 'Rebuild plan' : 'Build my study plan'}
+                </button>
+            </div>
+
+            {message && <p className="study-plan__message" role="status">{message}</p>}
+
+            {!plan ? (
+                !message && (
+                    <p className="study-plan__empty">
+                        {sessions.length
+                            ? 'Build a plan from your latest feedback reports.'
+                            : 'Your plan will be built from your feedback reports once you complete an interview.'}
+                    </p>
+                )
+            ) : (
+                <>
+                    <div className="study-plan__summary">
+                        <span>
+                            <strong>{summary.completed}</strong> of {summary.total} practice interviews done
+                        </span>
+                        <span>Week {summary.currentWeek} of {plan.weeks.length}</span>
+                        <span>
+                            <strong>{summary.targetsMet}</strong> of {plan.skills.length} skills at {plan.target}/5
+                        </span>
+                    </div>
+
+                    <ul className="study-plan__skills">
+                        {plan.skills.map((skill) => {
+                            const delta = skill.latest != null ? Number((skill.latest - skill.baseline).toFixed(2)) : null;
+                            const met = skill.latest != null && skill.latest >= plan.target;
+                            return (
+                                <li key={skill.key} className={`study-plan__skill${met ? ' is-met' : ''}`}>
+                                    <span className="study-plan__skill-name">{skill.name}</span>
+                                    <span className="study-plan__skill-scores">
+                                        {formatScore(skill.baseline)} → {formatScore(skill.latest)}
+                                    </span>
+                                    {delta != null && (
+                                        <span className={`study-plan__delta${delta > 0 ? ' is-up' : delta < 0 ? ' is-down' : ''}`}>
+                                            {formatDelta(delta)}
+                                        </span>
+                                    )}
+                                </li>
+                            );
+                        })}
+                    </ul>
+
+                    <ol className="study-plan__weeks">
+                        {plan.weeks.map((week) => (
+                            <li
+                                key={week.week}
+                                className={`study-plan__week${week.week === summary.currentWeek ? ' is-current' : ''}`}
+                            >
+                                <h3>
+                                    Week {week.week}
+                                    {week.starts_on && <span> · from {formatWeekStart(week.starts_on)}</span>}
+                                </h3>
+                                <ul>
+                                    {week.items.map((item) => (
+                                        <li key={item.id} className={`study-plan__item is-${item.status}`}>
+                                            <div className="study-plan__item-body">
+                                                <span className="study-plan__item-skill">
+                                                    {item.skill}
+                                                    <span className="study-plan__item-baseline">
+                                                        was {formatScore(item.baseline)}/5
+                                                    </span>
+                                                </span>
+                                                <span className="study-plan__item-config">{describeConfig(item.config)}</span>
+                                            </div>
+                                            <span className="study-plan__item-status">
+                                                {STATUS_LABELS[item.status] || item.status}
+                                                {item.status === 'completed' && item.score != null
+                                                    ? ` · ${formatScore(item.score)}/5`
+                                                    : ''}
+                                            </span>
+                                            {item.status !== 'completed' && (
+                                                <button
+                                                    type="button"
+                                                    className="study-plan__start"
+                                                    onClick={() => handleStart(item)}
+                                                    disabled={isStarting || Boolean(startingItemId)}
+                                                >
+                                                    {startingItemId === item.id
+                                                        ? 'Starting…'
+                                                        : item.status === 'started' ? 'Start again' : 'Start practice'}
+                                                </button>
+                                            )}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </li>
+                        ))}
+                    </ol>
+                </>
+            )}
+        </section>
+    );
+};
+
+export default StudyPlan;
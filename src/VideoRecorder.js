@@ -6,7 +6,9 @@ import React, {
   useRef,
   useState,
 } from 'react';
-import { FaceDetector, FilesetResolver } from '@mediapipe/tasks-vision';
+import { analyzeFaceFrame, createSegmentMetrics } from './faceMetrics';
+import { createFaceDetector } from './faceDetector';
+import { getCaptureProfile } from './captureQuality';
 
 const SUPPORTED_MIME_TYPES = [
   'video/webm;codecs=vp9',
@@ -15,11 +17,17 @@ const SUPPORTED_MIME_TYPES = [
   'video/mp4',
 ];
 
-function getSupportedMimeType() {
+const SUPPORTED_AUDIO_MIME_TYPES = [
+  'audio/webm;codecs=opus',
+  'audio/webm',
+  'audio/mp4',
+];
+
+export function getSupportedMimeType(audioOnly = false) {
   if (typeof window === 'undefined' || !window.MediaRecorder) {
     return null;
   }
-  return SUPPORTED_MIME_TYPES.find((type) => {
+  return (audioOnly ? SUPPORTED_AUDIO_MIME_TYPES : SUPPORTED_MIME_TYPES).find((type) => {
     try {
       return window.MediaRecorder.isTypeSupported(type);
     } catch (error) {
@@ -36,6 +44,10 @@ const VideoRecorder = forwardRef(function VideoRecorder(
     onFaceDetected,
     onAudioTrackStatusChange,
     facingMode = 'user',
+    deviceId = null,
+    microphoneId = null,
+    // Capture-quality profile id (see captureQuality.js).
+    captureProfile = null,
     muted = true,
     showStatusText = true,
   },
@@ -51,9 +63,18 @@ const VideoRecorder = forwardRef(function VideoRecorder(
   const permissionCheckIntervalRef = useRef(null);
   const faceDetectorRef = useRef(null);
   const faceDetectionIntervalRef = useRef(null);
+  // Face metrics for the segment being recorded; null between segments.
+  const segmentMetricsRef = useRef(null);
+  // Capture profile the current segment was started with.
+  const segmentProfileRef = useRef(null);
+  // Capture profile the live stream's tracks are currently configured for.
+  const streamProfileRef = useRef(null);
   const [faceDetected, setFaceDetected] = useState(false);
   const [audioTrackStatus, setAudioTrackStatus] = useState('active');
   const audioTrackCheckIntervalRef = useRef(null);
+  const profile = getCaptureProfile(captureProfile);
+  const profileRef = useRef(profile);
+  profileRef.current = profile;
 
   const updateStatus = useCallback(
     (next) => {
@@ -71,16 +92,7 @@ const VideoRecorder = forwardRef(function VideoRecorder(
 
     const initFaceDetector = async () => {
       try {
-        const vision = await FilesetResolver.forVisionTasks(
-          'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.22-rc.20250304/wasm'
-        );
-        const detector = await FaceDetector.createFromOptions(vision, {
-          baseOptions: {
-            modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/face_detector/blaze_face_short_range/float16/1/blaze_face_short_range.tflite',
-            delegate: 'GPU',
-          },
-          runningMode: 'VIDEO',
-        });
+        const detector = await createFaceDetector();
         if (!cancelled) {
           faceDetectorRef.current = detector;
         }
@@ -115,14 +127,23 @@ const VideoRecorder = forwardRef(function VideoRecorder(
       }
 
       updateStatus('requesting');
+      // Later profile changes are applied to the open stream when the next
+      // segment starts (see applySegmentProfile), not by reopening the camera.
+      const { width, height, frameRate, audioOnly = false, id } = profileRef.current;
       try {
         const stream = await navigator.mediaDevices.getUserMedia({
           video: {
-            facingMode,
-            width: { ideal: 640 },
-            height: { ideal: 360 },
+            // Prefer the camera picked in the device check, but fall back to any
+            // camera if it has been unplugged since.
+            ...(deviceId ? { deviceId: { ideal: deviceId } } : { facingMode }),
+            // The audio-only profile still shows a small preview for framing.
+            width: { ideal: width || 640 },
+            height: { ideal: height || 360 },
+            frameRate: { ideal: frameRate || 15 },
           },
-          audio: false,
+          audio: audioOnly
+            ? (microphoneId ? { deviceId: { ideal: microphoneId } } : true)
+            : false,
         });
 
         if (cancelled) {
@@ -131,6 +152,7 @@ const VideoRecorder = forwardRef(function VideoRecorder(
         }
 
         streamRef.current = stream;
+        streamProfileRef.current = id;
         if (videoRef.current) {
           videoRef.current.srcObject = stream;
         }
@@ -166,7 +188,7 @@ const VideoRecorder = forwardRef(function VideoRecorder(
       stopFaceDetection();
       stopAudioTrackMonitoring();
     };
-  }, [facingMode, onReady, onError, updateStatus]);
+  }, [facingMode, deviceId, microphoneId, onReady, onError, updateStatus]);
 
   const startFaceDetection = useCallback(() => {
     if (faceDetectionIntervalRef.current) {
@@ -179,12 +201,19 @@ const VideoRecorder = forwardRef(function VideoRecorder(
       }
 
       try {
-        const detections = faceDetectorRef.current.detectForVideo(videoRef.current, performance.now());
-        const hasFace = detections.detections && detections.detections.length > 0;
-        
+        const video = videoRef.current;
+        const detections = faceDetectorRef.current.detectForVideo(video, performance.now());
+        const frame = analyzeFaceFrame(detections.detections, video.videoWidth, video.videoHeight);
+        const { faceCount } = frame;
+        const hasFace = faceCount > 0;
+
+        if (segmentMetricsRef.current && recorderRef.current?.state === 'recording') {
+          segmentMetricsRef.current.add(frame);
+        }
+
         setFaceDetected(hasFace);
         if (typeof onFaceDetected === 'function') {
-          onFaceDetected(hasFace);
+          onFaceDetected(hasFace, faceCount);
         }
       } catch (error) {
         console.error('Face detection error:', error);
@@ -295,6 +324,12 @@ const VideoRecorder = forwardRef(function VideoRecorder(
     };
   }, [status, onError, updateStatus]);
 
+  const takeSegmentMetrics = useCallback(() => {
+    const metrics = segmentMetricsRef.current ? segmentMetricsRef.current.summary() : null;
+    segmentMetricsRef.current = null;
+    return metrics;
+  }, []);
+
   const stopRecorderAndCollect = useCallback(async () => {
     if (!recorderRef.current) {
       return null;
@@ -306,6 +341,7 @@ const VideoRecorder = forwardRef(function VideoRecorder(
     }
     recorderRef.current = null;
     stopPromiseRef.current = null;
+    const metrics = takeSegmentMetrics();
 
     if (!stopPromise) {
       return null;
@@ -313,8 +349,37 @@ const VideoRecorder = forwardRef(function VideoRecorder(
 
     const blob = await stopPromise;
     updateStatus(streamRef.current ? 'ready' : 'idle');
-    return blob;
-  }, [updateStatus]);
+    return { blob, metrics, profile: segmentProfileRef.current };
+  }, [takeSegmentMetrics, updateStatus]);
+
+  // Bring the open stream in line with `segmentProfile`: resize the camera track
+  // in place and add a microphone track the first time an audio-only segment
+  // needs one. A track that rejects the constraints keeps its current settings.
+  const applySegmentProfile = useCallback(async (segmentProfile) => {
+    const stream = streamRef.current;
+    if (!stream || streamProfileRef.current === segmentProfile.id) {
+      return;
+    }
+    const [videoTrack] = stream.getVideoTracks();
+    if (videoTrack && typeof videoTrack.applyConstraints === 'function') {
+      try {
+        await videoTrack.applyConstraints({
+          width: { ideal: segmentProfile.width || 640 },
+          height: { ideal: segmentProfile.height || 360 },
+          frameRate: { ideal: segmentProfile.frameRate || 15 },
+        });
+      } catch (error) {
+        console.warn('Camera kept its previous settings for this capture profile:', error);
+      }
+    }
+    if (segmentProfile.audioOnly && stream.getAudioTracks().length === 0) {
+      const audioStream = await navigator.mediaDevices.getUserMedia({
+        audio: microphoneId ? { deviceId: { ideal: microphoneId } } : true,
+      });
+      audioStream.getAudioTracks().forEach((track) => stream.addTrack(track));
+    }
+    streamProfileRef.current = segmentProfile.id;
+  }, [microphoneId]);
 
   const startNewSegment = useCallback(async () => {
     if (!streamRef.current) {
@@ -326,12 +391,29 @@ const VideoRecorder = forwardRef(function VideoRecorder(
     }
 
     chunksRef.current = [];
-    const mimeType = getSupportedMimeType();
+    const segmentProfile = profileRef.current;
+    try {
+      await applySegmentProfile(segmentProfile);
+    } catch (error) {
+      updateStatus('error');
+      if (typeof onError === 'function') {
+        onError(error);
+      }
+      throw error;
+    }
+    const mimeType = getSupportedMimeType(Boolean(segmentProfile.audioOnly));
+    // The stream keeps a microphone track once one was added, so pick tracks per profile.
+    const source = segmentProfile.audioOnly
+      ? new MediaStream(streamRef.current.getAudioTracks())
+      : new MediaStream(streamRef.current.getVideoTracks());
+    const bitrate = segmentProfile.audioOnly
+      ? { audioBitsPerSecond: segmentProfile.audioBitsPerSecond }
+      : { videoBitsPerSecond: segmentProfile.videoBitsPerSecond };
     let recorder;
     try {
       recorder = new MediaRecorder(
-        streamRef.current,
-        mimeType ? { mimeType } : undefined,
+        source,
+        mimeType ? { mimeType, ...bitrate } : bitrate,
       );
     } catch (error) {
       updateStatus('error');
@@ -349,7 +431,7 @@ const VideoRecorder = forwardRef(function VideoRecorder(
 
     stopPromiseRef.current = new Promise((resolve) => {
       recorder.onstop = () => {
-        const recordedMimeType = mimeType || recorder.mimeType || 'video/webm';
+        const recordedMimeType = mimeType || recorder.mimeType || (segmentProfile.audioOnly ? 'audio/webm' : 'video/webm');
         const blob = chunksRef.current.length
           ? new Blob(chunksRef.current, { type: recordedMimeType })
           : null;
@@ -365,11 +447,16 @@ const VideoRecorder = forwardRef(function VideoRecorder(
     };
 
     recorderRef.current = recorder;
+    segmentProfileRef.current = segmentProfile.id;
+    segmentMetricsRef.current = createSegmentMetrics();
     recorder.start();
     updateStatus('recording');
     return true;
-  }, [onError, stopRecorderAndCollect, updateStatus]);
+  }, [applySegmentProfile, onError, stopRecorderAndCollect, updateStatus]);
 
+  // Resolves `{ blob, metrics, profile }` for the current segment, where metrics is the
+  // createSegmentMetrics summary (face presence, head pose, framing), or null, and
+  // profile is the capture profile id it was recorded with.
   const stopAndGetBlob = useCallback(async () => {
     if (!recorderRef.current || recorderRef.current.state === 'inactive') {
       if (recorderRef.current) {
@@ -377,11 +464,12 @@ const VideoRecorder = forwardRef(function VideoRecorder(
       }
       const blob = stopPromiseRef.current ? await stopPromiseRef.current : null;
       stopPromiseRef.current = null;
-      return blob;
+      const metrics = takeSegmentMetrics();
+      return blob || metrics ? { blob, metrics, profile: segmentProfileRef.current } : null;
     }
 
     return stopRecorderAndCollect();
-  }, [stopRecorderAndCollect]);
+  }, [stopRecorderAndCollect, takeSegmentMetrics]);
 
   useImperativeHandle(
     ref,
@@ -0,0 +1,104 @@
+import React, { useEffect, useState } from 'react';
+import './VideoUploadStatus.css';
+
+const formatMegabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+const describeUpload = (upload, now) => {
+    switch (upload.status) {
+        case 'done':
+            return 'Uploaded';
+        case 'failed':
+            return 'Upload failed';
+        case 'retrying': {
+            const seconds = Math.max(0, Math.ceil(((upload.retryAt || now) - now) / 1000));
+            return seconds > 0 ? `Connection lost — retrying in ${seconds}s` : 'Retrying…';
+        }
+        case 'uploading':
+            return `${formatMegabytes(upload.uploadedBytes)} of ${formatMegabytes(upload.size)}`;
+        default:
+            return 'Waiting to upload';
+    }
+};
+
+/**
+ * Progress of the background answer-video uploads (see videoUploadQueue.js).
+ * `compact` is the inline variant shown under the camera preview; the full
+ * variant floats over the completion screen and asks the candidate to keep
+ * the tab open until every video is in.
+ */
+const VideoUploadStatus = ({ uploads, onRetry, compact = false }) => {
+    const [now, setNow] = useState(() => Date.now());
+    const hasRetrying = uploads.some((upload) => upload.status === 'retrying');
+
+    useEffect(() => {
+        if (!hasRetrying) {
+            return undefined;
+        }
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, [hasRetrying]);
+
+    if (!uploads.length) {
+        return null;
+    }
+
+    const pending = uploads.filter((upload) => upload.status !== 'done');
+    const sorted = [...uploads].sort((a, b) => a.questionNumber - b.questionNumber || a.createdAt - b.createdAt);
+
+    return (
+        <div
+            className={`video-upload-status${compact ? ' video-upload-status--compact' : ''}`}
+            role="status"
+            aria-live="polite"
+        >
+            {!compact && (
+                <p className="video-upload-status__title">
+                    {pending.length
+                        ? `Uploading ${pending.length} answer video${pending.length === 1 ? '' : 's'} — keep this tab open until they finish.`
+                        : 'All answer videos uploaded.'}
+                </p>
+            )}
+            <ul className="video-upload-status__list">
+                {sorted.map((upload) => {
+                    const percent = upload.size ? Math.round((upload.uploadedBytes / upload.size) * 100) : 0;
+                    return (
+                        <li key={upload.id} className={`video-upload-status__item video-upload-status__item--${upload.status}`}>
+                            <div className="video-upload-status__row">
+                                <span className="video-upload-status__label">
+                                    Q{upload.questionNumber} video
+                                </span>
+                                <span className="video-upload-status__detail">
+                                    {describeUpload(upload, now)}
+                                </span>
+                                {upload.status === 'failed' && (
+                                    <button
+                                        type="button"
+                                        className="video-upload-status__retry"
+                                        onClick={() => onRetry(upload.id)}
+                                    >
+                                        Retry
+                                    </button>
+                                )}
+                            </div>
+                            <div
+                                className="video-upload-status__bar"
+                                role="progressbar"
+                                aria-valuemin={0}
+                                aria-valuemax={100}
+                                aria-valuenow={percent}
+                                aria-label={`Question ${upload.questionNumber} video upload`}
+                            >
+                                <span style={{ width: `${percent}%` }} />
+                            </div>
+                            {upload.status === 'failed' && upload.error && (
+                                <p className="video-upload-status__error">{upload.error}</p>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+};
+
+export default VideoUploadStatus;
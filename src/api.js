@@ -1,36 +1,52 @@
 import axios from 'axios';
+import { BACKEND_KEYS, getApiConfig, setApiConfig, resolveApiConfig, fetchRuntimeConfig } from './apiConfig';
 
-// Centralized Axios instances for different backends
-
-// export const interviewApi = axios.create({
-//   baseURL: 'http://localhost:8001',
-// });
-// // export const interviewApi = axios.create({
-// //   baseURL: 'https://mirella-predeficient-preoccupiedly.ngrok-free.dev',
-// //   headers: { 'ngrok-skip-browser-warning': 'true' },
-// // });
-// export const adminApi = axios.create({
-//   baseURL: 'http://localhost:8001',
-// });
-
-// export const backendApi = axios.create({
-//   baseURL: 'http://localhost:8001',
-// });
-
-export const interviewApi = axios.create({
-  baseURL: 'https://mockinterview-backend.futurense.com',
-});
-// export const interviewApi = axios.create({
-//   baseURL: 'https://mirella-predeficient-preoccupiedly.ngrok-free.dev',
-//   headers: { 'ngrok-skip-browser-warning': 'true' },
-// });
-export const adminApi = axios.create({
-  baseURL: 'https://mockinterview-backend.futurense.com',
-});
+// Centralized Axios instances for different backends. Base URLs, headers and
+// timeouts come from apiConfig.js (env vars + runtime config.json).
 
-export const backendApi = axios.create({
-  baseURL: 'https://mockinterview-backend.futurense.com',
-});
+const applyBackendConfig = (instance, { baseUrl, headers, timeoutMs }, previousHeaders = {}) => {
+  instance.defaults.baseURL = baseUrl;
+  instance.defaults.timeout = timeoutMs;
+  Object.keys(previousHeaders).forEach((name) => {
+    delete instance.defaults.headers.common[name];
+  });
+  Object.assign(instance.defaults.headers.common, headers);
+  return instance;
+};
+
+const createBackendInstance = (key) => applyBackendConfig(axios.create(), getApiConfig().backends[key]);
+
+export const interviewApi = createBackendInstance('interview');
+export const adminApi = createBackendInstance('admin');
+export const backendApi = createBackendInstance('backend');
+
+const backendInstances = {
+  interview: interviewApi,
+  admin: adminApi,
+  backend: backendApi,
+};
+
+// Re-resolve configuration with the runtime config.json and apply it to the
+// already-created instances. Call once before the app renders.
+export const loadApiConfig = async () => {
+  const previous = getApiConfig();
+  const runtimeConfig = await fetchRuntimeConfig();
+  const resolved = setApiConfig(resolveApiConfig(runtimeConfig));
+  BACKEND_KEYS.forEach((key) => {
+    applyBackendConfig(backendInstances[key], resolved.backends[key], previous.backends[key]?.headers);
+  });
+  if (resolved.mockBackend) {
+    // Loaded lazily so fixtures never ship in the main bundle.
+    const { installMockBackend } = await import('./mockBackend');
+    installMockBackend(Object.values(backendInstances));
+  }
+  return resolved;
+};
+
+export const getActiveApiEnvironment = () => {
+  const { environment, label, isProduction, mockBackend } = getApiConfig();
+  return { environment, label, isProduction, mockBackend };
+};
 
 // Piston is self-hosted behind the FastAPI backend; the frontend never talks
 // to the Piston container directly to avoid CORS issues.
@@ -38,11 +54,6 @@ export const fetchPistonRuntimes = () => backendApi.get('/piston/runtimes');
 
 export const executeWithPiston = (payload) => backendApi.post('/piston/execute', payload);
 
-// export const backendApi = axios.create({
-//   baseURL: 'https://mirella-predeficient-preoccupiedly.ngrok-free.dev',
-//   headers: { 'ngrok-skip-browser-warning': 'true' },
-// });
-
 export const fetchPrograms = () => backendApi.get('/programs');
 
 export const fetchProgramJobRoles = (programId) =>
@@ -107,15 +118,22 @@ export const mapProgramRoles = (payload) =>
 export const fetchAdminUbpPerformance = () =>
   adminApi.get('/admin/analytics/ubp-performance');
 
+// Practice sessions never count towards retention or leaderboard rankings.
 export const fetchAdminRetention = () =>
-  adminApi.get('/admin/analytics/retention');
+  adminApi.get('/admin/analytics/retention', { params: { exclude_practice: true } });
 
 export const fetchAdminLeaderboard = (params = {}) =>
-  adminApi.get('/admin/leaderboard', { params });
+  adminApi.get('/admin/leaderboard', { params: { ...params, exclude_practice: true } });
 
 export const fetchAdminLeaderboardFilters = () =>
   adminApi.get('/admin/filter-options');
 
+export const fetchAdminInterviewPolicies = () =>
+  adminApi.get('/admin/interview-policies');
+
+export const updateAdminInterviewPolicies = (policies) =>
+  adminApi.put('/admin/interview-policies', policies);
+
 export const fetchAdminRoleFilterOptions = (params = {}) =>
   adminApi.get('/admin/filter-options/roles', { params });
 
@@ -138,13 +156,167 @@ export const fetchSessionRating = (sessionId, email) =>
 export const submitSessionRating = (sessionId, email, payload) =>
   backendApi.post(`/students/sessions/${sessionId}/rating`, payload, { params: { student_email: email } });
 
+// Current question/status of an in-progress session, used to reconcile a resumed interview
+export const fetchInterviewProgress = (sessionId) =>
+  interviewApi.get(`/interview/${sessionId}/progress`);
+
+// Pause/skip/flag limits that apply to interview sessions
+export const fetchInterviewPolicies = () =>
+  interviewApi.get('/interview/policies');
+
+// Replace the answer to an earlier question from the flag-for-review screen
+export const reviseInterviewAnswer = (sessionId, questionNumber, formData) =>
+  interviewApi.post(`/interview/${sessionId}/answer/${questionNumber}/revise`, formData);
+
+// Pre-interview device check: timed upload used to estimate bandwidth, and the
+// resulting report stored with the session
+export const probeUploadBandwidth = (blob) =>
+  interviewApi.post('/interview/bandwidth-probe', blob, {
+    headers: { 'Content-Type': 'application/octet-stream' },
+    timeout: 30000,
+  });
+
+export const saveDeviceCheck = (sessionId, report) =>
+  interviewApi.post(`/interview/${sessionId}/device-check`, report);
+
+// Chunked answer-video uploads, driven by videoUploadQueue.js. The answer refers
+// to the video by the client-generated upload id.
+export const createVideoUpload = (sessionId, payload) =>
+  interviewApi.post(`/interview/${sessionId}/video-uploads`, payload);
+
+export const fetchVideoUploadStatus = (sessionId, uploadId) =>
+  interviewApi.get(`/interview/${sessionId}/video-uploads/${uploadId}`);
+
+export const uploadVideoChunk = (sessionId, uploadId, chunk, offset, totalSize) =>
+  interviewApi.put(`/interview/${sessionId}/video-uploads/${uploadId}`, chunk, {
+    headers: {
+      'Content-Type': 'application/octet-stream',
+      'Content-Range': `bytes ${offset}-${offset + chunk.size - 1}/${totalSize}`,
+    },
+    timeout: 60000,
+  });
+
+export const completeVideoUpload = (sessionId, uploadId) =>
+  interviewApi.post(`/interview/${sessionId}/video-uploads/${uploadId}/complete`);
+
+// Sent once the interview is over and every upload has finished or failed; the
+// backend holds video analysis until then.
+export const finalizeVideoUploads = (sessionId, payload) =>
+  interviewApi.post(`/interview/${sessionId}/video-uploads/finalize`, payload);
+
+// Recorded answer for one question, as a Blob, for the replay in the feedback report.
+// The admin session report reads it through the admin API.
+export const fetchAnswerVideo = (sessionId, questionNumber) =>
+  interviewApi.get(`/interview/${sessionId}/answers/${questionNumber}/video`, { responseType: 'blob' });
+
+export const fetchAdminAnswerVideo = (sessionId, questionNumber) =>
+  adminApi.get(`/admin/session/${sessionId}/answers/${questionNumber}/video`, { responseType: 'blob' });
+
 // Feedback async helpers
+export const fetchFeedbackReport = (sessionId) =>
+  interviewApi.get(`/feedback/${sessionId}`);
+
 export const getFeedbackStatus = (sessionId) =>
   backendApi.get(`/feedback-status/${sessionId}`);
 
 export const triggerFeedbackGeneration = (sessionId) =>
   backendApi.post(`/interview/${sessionId}/generate-feedback`);
 
+const FEEDBACK_POLL_INTERVAL_MS = 3000;
+const FEEDBACK_POLL_MAX_DELAY_MS = 30000;
+// Consecutive failed polls before the subscriber is told progress is unavailable.
+const FEEDBACK_POLL_MAX_FAILURES = 6;
+const SETTLED_FEEDBACK_STATUSES = ['completed', 'failed'];
+
+// Streams feedback-generation progress from `/feedback-status/{id}/stream` as
+// server-sent events, each carrying the same snapshot `/feedback-status`
+// returns. Falls back to polling that endpoint when EventSource is missing, the
+// stream cannot be opened, the mock backend is active, or the backend needs
+// custom headers (EventSource cannot send them). Failed polls back off and retry;
+// client errors and repeated failures reach `onError`. Stops by itself once the
+// status is completed or failed; returns a function that stops it early.
+export const subscribeToFeedbackProgress = (sessionId, { onProgress, onError }) => {
+  let stopped = false;
+  let source = null;
+  let pollTimer = null;
+  let failures = 0;
+
+  const stop = () => {
+    stopped = true;
+    if (source) {
+      source.close();
+      source = null;
+    }
+    if (pollTimer) {
+      clearTimeout(pollTimer);
+      pollTimer = null;
+    }
+  };
+
+  const deliver = (snapshot) => {
+    if (stopped) {
+      return;
+    }
+    if (SETTLED_FEEDBACK_STATUSES.includes(snapshot?.status)) {
+      stop();
+    }
+    onProgress(snapshot || {});
+  };
+
+  const poll = async () => {
+    pollTimer = null;
+    try {
+      const { data } = await getFeedbackStatus(sessionId);
+      failures = 0;
+      deliver(data);
+      if (!stopped) {
+        pollTimer = setTimeout(poll, FEEDBACK_POLL_INTERVAL_MS);
+      }
+    } catch (error) {
+      if (stopped) {
+        return;
+      }
+      failures += 1;
+      const status = error?.response?.status;
+      const isClientError = status >= 400 && status < 500 && status !== 408 && status !== 429;
+      if (isClientError || failures >= FEEDBACK_POLL_MAX_FAILURES) {
+        stop();
+        onError?.(error);
+        return;
+      }
+      console.warn(`Feedback status poll failed (attempt ${failures}), retrying`, error);
+      pollTimer = setTimeout(poll, Math.min(FEEDBACK_POLL_INTERVAL_MS * 2 ** failures, FEEDBACK_POLL_MAX_DELAY_MS));
+    }
+  };
+
+  const { mockBackend, backends } = getApiConfig();
+  const needsHeaders = Object.keys(backends.backend?.headers || {}).length > 0;
+  if (mockBackend || needsHeaders || typeof EventSource === 'undefined') {
+    poll();
+    return stop;
+  }
+
+  source = new EventSource(`${backendApi.defaults.baseURL || ''}/feedback-status/${sessionId}/stream`);
+  source.onmessage = (event) => {
+    try {
+      deliver(JSON.parse(event.data));
+    } catch (error) {
+      console.warn('Ignoring malformed feedback progress event', error);
+    }
+  };
+  source.onerror = () => {
+    // A dropped connection is retried by EventSource itself; once it gives up
+    // (or the stream was never available) carry on by polling.
+    if (stopped || !source || source.readyState !== EventSource.CLOSED) {
+      return;
+    }
+    source.close();
+    source = null;
+    poll();
+  };
+  return stop;
+};
+
 // Admin authentication helpers
 let adminAuthToken = null;
 
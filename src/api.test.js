@@ -0,0 +1,116 @@
+import { backendApi, subscribeToFeedbackProgress } from './api';
+import { getApiConfig, setApiConfig } from './apiConfig';
+
+const originalConfig = getApiConfig();
+
+const useBackendHeaders = (headers) => {
+  setApiConfig({
+    ...originalConfig,
+    mockBackend: false,
+    backends: { ...originalConfig.backends, backend: { ...originalConfig.backends.backend, headers } },
+  });
+};
+
+// Let the awaited status request and its handlers run.
+const settle = async () => {
+  for (let i = 0; i < 5; i += 1) {
+    await Promise.resolve();
+  }
+};
+
+const networkError = () => new Error('Network Error');
+
+let streams = [];
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  streams = [];
+  window.EventSource = function EventSource(url) {
+    this.url = url;
+    this.close = jest.fn();
+    streams.push(this);
+  };
+  window.EventSource.CLOSED = 2;
+});
+
+afterEach(() => {
+  setApiConfig(originalConfig);
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+  delete window.EventSource;
+});
+
+describe('subscribeToFeedbackProgress', () => {
+  test('streams progress when the backend needs no custom headers', () => {
+    useBackendHeaders({});
+    const get = jest.spyOn(backendApi, 'get');
+    const onProgress = jest.fn();
+    const stop = subscribeToFeedbackProgress('s1', { onProgress });
+
+    expect(streams).toHaveLength(1);
+    expect(streams[0].url).toMatch(/\/feedback-status\/s1\/stream$/);
+    streams[0].onmessage({ data: '{"status":"processing","stage":"scoring"}' });
+    expect(onProgress).toHaveBeenCalledWith({ status: 'processing', stage: 'scoring' });
+    expect(get).not.toHaveBeenCalled();
+    stop();
+  });
+
+  test('polls instead when the backend needs custom headers', async () => {
+    useBackendHeaders({ 'ngrok-skip-browser-warning': 'true' });
+    jest.spyOn(backendApi, 'get').mockResolvedValue({ data: { status: 'completed' } });
+    const onProgress = jest.fn();
+    subscribeToFeedbackProgress('s2', { onProgress });
+    await settle();
+
+    expect(streams).toHaveLength(0);
+    expect(backendApi.get).toHaveBeenCalledWith('/feedback-status/s2');
+    expect(onProgress).toHaveBeenCalledWith({ status: 'completed' });
+  });
+
+  test('backs off and keeps polling after failed requests', async () => {
+    useBackendHeaders({ Authorization: 'Bearer token' });
+    jest.spyOn(backendApi, 'get')
+      .mockRejectedValueOnce(networkError())
+      .mockRejectedValueOnce(networkError())
+      .mockResolvedValue({ data: { status: 'completed' } });
+    const onProgress = jest.fn();
+    const onError = jest.fn();
+    subscribeToFeedbackProgress('s3', { onProgress, onError });
+    await settle();
+
+    jest.advanceTimersByTime(5999);
+    await settle();
+    expect(backendApi.get).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(1);
+    await settle();
+    expect(backendApi.get).toHaveBeenCalledTimes(2);
+    jest.advanceTimersByTime(12000);
+    await settle();
+
+    expect(backendApi.get).toHaveBeenCalledTimes(3);
+    expect(onProgress).toHaveBeenCalledWith({ status: 'completed' });
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  test('gives up after repeated failures or a client error', async () => {
+    useBackendHeaders({ Authorization: 'Bearer token' });
+    jest.spyOn(backendApi, 'get').mockRejectedValue(networkError());
+    const onError = jest.fn();
+    subscribeToFeedbackProgress('s4', { onProgress: jest.fn(), onError });
+    for (let attempt = 0; attempt < 6; attempt += 1) {
+      await settle();
+      jest.advanceTimersByTime(30000);
+    }
+    await settle();
+    expect(backendApi.get).toHaveBeenCalledTimes(6);
+    expect(onError).toHaveBeenCalledTimes(1);
+
+    backendApi.get.mockRejectedValue(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+    subscribeToFeedbackProgress('s5', { onProgress: jest.fn(), onError });
+    await settle();
+    expect(onError).toHaveBeenCalledTimes(2);
+    jest.advanceTimersByTime(30000);
+    expect(backendApi.get).toHaveBeenCalledTimes(7);
+  });
+});
@@ -0,0 +1,199 @@
+// Resolves backend base URLs, headers and timeouts for the axios instances in api.js.
+// Precedence (lowest to highest): environment preset -> build-time REACT_APP_* vars ->
+// runtime /config.json. The runtime file lets one build target production, another
+// deployment (such as staging, whose URLs come from config.json) or a local mock
+// without rebuilding.
+
+export const BACKEND_KEYS = ['interview', 'admin', 'backend'];
+
+const NGROK_HEADERS = { 'ngrok-skip-browser-warning': 'true' };
+
+const ENVIRONMENT_PRESETS = {
+  production: {
+    label: 'Production',
+    baseUrl: 'https://mockinterview-backend.futurense.com',
+  },
+  local: {
+    label: 'Local',
+    baseUrl: 'http://localhost:8001',
+  },
+  mock: {
+    label: 'Mock',
+    baseUrl: 'http://mock-backend.local',
+    mockBackend: true,
+  },
+};
+
+const DEFAULT_ENVIRONMENT = 'production';
+
+const env = (name) => {
+  const value = process.env[name];
+  return typeof value === 'string' && value.trim() !== '' ? value.trim() : undefined;
+};
+
+const parseTimeout = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric >= 0 ? numeric : undefined;
+};
+
+const parseHeaders = (value) => {
+  if (!value) {
+    return undefined;
+  }
+  if (typeof value === 'object') {
+    return value;
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : undefined;
+  } catch (error) {
+    console.warn('Ignoring malformed API headers value', error);
+    return undefined;
+  }
+};
+
+const isNgrokUrl = (url) => typeof url === 'string' && /\.ngrok(-free)?\.(app|dev|io)/i.test(url);
+
+const compact = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined)
+);
+
+const readBuildTimeConfig = () => {
+  const backendEnvNames = {
+    interview: 'INTERVIEW',
+    admin: 'ADMIN',
+    backend: 'BACKEND',
+  };
+
+  const backends = {};
+  BACKEND_KEYS.forEach((key) => {
+    const prefix = `REACT_APP_${backendEnvNames[key]}_API`;
+    const entry = compact({
+      baseUrl: env(`${prefix}_URL`),
+      timeoutMs: parseTimeout(env(`${prefix}_TIMEOUT_MS`)),
+      headers: parseHeaders(env(`${prefix}_HEADERS`)),
+    });
+    if (Object.keys(entry).length) {
+      backends[key] = entry;
+    }
+  });
+
+  return compact({
+    environment: env('REACT_APP_API_ENV'),
+    mockBackend: env('REACT_APP_MOCK_BACKEND') === undefined
+      ? undefined
+      : env('REACT_APP_MOCK_BACKEND') === 'true',
+    baseUrl: env('REACT_APP_API_BASE_URL'),
+    timeoutMs: parseTimeout(env('REACT_APP_API_TIMEOUT_MS')),
+    headers: parseHeaders(env('REACT_APP_API_HEADERS')),
+    backends,
+  });
+};
+
+const mergeLayers = (layers) => layers.reduce((merged, layer) => {
+  if (!layer) {
+    return merged;
+  }
+  const backends = { ...merged.backends };
+  Object.entries(layer.backends || {}).forEach(([key, entry]) => {
+    backends[key] = {
+      ...backends[key],
+      ...entry,
+      headers: { ...backends[key]?.headers, ...entry?.headers },
+    };
+  });
+  return {
+    ...merged,
+    ...compact({
+      environment: layer.environment,
+      label: layer.label,
+      mockBackend: typeof layer.mockBackend === 'boolean' ? layer.mockBackend : undefined,
+      baseUrl: layer.baseUrl,
+      timeoutMs: parseTimeout(layer.timeoutMs),
+    }),
+    headers: { ...merged.headers, ...layer.headers },
+    backends,
+  };
+}, { headers: {}, backends: {} });
+
+/**
+ * Combine the preset, build-time and runtime layers into one resolved config
+ * with a fully populated entry per backend.
+ */
+export const resolveApiConfig = (runtimeConfig = null) => {
+  const buildTime = readBuildTimeConfig();
+  const environment = (
+    runtimeConfig?.environment
+    || buildTime.environment
+    || DEFAULT_ENVIRONMENT
+  ).toLowerCase();
+  const preset = ENVIRONMENT_PRESETS[environment] || { label: environment, baseUrl: '' };
+
+  const merged = mergeLayers([
+    { ...preset, environment },
+    buildTime,
+    runtimeConfig,
+  ]);
+
+  const backends = {};
+  BACKEND_KEYS.forEach((key) => {
+    const entry = merged.backends[key] || {};
+    const baseUrl = entry.baseUrl || merged.baseUrl || '';
+    if (!baseUrl && !merged.mockBackend) {
+      console.warn(`No ${key} API URL configured for the "${environment}" environment; requests will go to this app's own origin.`);
+    }
+    backends[key] = {
+      baseUrl,
+      timeoutMs: parseTimeout(entry.timeoutMs) ?? merged.timeoutMs ?? 0,
+      headers: {
+        ...(isNgrokUrl(baseUrl) ? NGROK_HEADERS : {}),
+        ...merged.headers,
+        ...entry.headers,
+      },
+    };
+  });
+
+  return {
+    environment,
+    label: merged.label || preset.label || environment,
+    isProduction: environment === DEFAULT_ENVIRONMENT,
+    mockBackend: Boolean(merged.mockBackend),
+    backends,
+    source: runtimeConfig ? 'runtime' : 'build',
+  };
+};
+
+let activeConfig = resolveApiConfig();
+
+export const getApiConfig = () => activeConfig;
+
+export const setApiConfig = (config) => {
+  activeConfig = config;
+  return activeConfig;
+};
+
+/**
+ * Fetch the runtime config.json served next to index.html. Missing or malformed
+ * files are not fatal; the build-time values stay in effect.
+ */
+export const fetchRuntimeConfig = async () => {
+  const url = env('REACT_APP_RUNTIME_CONFIG_URL') || `${process.env.PUBLIC_URL || ''}/config.json`;
+  try {
+    const response = await fetch(url, { cache: 'no-store' });
+    if (!response.ok) {
+      return null;
+    }
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('json')) {
+      return null;
+    }
+    const data = await response.json();
+    return data && typeof data === 'object' ? data : null;
+  } catch (error) {
+    console.warn('Runtime API config unavailable, using build-time settings.', error);
+    return null;
+  }
+};
@@ -0,0 +1,131 @@
+import { resolveApiConfig } from './apiConfig';
+
+const ENV_NAMES = [
+  'REACT_APP_API_ENV',
+  'REACT_APP_MOCK_BACKEND',
+  'REACT_APP_API_BASE_URL',
+  'REACT_APP_API_TIMEOUT_MS',
+  'REACT_APP_API_HEADERS',
+  'REACT_APP_INTERVIEW_API_URL',
+  'REACT_APP_INTERVIEW_API_TIMEOUT_MS',
+  'REACT_APP_INTERVIEW_API_HEADERS',
+  'REACT_APP_ADMIN_API_URL',
+  'REACT_APP_BACKEND_API_URL',
+];
+
+const savedEnv = {};
+
+beforeEach(() => {
+  ENV_NAMES.forEach((name) => {
+    savedEnv[name] = process.env[name];
+    delete process.env[name];
+  });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  ENV_NAMES.forEach((name) => {
+    if (savedEnv[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = savedEnv[name];
+    }
+  });
+  console.warn.mockRestore();
+});
+
+describe('environment presets', () => {
+  test('defaults to production', () => {
+    const config = resolveApiConfig();
+    expect(config).toMatchObject({ environment: 'production', isProduction: true, mockBackend: false, source: 'build' });
+    expect(config.backends.interview.baseUrl).toBe('https://mockinterview-backend.futurense.com');
+    expect(config.backends.admin.timeoutMs).toBe(0);
+  });
+
+  test('the mock preset switches the mock backend on', () => {
+    process.env.REACT_APP_API_ENV = 'Mock';
+    expect(resolveApiConfig()).toMatchObject({ environment: 'mock', label: 'Mock', mockBackend: true });
+  });
+
+  test('an unknown environment without URLs warns and falls back to the app origin', () => {
+    const config = resolveApiConfig({ environment: 'qa' });
+    expect(config.label).toBe('qa');
+    expect(config.backends.backend.baseUrl).toBe('');
+    expect(console.warn).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('precedence', () => {
+  test('build-time variables override the preset', () => {
+    process.env.REACT_APP_API_ENV = 'local';
+    process.env.REACT_APP_API_BASE_URL = 'https://build.example.com';
+    process.env.REACT_APP_ADMIN_API_URL = 'https://admin.example.com';
+    process.env.REACT_APP_API_TIMEOUT_MS = '5000';
+    process.env.REACT_APP_INTERVIEW_API_TIMEOUT_MS = '9000';
+
+    const config = resolveApiConfig();
+    expect(config.environment).toBe('local');
+    expect(config.backends.interview).toMatchObject({ baseUrl: 'https://build.example.com', timeoutMs: 9000 });
+    expect(config.backends.admin).toMatchObject({ baseUrl: 'https://admin.example.com', timeoutMs: 5000 });
+  });
+
+  test('the runtime config overrides build-time variables, including the environment', () => {
+    process.env.REACT_APP_API_ENV = 'mock';
+    process.env.REACT_APP_API_BASE_URL = 'https://build.example.com';
+    process.env.REACT_APP_BACKEND_API_URL = 'https://backend.build.example.com';
+
+    const config = resolveApiConfig({
+      environment: 'production',
+      baseUrl: 'https://runtime.example.com',
+      backends: { backend: { baseUrl: 'https://backend.runtime.example.com' } },
+    });
+    expect(config).toMatchObject({ environment: 'production', mockBackend: false, source: 'runtime' });
+    expect(config.backends.interview.baseUrl).toBe('https://runtime.example.com');
+    expect(config.backends.backend.baseUrl).toBe('https://backend.runtime.example.com');
+  });
+
+  test('the runtime config can turn the mock backend off for the mock preset', () => {
+    expect(resolveApiConfig({ environment: 'mock', mockBackend: false }).mockBackend).toBe(false);
+  });
+
+  test('ignores invalid timeouts', () => {
+    process.env.REACT_APP_API_TIMEOUT_MS = 'soon';
+    expect(resolveApiConfig({ timeoutMs: -1 }).backends.interview.timeoutMs).toBe(0);
+  });
+});
+
+describe('headers', () => {
+  test('merges shared and per-backend headers across layers, most specific last', () => {
+    process.env.REACT_APP_API_HEADERS = '{"X-Shared":"build","X-Build":"1"}';
+    process.env.REACT_APP_INTERVIEW_API_HEADERS = '{"X-Interview":"build"}';
+
+    const config = resolveApiConfig({
+      headers: { 'X-Shared': 'runtime' },
+      backends: { interview: { headers: { 'X-Interview': 'runtime', 'X-Shared': 'interview' } } },
+    });
+    expect(config.backends.interview.headers).toEqual({
+      'X-Shared': 'interview',
+      'X-Build': '1',
+      'X-Interview': 'runtime',
+    });
+    expect(config.backends.admin.headers).toEqual({ 'X-Shared': 'runtime', 'X-Build': '1' });
+  });
+
+  test('ignores malformed header JSON', () => {
+    process.env.REACT_APP_API_HEADERS = '{oops';
+    expect(resolveApiConfig().backends.interview.headers).toEqual({});
+    expect(console.warn).toHaveBeenCalledWith('Ignoring malformed API headers value', expect.any(SyntaxError));
+  });
+
+  test('adds the ngrok header for ngrok URLs unless overridden', () => {
+    const config = resolveApiConfig({
+      backends: {
+        interview: { baseUrl: 'https://abc.ngrok-free.app' },
+        admin: { baseUrl: 'https://def.ngrok.io', headers: { 'ngrok-skip-browser-warning': 'false' } },
+      },
+    });
+    expect(config.backends.interview.headers).toEqual({ 'ngrok-skip-browser-warning': 'true' });
+    expect(config.backends.admin.headers).toEqual({ 'ngrok-skip-browser-warning': 'false' });
+    expect(config.backends.backend.headers).toEqual({});
+  });
+});
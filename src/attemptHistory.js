@@ -0,0 +1,62 @@
+// Every recording attempt on a speech question is kept until the answer is
+// submitted, so the candidate can play them back side by side and choose one.
+// The chosen attempt's number goes to the backend as `selected_attempt`, and
+// `recording_attempts` carries a summary of all of them (without video) for the
+// attempt history in the report.
+//
+// Local attempt shape:
+//   { attempt, transcript, videoBlob, videoMetrics, speakingMetrics, durationMs,
+//     captureProfile, captureMeasurement, timestamp }
+
+// Replay timelines only matter for the submitted answer, which sends its own metrics.
+const withoutTimeline = (metrics, key) => {
+  if (!metrics) {
+    return null;
+  }
+  const { [key]: timeline, ...rest } = metrics;
+  return rest;
+};
+
+/**
+ * Payload entries for `recording_attempts`, flagging the submitted attempt.
+ */
+export const summarizeAttempts = (attempts, selectedAttempt) => attempts.map((entry) => ({
+  attempt: entry.attempt,
+  transcript: entry.transcript || '',
+  duration_ms: entry.durationMs ?? null,
+  speaking_metrics: withoutTimeline(entry.speakingMetrics, 'wordTimings'),
+  video_metrics: withoutTimeline(entry.videoMetrics, 'noFaceSpans'),
+  has_video: Boolean(entry.videoBlob),
+  capture_profile: entry.captureProfile || null,
+  submitted: entry.attempt === selectedAttempt,
+}));
+
+/**
+ * Checkpoint copy of an attempt; the video is stored separately in IndexedDB.
+ */
+export const toCheckpointAttempt = ({ videoBlob, ...entry }) => ({
+  ...entry,
+  hasVideo: Boolean(videoBlob),
+});
+
+export const parseRecordingAttempts = (value) => {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return [];
+    }
+  }
+  return Array.isArray(parsed)
+    ? parsed
+      .filter((entry) => entry && Number.isFinite(Number(entry.attempt)))
+      .sort((a, b) => Number(a.attempt) - Number(b.attempt))
+    : [];
+};
+
+export const formatAttemptDuration = (ms) => {
+  if (ms == null) return '—';
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
@@ -0,0 +1,77 @@
+import {
+  formatAttemptDuration,
+  parseRecordingAttempts,
+  summarizeAttempts,
+  toCheckpointAttempt,
+} from './attemptHistory';
+
+const attempt = (number, extra = {}) => ({
+  attempt: number,
+  transcript: `take ${number}`,
+  videoBlob: new Blob(['video']),
+  durationMs: 42000,
+  speakingMetrics: { wordCount: 80, wordTimings: [{ word: 'take', startMs: 0 }] },
+  videoMetrics: { facePresentRatio: 0.9, noFaceSpans: [{ startMs: 0, endMs: 900 }] },
+  captureProfile: 'standard',
+  ...extra,
+});
+
+describe('summarizeAttempts', () => {
+  test('flags the submitted attempt and drops the replay timelines', () => {
+    const summary = summarizeAttempts([attempt(1), attempt(2)], 2);
+    expect(summary.map((entry) => entry.submitted)).toEqual([false, true]);
+    expect(summary[0]).toEqual({
+      attempt: 1,
+      transcript: 'take 1',
+      duration_ms: 42000,
+      speaking_metrics: { wordCount: 80 },
+      video_metrics: { facePresentRatio: 0.9 },
+      has_video: true,
+      capture_profile: 'standard',
+      submitted: false,
+    });
+  });
+
+  test('fills gaps in attempts recorded without video or metrics', () => {
+    const [entry] = summarizeAttempts([{ attempt: 1 }], 1);
+    expect(entry).toMatchObject({
+      transcript: '',
+      duration_ms: null,
+      speaking_metrics: null,
+      video_metrics: null,
+      has_video: false,
+      capture_profile: null,
+      submitted: true,
+    });
+  });
+});
+
+describe('toCheckpointAttempt', () => {
+  test('replaces the video with a flag', () => {
+    const checkpoint = toCheckpointAttempt(attempt(3));
+    expect(checkpoint.videoBlob).toBeUndefined();
+    expect(checkpoint.hasVideo).toBe(true);
+    expect(toCheckpointAttempt({ attempt: 4 }).hasVideo).toBe(false);
+  });
+});
+
+describe('parseRecordingAttempts', () => {
+  test('sorts valid entries by attempt number', () => {
+    const stored = JSON.stringify([{ attempt: '3' }, { attempt: 1 }, { attempt: 'x' }, null]);
+    expect(parseRecordingAttempts(stored)).toEqual([{ attempt: 1 }, { attempt: '3' }]);
+  });
+
+  test('returns an empty list for anything else', () => {
+    expect(parseRecordingAttempts('not json')).toEqual([]);
+    expect(parseRecordingAttempts({ attempt: 1 })).toEqual([]);
+    expect(parseRecordingAttempts(null)).toEqual([]);
+  });
+});
+
+describe('formatAttemptDuration', () => {
+  test('formats minutes and seconds', () => {
+    expect(formatAttemptDuration(65400)).toBe('1:05');
+    expect(formatAttemptDuration(0)).toBe('0:00');
+    expect(formatAttemptDuration(null)).toBe('—');
+  });
+});
@@ -0,0 +1,184 @@
+// Capture-quality profiles for answer recordings. A profile sets the camera
+// resolution and frame rate requested from getUserMedia and the bitrate handed
+// to MediaRecorder. Students pick a preferred profile on the InstructionScreen
+// (remembered per student in localStorage); InterviewScreen then steps down from
+// it whenever the measured size per minute would push an answer past the
+// per-question budget, or the device check found a slow upload. The audio-only
+// profile keeps the camera preview for framing but records just the microphone.
+//
+// Calibration shape: { [profileId]: measured size / estimated size }, since
+// encoders rarely hit the requested bitrate exactly.
+
+export const CAPTURE_PROFILES = [
+  {
+    id: 'high',
+    label: 'High (720p)',
+    width: 1280,
+    height: 720,
+    frameRate: 30,
+    videoBitsPerSecond: 2500000,
+  },
+  {
+    id: 'standard',
+    label: 'Standard (360p)',
+    width: 640,
+    height: 360,
+    frameRate: 24,
+    videoBitsPerSecond: 1000000,
+  },
+  {
+    id: 'low',
+    label: 'Low (240p)',
+    width: 426,
+    height: 240,
+    frameRate: 15,
+    videoBitsPerSecond: 350000,
+  },
+  {
+    id: 'audio',
+    label: 'Audio only',
+    audioOnly: true,
+    audioBitsPerSecond: 48000,
+  },
+];
+
+export const DEFAULT_CAPTURE_PROFILE = 'standard';
+
+// Largest recording we aim to upload for a single answer.
+export const QUESTION_VIDEO_BUDGET_BYTES = 25 * 1024 * 1024;
+// Answer length assumed for the budget when a question has no time limit.
+export const DEFAULT_ANSWER_SECONDS = 180;
+// Upload headroom over a profile's bitrate, matching the device check.
+const BANDWIDTH_HEADROOM = 1.5;
+// Clips shorter than this are mostly container overhead and skew the measurement.
+const MIN_MEASURED_MS = 5000;
+
+const storageKey = (studentEmail) => `capture_profile:${(studentEmail || 'anonymous').toLowerCase()}`;
+
+export const normalizeCaptureProfile = (value) => (
+  CAPTURE_PROFILES.some((profile) => profile.id === value) ? value : DEFAULT_CAPTURE_PROFILE
+);
+
+export const getCaptureProfile = (profileId) => (
+  CAPTURE_PROFILES.find((profile) => profile.id === normalizeCaptureProfile(profileId))
+);
+
+export const loadCaptureProfile = (studentEmail) => {
+  try {
+    return normalizeCaptureProfile(localStorage.getItem(storageKey(studentEmail)));
+  } catch (error) {
+    return DEFAULT_CAPTURE_PROFILE;
+  }
+};
+
+export const saveCaptureProfile = (studentEmail, profileId) => {
+  try {
+    localStorage.setItem(storageKey(studentEmail), normalizeCaptureProfile(profileId));
+  } catch (error) {
+    console.warn('Unable to save capture profile', error);
+  }
+};
+
+const profileBitsPerSecond = (profile) => (
+  profile.audioOnly ? profile.audioBitsPerSecond : profile.videoBitsPerSecond
+);
+
+/**
+ * Expected recording size per minute, corrected by any measured calibration.
+ */
+export const estimateBytesPerMinute = (profile, calibration = {}) => (
+  (profileBitsPerSecond(profile) * 60 / 8) * (calibration[profile.id] || 1)
+);
+
+export const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+export const formatBytesPerMinute = (bytes) => `${formatBytes(bytes)}/min`;
+
+/**
+ * Best profile the connection measured by the device check can keep up with,
+ * or null when the check did not measure upload speed.
+ */
+export const maxProfileForBandwidth = (uploadKbps) => {
+  if (!uploadKbps) {
+    return null;
+  }
+  const fitting = CAPTURE_PROFILES.find(
+    (profile) => (profileBitsPerSecond(profile) / 1000) * BANDWIDTH_HEADROOM <= uploadKbps,
+  );
+  return (fitting || CAPTURE_PROFILES[CAPTURE_PROFILES.length - 1]).id;
+};
+
+/**
+ * Profile to record the next answer with: the first one at or below both the
+ * student's preference and the bandwidth cap whose projected size for the
+ * expected answer length fits the budget. Falls back to audio only.
+ */
+export const selectCaptureProfile = ({
+  preferredId,
+  bandwidthCapId = null,
+  expectedSeconds = DEFAULT_ANSWER_SECONDS,
+  budgetBytes = QUESTION_VIDEO_BUDGET_BYTES,
+  calibration = {},
+}) => {
+  const indexOf = (id) => CAPTURE_PROFILES.findIndex((profile) => profile.id === id);
+  const startIndex = Math.max(
+    indexOf(normalizeCaptureProfile(preferredId)),
+    bandwidthCapId ? indexOf(bandwidthCapId) : 0,
+  );
+  const candidates = CAPTURE_PROFILES.slice(startIndex);
+  const fitting = candidates.find(
+    (profile) => estimateBytesPerMinute(profile, calibration) * (expectedSeconds / 60) <= budgetBytes,
+  );
+  return (fitting || candidates[candidates.length - 1]).id;
+};
+
+/**
+ * Size per minute of a finished recording and the calibration it implies, or
+ * null when the clip is too short to say.
+ */
+export const measureRecording = (profileId, blob, durationMs) => {
+  if (!blob?.size || !durationMs || durationMs < MIN_MEASURED_MS) {
+    return null;
+  }
+  const profile = getCaptureProfile(profileId);
+  const bytesPerMinute = blob.size / (durationMs / 60000);
+  return {
+    profile: profile.id,
+    bytesPerMinute: Math.round(bytesPerMinute),
+    ratio: bytesPerMinute / estimateBytesPerMinute(profile),
+  };
+};
+
+/**
+ * Fold a measurement into the calibration, averaging with earlier answers so
+ * one unusual clip does not swing the profile.
+ */
+export const updateCalibration = (calibration, measurement) => {
+  if (!measurement) {
+    return calibration;
+  }
+  const previous = calibration[measurement.profile];
+  const ratio = previous ? (previous + measurement.ratio) / 2 : measurement.ratio;
+  return { ...calibration, [measurement.profile]: Math.min(4, Math.max(0.25, ratio)) };
+};
+
+/**
+ * Capture details sent with the upload metadata.
+ */
+export const buildCaptureMetadata = (profileId, measurement = null) => {
+  const profile = getCaptureProfile(profileId);
+  return {
+    capture_profile: profile.id,
+    audio_only: Boolean(profile.audioOnly),
+    width: profile.width || null,
+    height: profile.height || null,
+    frame_rate: profile.frameRate || null,
+    bits_per_second: profileBitsPerSecond(profile),
+    bytes_per_minute: measurement?.bytesPerMinute ?? null,
+  };
+};
@@ -0,0 +1,103 @@
+import {
+  buildCaptureMetadata,
+  DEFAULT_CAPTURE_PROFILE,
+  estimateBytesPerMinute,
+  formatBytes,
+  getCaptureProfile,
+  loadCaptureProfile,
+  maxProfileForBandwidth,
+  measureRecording,
+  saveCaptureProfile,
+  selectCaptureProfile,
+  updateCalibration,
+} from './captureQuality';
+
+const sizedBlob = (bytes) => ({ size: bytes });
+
+describe('profiles', () => {
+  test('unknown ids fall back to the default profile', () => {
+    expect(getCaptureProfile('8k').id).toBe(DEFAULT_CAPTURE_PROFILE);
+    expect(getCaptureProfile('audio').audioOnly).toBe(true);
+  });
+
+  test('the preference is remembered per student, case-insensitively', () => {
+    localStorage.clear();
+    saveCaptureProfile('Student@Example.com', 'low');
+    expect(loadCaptureProfile('student@example.com')).toBe('low');
+    expect(loadCaptureProfile('someone@example.com')).toBe(DEFAULT_CAPTURE_PROFILE);
+  });
+
+  test('size estimates apply the measured calibration', () => {
+    const standard = getCaptureProfile('standard');
+    expect(estimateBytesPerMinute(standard)).toBe(7500000);
+    expect(estimateBytesPerMinute(standard, { standard: 1.2 })).toBe(9000000);
+    expect(formatBytes(7500000)).toBe('7.2 MB');
+    expect(formatBytes(100)).toBe('1 KB');
+  });
+});
+
+describe('selectCaptureProfile', () => {
+  test('steps down until the expected answer fits the budget', () => {
+    expect(selectCaptureProfile({ preferredId: 'high' })).toBe('standard');
+    expect(selectCaptureProfile({ preferredId: 'high', expectedSeconds: 300 })).toBe('low');
+    expect(selectCaptureProfile({ preferredId: 'high', expectedSeconds: 60 })).toBe('high');
+  });
+
+  test('never goes above the preference or the bandwidth cap', () => {
+    expect(selectCaptureProfile({ preferredId: 'low', expectedSeconds: 30 })).toBe('low');
+    expect(selectCaptureProfile({ preferredId: 'high', bandwidthCapId: 'audio', expectedSeconds: 30 })).toBe('audio');
+  });
+
+  test('falls back to audio only when no video profile fits', () => {
+    expect(selectCaptureProfile({ preferredId: 'standard', expectedSeconds: 3600 })).toBe('audio');
+  });
+
+  test('a calibration showing bigger files than expected lowers the profile', () => {
+    expect(selectCaptureProfile({ preferredId: 'standard', calibration: { standard: 1.5 } })).toBe('low');
+  });
+});
+
+describe('maxProfileForBandwidth', () => {
+  test('keeps headroom over the profile bitrate', () => {
+    expect(maxProfileForBandwidth(null)).toBeNull();
+    expect(maxProfileForBandwidth(4000)).toBe('high');
+    expect(maxProfileForBandwidth(2000)).toBe('standard');
+    expect(maxProfileForBandwidth(100)).toBe('audio');
+    expect(maxProfileForBandwidth(10)).toBe('audio');
+  });
+});
+
+describe('measurement and calibration', () => {
+  test('ignores clips too short to measure', () => {
+    expect(measureRecording('standard', sizedBlob(500000), 4000)).toBeNull();
+    expect(measureRecording('standard', sizedBlob(0), 60000)).toBeNull();
+  });
+
+  test('reports size per minute and the ratio to the estimate', () => {
+    const measurement = measureRecording('standard', sizedBlob(1000000), 6000);
+    expect(measurement.profile).toBe('standard');
+    expect(measurement.bytesPerMinute).toBe(10000000);
+    expect(measurement.ratio).toBeCloseTo(4 / 3);
+  });
+
+  test('averages with earlier measurements and clamps outliers', () => {
+    expect(updateCalibration({}, { profile: 'low', ratio: 1.2 })).toEqual({ low: 1.2 });
+    expect(updateCalibration({ low: 1 }, { profile: 'low', ratio: 9 })).toEqual({ low: 4 });
+    expect(updateCalibration({ low: 1 }, { profile: 'low', ratio: 0 }).low).toBe(0.5);
+    const calibration = { low: 1 };
+    expect(updateCalibration(calibration, null)).toBe(calibration);
+  });
+
+  test('builds upload metadata for video and audio-only captures', () => {
+    expect(buildCaptureMetadata('low', { bytesPerMinute: 2000000 })).toEqual({
+      capture_profile: 'low',
+      audio_only: false,
+      width: 426,
+      height: 240,
+      frame_rate: 15,
+      bits_per_second: 350000,
+      bytes_per_minute: 2000000,
+    });
+    expect(buildCaptureMetadata('audio')).toMatchObject({ audio_only: true, width: null, bytes_per_minute: null });
+  });
+});
@@ -0,0 +1,539 @@
+// Function-signature harness for coding questions. A question declares a function
+// name plus typed parameters and return type; candidates implement only that
+// function while a generated driver (sent to Piston as an extra file) reads the
+// test arguments from stdin, calls the function and prints the result as JSON.
+//
+// Supported types: int, long, float, bool, string and arrays of them (`int[]`,
+// `string[][]`, ...). Arguments travel over stdin in a line-based format the
+// drivers can parse without a JSON library: scalars take one line, arrays take a
+// length line followed by each element. Strings therefore cannot contain newlines.
+
+export const HARNESS_LANGUAGES = ['python', 'javascript', 'java', 'cpp', 'go'];
+
+export const HARNESS_RESULT_PREFIX = '__HARNESS_RESULT__:';
+
+const SCALAR_TYPES = ['int', 'long', 'float', 'bool', 'string'];
+
+const TYPE_ALIASES = {
+  integer: 'int',
+  i32: 'int',
+  i64: 'long',
+  int64: 'long',
+  double: 'float',
+  float64: 'float',
+  number: 'float',
+  boolean: 'bool',
+  str: 'string',
+  char: 'string',
+};
+
+const GENERIC_ARRAY_PATTERN = /^(?:list|array|vector|slice)[<[](.+)[>\]]$/;
+
+/**
+ * Canonicalize a declared type, e.g. `List[int]` -> `int[]`, `boolean` -> `bool`.
+ * Returns null for anything outside the supported set.
+ */
+export const normalizeHarnessType = (value) => {
+  let type = (value || '').toString().trim().toLowerCase().replace(/\s+/g, '');
+  let depth = 0;
+  for (;;) {
+    const generic = type.match(GENERIC_ARRAY_PATTERN);
+    if (generic) {
+      type = generic[1];
+      depth += 1;
+    } else if (type.endsWith('[]')) {
+      type = type.slice(0, -2);
+      depth += 1;
+    } else {
+      break;
+    }
+  }
+  const scalar = TYPE_ALIASES[type] || type;
+  if (!SCALAR_TYPES.includes(scalar)) {
+    return null;
+  }
+  return `${scalar}${'[]'.repeat(depth)}`;
+};
+
+const elementType = (type) => type.slice(0, -2);
+const isArrayType = (type) => type.endsWith('[]');
+const baseType = (type) => type.replace(/(\[\])+$/, '');
+const arrayDepth = (type) => (type.length - baseType(type).length) / 2;
+const isFloatType = (type) => baseType(type) === 'float';
+
+const parseMaybeJson = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read the harness spec from a raw question (`function_signature`, object or
+ * JSON string). Returns { name, params: [{ name, type }], returnType } or null.
+ */
+export const extractHarnessSpec = (rawQuestion) => {
+  const signature = parseMaybeJson(rawQuestion?.function_signature ?? rawQuestion?.harness);
+  if (!signature || typeof signature !== 'object') {
+    return null;
+  }
+  const name = (signature.name || signature.function_name || '').toString().trim();
+  const params = (Array.isArray(signature.params) ? signature.params : signature.parameters || [])
+    .map((param) => ({ name: (param?.name || '').toString().trim(), type: normalizeHarnessType(param?.type) }));
+  const returnType = normalizeHarnessType(signature.return_type ?? signature.returns);
+
+  if (!/^[A-Za-z_]\w*$/.test(name) || !returnType || params.some((param) => !param.name || !param.type)) {
+    console.warn('Ignoring unsupported function signature on question', signature);
+    return null;
+  }
+  return { name, params, returnType };
+};
+
+export const harnessLanguageFor = (runtime) => {
+  const names = [runtime?.language, ...(runtime?.aliases || [])]
+    .filter(Boolean)
+    .map((value) => value.toLowerCase());
+  if (names.some((value) => value === 'python' || value === 'python3' || value === 'py')) return 'python';
+  if (names.some((value) => value === 'javascript' || value === 'node' || value === 'js')) return 'javascript';
+  if (names.includes('java')) return 'java';
+  if (names.some((value) => value === 'c++' || value === 'cpp')) return 'cpp';
+  if (names.some((value) => value === 'go' || value === 'golang')) return 'go';
+  return null;
+};
+
+// ---------------------------------------------------------------------------
+// Test-case encoding
+
+const encodeValue = (value, type) => {
+  if (isArrayType(type)) {
+    const items = Array.isArray(value) ? value : [];
+    return [String(items.length), ...items.flatMap((item) => encodeValue(item, elementType(type)))];
+  }
+  if (type === 'bool') {
+    return [value ? 'true' : 'false'];
+  }
+  return [value == null ? '' : String(value)];
+};
+
+const argsFromInput = (rawInput, spec) => {
+  const parsed = parseMaybeJson(rawInput);
+  if (Array.isArray(parsed) && spec.params.length !== 1) {
+    return parsed;
+  }
+  if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+    return spec.params.map((param) => parsed[param.name]);
+  }
+  return [parsed];
+};
+
+/**
+ * Convert judge test cases (see codeJudge.extractTestCases) into harness cases:
+ * stdin becomes the wire encoding of the arguments and the expected output the
+ * compact JSON the drivers print. Float results are compared numerically.
+ */
+export const toHarnessTestCases = (cases, spec) => (cases || []).map((testCase) => {
+  const args = argsFromInput(testCase.rawInput ?? testCase.input, spec);
+  const expected = parseMaybeJson(testCase.rawExpected ?? testCase.expected);
+  return {
+    ...testCase,
+    input: `${spec.params.flatMap((param, index) => encodeValue(args[index], param.type)).join('\n')}\n`,
+    displayInput: spec.params.map((param, index) => `${param.name} = ${JSON.stringify(args[index])}`).join('\n'),
+    expected: JSON.stringify(expected),
+    matchMode: isFloatType(spec.returnType) ? 'numeric' : testCase.matchMode,
+  };
+});
+
+/**
+ * Split harness stdout into the function result and anything the candidate
+ * printed while debugging.
+ */
+export const parseHarnessOutput = (stdout) => {
+  const lines = (stdout || '').split(/\r?\n/);
+  const resultLine = [...lines].reverse().find((line) => line.startsWith(HARNESS_RESULT_PREFIX));
+  return {
+    result: resultLine ? resultLine.slice(HARNESS_RESULT_PREFIX.length) : null,
+    logs: lines.filter((line) => !line.startsWith(HARNESS_RESULT_PREFIX)).join('\n').trim(),
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Per-language type names and zero values
+
+const PYTHON_TYPES = { int: 'int', long: 'int', float: 'float', bool: 'bool', string: 'str' };
+const JS_TYPES = { int: 'number', long: 'number', float: 'number', bool: 'boolean', string: 'string' };
+const JAVA_TYPES = { int: 'int', long: 'long', float: 'double', bool: 'boolean', string: 'String' };
+const CPP_TYPES = { int: 'int', long: 'long long', float: 'double', bool: 'bool', string: 'string' };
+const GO_TYPES = { int: 'int', long: 'int64', float: 'float64', bool: 'bool', string: 'string' };
+
+const pythonType = (type) => (isArrayType(type) ? `List[${pythonType(elementType(type))}]` : PYTHON_TYPES[type]);
+const jsType = (type) => `${JS_TYPES[baseType(type)]}${'[]'.repeat(arrayDepth(type))}`;
+const javaType = (type) => `${JAVA_TYPES[baseType(type)]}${'[]'.repeat(arrayDepth(type))}`;
+const cppType = (type) => (isArrayType(type) ? `vector<${cppType(elementType(type))}>` : CPP_TYPES[type]);
+const goType = (type) => `${'[]'.repeat(arrayDepth(type))}${GO_TYPES[baseType(type)]}`;
+
+const javaZero = (type) => {
+  if (isArrayType(type)) {
+    return `new ${JAVA_TYPES[baseType(type)]}[0]${'[]'.repeat(arrayDepth(type) - 1)}`;
+  }
+  return { int: '0', long: '0L', float: '0.0', bool: 'false', string: '""' }[type];
+};
+const cppZero = (type) => (isArrayType(type) ? '{}' : { int: '0', long: '0', float: '0.0', bool: 'false', string: '""' }[type]);
+const goZero = (type) => (isArrayType(type) ? `${goType(type)}{}` : { int: '0', long: '0', float: '0', bool: 'false', string: '""' }[type]);
+
+// Reader function name for a type in the compiled-language drivers, e.g. read_int_arr_arr.
+const readerName = (type) => `read_${baseType(type)}${'_arr'.repeat(arrayDepth(type))}`;
+
+const collectArrayTypes = (spec) => {
+  const types = new Set();
+  spec.params.forEach(({ type }) => {
+    let current = type;
+    while (isArrayType(current)) {
+      types.add(current);
+      current = elementType(current);
+    }
+  });
+  // Inner types first so each reader only calls already-declared readers.
+  return [...types].sort((a, b) => arrayDepth(a) - arrayDepth(b));
+};
+
+// ---------------------------------------------------------------------------
+// Stubs
+
+const STUBS = {
+  python: (spec) => {
+    const params = spec.params.map((param) => `${param.name}: ${pythonType(param.type)}`).join(', ');
+    return `from typing import List\n\n\ndef ${spec.name}(${params}) -> ${pythonType(spec.returnType)}:\n    # Write your code here\n    pass\n`;
+  },
+  javascript: (spec) => {
+    const docParams = spec.params.map((param) => ` * @param {${jsType(param.type)}} ${param.name}`).join('\n');
+    return `/**\n${docParams}\n * @return {${jsType(spec.returnType)}}\n */\nfunction ${spec.name}(${spec.params.map((param) => param.name).join(', ')}) {\n  // Write your code here\n}\n`;
+  },
+  java: (spec) => {
+    const params = spec.params.map((param) => `${javaType(param.type)} ${param.name}`).join(', ');
+    return `import java.util.*;\n\nclass Solution {\n    public ${javaType(spec.returnType)} ${spec.name}(${params}) {\n        // Write your code here\n        return ${javaZero(spec.returnType)};\n    }\n}\n`;
+  },
+  cpp: (spec) => {
+    const params = spec.params
+      .map((param) => (isArrayType(param.type) ? `${cppType(param.type)}& ${param.name}` : `${cppType(param.type)} ${param.name}`))
+      .join(', ');
+    return `#include <bits/stdc++.h>\nusing namespace std;\n\nclass Solution {\npublic:\n    ${cppType(spec.returnType)} ${spec.name}(${params}) {\n        // Write your code here\n        return ${cppZero(spec.returnType)};\n    }\n};\n`;
+  },
+  go: (spec) => {
+    const params = spec.params.map((param) => `${param.name} ${goType(param.type)}`).join(', ');
+    return `package main\n\nfunc ${spec.name}(${params}) ${goType(spec.returnType)} {\n\t// Write your code here\n\treturn ${goZero(spec.returnType)}\n}\n`;
+  },
+};
+
+export const generateHarnessStub = (language, spec) => (STUBS[language] ? STUBS[language](spec) : null);
+
+// ---------------------------------------------------------------------------
+// Drivers
+
+const pythonDriver = (spec) => `import json
+import sys
+
+from solution import ${spec.name}
+
+_lines = sys.stdin.read().split('\\n')
+_pos = 0
+
+
+def _next():
+    global _pos
+    line = _lines[_pos] if _pos < len(_lines) else ''
+    _pos += 1
+    return line
+
+
+def _read(kind):
+    if kind.endswith('[]'):
+        count = int(_next().strip())
+        return [_read(kind[:-2]) for _ in range(count)]
+    line = _next()
+    if kind in ('int', 'long'):
+        return int(line.strip())
+    if kind == 'float':
+        return float(line.strip())
+    if kind == 'bool':
+        return line.strip() == 'true'
+    return line
+
+
+_args = [_read(kind) for kind in ${JSON.stringify(spec.params.map((param) => param.type))}]
+_result = ${spec.name}(*_args)
+print(${JSON.stringify(HARNESS_RESULT_PREFIX)} + json.dumps(_result, separators=(',', ':'), ensure_ascii=False))
+`;
+
+const javascriptDriver = (spec) => `const fs = require('fs');
+const path = require('path');
+
+const source = fs.readFileSync(path.join(__dirname, 'solution.js'), 'utf8');
+const candidate = new Function('require', 'module', 'exports', \`\${source}\\nreturn typeof ${spec.name} === 'function' ? ${spec.name} : module.exports.${spec.name};\`)(require, { exports: {} }, {});
+if (typeof candidate !== 'function') {
+  throw new Error('Function ${spec.name} was not found in your solution.');
+}
+
+const lines = fs.readFileSync(0, 'utf8').split('\\n');
+let pos = 0;
+const next = () => (pos < lines.length ? lines[pos++] : '');
+
+const read = (kind) => {
+  if (kind.endsWith('[]')) {
+    const count = parseInt(next().trim(), 10);
+    return Array.from({ length: count }, () => read(kind.slice(0, -2)));
+  }
+  const line = next();
+  if (kind === 'int' || kind === 'long' || kind === 'float') return Number(line.trim());
+  if (kind === 'bool') return line.trim() === 'true';
+  return line;
+};
+
+const args = ${JSON.stringify(spec.params.map((param) => param.type))}.map(read);
+const result = candidate(...args);
+console.log(${JSON.stringify(HARNESS_RESULT_PREFIX)} + JSON.stringify(result === undefined ? null : result));
+`;
+
+const JAVA_SCALAR_READERS = {
+  int: 'Integer.parseInt(next().trim())',
+  long: 'Long.parseLong(next().trim())',
+  float: 'Double.parseDouble(next().trim())',
+  bool: 'next().trim().equals("true")',
+  string: 'next()',
+};
+
+const javaDriver = (spec) => {
+  const scalarReaders = SCALAR_TYPES
+    .map((type) => `    static ${javaType(type)} ${readerName(type)}() {\n        return ${JAVA_SCALAR_READERS[type]};\n    }`)
+    .join('\n\n');
+  const arrayReaders = collectArrayTypes(spec).map((type) => {
+    const inner = elementType(type);
+    const allocation = `new ${JAVA_TYPES[baseType(type)]}[count]${'[]'.repeat(arrayDepth(type) - 1)}`;
+    return `    static ${javaType(type)} ${readerName(type)}() {\n        int count = Integer.parseInt(next().trim());\n        ${javaType(type)} out = ${allocation};\n        for (int i = 0; i < count; i++) {\n            out[i] = ${readerName(inner)}();\n        }\n        return out;\n    }`;
+  }).join('\n\n');
+  const argDeclarations = spec.params
+    .map((param, index) => `        ${javaType(param.type)} arg${index} = ${readerName(param.type)}();`)
+    .join('\n');
+  const argNames = spec.params.map((_, index) => `arg${index}`).join(', ');
+
+  return `import java.io.*;
+import java.lang.reflect.Array;
+import java.util.*;
+
+public class Main {
+    private static final List<String> LINES = new ArrayList<>();
+    private static int pos = 0;
+
+    static String next() {
+        return pos < LINES.size() ? LINES.get(pos++) : "";
+    }
+
+${scalarReaders}
+${arrayReaders ? `\n${arrayReaders}\n` : ''}
+    static String toJson(Object value) {
+        if (value == null) return "null";
+        if (value instanceof String) {
+            StringBuilder sb = new StringBuilder("\\"");
+            for (char c : ((String) value).toCharArray()) {
+                switch (c) {
+                    case '"': sb.append("\\\\\\""); break;
+                    case '\\\\': sb.append("\\\\\\\\"); break;
+                    case '\\n': sb.append("\\\\n"); break;
+                    case '\\r': sb.append("\\\\r"); break;
+                    case '\\t': sb.append("\\\\t"); break;
+                    default:
+                        if (c < 0x20) sb.append(String.format("\\\\u%04x", (int) c));
+                        else sb.append(c);
+                }
+            }
+            return sb.append('"').toString();
+        }
+        if (value.getClass().isArray()) {
+            StringBuilder sb = new StringBuilder("[");
+            int length = Array.getLength(value);
+            for (int i = 0; i < length; i++) {
+                if (i > 0) sb.append(',');
+                sb.append(toJson(Array.get(value, i)));
+            }
+            return sb.append(']').toString();
+        }
+        return String.valueOf(value);
+    }
+
+    public static void main(String[] args) throws IOException {
+        BufferedReader reader = new BufferedReader(new InputStreamReader(System.in));
+        String line;
+        while ((line = reader.readLine()) != null) {
+            LINES.add(line);
+        }
+${argDeclarations}
+        Object result = new Solution().${spec.name}(${argNames});
+        System.out.println(${JSON.stringify(HARNESS_RESULT_PREFIX)} + toJson(result));
+    }
+}
+`;
+};
+
+const CPP_SCALAR_READERS = {
+  int: 'stoi(next_line())',
+  long: 'stoll(next_line())',
+  float: 'stod(next_line())',
+  bool: 'trim_line(next_line()) == "true"',
+  string: 'next_line()',
+};
+
+const cppDriver = (spec) => {
+  const scalarReaders = SCALAR_TYPES
+    .map((type) => `static ${cppType(type)} ${readerName(type)}() { return ${CPP_SCALAR_READERS[type]}; }`)
+    .join('\n');
+  const arrayReaders = collectArrayTypes(spec).map((type) => `static ${cppType(type)} ${readerName(type)}() {
+    int count = stoi(next_line());
+    ${cppType(type)} out;
+    for (int i = 0; i < count; i++) out.push_back(${readerName(elementType(type))}());
+    return out;
+}`).join('\n\n');
+  const argDeclarations = spec.params
+    .map((param, index) => `    ${cppType(param.type)} arg${index} = ${readerName(param.type)}();`)
+    .join('\n');
+  const argNames = spec.params.map((_, index) => `arg${index}`).join(', ');
+
+  return `#include "solution.hpp"
+
+static vector<string> harness_lines;
+static size_t harness_pos = 0;
+
+static string next_line() {
+    return harness_pos < harness_lines.size() ? harness_lines[harness_pos++] : string();
+}
+
+static string trim_line(const string& value) {
+    size_t start = value.find_first_not_of(" \\t\\r");
+    size_t end = value.find_last_not_of(" \\t\\r");
+    return start == string::npos ? string() : value.substr(start, end - start + 1);
+}
+
+${scalarReaders}
+${arrayReaders ? `\n${arrayReaders}\n` : ''}
+static string to_json(int value) { return to_string(value); }
+static string to_json(long long value) { return to_string(value); }
+static string to_json(bool value) { return value ? "true" : "false"; }
+static string to_json(double value) {
+    ostringstream out;
+    out << setprecision(15) << value;
+    return out.str();
+}
+static string to_json(const string& value) {
+    string out = "\\"";
+    for (char c : value) {
+        if (c == '"') out += "\\\\\\"";
+        else if (c == '\\\\') out += "\\\\\\\\";
+        else if (c == '\\n') out += "\\\\n";
+        else if (c == '\\t') out += "\\\\t";
+        else if (c == '\\r') out += "\\\\r";
+        else out += c;
+    }
+    return out + "\\"";
+}
+template <typename T>
+static string to_json(const vector<T>& values) {
+    string out = "[";
+    for (size_t i = 0; i < values.size(); i++) {
+        if (i > 0) out += ",";
+        out += to_json(static_cast<T>(values[i]));
+    }
+    return out + "]";
+}
+
+int main() {
+    string line;
+    while (getline(cin, line)) harness_lines.push_back(line);
+${argDeclarations}
+    Solution solution;
+    auto result = solution.${spec.name}(${argNames});
+    cout << ${JSON.stringify(HARNESS_RESULT_PREFIX)} << to_json(result) << endl;
+    return 0;
+}
+`;
+};
+
+const GO_SCALAR_READERS = {
+  int: 'value, _ := strconv.Atoi(strings.TrimSpace(nextLine()))\n\treturn value',
+  long: 'value, _ := strconv.ParseInt(strings.TrimSpace(nextLine()), 10, 64)\n\treturn value',
+  float: 'value, _ := strconv.ParseFloat(strings.TrimSpace(nextLine()), 64)\n\treturn value',
+  bool: 'return strings.TrimSpace(nextLine()) == "true"',
+  string: 'return nextLine()',
+};
+
+const goDriver = (spec) => {
+  const scalarReaders = SCALAR_TYPES
+    .map((type) => `func ${readerName(type)}() ${goType(type)} {\n\t${GO_SCALAR_READERS[type]}\n}`)
+    .join('\n\n');
+  const arrayReaders = collectArrayTypes(spec).map((type) => `func ${readerName(type)}() ${goType(type)} {
+\tcount := read_int()
+\tout := make(${goType(type)}, 0, count)
+\tfor i := 0; i < count; i++ {
+\t\tout = append(out, ${readerName(elementType(type))}())
+\t}
+\treturn out
+}`).join('\n\n');
+  const argDeclarations = spec.params
+    .map((param, index) => `\targ${index} := ${readerName(param.type)}()`)
+    .join('\n');
+  const argNames = spec.params.map((_, index) => `arg${index}`).join(', ');
+
+  return `package main
+
+import (
+\t"bufio"
+\t"encoding/json"
+\t"fmt"
+\t"os"
+\t"strconv"
+\t"strings"
+)
+
+var harnessLines []string
+var harnessPos int
+
+func nextLine() string {
+\tif harnessPos >= len(harnessLines) {
+\t\treturn ""
+\t}
+\tline := harnessLines[harnessPos]
+\tharnessPos++
+\treturn strings.TrimRight(line, "\\r")
+}
+
+${scalarReaders}
+${arrayReaders ? `\n${arrayReaders}\n` : ''}
+func main() {
+\tscanner := bufio.NewScanner(os.Stdin)
+\tscanner.Buffer(make([]byte, 1024*1024), 64*1024*1024)
+\tfor scanner.Scan() {
+\t\tharnessLines = append(harnessLines, scanner.Text())
+\t}
+${argDeclarations}
+\tresult := ${spec.name}(${argNames})
+\tencoder := json.NewEncoder(os.Stdout)
+\tencoder.SetEscapeHTML(false)
+\tfmt.Print(${JSON.stringify(HARNESS_RESULT_PREFIX)})
+\tencoder.Encode(result)
+}
+`;
+};
+
+// Entry file first: Piston runs files[0] and the candidate's code sits beside it.
+const HARNESS_FILES = {
+  python: (spec, code) => [{ name: 'main.py', content: pythonDriver(spec) }, { name: 'solution.py', content: code }],
+  javascript: (spec, code) => [{ name: 'main.js', content: javascriptDriver(spec) }, { name: 'solution.js', content: code }],
+  java: (spec, code) => [{ name: 'Main.java', content: javaDriver(spec) }, { name: 'Solution.java', content: code }],
+  cpp: (spec, code) => [{ name: 'main.cpp', content: cppDriver(spec) }, { name: 'solution.hpp', content: code }],
+  go: (spec, code) => [{ name: 'main.go', content: goDriver(spec) }, { name: 'solution.go', content: code }],
+};
+
+export const buildHarnessFiles = (language, spec, code) => (
+  HARNESS_FILES[language] ? HARNESS_FILES[language](spec, code) : null
+);
@@ -0,0 +1,94 @@
+import {
+  buildHarnessFiles,
+  extractHarnessSpec,
+  generateHarnessStub,
+  harnessLanguageFor,
+  HARNESS_LANGUAGES,
+  HARNESS_RESULT_PREFIX,
+  normalizeHarnessType,
+  parseHarnessOutput,
+  toHarnessTestCases,
+} from './codeHarness';
+import { compareOutput } from './codeJudge';
+
+const spec = {
+  name: 'average',
+  params: [{ name: 'values', type: 'float[]' }, { name: 'label', type: 'string' }],
+  returnType: 'float[]',
+};
+
+describe('normalizeHarnessType', () => {
+  test('canonicalizes aliases and generic arrays', () => {
+    expect(normalizeHarnessType('List[int]')).toBe('int[]');
+    expect(normalizeHarnessType('vector<vector<double>>')).toBe('float[][]');
+    expect(normalizeHarnessType('boolean')).toBe('bool');
+    expect(normalizeHarnessType('Map<string,int>')).toBeNull();
+  });
+});
+
+describe('extractHarnessSpec', () => {
+  test('reads a JSON signature', () => {
+    const parsed = extractHarnessSpec({
+      function_signature: JSON.stringify({
+        name: 'twoSum',
+        params: [{ name: 'nums', type: 'int[]' }, { name: 'target', type: 'int' }],
+        return_type: 'int[]',
+      }),
+    });
+    expect(parsed).toEqual({
+      name: 'twoSum',
+      params: [{ name: 'nums', type: 'int[]' }, { name: 'target', type: 'int' }],
+      returnType: 'int[]',
+    });
+  });
+
+  test('rejects unsupported signatures', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(extractHarnessSpec({ function_signature: { name: '1bad', params: [], return_type: 'int' } })).toBeNull();
+    expect(extractHarnessSpec({ function_signature: { name: 'f', params: [{ name: 'm', type: 'map' }], return_type: 'int' } })).toBeNull();
+    expect(extractHarnessSpec({})).toBeNull();
+    console.warn.mockRestore();
+  });
+});
+
+describe('toHarnessTestCases', () => {
+  test('encodes arguments line by line and expects compact JSON', () => {
+    const [testCase] = toHarnessTestCases([
+      { id: 'c1', rawInput: { values: [1.5, 2], label: 'x' }, rawExpected: '[1.75]', matchMode: 'trimmed' },
+    ], spec);
+    expect(testCase.input).toBe('2\n1.5\n2\nx\n');
+    expect(testCase.displayInput).toBe('values = [1.5,2]\nlabel = "x"');
+    expect(testCase.expected).toBe('[1.75]');
+    expect(testCase.matchMode).toBe('numeric');
+  });
+
+  test('float array results still compare within tolerance after the JSON round trip', () => {
+    const [testCase] = toHarnessTestCases([{ rawInput: [[0.1, 0.2], 'x'], rawExpected: [0.3] }], spec);
+    expect(compareOutput('[0.30000000000000004]', testCase.expected, testCase)).toBe(true);
+  });
+});
+
+describe('parseHarnessOutput', () => {
+  test('separates the result line from debug prints', () => {
+    const output = `debug 1\n${HARNESS_RESULT_PREFIX}[1,2]\ndebug 2\n`;
+    expect(parseHarnessOutput(output)).toEqual({ result: '[1,2]', logs: 'debug 1\ndebug 2' });
+    expect(parseHarnessOutput('no result').result).toBeNull();
+  });
+});
+
+describe('drivers', () => {
+  test('maps runtimes to harness languages', () => {
+    expect(harnessLanguageFor({ language: 'python3' })).toBe('python');
+    expect(harnessLanguageFor({ language: 'gcc', aliases: ['c++'] })).toBe('cpp');
+    expect(harnessLanguageFor({ language: 'ruby' })).toBeNull();
+  });
+
+  test.each(HARNESS_LANGUAGES)('generates a stub and driver for %s', (language) => {
+    const stub = generateHarnessStub(language, spec);
+    expect(stub).toContain('average');
+    const files = buildHarnessFiles(language, spec, stub);
+    expect(files).toHaveLength(2);
+    expect(files[0].content).toContain(HARNESS_RESULT_PREFIX);
+    expect(files[1].content).toBe(stub);
+  });
+});
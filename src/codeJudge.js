@@ -0,0 +1,249 @@
+// Test-case judging for coding questions: normalizes the test cases carried on a
+// question, compares program output against the expected output and runs every
+// case through an executor (Piston in CodingWorkspace). Only sample cases run in
+// the browser; hidden cases never leave the backend, which judges them on submit.
+
+export const MATCH_MODES = ['exact', 'trimmed', 'numeric', 'unordered_lines'];
+
+const DEFAULT_MATCH_MODE = 'trimmed';
+const DEFAULT_TOLERANCE = 1e-6;
+
+const MATCH_MODE_ALIASES = {
+  strict: 'exact',
+  trim: 'trimmed',
+  whitespace: 'trimmed',
+  float: 'numeric',
+  tolerance: 'numeric',
+  unordered: 'unordered_lines',
+  any_order: 'unordered_lines',
+};
+
+export const normalizeMatchMode = (value) => {
+  const key = (value || '').toString().trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (MATCH_MODES.includes(key)) {
+    return key;
+  }
+  return MATCH_MODE_ALIASES[key] || DEFAULT_MATCH_MODE;
+};
+
+const parseMaybeJson = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+const toText = (value) => {
+  if (value == null) {
+    return '';
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+// An explicit 0 asks for exact numeric matches; only missing or invalid values fall back.
+const toTolerance = (value) => {
+  const numeric = value == null || value === '' ? NaN : Number(value);
+  return Number.isFinite(numeric) && numeric >= 0 ? numeric : DEFAULT_TOLERANCE;
+};
+
+// `index` runs across all of a question's sample lists so default ids stay unique;
+// `position` numbers the case within its own list for the display name.
+const toCase = (raw, index, { position, defaults }) => {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+  return {
+    id: raw.id ?? `sample-${index + 1}`,
+    name: raw.name || raw.label || `Sample case ${position + 1}`,
+    input: toText(raw.input ?? raw.stdin),
+    expected: toText(raw.expected_output ?? raw.expected ?? raw.output),
+    // Untouched values for function-signature questions (see codeHarness).
+    rawInput: raw.input ?? raw.stdin,
+    rawExpected: raw.expected_output ?? raw.expected ?? raw.output,
+    matchMode: normalizeMatchMode(raw.match_mode ?? defaults.matchMode),
+    tolerance: toTolerance(raw.tolerance ?? defaults.tolerance),
+  };
+};
+
+const isHiddenCase = (raw) => Boolean(raw && (raw.hidden || raw.is_hidden));
+
+/**
+ * Read the sample test cases from a raw question payload: a `test_cases` list
+ * and/or a `sample_test_cases` list; JSON strings are parsed. Hidden cases are
+ * judged by the backend at submit time and only their count,
+ * `hidden_test_count`, reaches the browser; any hidden case a backend still
+ * ships is dropped rather than run or shown. Returns null when the question has
+ * neither.
+ */
+export const extractTestCases = (rawQuestion) => {
+  if (!rawQuestion || typeof rawQuestion !== 'object') {
+    return null;
+  }
+  const defaults = {
+    matchMode: rawQuestion.match_mode ?? rawQuestion.output_match,
+    tolerance: rawQuestion.tolerance,
+  };
+
+  const combined = parseMaybeJson(rawQuestion.test_cases);
+  const samples = parseMaybeJson(rawQuestion.sample_test_cases);
+
+  const visible = (list) => (Array.isArray(list) ? list.filter((entry) => !isHiddenCase(entry)) : []);
+  const cases = [visible(combined), visible(samples)]
+    .flatMap((list) => list.map((entry, position) => [entry, position]))
+    .map(([entry, position], index) => toCase(entry, index, { position, defaults }))
+    .filter(Boolean);
+
+  const hiddenCount = Number(rawQuestion.hidden_test_count);
+  const hiddenTotal = Number.isInteger(hiddenCount) && hiddenCount > 0 ? hiddenCount : 0;
+  if (!cases.length && !hiddenTotal) {
+    return null;
+  }
+
+  const timeLimitMs = Number(rawQuestion.time_limit_ms);
+  return {
+    sample: cases,
+    hiddenCount: hiddenTotal,
+    timeLimitMs: Number.isFinite(timeLimitMs) && timeLimitMs > 0 ? timeLimitMs : null,
+  };
+};
+
+const splitLines = (text) => text.replace(/\r\n/g, '\n').split('\n').map((line) => line.trimEnd());
+
+const stripTrailingBlankLines = (lines) => {
+  const result = [...lines];
+  while (result.length && result[result.length - 1] === '') {
+    result.pop();
+  }
+  return result;
+};
+
+const numbersClose = (actual, expected, tolerance) => {
+  const scale = Math.max(1, Math.abs(expected));
+  return Math.abs(actual - expected) <= tolerance * scale;
+};
+
+const parseJsonValue = (text) => {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch (error) {
+    return { ok: false, value: null };
+  }
+};
+
+// Same structure, numbers within tolerance: harness results such as [[0.1, 2], [3]].
+const compareJsonNumeric = (actual, expected, tolerance) => {
+  if (typeof expected === 'number') {
+    return typeof actual === 'number' && numbersClose(actual, expected, tolerance);
+  }
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual)
+      && actual.length === expected.length
+      && expected.every((item, index) => compareJsonNumeric(actual[index], item, tolerance));
+  }
+  if (expected && typeof expected === 'object') {
+    const keys = Object.keys(expected);
+    return Boolean(actual) && typeof actual === 'object' && !Array.isArray(actual)
+      && Object.keys(actual).length === keys.length
+      && keys.every((key) => key in actual && compareJsonNumeric(actual[key], expected[key], tolerance));
+  }
+  return actual === expected;
+};
+
+// Plain output is compared token by token on whitespace, so "1,000" stays one
+// token; JSON arrays and objects on both sides are compared as structures.
+const compareNumeric = (actual, expected, tolerance) => {
+  const expectedJson = parseJsonValue(expected.trim());
+  const actualJson = parseJsonValue(actual.trim());
+  if (expectedJson.ok && actualJson.ok && typeof expectedJson.value === 'object' && expectedJson.value !== null) {
+    return compareJsonNumeric(actualJson.value, expectedJson.value, tolerance);
+  }
+  const actualTokens = actual.trim().split(/\s+/).filter(Boolean);
+  const expectedTokens = expected.trim().split(/\s+/).filter(Boolean);
+  if (actualTokens.length !== expectedTokens.length) {
+    return false;
+  }
+  return expectedTokens.every((token, index) => {
+    const expectedNumber = Number(token);
+    const actualNumber = Number(actualTokens[index]);
+    if (Number.isNaN(expectedNumber) || Number.isNaN(actualNumber)) {
+      return token === actualTokens[index];
+    }
+    return numbersClose(actualNumber, expectedNumber, tolerance);
+  });
+};
+
+export const compareOutput = (actual, expected, { matchMode = DEFAULT_MATCH_MODE, tolerance = DEFAULT_TOLERANCE } = {}) => {
+  const actualText = actual ?? '';
+  const expectedText = expected ?? '';
+  switch (normalizeMatchMode(matchMode)) {
+    case 'exact':
+      return actualText === expectedText;
+    case 'numeric':
+      return compareNumeric(actualText, expectedText, tolerance);
+    case 'unordered_lines': {
+      const actualLines = stripTrailingBlankLines(splitLines(actualText.trim())).sort();
+      const expectedLines = stripTrailingBlankLines(splitLines(expectedText.trim())).sort();
+      return actualLines.length === expectedLines.length
+        && actualLines.every((line, index) => line === expectedLines[index]);
+    }
+    case 'trimmed':
+    default:
+      return stripTrailingBlankLines(splitLines(actualText.trim())).join('\n')
+        === stripTrailingBlankLines(splitLines(expectedText.trim())).join('\n');
+  }
+};
+
+/**
+ * Run cases one at a time (Piston rate-limits concurrent requests).
+ * `execute(stdin)` must resolve to { stdout, stderr, success, internalError, timedOut }.
+ */
+export const runTestCases = async (cases, execute, { onProgress } = {}) => {
+  const verdicts = [];
+  for (let index = 0; index < cases.length; index += 1) {
+    const testCase = cases[index];
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await execute(testCase.input);
+    } catch (error) {
+      result = { stdout: '', stderr: '', success: false, internalError: error?.message || 'Execution failed' };
+    }
+    const durationMs = Date.now() - startedAt;
+
+    let status = 'passed';
+    if (result.timedOut) {
+      status = 'timeout';
+    } else if (!result.success) {
+      status = 'error';
+    } else if (!compareOutput(result.stdout, testCase.expected, testCase)) {
+      status = 'failed';
+    }
+
+    verdicts.push({
+      id: testCase.id,
+      name: testCase.name,
+      matchMode: testCase.matchMode,
+      status,
+      passed: status === 'passed',
+      durationMs,
+      input: testCase.displayInput ?? testCase.input,
+      expected: testCase.expected,
+      actual: result.stdout,
+      error: result.stderr || result.internalError || null,
+    });
+
+    if (typeof onProgress === 'function') {
+      onProgress([...verdicts]);
+    }
+  }
+  return verdicts;
+};
+
+export const summarizeVerdicts = (verdicts = []) => ({
+  total: verdicts.length,
+  passed: verdicts.filter((verdict) => verdict.passed).length,
+});
@@ -0,0 +1,122 @@
+import { compareOutput, extractTestCases, normalizeMatchMode, runTestCases, summarizeVerdicts } from './codeJudge';
+
+describe('extractTestCases', () => {
+  test('returns null without test cases', () => {
+    expect(extractTestCases({ question: 'Reverse a string' })).toBeNull();
+    expect(extractTestCases({ test_cases: '[]' })).toBeNull();
+  });
+
+  test('gives every sample case a unique default id across both lists', () => {
+    const result = extractTestCases({
+      test_cases: [{ input: '1', output: '1' }, { input: '2', output: '2' }],
+      sample_test_cases: JSON.stringify([{ input: '3', output: '3' }]),
+    });
+    expect(new Set(result.sample.map((testCase) => testCase.id)).size).toBe(3);
+    expect(result.sample.map((testCase) => testCase.name)).toEqual(['Sample case 1', 'Sample case 2', 'Sample case 1']);
+  });
+
+  test('drops hidden cases a backend still ships and keeps only their count', () => {
+    const result = extractTestCases({
+      test_cases: [{ input: '1', output: '1' }, { input: '2', output: '2', hidden: true }, { input: '3', output: '3', is_hidden: true }],
+      hidden_test_cases: [{ input: '4', output: '4' }],
+      hidden_test_count: 3,
+    });
+    expect(result.sample.map((testCase) => testCase.input)).toEqual(['1']);
+    expect(result.hiddenCount).toBe(3);
+    expect(JSON.stringify(result)).not.toMatch(/"[234]"/);
+  });
+
+  test('keeps a question with only hidden cases so the count can be shown', () => {
+    expect(extractTestCases({ hidden_test_count: '2' })).toEqual({ sample: [], hiddenCount: 2, timeLimitMs: null });
+    expect(extractTestCases({ hidden_test_count: 'lots' })).toBeNull();
+  });
+
+  test('keeps an explicit tolerance of zero', () => {
+    const result = extractTestCases({ tolerance: 0, test_cases: [{ input: '', output: '0.1' }] });
+    expect(result.sample[0].tolerance).toBe(0);
+  });
+
+  test('falls back to the default tolerance for missing or invalid values', () => {
+    const result = extractTestCases({
+      test_cases: [{ input: '', output: '1' }, { input: '', output: '1', tolerance: 'loose' }],
+    });
+    expect(result.sample.map((testCase) => testCase.tolerance)).toEqual([1e-6, 1e-6]);
+  });
+
+  test('reads the question time limit', () => {
+    expect(extractTestCases({ time_limit_ms: '2000', test_cases: [{ output: '' }] }).timeLimitMs).toBe(2000);
+    expect(extractTestCases({ time_limit_ms: -5, test_cases: [{ output: '' }] }).timeLimitMs).toBeNull();
+  });
+});
+
+describe('compareOutput', () => {
+  test('normalizes match mode aliases', () => {
+    expect(normalizeMatchMode('Any-Order')).toBe('unordered_lines');
+    expect(normalizeMatchMode('float')).toBe('numeric');
+    expect(normalizeMatchMode('unknown')).toBe('trimmed');
+  });
+
+  test('trimmed ignores trailing whitespace and blank lines', () => {
+    expect(compareOutput('a  \r\nb\n\n', 'a\nb')).toBe(true);
+    expect(compareOutput('a\nc', 'a\nb')).toBe(false);
+  });
+
+  test('exact requires identical text', () => {
+    expect(compareOutput('1\n', '1', { matchMode: 'exact' })).toBe(false);
+  });
+
+  test('numeric compares whitespace-separated tokens within tolerance', () => {
+    expect(compareOutput('0.30000000000000004', '0.3', { matchMode: 'numeric' })).toBe(true);
+    expect(compareOutput('1.5 2.0000001\n', '1.5 2', { matchMode: 'numeric', tolerance: 1e-6 })).toBe(true);
+    expect(compareOutput('0.1001', '0.1', { matchMode: 'numeric', tolerance: 0 })).toBe(false);
+    expect(compareOutput('yes 1', 'yes 1.0', { matchMode: 'numeric' })).toBe(true);
+  });
+
+  test('numeric does not split plain output on commas or brackets', () => {
+    expect(compareOutput('1 2 3', '[[1,2],[3]]', { matchMode: 'numeric' })).toBe(false);
+    expect(compareOutput('1 000', '1,000', { matchMode: 'numeric' })).toBe(false);
+    expect(compareOutput('1,000', '1,000', { matchMode: 'numeric' })).toBe(true);
+  });
+
+  test('numeric compares JSON output structurally', () => {
+    expect(compareOutput('[[0.1, 2.0000000001], [3]]', '[[0.1,2],[3]]', { matchMode: 'numeric' })).toBe(true);
+    expect(compareOutput('[[0.1, 2], 3]', '[[0.1,2],[3]]', { matchMode: 'numeric' })).toBe(false);
+    expect(compareOutput('[0.1, 2, 3]', '[[0.1,2],[3]]', { matchMode: 'numeric' })).toBe(false);
+    expect(compareOutput('{"x": 1.0000000001}', '{"x":1}', { matchMode: 'numeric' })).toBe(true);
+  });
+
+  test('unordered_lines ignores line order', () => {
+    expect(compareOutput('b\na\n', 'a\nb', { matchMode: 'unordered_lines' })).toBe(true);
+  });
+});
+
+describe('runTestCases', () => {
+  const cases = [
+    { id: 'a', name: 'A', input: '1', expected: '2', matchMode: 'trimmed' },
+    { id: 'b', name: 'B', input: '5', expected: '6', displayInput: 'n = 5', matchMode: 'trimmed' },
+  ];
+
+  test('judges stdout and reports each case', async () => {
+    const execute = async (stdin) => ({ stdout: String(Number(stdin) + 1), stderr: '', success: true });
+    const verdicts = await runTestCases(cases, execute);
+    expect(verdicts.map((verdict) => verdict.status)).toEqual(['passed', 'passed']);
+    expect(verdicts[1]).toMatchObject({ input: 'n = 5', expected: '6', actual: '6', error: null });
+    expect(summarizeVerdicts(verdicts)).toEqual({ total: 2, passed: 2 });
+  });
+
+  test('reports timeouts, runtime errors and thrown executors', async () => {
+    const outcomes = [
+      { stdout: '', stderr: '', success: false, timedOut: true },
+      new Error('network down'),
+    ];
+    const execute = async () => {
+      const next = outcomes.shift();
+      if (next instanceof Error) {
+        throw next;
+      }
+      return next;
+    };
+    const verdicts = await runTestCases(cases, execute);
+    expect(verdicts.map((verdict) => verdict.status)).toEqual(['timeout', 'error']);
+  });
+});
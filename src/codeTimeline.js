@@ -0,0 +1,269 @@
+// Edit timeline for coding answers: CodingWorkspace records a compact event log
+// while the candidate works and CodePlayback replays it in the feedback report.
+//
+// Events carry `t` (ms since the answer started) and a kind `k`:
+//   snapshot  { reason, runtimeKey, files: [{ id, name, content }], activeId }
+//   edit      { f: fileId, c: [[offset, deleteCount, insertText], ...] } applied in order
+//   file      { op: 'create' | 'rename' | 'delete' | 'open' | 'entry', f, name? }
+//   run       { kind: 'run' | 'tests' | 'submit', success, detail }
+
+export const TIMELINE_VERSION = 1;
+
+// Edits within this window of an edit event's start merge into it, so playback
+// advances in short bursts rather than single keystrokes.
+const EDIT_COALESCE_MS = 1500;
+// Past this many events every edit merges into the previous one. That bounds the
+// event count only; the text the events carry is bounded by MAX_STORED_CHARS.
+const MAX_EVENTS = 4000;
+const MAX_DETAIL_LENGTH = 240;
+// Once snapshots and inserted text exceed this, the oldest half of the timeline is
+// folded into one 'compacted' snapshot. Playback then starts from that point, but
+// the timeline stays small enough for the localStorage checkpoint.
+export const MAX_STORED_CHARS = 200000;
+// Rough per-event overhead for the non-text fields.
+const EVENT_OVERHEAD_CHARS = 24;
+
+// Single-range diff (common prefix/suffix) between two versions of a file.
+export const diffText = (previous, next) => {
+  if (previous === next) {
+    return null;
+  }
+  let start = 0;
+  const maxStart = Math.min(previous.length, next.length);
+  while (start < maxStart && previous[start] === next[start]) {
+    start += 1;
+  }
+  let previousEnd = previous.length;
+  let nextEnd = next.length;
+  while (previousEnd > start && nextEnd > start && previous[previousEnd - 1] === next[nextEnd - 1]) {
+    previousEnd -= 1;
+    nextEnd -= 1;
+  }
+  return [start, previousEnd - start, next.slice(start, nextEnd)];
+};
+
+export const applyChange = (text, [offset, deleteCount, insertText]) => (
+  text.slice(0, offset) + insertText + text.slice(offset + deleteCount)
+);
+
+const truncate = (value) => {
+  const text = (value || '').toString();
+  return text.length > MAX_DETAIL_LENGTH ? `${text.slice(0, MAX_DETAIL_LENGTH)}…` : text;
+};
+
+const changeSize = (change) => change[2].length + EVENT_OVERHEAD_CHARS;
+
+const eventSize = (event) => {
+  if (event.k === 'snapshot') {
+    return event.files.reduce((total, file) => total + (file.content || '').length + (file.name || '').length, EVENT_OVERHEAD_CHARS);
+  }
+  if (event.k === 'edit') {
+    return event.c.reduce((total, change) => total + changeSize(change), EVENT_OVERHEAD_CHARS);
+  }
+  return EVENT_OVERHEAD_CHARS + (event.detail || '').length + (event.name || '').length;
+};
+
+// Replace the events that make up the older half of the stored text with a
+// snapshot of the project as it stood after them.
+const compactEvents = (events, storedChars) => {
+  let state = { runtimeKey: null, files: [], activeId: null, lastChange: null };
+  let folded = 0;
+  let count = 0;
+  while (count < events.length - 1 && (count < 2 || folded < storedChars / 2)) {
+    state = applyEvent(state, events[count]);
+    folded += eventSize(events[count]);
+    count += 1;
+  }
+  if (count < 2) {
+    return events;
+  }
+  const snapshot = {
+    t: events[count - 1].t,
+    k: 'snapshot',
+    reason: 'compacted',
+    runtimeKey: state.runtimeKey,
+    files: state.files.map(({ id, name, content }) => ({ id, name, content })),
+    activeId: state.activeId,
+  };
+  return [snapshot, ...events.slice(count)];
+};
+
+/**
+ * Create a recorder, optionally continuing a timeline restored from a checkpoint.
+ */
+export const createCodeTimeline = (existing = null) => {
+  const resumed = existing?.version === TIMELINE_VERSION && Array.isArray(existing.events);
+  let events = resumed ? [...existing.events] : [];
+  let storedChars = events.reduce((total, event) => total + eventSize(event), 0);
+  // Wall-clock start shifted so a resumed timeline continues after its last event.
+  const startedAt = Date.now() - (resumed ? existing.durationMs || 0 : 0);
+
+  const now = () => Date.now() - startedAt;
+
+  const enforceLimit = () => {
+    if (storedChars <= MAX_STORED_CHARS) {
+      return;
+    }
+    events = compactEvents(events, storedChars);
+    storedChars = events.reduce((total, event) => total + eventSize(event), 0);
+  };
+
+  const push = (event) => {
+    const entry = { t: now(), ...event };
+    events.push(entry);
+    storedChars += eventSize(entry);
+    enforceLimit();
+  };
+
+  return {
+    snapshot(reason, { runtimeKey = null, files = [], activeId = null } = {}) {
+      push({
+        k: 'snapshot',
+        reason,
+        runtimeKey,
+        files: files.map(({ id, name, content }) => ({ id, name, content })),
+        activeId,
+      });
+    },
+
+    edit(fileId, previous, next) {
+      const change = diffText(previous || '', next || '');
+      if (!change) {
+        return;
+      }
+      const last = events[events.length - 1];
+      const t = now();
+      if (
+        last?.k === 'edit'
+        && last.f === fileId
+        && (t - last.t < EDIT_COALESCE_MS || events.length >= MAX_EVENTS)
+      ) {
+        last.c.push(change);
+        storedChars += changeSize(change);
+        enforceLimit();
+        return;
+      }
+      const entry = { t, k: 'edit', f: fileId, c: [change] };
+      events.push(entry);
+      storedChars += eventSize(entry);
+      enforceLimit();
+    },
+
+    file(op, fileId, name) {
+      push({ k: 'file', op, f: fileId, ...(name != null ? { name } : {}) });
+    },
+
+    run(kind, { success = null, detail = '' } = {}) {
+      push({ k: 'run', kind, success, detail: truncate(detail) });
+    },
+
+    toJSON() {
+      // Edit events keep growing while coalescing, so copy their change lists.
+      const copied = events.map((event) => (event.k === 'edit' ? { ...event, c: [...event.c] } : event));
+      return { version: TIMELINE_VERSION, durationMs: now(), events: copied };
+    },
+  };
+};
+
+export const parseTimeline = (value) => {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+  if (!parsed || parsed.version !== TIMELINE_VERSION || !Array.isArray(parsed.events) || !parsed.events.length) {
+    return null;
+  }
+  return parsed;
+};
+
+const KEYFRAME_INTERVAL = 40;
+
+const cloneState = (state) => ({
+  ...state,
+  files: state.files.map((file) => ({ ...file })),
+});
+
+const applyEvent = (state, event) => {
+  switch (event.k) {
+    case 'snapshot':
+      return {
+        runtimeKey: event.runtimeKey,
+        files: event.files.map((file) => ({ ...file })),
+        activeId: event.activeId || event.files[0]?.id || null,
+        lastChange: null,
+      };
+    case 'edit': {
+      const file = state.files.find((candidate) => candidate.id === event.f);
+      if (!file) {
+        return state;
+      }
+      let lastChange = null;
+      event.c.forEach((change) => {
+        file.content = applyChange(file.content, change);
+        lastChange = { fileId: file.id, offset: change[0], length: change[2].length };
+      });
+      return { ...state, activeId: event.f, lastChange };
+    }
+    case 'file': {
+      if (event.op === 'create') {
+        return { ...state, files: [...state.files, { id: event.f, name: event.name, content: '' }], activeId: event.f, lastChange: null };
+      }
+      if (event.op === 'rename') {
+        return {
+          ...state,
+          files: state.files.map((file) => (file.id === event.f ? { ...file, name: event.name } : file)),
+        };
+      }
+      if (event.op === 'delete') {
+        const files = state.files.filter((file) => file.id !== event.f);
+        return {
+          ...state,
+          files,
+          activeId: state.activeId === event.f ? files[0]?.id || null : state.activeId,
+          lastChange: null,
+        };
+      }
+      if (event.op === 'open') {
+        return { ...state, activeId: event.f, lastChange: null };
+      }
+      return state;
+    }
+    default:
+      return { ...state, lastChange: null };
+  }
+};
+
+/**
+ * Random access into a timeline. `stateAt(index)` is the project after events
+ * [0..index]; keyframes every few dozen events keep scrubbing cheap.
+ */
+export const createTimelinePlayer = (timeline) => {
+  const { events } = timeline;
+  const keyframes = new Map();
+  let state = { runtimeKey: null, files: [], activeId: null, lastChange: null };
+  events.forEach((event, index) => {
+    state = applyEvent(state, event);
+    if (index % KEYFRAME_INTERVAL === 0) {
+      keyframes.set(index, cloneState(state));
+    }
+  });
+
+  return {
+    length: events.length,
+    durationMs: timeline.durationMs || events[events.length - 1]?.t || 0,
+    events,
+    stateAt(index) {
+      const target = Math.max(0, Math.min(index, events.length - 1));
+      const base = target - (target % KEYFRAME_INTERVAL);
+      let current = cloneState(keyframes.get(base));
+      for (let position = base + 1; position <= target; position += 1) {
+        current = applyEvent(current, events[position]);
+      }
+      return current;
+    },
+  };
+};
@@ -0,0 +1,149 @@
+import {
+  applyChange,
+  createCodeTimeline,
+  createTimelinePlayer,
+  diffText,
+  MAX_STORED_CHARS,
+  parseTimeline,
+  TIMELINE_VERSION,
+} from './codeTimeline';
+
+const start = (timeline, content = '') => timeline.snapshot('start', {
+  runtimeKey: 'python@3.10.0',
+  files: [{ id: 'a', name: 'main.py', content }],
+  activeId: 'a',
+});
+
+describe('diffText / applyChange', () => {
+  test('describes the change as one range', () => {
+    expect(diffText('hello world', 'hello brave world')).toEqual([6, 0, 'brave ']);
+    expect(diffText('abcdef', 'abXYef')).toEqual([2, 2, 'XY']);
+    expect(diffText('same', 'same')).toBeNull();
+  });
+
+  test('round-trips through applyChange', () => {
+    const pairs = [['', 'print(1)'], ['aaa', 'aa'], ['x = 1\n', 'y = 2\n'], ['abc', '']];
+    pairs.forEach(([previous, next]) => {
+      expect(applyChange(previous, diffText(previous, next))).toBe(next);
+    });
+  });
+});
+
+describe('createCodeTimeline', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => clock);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('coalesces quick edits to the same file into one event', () => {
+    const timeline = createCodeTimeline();
+    start(timeline);
+    timeline.edit('a', '', 'p');
+    clock += 200;
+    timeline.edit('a', 'p', 'pr');
+    clock += 5000;
+    timeline.edit('a', 'pr', 'pri');
+
+    const { events } = timeline.toJSON();
+    expect(events.map((event) => event.k)).toEqual(['snapshot', 'edit', 'edit']);
+    expect(events[1].c).toHaveLength(2);
+  });
+
+  test('exported timelines are not changed by later edits', () => {
+    const timeline = createCodeTimeline();
+    start(timeline);
+    timeline.edit('a', '', 'p');
+    const exported = timeline.toJSON();
+    timeline.edit('a', 'p', 'pr');
+    expect(exported.events[1].c).toHaveLength(1);
+  });
+
+  test('resumes a checkpointed timeline after its last event', () => {
+    const first = createCodeTimeline();
+    start(first, 'x');
+    clock += 30000;
+    const saved = JSON.parse(JSON.stringify(first.toJSON()));
+
+    clock += 600000;
+    const resumed = createCodeTimeline(saved);
+    resumed.snapshot('resume', { files: [{ id: 'a', name: 'main.py', content: 'x' }], activeId: 'a' });
+    const { events, durationMs } = resumed.toJSON();
+    expect(events).toHaveLength(2);
+    expect(events[1].t).toBe(30000);
+    expect(durationMs).toBe(30000);
+  });
+
+  test('ignores checkpoints from another timeline version', () => {
+    const timeline = createCodeTimeline({ version: TIMELINE_VERSION + 1, events: [{ t: 0, k: 'run' }] });
+    expect(timeline.toJSON().events).toEqual([]);
+  });
+
+  test('truncates long run details', () => {
+    const timeline = createCodeTimeline();
+    timeline.run('run', { success: false, detail: 'e'.repeat(1000) });
+    expect(timeline.toJSON().events[0].detail.length).toBeLessThan(300);
+  });
+
+  test('keeps stored text under the cap by compacting the oldest events', () => {
+    const timeline = createCodeTimeline();
+    start(timeline);
+    let content = '';
+    for (let step = 0; step < 200; step += 1) {
+      clock += 2000;
+      // Replace the whole file each time so the stored text grows much faster than the file.
+      const next = String.fromCharCode(97 + (step % 26)).repeat(5000);
+      timeline.edit('a', content, next);
+      content = next;
+    }
+
+    const exported = timeline.toJSON();
+    const [first] = exported.events;
+    expect(JSON.stringify(exported).length).toBeLessThan(MAX_STORED_CHARS * 1.5);
+    expect(first.k).toBe('snapshot');
+    expect(first.reason).toBe('compacted');
+
+    const player = createTimelinePlayer(exported);
+    expect(player.stateAt(player.length - 1).files[0].content).toBe(content);
+  });
+});
+
+describe('parseTimeline', () => {
+  test('accepts serialized timelines and rejects empty or foreign ones', () => {
+    const timeline = { version: TIMELINE_VERSION, durationMs: 10, events: [{ t: 0, k: 'run', kind: 'run' }] };
+    expect(parseTimeline(JSON.stringify(timeline))).toEqual(timeline);
+    expect(parseTimeline({ ...timeline, events: [] })).toBeNull();
+    expect(parseTimeline({ ...timeline, version: 0 })).toBeNull();
+    expect(parseTimeline('{not json')).toBeNull();
+  });
+});
+
+describe('createTimelinePlayer', () => {
+  test('reconstructs the project at any event, across keyframes', () => {
+    const events = [
+      { t: 0, k: 'snapshot', runtimeKey: 'python@3', files: [{ id: 'a', name: 'main.py', content: '' }], activeId: 'a' },
+    ];
+    let content = '';
+    for (let step = 0; step < 100; step += 1) {
+      const next = `${content}${step % 10}`;
+      events.push({ t: step + 1, k: 'edit', f: 'a', c: [diffText(content, next)] });
+      content = next;
+    }
+    events.push({ t: 200, k: 'file', op: 'create', f: 'b', name: 'util.py' });
+    events.push({ t: 201, k: 'file', op: 'rename', f: 'a', name: 'app.py' });
+
+    const player = createTimelinePlayer({ version: TIMELINE_VERSION, events });
+    expect(player.stateAt(55).files[0].content).toBe(content.slice(0, 55));
+    expect(player.stateAt(55).lastChange).toEqual({ fileId: 'a', offset: 54, length: 1 });
+    const last = player.stateAt(player.length - 1);
+    expect(last.files.map((file) => file.name)).toEqual(['app.py', 'util.py']);
+    expect(last.activeId).toBe('b');
+    // Scrubbing backwards must not see later edits.
+    expect(player.stateAt(3).files[0].content).toBe(content.slice(0, 3));
+  });
+});
@@ -0,0 +1,147 @@
+// Comparison of feedback reports across reattempts of the same interview
+// configuration (the groups Dashboard numbers in `attemptIndexBySession`).
+//
+// Attempt shape, oldest first:
+//   { sessionId, attemptNumber, session, structured }
+// where `structured` is the parsed feedback report. Deltas are always the last
+// attempt minus the first one that has a score, so "+0.6" reads as progress
+// over the whole run of attempts.
+
+import { reportCompetencies, reportMandatorySkills } from './reportExport';
+
+/**
+ * "1st", "2nd", "11th", … for attempt labels.
+ */
+export const ordinal = (value) => {
+  const v = Number(value);
+  if (!Number.isFinite(v)) return `${value}`;
+  const remainder = v % 100;
+  if (remainder >= 11 && remainder <= 13) {
+    return `${v}th`;
+  }
+  switch (v % 10) {
+    case 1:
+      return `${v}st`;
+    case 2:
+      return `${v}nd`;
+    case 3:
+      return `${v}rd`;
+    default:
+      return `${v}th`;
+  }
+};
+
+const toScore = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : null;
+};
+
+const normalizeKey = (value) => (value || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+
+const averageQuestionScore = (structured) => {
+  const scores = (structured?.questions || []).map((item) => toScore(item.score)).filter((score) => score != null);
+  return scores.length ? scores.reduce((total, score) => total + score, 0) / scores.length : null;
+};
+
+export const attemptOverallScore = (attempt) => (
+  toScore(attempt.structured?.overall_score)
+  ?? toScore(attempt.session?.overall_score)
+  ?? averageQuestionScore(attempt.structured)
+);
+
+/**
+ * Change from the first scored attempt to the last one, or null when fewer
+ * than two attempts have a score.
+ */
+export const scoreDelta = (scores) => {
+  const present = scores.filter((score) => score != null);
+  if (present.length < 2) {
+    return null;
+  }
+  return Number((present[present.length - 1] - present[0]).toFixed(2));
+};
+
+export const formatDelta = (delta) => {
+  if (delta == null) return '—';
+  if (delta === 0) return '±0';
+  return `${delta > 0 ? '+' : '−'}${Math.abs(delta).toFixed(1)}`;
+};
+
+// One row per name seen in any attempt, in first-seen order, with a score per attempt.
+const buildScoreRows = (attempts, entriesOf, nameOf) => {
+  const rows = new Map();
+  attempts.forEach((attempt, attemptIndex) => {
+    entriesOf(attempt.structured).forEach((entry) => {
+      const name = nameOf(entry);
+      const key = normalizeKey(name);
+      if (!key) {
+        return;
+      }
+      if (!rows.has(key)) {
+        rows.set(key, { name, scores: attempts.map(() => null) });
+      }
+      rows.get(key).scores[attemptIndex] = toScore(entry.score);
+    });
+  });
+  return Array.from(rows.values()).map((row) => ({ ...row, delta: scoreDelta(row.scores) }));
+};
+
+const answerText = (item) => {
+  const value = item.original_answer || item.answer;
+  if (value == null) {
+    return '';
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+};
+
+/**
+ * Questions asked in at least two of the attempts, with each attempt's answer
+ * (or null when that attempt did not get the question).
+ */
+export const repeatedQuestions = (attempts) => {
+  const rows = new Map();
+  attempts.forEach((attempt, attemptIndex) => {
+    (attempt.structured?.questions || []).forEach((item, index) => {
+      const key = normalizeKey(item.question);
+      if (!key) {
+        return;
+      }
+      if (!rows.has(key)) {
+        rows.set(key, {
+          question: item.question,
+          questionType: item.question_type || '',
+          answers: attempts.map(() => null),
+        });
+      }
+      const row = rows.get(key);
+      // Keep the first occurrence if a question repeats within one attempt.
+      if (!row.answers[attemptIndex]) {
+        row.answers[attemptIndex] = {
+          number: item.number ?? index + 1,
+          answer: answerText(item),
+          skipped: item.answer_status === 'skipped',
+          isCoding: Boolean(item.is_coding) || (item.question_type || '').toLowerCase().startsWith('coding'),
+          score: toScore(item.score),
+          strengths: item.strengths || [],
+          improvements: item.improvements || [],
+        };
+      }
+    });
+  });
+  return Array.from(rows.values())
+    .filter((row) => row.answers.filter(Boolean).length >= 2)
+    .map((row) => ({ ...row, delta: scoreDelta(row.answers.map((answer) => answer?.score ?? null)) }));
+};
+
+export const buildAttemptComparison = (attempts) => {
+  const overallScores = attempts.map(attemptOverallScore);
+  return {
+    overall: { scores: overallScores, delta: scoreDelta(overallScores) },
+    competencies: buildScoreRows(attempts, reportCompetencies, (entry) => entry.name),
+    skills: buildScoreRows(attempts, reportMandatorySkills, (entry) => entry.skill),
+    questions: repeatedQuestions(attempts),
+  };
+};
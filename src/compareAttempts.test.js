@@ -0,0 +1,96 @@
+import {
+  attemptOverallScore,
+  buildAttemptComparison,
+  formatDelta,
+  ordinal,
+  repeatedQuestions,
+  scoreDelta,
+} from './compareAttempts';
+
+const attempt = (attemptNumber, structured, session = {}) => ({
+  sessionId: `s${attemptNumber}`,
+  attemptNumber,
+  session,
+  structured,
+});
+
+describe('labels', () => {
+  test('ordinal handles the teens', () => {
+    expect([1, 2, 3, 4, 11, 12, 13, 21, 22, 101, 111].map(ordinal)).toEqual([
+      '1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd', '101st', '111th',
+    ]);
+    expect(ordinal('n/a')).toBe('n/a');
+  });
+
+  test('formatDelta signs the change and marks a missing one', () => {
+    expect(formatDelta(0.56)).toBe('+0.6');
+    expect(formatDelta(-1.2)).toBe('−1.2');
+    expect(formatDelta(0)).toBe('±0');
+    expect(formatDelta(null)).toBe('—');
+  });
+});
+
+describe('scores', () => {
+  test('the delta runs from the first to the last scored attempt', () => {
+    expect(scoreDelta([null, 2.5, null, 3.1, null])).toBe(0.6);
+    expect(scoreDelta([3, null])).toBeNull();
+    expect(scoreDelta([0, 0])).toBe(0);
+  });
+
+  test('overall score falls back from the report to the session to the question average', () => {
+    expect(attemptOverallScore(attempt(1, { overall_score: '3.5' }, { overall_score: 2 }))).toBe(3.5);
+    expect(attemptOverallScore(attempt(1, { overall_score: '' }, { overall_score: 0 }))).toBe(0);
+    expect(attemptOverallScore(attempt(1, { questions: [{ score: 2 }, { score: '4' }, { score: null }] }))).toBe(3);
+    expect(attemptOverallScore(attempt(1, {}))).toBeNull();
+  });
+});
+
+describe('repeatedQuestions', () => {
+  test('matches questions across attempts regardless of case and spacing', () => {
+    const rows = repeatedQuestions([
+      attempt(1, { questions: [{ question: 'Explain  joins', score: 2, answer: 'inner' }, { question: 'Only once', score: 5 }] }),
+      attempt(2, { questions: [{ question: 'explain joins', score: 3.5, answer_status: 'skipped' }] }),
+    ]);
+    expect(rows).toHaveLength(1);
+    expect(rows[0].question).toBe('Explain  joins');
+    expect(rows[0].delta).toBe(1.5);
+    expect(rows[0].answers.map((answer) => [answer.number, answer.answer, answer.skipped])).toEqual([
+      [1, 'inner', false],
+      [1, '', true],
+    ]);
+  });
+
+  test('keeps the first occurrence of a question repeated within one attempt', () => {
+    const rows = repeatedQuestions([
+      attempt(1, { questions: [{ question: 'Q', score: 1 }, { question: 'q', score: 5 }] }),
+      attempt(2, { questions: [{ question: 'Q', score: 2, question_type: 'Coding', original_answer: { code: 'x' } }] }),
+    ]);
+    expect(rows[0].answers[0].score).toBe(1);
+    expect(rows[0].answers[1].isCoding).toBe(true);
+    expect(JSON.parse(rows[0].answers[1].answer)).toEqual({ code: 'x' });
+  });
+});
+
+describe('buildAttemptComparison', () => {
+  test('lines up competencies and skills by name across attempts', () => {
+    const comparison = buildAttemptComparison([
+      attempt(1, {
+        overall_score: 2.8,
+        core_competencies: [{ name: 'SQL', score: 2 }],
+        mandatory_skill_scores: [{ skill: 'Joins', score: 2 }],
+      }),
+      attempt(2, {
+        overall_score: 3.4,
+        core_competencies: [{ name: 'sql ', score: 3 }, { name: 'Python', score: 4 }],
+        mandatory_skill_scores: [{ skill: 'Joins', score: 4 }],
+      }),
+    ]);
+    expect(comparison.overall).toEqual({ scores: [2.8, 3.4], delta: 0.6 });
+    expect(comparison.competencies).toEqual([
+      { name: 'SQL', scores: [2, 3], delta: 1 },
+      { name: 'Python', scores: [null, 4], delta: null },
+    ]);
+    expect(comparison.skills).toEqual([{ name: 'Joins', scores: [2, 4], delta: 2 }]);
+    expect(comparison.questions).toEqual([]);
+  });
+});
@@ -0,0 +1,315 @@
+// Pre-interview device and environment check. DeviceCheckWizard runs the steps
+// in order; this module holds the measurements and verdicts, and builds the
+// report stored with the session (`device_check`) so an admin can tell an
+// environment problem (dark room, silent mic, slow upload) from a weak answer.
+//
+// Check result shape: { status: 'pass' | 'warn' | 'fail' | 'skipped', ...measurements }
+
+import { FRAMING_LABELS } from './faceMetrics';
+
+export const DEVICE_CHECK_STEPS = ['devices', 'environment', 'recording', 'speech', 'bandwidth'];
+
+export const DEVICE_CHECK_LABELS = {
+  devices: 'Camera & microphone',
+  environment: 'Lighting & framing',
+  recording: 'Test recording',
+  speech: 'Speech recognition',
+  bandwidth: 'Upload speed',
+};
+
+export const DEVICE_CHECK_STATUS_LABELS = {
+  pass: 'Looks good',
+  warn: 'Needs attention',
+  fail: 'Problem found',
+  skipped: 'Skipped',
+};
+
+export const LIGHTING_LABELS = {
+  good: 'Good lighting',
+  too_dark: 'Too dark',
+  too_bright: 'Too bright',
+};
+
+const STATUS_RANK = { pass: 0, skipped: 0, warn: 1, fail: 2 };
+
+// Mean frame luma (0-255) outside of which faces are hard to read.
+const MIN_BRIGHTNESS = 60;
+const MAX_BRIGHTNESS = 210;
+// Share of sampled frames that must contain exactly one face.
+const MIN_FACE_RATIO = 0.8;
+// Peak RMS level (0-1) of normal speech close to the microphone.
+const SILENT_LEVEL = 0.02;
+const QUIET_LEVEL = 0.06;
+// Upload headroom over the recording bitrate before we call the connection fine.
+const BANDWIDTH_HEADROOM = 1.5;
+const PROBE_BYTES = 512 * 1024;
+
+const worstStatus = (statuses) => statuses.reduce(
+  (worst, status) => ((STATUS_RANK[status] ?? 0) > (STATUS_RANK[worst] ?? 0) ? status : worst),
+  'pass',
+);
+
+const toOption = (device, index, fallbackLabel) => ({
+  id: device.deviceId,
+  label: device.label || `${fallbackLabel} ${index + 1}`,
+});
+
+/**
+ * Cameras and microphones the browser exposes. Labels are only filled in once
+ * the page has been granted media access.
+ */
+export const listMediaDevices = async () => {
+  if (typeof navigator === 'undefined' || !navigator.mediaDevices?.enumerateDevices) {
+    return { cameras: [], microphones: [] };
+  }
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return {
+    cameras: devices
+      .filter((device) => device.kind === 'videoinput')
+      .map((device, index) => toOption(device, index, 'Camera')),
+    microphones: devices
+      .filter((device) => device.kind === 'audioinput')
+      .map((device, index) => toOption(device, index, 'Microphone')),
+  };
+};
+
+export const buildMediaConstraints = ({ cameraId, microphoneId, includeVideo }) => ({
+  video: includeVideo
+    ? {
+      ...(cameraId ? { deviceId: { exact: cameraId } } : { facingMode: 'user' }),
+      width: { ideal: 640 },
+      height: { ideal: 360 },
+    }
+    : false,
+  audio: microphoneId ? { deviceId: { exact: microphoneId } } : true,
+});
+
+/**
+ * Live input level for a stream's audio track. `read()` returns the current
+ * RMS level (0-1) and tracks the peak since the last `resetPeak()`.
+ */
+export const createLevelMeter = (stream) => {
+  const AudioContextClass = typeof window !== 'undefined'
+    ? window.AudioContext || window.webkitAudioContext
+    : null;
+  if (!AudioContextClass || !stream?.getAudioTracks().length) {
+    return null;
+  }
+  const context = new AudioContextClass();
+  const source = context.createMediaStreamSource(stream);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 1024;
+  source.connect(analyser);
+  const samples = new Float32Array(analyser.fftSize);
+  let peak = 0;
+
+  return {
+    read() {
+      analyser.getFloatTimeDomainData(samples);
+      let sum = 0;
+      for (let i = 0; i < samples.length; i += 1) {
+        sum += samples[i] * samples[i];
+      }
+      const level = Math.sqrt(sum / samples.length);
+      peak = Math.max(peak, level);
+      return level;
+    },
+    peak: () => peak,
+    resetPeak() {
+      peak = 0;
+    },
+    close() {
+      source.disconnect();
+      context.close().catch(() => {});
+    },
+  };
+};
+
+export const classifyAudioLevel = (peak) => {
+  if (peak < SILENT_LEVEL) return 'fail';
+  if (peak < QUIET_LEVEL) return 'warn';
+  return 'pass';
+};
+
+/**
+ * Mean luma (0-255) of the current video frame, sampled on a small canvas.
+ */
+export const measureBrightness = (video, canvas) => {
+  if (!video || !canvas || video.readyState < 2) {
+    return null;
+  }
+  const width = 64;
+  const height = 36;
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(video, 0, 0, width, height);
+  const { data } = context.getImageData(0, 0, width, height);
+  let total = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    total += 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+  }
+  return total / (data.length / 4);
+};
+
+export const classifyLighting = (brightness) => {
+  if (brightness == null) return null;
+  if (brightness < MIN_BRIGHTNESS) return 'too_dark';
+  if (brightness > MAX_BRIGHTNESS) return 'too_bright';
+  return 'good';
+};
+
+const mostCommon = (values) => {
+  const counts = {};
+  values.forEach((value) => {
+    counts[value] = (counts[value] || 0) + 1;
+  });
+  const [top] = Object.entries(counts).sort(([, a], [, b]) => b - a);
+  return top ? top[0] : null;
+};
+
+/**
+ * Verdict for the lighting and framing step from samples of
+ * `{ brightness, frame }`, where frame is an analyzeFaceFrame result or null
+ * when the face detector is unavailable.
+ */
+export const evaluateEnvironment = (samples) => {
+  const brightnessValues = samples.map((sample) => sample.brightness).filter((value) => value != null);
+  const brightness = brightnessValues.length
+    ? brightnessValues.reduce((total, value) => total + value, 0) / brightnessValues.length
+    : null;
+  const lighting = classifyLighting(brightness);
+  const frames = samples.map((sample) => sample.frame).filter(Boolean);
+  const faceRatio = frames.length
+    ? frames.filter((frame) => frame.faceCount === 1).length / frames.length
+    : null;
+  const framing = mostCommon(frames.map((frame) => frame.framing).filter(Boolean));
+
+  const statuses = [];
+  if (lighting === null) statuses.push('warn');
+  else statuses.push(lighting === 'good' ? 'pass' : 'warn');
+  if (faceRatio === null) statuses.push('warn');
+  else if (faceRatio < MIN_FACE_RATIO) statuses.push('fail');
+  else statuses.push(framing === 'good' ? 'pass' : 'warn');
+
+  return {
+    status: worstStatus(statuses),
+    brightness: brightness == null ? null : Math.round(brightness),
+    lighting,
+    face_ratio: faceRatio == null ? null : Number(faceRatio.toFixed(2)),
+    framing,
+    detector_available: frames.length > 0,
+  };
+};
+
+export const evaluateRecording = ({ blob, durationMs, peakLevel }) => {
+  const sizeBytes = blob?.size || 0;
+  const bitrateKbps = sizeBytes && durationMs ? Math.round((sizeBytes * 8) / durationMs) : null;
+  const levelStatus = classifyAudioLevel(peakLevel);
+  return {
+    status: sizeBytes ? levelStatus : 'fail',
+    duration_ms: Math.round(durationMs || 0),
+    size_bytes: sizeBytes,
+    bitrate_kbps: bitrateKbps,
+    peak_level: Number((peakLevel || 0).toFixed(3)),
+  };
+};
+
+/**
+ * Random payload for the upload probe; random bytes keep proxies from
+ * compressing it and flattering the estimate.
+ */
+export const createBandwidthProbe = (bytes = PROBE_BYTES) => {
+  const data = new Uint8Array(bytes);
+  const chunk = 65536;
+  for (let offset = 0; offset < bytes; offset += chunk) {
+    window.crypto.getRandomValues(data.subarray(offset, Math.min(offset + chunk, bytes)));
+  }
+  return new Blob([data], { type: 'application/octet-stream' });
+};
+
+export const evaluateBandwidth = ({ bytes, elapsedMs, requiredKbps }) => {
+  const uploadKbps = elapsedMs > 0 ? Math.round((bytes * 8) / elapsedMs) : null;
+  let status = 'pass';
+  if (!uploadKbps) {
+    status = 'fail';
+  } else if (requiredKbps && uploadKbps < requiredKbps) {
+    status = 'fail';
+  } else if (requiredKbps && uploadKbps < requiredKbps * BANDWIDTH_HEADROOM) {
+    status = 'warn';
+  }
+  return {
+    status,
+    upload_kbps: uploadKbps,
+    required_kbps: requiredKbps || null,
+  };
+};
+
+const ISSUE_MESSAGES = {
+  devices: 'Camera or microphone could not be opened',
+  environment: 'Lighting, framing or face visibility was poor',
+  recording: 'Test recording was silent or failed',
+  speech: 'Speech recognition did not pick up the test phrase',
+  bandwidth: 'Upload speed is below what video answers need',
+};
+
+/**
+ * Report stored with the session: overall status, per-check results and a
+ * plain-language list of problems for the admin report. A check may carry its
+ * own `note` to replace the generic issue text.
+ */
+export const summarizeDeviceCheck = (checks, devices = {}) => {
+  const results = DEVICE_CHECK_STEPS.reduce((acc, step) => {
+    acc[step] = checks[step] || { status: 'skipped' };
+    return acc;
+  }, {});
+  return {
+    status: worstStatus(Object.values(results).map((result) => result.status)),
+    completed_at: new Date().toISOString(),
+    user_agent: typeof navigator !== 'undefined' ? navigator.userAgent : '',
+    camera_label: devices.cameraLabel || null,
+    microphone_label: devices.microphoneLabel || null,
+    checks: results,
+    issues: DEVICE_CHECK_STEPS
+      .filter((step) => results[step].status === 'warn' || results[step].status === 'fail')
+      .map((step) => results[step].note || ISSUE_MESSAGES[step]),
+  };
+};
+
+/**
+ * One-line summary of a check's measurements, for the wizard and the admin report.
+ */
+export const describeCheckResult = (step, result) => {
+  if (!result || result.status === 'skipped') {
+    return 'Not run';
+  }
+  if (result.note) {
+    return result.note;
+  }
+  switch (step) {
+    case 'devices':
+      return 'Camera and microphone opened';
+    case 'environment':
+      return [
+        result.lighting ? `${LIGHTING_LABELS[result.lighting]} (${result.brightness}/255)` : 'Lighting not measured',
+        result.face_ratio != null
+          ? `one face in ${Math.round(result.face_ratio * 100)}% of frames`
+          : 'face detector unavailable',
+        result.framing ? FRAMING_LABELS[result.framing] : null,
+      ].filter(Boolean).join(' · ');
+    case 'recording':
+      return [
+        `${(result.duration_ms / 1000).toFixed(1)}s`,
+        result.bitrate_kbps != null ? `${result.bitrate_kbps} kbps` : null,
+        `peak level ${result.peak_level}`,
+      ].filter(Boolean).join(' · ');
+    case 'speech':
+      return result.transcript ? `Heard “${result.transcript}”` : `Nothing recognised${result.error ? ` (${result.error})` : ''}`;
+    case 'bandwidth':
+      return result.upload_kbps != null
+        ? `${result.upload_kbps} kbps upload${result.required_kbps ? `, about ${result.required_kbps} kbps needed` : ''}`
+        : 'Upload speed unknown';
+    default:
+      return '';
+  }
+};
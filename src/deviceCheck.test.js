@@ -0,0 +1,188 @@
+import {
+  buildMediaConstraints,
+  classifyAudioLevel,
+  classifyLighting,
+  describeCheckResult,
+  evaluateBandwidth,
+  evaluateEnvironment,
+  evaluateRecording,
+  listMediaDevices,
+  summarizeDeviceCheck,
+} from './deviceCheck';
+
+const oneFace = (framing = 'good') => ({ faceCount: 1, framing });
+
+describe('classification thresholds', () => {
+  test('audio level: silent fails, quiet warns', () => {
+    expect(classifyAudioLevel(0.01)).toBe('fail');
+    expect(classifyAudioLevel(0.02)).toBe('warn');
+    expect(classifyAudioLevel(0.059)).toBe('warn');
+    expect(classifyAudioLevel(0.06)).toBe('pass');
+  });
+
+  test('lighting: too dark, too bright or good', () => {
+    expect(classifyLighting(null)).toBeNull();
+    expect(classifyLighting(59)).toBe('too_dark');
+    expect(classifyLighting(60)).toBe('good');
+    expect(classifyLighting(210)).toBe('good');
+    expect(classifyLighting(211)).toBe('too_bright');
+  });
+});
+
+describe('evaluateEnvironment', () => {
+  test('passes good light with one well-framed face', () => {
+    const samples = [
+      { brightness: 100, frame: oneFace() },
+      { brightness: 120, frame: oneFace() },
+      { brightness: 110, frame: oneFace('off_center') },
+    ];
+    expect(evaluateEnvironment(samples)).toEqual({
+      status: 'pass',
+      brightness: 110,
+      lighting: 'good',
+      face_ratio: 1,
+      framing: 'good',
+      detector_available: true,
+    });
+  });
+
+  test('warns on poor light or framing', () => {
+    expect(evaluateEnvironment([{ brightness: 30, frame: oneFace() }])).toMatchObject({ status: 'warn', lighting: 'too_dark' });
+    expect(evaluateEnvironment([{ brightness: 100, frame: oneFace('too_far') }])).toMatchObject({ status: 'warn', framing: 'too_far' });
+  });
+
+  test('fails when a single face is seen in too few frames', () => {
+    const samples = [
+      { brightness: 100, frame: oneFace() },
+      { brightness: 100, frame: { faceCount: 2, framing: 'good' } },
+      { brightness: 100, frame: { faceCount: 0, framing: null } },
+      { brightness: 100, frame: oneFace() },
+      { brightness: 100, frame: oneFace() },
+    ];
+    expect(evaluateEnvironment(samples)).toMatchObject({ status: 'fail', face_ratio: 0.6 });
+  });
+
+  test('warns rather than fails without a face detector or brightness readings', () => {
+    expect(evaluateEnvironment([{ brightness: 100, frame: null }])).toMatchObject({
+      status: 'warn',
+      face_ratio: null,
+      detector_available: false,
+    });
+    expect(evaluateEnvironment([{ brightness: null, frame: oneFace() }])).toMatchObject({ status: 'warn', brightness: null });
+  });
+});
+
+describe('evaluateRecording', () => {
+  test('derives the bitrate and judges the level', () => {
+    expect(evaluateRecording({ blob: { size: 250000 }, durationMs: 5000, peakLevel: 0.12345 })).toEqual({
+      status: 'pass',
+      duration_ms: 5000,
+      size_bytes: 250000,
+      bitrate_kbps: 400,
+      peak_level: 0.123,
+    });
+    expect(evaluateRecording({ blob: { size: 250000 }, durationMs: 5000, peakLevel: 0.03 }).status).toBe('warn');
+  });
+
+  test('fails an empty recording whatever the level', () => {
+    expect(evaluateRecording({ blob: null, durationMs: 5000, peakLevel: 0.5 })).toMatchObject({
+      status: 'fail',
+      size_bytes: 0,
+      bitrate_kbps: null,
+    });
+  });
+});
+
+describe('evaluateBandwidth', () => {
+  test('needs headroom over the required bitrate to pass', () => {
+    // 512 KiB in one second is about 4194 kbps.
+    const probe = { bytes: 512 * 1024, elapsedMs: 1000 };
+    expect(evaluateBandwidth({ ...probe, requiredKbps: 2000 })).toEqual({ status: 'pass', upload_kbps: 4194, required_kbps: 2000 });
+    expect(evaluateBandwidth({ ...probe, requiredKbps: 3000 }).status).toBe('warn');
+    expect(evaluateBandwidth({ ...probe, requiredKbps: 5000 }).status).toBe('fail');
+    expect(evaluateBandwidth({ ...probe }).status).toBe('pass');
+  });
+
+  test('fails when nothing was measured', () => {
+    expect(evaluateBandwidth({ bytes: 1000, elapsedMs: 0, requiredKbps: 500 })).toEqual({
+      status: 'fail',
+      upload_kbps: null,
+      required_kbps: 500,
+    });
+  });
+});
+
+describe('summarizeDeviceCheck', () => {
+  test('takes the worst status and lists problems, preferring a check’s own note', () => {
+    const report = summarizeDeviceCheck({
+      devices: { status: 'pass' },
+      environment: { status: 'warn' },
+      recording: { status: 'fail', note: 'Microphone muted in system settings' },
+      bandwidth: { status: 'pass' },
+    }, { cameraLabel: 'FaceTime HD' });
+
+    expect(report.status).toBe('fail');
+    expect(report.checks.speech).toEqual({ status: 'skipped' });
+    expect(report.camera_label).toBe('FaceTime HD');
+    expect(report.microphone_label).toBeNull();
+    expect(report.issues).toEqual([
+      'Lighting, framing or face visibility was poor',
+      'Microphone muted in system settings',
+    ]);
+  });
+
+  test('skipped checks do not lower the status', () => {
+    expect(summarizeDeviceCheck({ devices: { status: 'pass' } })).toMatchObject({ status: 'pass', issues: [] });
+  });
+});
+
+describe('describeCheckResult', () => {
+  test('summarizes each step’s measurements', () => {
+    expect(describeCheckResult('environment', {
+      status: 'pass', lighting: 'good', brightness: 110, face_ratio: 0.95, framing: 'off_center',
+    })).toBe('Good lighting (110/255) · one face in 95% of frames · Off centre');
+    expect(describeCheckResult('recording', { status: 'pass', duration_ms: 5200, bitrate_kbps: null, peak_level: 0.1 }))
+      .toBe('5.2s · peak level 0.1');
+    expect(describeCheckResult('speech', { status: 'fail', transcript: '', error: 'no-speech' })).toBe('Nothing recognised (no-speech)');
+    expect(describeCheckResult('bandwidth', { status: 'warn', upload_kbps: 900, required_kbps: 800 }))
+      .toBe('900 kbps upload, about 800 kbps needed');
+  });
+
+  test('prefers a note and reports skipped steps', () => {
+    expect(describeCheckResult('devices', { status: 'fail', note: 'Camera blocked' })).toBe('Camera blocked');
+    expect(describeCheckResult('devices', { status: 'skipped' })).toBe('Not run');
+    expect(describeCheckResult('devices', null)).toBe('Not run');
+  });
+});
+
+describe('media devices', () => {
+  afterEach(() => {
+    delete navigator.mediaDevices;
+  });
+
+  test('lists cameras and microphones with fallback labels', async () => {
+    navigator.mediaDevices = {
+      enumerateDevices: async () => [
+        { kind: 'videoinput', deviceId: 'cam-1', label: '' },
+        { kind: 'audioinput', deviceId: 'mic-1', label: 'USB Mic' },
+        { kind: 'audiooutput', deviceId: 'spk-1', label: 'Speakers' },
+      ],
+    };
+    await expect(listMediaDevices()).resolves.toEqual({
+      cameras: [{ id: 'cam-1', label: 'Camera 1' }],
+      microphones: [{ id: 'mic-1', label: 'USB Mic' }],
+    });
+  });
+
+  test('returns no devices without mediaDevices', async () => {
+    await expect(listMediaDevices()).resolves.toEqual({ cameras: [], microphones: [] });
+  });
+
+  test('builds constraints for the chosen devices', () => {
+    expect(buildMediaConstraints({ cameraId: 'cam-1', microphoneId: 'mic-1', includeVideo: true })).toEqual({
+      video: { deviceId: { exact: 'cam-1' }, width: { ideal: 640 }, height: { ideal: 360 } },
+      audio: { deviceId: { exact: 'mic-1' } },
+    });
+    expect(buildMediaConstraints({ includeVideo: false })).toEqual({ video: false, audio: true });
+  });
+});
@@ -0,0 +1,22 @@
+// MediaPipe BlazeFace detector shared by VideoRecorder and the pre-interview
+// device check, so both judge presence and framing with the same model.
+
+import { FaceDetector, FilesetResolver } from '@mediapipe/tasks-vision';
+
+const VISION_WASM_URL = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.22-rc.20250304/wasm';
+const FACE_MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/face_detector/blaze_face_short_range/float16/1/blaze_face_short_range.tflite';
+
+/**
+ * Load a detector in VIDEO running mode. Callers own the instance and must
+ * `close()` it when done.
+ */
+export const createFaceDetector = async () => {
+  const vision = await FilesetResolver.forVisionTasks(VISION_WASM_URL);
+  return FaceDetector.createFromOptions(vision, {
+    baseOptions: {
+      modelAssetPath: FACE_MODEL_URL,
+      delegate: 'GPU',
+    },
+    runningMode: 'VIDEO',
+  });
+};
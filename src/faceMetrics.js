@@ -0,0 +1,195 @@
+// Per-frame face analysis and per-segment aggregation for VideoRecorder.
+// Frames come from the MediaPipe FaceDetector (BlazeFace), whose six keypoints
+// are normalized to the frame: right eye, left eye, nose tip, mouth, right ear, left ear.
+// Head pose is a rough estimate from keypoint geometry, good enough to tell
+// "looking at the screen" from "turned away" but not a calibrated gaze tracker.
+
+// Nose-tip depth relative to the distance between the eyes on an average face.
+const NOSE_DEPTH_RATIO = 0.6;
+// Where the nose sits between the eye line and the mouth when facing the camera.
+const NEUTRAL_NOSE_DROP = 0.5;
+
+export const GAZE_AWAY_YAW_DEGREES = 25;
+export const GAZE_AWAY_PITCH_DEGREES = 20;
+
+// Face width as a fraction of the frame width.
+const MIN_FACE_WIDTH = 0.15;
+const MAX_FACE_WIDTH = 0.6;
+// Acceptable range for the face centre, as fractions of the frame.
+const CENTER_X_RANGE = [0.25, 0.75];
+const CENTER_Y_RANGE = [0.2, 0.7];
+
+// Shorter stretches without a face (a blink of the detector) are not reported as spans.
+const MIN_NO_FACE_SPAN_MS = 1000;
+
+export const FRAMING_LABELS = {
+  good: 'Well framed',
+  too_close: 'Too close',
+  too_far: 'Too far',
+  off_center: 'Off centre',
+};
+
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+const estimateHeadPose = (keypoints) => {
+  if (!Array.isArray(keypoints) || keypoints.length < 4) {
+    return null;
+  }
+  const [rightEye, leftEye, nose, mouth] = keypoints;
+  const eyeDistance = Math.hypot(leftEye.x - rightEye.x, leftEye.y - rightEye.y);
+  const eyeMidX = (rightEye.x + leftEye.x) / 2;
+  const eyeMidY = (rightEye.y + leftEye.y) / 2;
+  const eyeToMouth = mouth.y - eyeMidY;
+  if (!eyeDistance || eyeToMouth <= 0) {
+    return null;
+  }
+  const yaw = toDegrees(Math.atan((nose.x - eyeMidX) / eyeDistance / NOSE_DEPTH_RATIO));
+  const pitch = toDegrees(Math.atan(((nose.y - eyeMidY) / eyeToMouth - NEUTRAL_NOSE_DROP) / NOSE_DEPTH_RATIO));
+  return { yaw, pitch };
+};
+
+const classifyFraming = (box, frameWidth, frameHeight) => {
+  if (!box || !frameWidth || !frameHeight) {
+    return null;
+  }
+  const width = box.width / frameWidth;
+  const centerX = (box.originX + box.width / 2) / frameWidth;
+  const centerY = (box.originY + box.height / 2) / frameHeight;
+  if (width > MAX_FACE_WIDTH) return 'too_close';
+  if (width < MIN_FACE_WIDTH) return 'too_far';
+  if (
+    centerX < CENTER_X_RANGE[0] || centerX > CENTER_X_RANGE[1]
+    || centerY < CENTER_Y_RANGE[0] || centerY > CENTER_Y_RANGE[1]
+  ) {
+    return 'off_center';
+  }
+  return 'good';
+};
+
+/**
+ * Summarize one detector result: face count plus pose, gaze-away and framing
+ * for the largest face.
+ */
+export const analyzeFaceFrame = (detections, frameWidth, frameHeight) => {
+  const faces = Array.isArray(detections) ? detections : [];
+  if (!faces.length) {
+    return { faceCount: 0, pose: null, gazeAway: false, framing: null };
+  }
+  const primary = faces.reduce((largest, face) => (
+    (face.boundingBox?.width || 0) > (largest.boundingBox?.width || 0) ? face : largest
+  ), faces[0]);
+  const pose = estimateHeadPose(primary.keypoints);
+  return {
+    faceCount: faces.length,
+    pose,
+    gazeAway: Boolean(pose && (
+      Math.abs(pose.yaw) > GAZE_AWAY_YAW_DEGREES || Math.abs(pose.pitch) > GAZE_AWAY_PITCH_DEGREES
+    )),
+    framing: classifyFraming(primary.boundingBox, frameWidth, frameHeight),
+  };
+};
+
+/**
+ * Accumulate frame analyses over a recorded segment. Ratios are over sampled
+ * frames; pose and framing only count frames where a face was found.
+ * `noFaceSpans` lists the stretches without a face as `{ startMs, endMs }`
+ * offsets from the start of the segment, for the answer replay timeline.
+ */
+export const createSegmentMetrics = () => {
+  const startedAt = Date.now();
+  let samples = 0;
+  let faceFrames = 0;
+  let multipleFaceFrames = 0;
+  let maxFaceCount = 0;
+  let poseFrames = 0;
+  let yawTotal = 0;
+  let pitchTotal = 0;
+  let gazeAwayFrames = 0;
+  let gazeAwayEpisodes = 0;
+  let wasGazeAway = false;
+  const framingCounts = { good: 0, too_close: 0, too_far: 0, off_center: 0 };
+  let framedFrames = 0;
+  const noFaceSpans = [];
+  let noFaceSince = null;
+
+  const closeNoFaceSpan = (endMs) => {
+    if (noFaceSince != null && endMs - noFaceSince >= MIN_NO_FACE_SPAN_MS) {
+      noFaceSpans.push({ startMs: noFaceSince, endMs });
+    }
+    noFaceSince = null;
+  };
+
+  return {
+    add(frame) {
+      const offsetMs = Date.now() - startedAt;
+      samples += 1;
+      maxFaceCount = Math.max(maxFaceCount, frame.faceCount);
+      if (frame.faceCount > 1) {
+        multipleFaceFrames += 1;
+      }
+      if (!frame.faceCount) {
+        wasGazeAway = false;
+        if (noFaceSince == null) {
+          noFaceSince = offsetMs;
+        }
+        return;
+      }
+      closeNoFaceSpan(offsetMs);
+      faceFrames += 1;
+      if (frame.pose) {
+        poseFrames += 1;
+        yawTotal += Math.abs(frame.pose.yaw);
+        pitchTotal += Math.abs(frame.pose.pitch);
+      }
+      if (frame.gazeAway) {
+        gazeAwayFrames += 1;
+        if (!wasGazeAway) {
+          gazeAwayEpisodes += 1;
+        }
+      }
+      wasGazeAway = frame.gazeAway;
+      if (frame.framing) {
+        framedFrames += 1;
+        framingCounts[frame.framing] += 1;
+      }
+    },
+
+    summary() {
+      const durationMs = Date.now() - startedAt;
+      const openSpan = noFaceSince != null && durationMs - noFaceSince >= MIN_NO_FACE_SPAN_MS
+        ? [{ startMs: noFaceSince, endMs: durationMs }]
+        : [];
+      const ratio = (count, total) => (total ? round(count / total) : null);
+      const framing = Object.fromEntries(
+        Object.entries(framingCounts).map(([key, count]) => [key, ratio(count, framedFrames)]),
+      );
+      return {
+        durationMs,
+        samples,
+        facePresenceRatio: ratio(faceFrames, samples),
+        multipleFacesRatio: ratio(multipleFaceFrames, samples),
+        maxFaceCount,
+        gazeAwayRatio: ratio(gazeAwayFrames, faceFrames),
+        gazeAwayEpisodes,
+        averageYawDegrees: poseFrames ? round(yawTotal / poseFrames, 1) : null,
+        averagePitchDegrees: poseFrames ? round(pitchTotal / poseFrames, 1) : null,
+        framing,
+        framingQuality: framing.good,
+        noFaceSpans: [...noFaceSpans, ...openSpan],
+      };
+    },
+  };
+};
+
+export const parseVideoMetrics = (value) => {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+  return parsed && typeof parsed === 'object' && parsed.samples ? parsed : null;
+};
@@ -0,0 +1,142 @@
+import {
+  GAZE_AWAY_YAW_DEGREES,
+  analyzeFaceFrame,
+  createSegmentMetrics,
+  parseVideoMetrics,
+} from './faceMetrics';
+
+const WIDTH = 640;
+const HEIGHT = 480;
+
+// A BlazeFace-style detection: pixel bounding box, keypoints normalized to the frame.
+const face = ({ originX = 220, originY = 140, width = 200, height = 200, noseX = 0.5, noseY = 0.45 } = {}) => ({
+  boundingBox: { originX, originY, width, height },
+  keypoints: [
+    { x: 0.45, y: 0.4 },
+    { x: 0.55, y: 0.4 },
+    { x: noseX, y: noseY },
+    { x: 0.5, y: 0.5 },
+  ],
+});
+
+describe('analyzeFaceFrame', () => {
+  test('reports an empty frame', () => {
+    expect(analyzeFaceFrame([], WIDTH, HEIGHT)).toEqual({ faceCount: 0, pose: null, gazeAway: false, framing: null });
+    expect(analyzeFaceFrame(undefined, WIDTH, HEIGHT).faceCount).toBe(0);
+  });
+
+  test('a centred face looking at the camera is well framed', () => {
+    const frame = analyzeFaceFrame([face()], WIDTH, HEIGHT);
+    expect(frame).toMatchObject({ faceCount: 1, gazeAway: false, framing: 'good' });
+    expect(frame.pose.yaw).toBeCloseTo(0);
+    expect(frame.pose.pitch).toBeCloseTo(0);
+  });
+
+  test('a turned head counts as looking away', () => {
+    const frame = analyzeFaceFrame([face({ noseX: 0.56 })], WIDTH, HEIGHT);
+    expect(frame.pose.yaw).toBeCloseTo(45);
+    expect(frame.pose.yaw).toBeGreaterThan(GAZE_AWAY_YAW_DEGREES);
+    expect(frame.gazeAway).toBe(true);
+  });
+
+  test('a lowered head counts as looking away', () => {
+    expect(analyzeFaceFrame([face({ noseY: 0.48 })], WIDTH, HEIGHT).gazeAway).toBe(true);
+  });
+
+  test('classifies framing by face size and position', () => {
+    expect(analyzeFaceFrame([face({ originX: 20 })], WIDTH, HEIGHT).framing).toBe('off_center');
+    expect(analyzeFaceFrame([face({ originY: 0, height: 100 })], WIDTH, HEIGHT).framing).toBe('off_center');
+    expect(analyzeFaceFrame([face({ originX: 100, width: 420 })], WIDTH, HEIGHT).framing).toBe('too_close');
+    expect(analyzeFaceFrame([face({ originX: 280, width: 80 })], WIDTH, HEIGHT).framing).toBe('too_far');
+    expect(analyzeFaceFrame([face()], 0, 0).framing).toBeNull();
+  });
+
+  test('with two faces, judges the larger one', () => {
+    const frame = analyzeFaceFrame([face({ originX: 10, width: 60 }), face()], WIDTH, HEIGHT);
+    expect(frame).toMatchObject({ faceCount: 2, framing: 'good' });
+  });
+
+  test('skips the pose when the keypoints are degenerate', () => {
+    const flat = { ...face(), keypoints: [{ x: 0.5, y: 0.4 }, { x: 0.5, y: 0.4 }, { x: 0.5, y: 0.4 }, { x: 0.5, y: 0.5 }] };
+    expect(analyzeFaceFrame([flat], WIDTH, HEIGHT)).toMatchObject({ pose: null, gazeAway: false });
+  });
+});
+
+describe('createSegmentMetrics', () => {
+  let now = 0;
+
+  beforeEach(() => {
+    now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const sample = (metrics, atMs, detections) => {
+    now = atMs;
+    metrics.add(analyzeFaceFrame(detections, WIDTH, HEIGHT));
+  };
+
+  test('aggregates presence, extra faces, gaze and framing across frames', () => {
+    const metrics = createSegmentMetrics();
+    sample(metrics, 0, [face()]);
+    sample(metrics, 500, [face({ noseX: 0.56 })]);
+    sample(metrics, 1000, [face({ noseX: 0.56, originX: 20 })]);
+    sample(metrics, 1500, [face(), face({ originX: 10, width: 60 })]);
+    sample(metrics, 2000, []);
+    sample(metrics, 2500, [face({ noseX: 0.56 })]);
+    now = 3000;
+
+    const summary = metrics.summary();
+    expect(summary).toMatchObject({
+      durationMs: 3000,
+      samples: 6,
+      facePresenceRatio: 0.83,
+      multipleFacesRatio: 0.17,
+      maxFaceCount: 2,
+      gazeAwayRatio: 0.6,
+      gazeAwayEpisodes: 2,
+      framingQuality: 0.8,
+      noFaceSpans: [],
+    });
+    expect(summary.framing).toEqual({ good: 0.8, too_close: 0, too_far: 0, off_center: 0.2 });
+    expect(summary.averageYawDegrees).toBeCloseTo(27, 0);
+  });
+
+  test('records stretches without a face, ignoring short detector misses', () => {
+    const metrics = createSegmentMetrics();
+    sample(metrics, 0, [face()]);
+    sample(metrics, 500, []);
+    sample(metrics, 1000, [face()]);
+    sample(metrics, 2000, []);
+    sample(metrics, 2500, []);
+    sample(metrics, 3500, [face()]);
+    sample(metrics, 4000, []);
+    now = 6000;
+
+    expect(metrics.summary().noFaceSpans).toEqual([
+      { startMs: 2000, endMs: 3500 },
+      { startMs: 4000, endMs: 6000 },
+    ]);
+  });
+
+  test('an empty segment has no ratios', () => {
+    expect(createSegmentMetrics().summary()).toMatchObject({
+      samples: 0,
+      facePresenceRatio: null,
+      gazeAwayRatio: null,
+      averageYawDegrees: null,
+      framingQuality: null,
+    });
+  });
+});
+
+describe('parseVideoMetrics', () => {
+  test('reads stored metrics and rejects empty or malformed ones', () => {
+    expect(parseVideoMetrics('{"samples":4,"facePresenceRatio":1}')).toEqual({ samples: 4, facePresenceRatio: 1 });
+    expect(parseVideoMetrics({ samples: 0 })).toBeNull();
+    expect(parseVideoMetrics('{oops')).toBeNull();
+  });
+});
@@ -0,0 +1,110 @@
+// Feedback generation progress, as reported by the `/feedback-status` stream
+// (see subscribeToFeedbackProgress in api.js). Every event is a snapshot:
+//   { status, error, stage, progress (0-100), question_index, question_total,
+//     question_scores: [{ question_number, question, score }] }
+// `question_index` counts the questions scored so far out of `question_total`.
+// Older backends send only `status` and `error`; the helpers here fill in a
+// stage and percentage so the progress bar still moves.
+//
+// Normalized shape: { status, error, stage, percent, questionIndex, questionTotal, questionScores }
+
+export const FEEDBACK_STAGES = ['queued', 'transcribing', 'scoring', 'video_analysis', 'summary', 'completed'];
+
+export const FEEDBACK_STAGE_LABELS = {
+  queued: 'Waiting to start',
+  transcribing: 'Transcribing your answers',
+  scoring: 'Scoring your answers',
+  video_analysis: 'Analysing your video',
+  summary: 'Writing your summary',
+  completed: 'Report ready',
+};
+
+// Share of the bar each stage covers when the backend does not send `progress`.
+const STAGE_RANGES = {
+  queued: [0, 5],
+  transcribing: [5, 20],
+  scoring: [20, 75],
+  video_analysis: [75, 90],
+  summary: [90, 99],
+  completed: [100, 100],
+};
+
+const toNumber = (value) => {
+  const numeric = Number(value);
+  return value != null && value !== '' && Number.isFinite(numeric) ? numeric : null;
+};
+
+const normalizeQuestionScores = (scores) => (Array.isArray(scores) ? scores : [])
+  .map((entry) => ({
+    questionNumber: toNumber(entry?.question_number ?? entry?.number),
+    question: entry?.question || '',
+    score: toNumber(entry?.score),
+  }))
+  .filter((entry) => entry.questionNumber != null);
+
+const inferStage = (status, stage) => {
+  if (status === 'completed') return 'completed';
+  if (FEEDBACK_STAGES.includes(stage)) return stage;
+  return status === 'processing' ? 'scoring' : 'queued';
+};
+
+const stagePercent = (stage, questionIndex, questionTotal) => {
+  const [start, end] = STAGE_RANGES[stage] || STAGE_RANGES.queued;
+  if (stage === 'scoring' && questionTotal) {
+    const done = Math.max(0, Math.min(questionIndex || 0, questionTotal));
+    return start + ((end - start) * done) / questionTotal;
+  }
+  return start;
+};
+
+export const normalizeFeedbackProgress = (data = {}) => {
+  const status = data?.status || 'pending';
+  const stage = inferStage(status, data?.stage);
+  const questionIndex = toNumber(data?.question_index);
+  const questionTotal = toNumber(data?.question_total);
+  const reported = toNumber(data?.progress);
+  const percent = reported != null
+    ? Math.max(0, Math.min(100, reported))
+    : stagePercent(stage, questionIndex, questionTotal);
+  return {
+    status,
+    error: data?.error || null,
+    stage,
+    percent: status === 'completed' ? 100 : Math.round(percent),
+    questionIndex,
+    questionTotal,
+    questionScores: normalizeQuestionScores(data?.question_scores),
+  };
+};
+
+/**
+ * Fold a new snapshot into the previous progress. The bar never moves
+ * backwards within a run, and scores already shown are kept when an event only
+ * carries the latest ones.
+ */
+export const mergeFeedbackProgress = (previous, data) => {
+  const next = normalizeFeedbackProgress(data);
+  if (!previous) {
+    return next;
+  }
+  const scores = new Map(previous.questionScores.map((entry) => [entry.questionNumber, entry]));
+  next.questionScores.forEach((entry) => scores.set(entry.questionNumber, entry));
+  return {
+    ...next,
+    percent: Math.max(previous.percent, next.percent),
+    questionIndex: next.questionIndex ?? previous.questionIndex,
+    questionTotal: next.questionTotal ?? previous.questionTotal,
+    questionScores: Array.from(scores.values()).sort((a, b) => a.questionNumber - b.questionNumber),
+  };
+};
+
+export const describeFeedbackProgress = (progress) => {
+  if (!progress) {
+    return FEEDBACK_STAGE_LABELS.queued;
+  }
+  if (progress.stage === 'scoring' && progress.questionTotal) {
+    const current = Math.min((progress.questionIndex || 0) + 1, progress.questionTotal);
+    return `Scoring question ${current} of ${progress.questionTotal}`;
+  }
+  return FEEDBACK_STAGE_LABELS[progress.stage] || FEEDBACK_STAGE_LABELS.queued;
+};
@@ -0,0 +1,82 @@
+import {
+  describeFeedbackProgress,
+  mergeFeedbackProgress,
+  normalizeFeedbackProgress,
+} from './feedbackGeneration';
+
+describe('normalizeFeedbackProgress', () => {
+  test('treats an empty event as a queued run', () => {
+    expect(normalizeFeedbackProgress({})).toEqual({
+      status: 'pending',
+      error: null,
+      stage: 'queued',
+      percent: 0,
+      questionIndex: null,
+      questionTotal: null,
+      questionScores: [],
+    });
+    expect(normalizeFeedbackProgress(null).stage).toBe('queued');
+  });
+
+  test('infers a stage and percentage for older backends that send only a status', () => {
+    expect(normalizeFeedbackProgress({ status: 'processing' })).toMatchObject({ stage: 'scoring', percent: 20 });
+    expect(normalizeFeedbackProgress({ status: 'pending', stage: 'unknown' }).stage).toBe('queued');
+    expect(normalizeFeedbackProgress({ status: 'completed', stage: 'summary', progress: 40 })).toMatchObject({
+      stage: 'completed',
+      percent: 100,
+    });
+  });
+
+  test('moves through the scoring range question by question', () => {
+    const progress = normalizeFeedbackProgress({ status: 'processing', stage: 'scoring', question_index: 2, question_total: 4 });
+    expect(progress.percent).toBe(48);
+    expect(normalizeFeedbackProgress({ stage: 'scoring', question_index: 9, question_total: 4 }).percent).toBe(75);
+  });
+
+  test('clamps a reported percentage and ignores blank values', () => {
+    expect(normalizeFeedbackProgress({ status: 'processing', progress: 150 }).percent).toBe(100);
+    expect(normalizeFeedbackProgress({ status: 'processing', progress: -5 }).percent).toBe(0);
+    expect(normalizeFeedbackProgress({ status: 'processing', stage: 'summary', progress: '' }).percent).toBe(90);
+  });
+
+  test('keeps question scores that carry a question number', () => {
+    const progress = normalizeFeedbackProgress({
+      question_scores: [{ question_number: '2', question: 'Q2', score: '3.5' }, { number: 1 }, { question: 'lost' }],
+    });
+    expect(progress.questionScores).toEqual([
+      { questionNumber: 2, question: 'Q2', score: 3.5 },
+      { questionNumber: 1, question: '', score: null },
+    ]);
+  });
+});
+
+describe('mergeFeedbackProgress', () => {
+  test('never moves the bar backwards and keeps earlier scores', () => {
+    const first = mergeFeedbackProgress(null, {
+      status: 'processing',
+      progress: 60,
+      question_index: 3,
+      question_total: 5,
+      question_scores: [{ question_number: 3, score: 4 }, { question_number: 1, score: 2 }],
+    });
+    const next = mergeFeedbackProgress(first, {
+      status: 'processing',
+      progress: 50,
+      question_scores: [{ question_number: 2, score: 5 }, { question_number: 3, score: 4.5 }],
+    });
+    expect(next.percent).toBe(60);
+    expect(next.questionIndex).toBe(3);
+    expect(next.questionTotal).toBe(5);
+    expect(next.questionScores.map((entry) => [entry.questionNumber, entry.score])).toEqual([[1, 2], [2, 5], [3, 4.5]]);
+  });
+});
+
+describe('describeFeedbackProgress', () => {
+  test('names the question being scored, capped at the total', () => {
+    expect(describeFeedbackProgress(null)).toBe('Waiting to start');
+    expect(describeFeedbackProgress({ stage: 'scoring', questionIndex: 2, questionTotal: 4 })).toBe('Scoring question 3 of 4');
+    expect(describeFeedbackProgress({ stage: 'scoring', questionIndex: 4, questionTotal: 4 })).toBe('Scoring question 4 of 4');
+    expect(describeFeedbackProgress({ stage: 'scoring', questionIndex: null, questionTotal: null })).toBe('Scoring your answers');
+    expect(describeFeedbackProgress({ stage: 'video_analysis' })).toBe('Analysing your video');
+  });
+});
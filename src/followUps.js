@@ -0,0 +1,82 @@
+// Follow-up probing within one interview question. After an answer the backend
+// may return `follow_up` (a prompt or { id, prompt }) or `follow_ups` (a list);
+// InterviewScreen keeps the question number, asks each prompt in turn and sends
+// the whole exchange as `conversation` with every reply.
+//
+// Conversation turns: { role: 'interviewer' | 'candidate', text, follow_up_index? }
+// Feedback turns may add `commentary` and `score` for candidate replies.
+
+const toFollowUp = (entry, index) => {
+  if (!entry) {
+    return null;
+  }
+  if (typeof entry === 'string') {
+    return entry.trim() ? { id: null, prompt: entry.trim() } : null;
+  }
+  const prompt = (entry.prompt || entry.question || entry.text || '').toString().trim();
+  return prompt ? { id: entry.id ?? entry.follow_up_id ?? index, prompt } : null;
+};
+
+/**
+ * Normalize the follow-up prompts in an `/interview/{id}/answer` response.
+ */
+export const extractFollowUps = (data) => {
+  if (!data) {
+    return [];
+  }
+  const raw = Array.isArray(data.follow_ups)
+    ? data.follow_ups
+    : (data.follow_up ? [data.follow_up] : []);
+  return raw.map(toFollowUp).filter(Boolean);
+};
+
+const promptKey = (prompt) => prompt.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Advance a thread after an answer was accepted. `thread` is null for the
+ * original answer; returns the next thread, or null once no prompts remain.
+ * The backend may repeat prompts it already sent, so a prompt that was asked
+ * or is still queued is not queued again.
+ */
+export const advanceFollowUpThread = (thread, { questionText, answerText, followUps }) => {
+  const seen = new Set((thread ? thread.turns : [])
+    .filter((turn) => turn.role === 'interviewer' && turn.follow_up_index != null)
+    .map((turn) => promptKey(turn.text)));
+  const pending = [...(thread ? thread.pending.slice(1) : []), ...followUps].filter((followUp) => {
+    const key = promptKey(followUp.prompt);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+  if (!pending.length) {
+    return null;
+  }
+  const answered = thread ? thread.answered + 1 : 0;
+  const turns = thread
+    ? [...thread.turns, { role: 'candidate', text: answerText, follow_up_index: thread.answered }]
+    : [
+      { role: 'interviewer', text: questionText },
+      { role: 'candidate', text: answerText },
+    ];
+  return {
+    turns: [...turns, { role: 'interviewer', text: pending[0].prompt, follow_up_index: answered }],
+    pending,
+    answered,
+  };
+};
+
+export const parseConversation = (value) => {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return [];
+    }
+  }
+  return Array.isArray(parsed)
+    ? parsed.filter((turn) => turn && (turn.role === 'interviewer' || turn.role === 'candidate'))
+    : [];
+};
@@ -0,0 +1,67 @@
+import { advanceFollowUpThread, extractFollowUps, parseConversation } from './followUps';
+
+describe('extractFollowUps', () => {
+  test('accepts a single prompt or a list of strings and objects', () => {
+    expect(extractFollowUps({ follow_up: '  Why that index? ' })).toEqual([{ id: null, prompt: 'Why that index?' }]);
+    expect(extractFollowUps({
+      follow_ups: [{ id: 'f1', prompt: 'How would it scale?' }, { question: 'Any trade-offs?' }, '', { text: '' }],
+    })).toEqual([
+      { id: 'f1', prompt: 'How would it scale?' },
+      { id: 1, prompt: 'Any trade-offs?' },
+    ]);
+    expect(extractFollowUps(null)).toEqual([]);
+    expect(extractFollowUps({ next_question: 'Q2' })).toEqual([]);
+  });
+});
+
+describe('advanceFollowUpThread', () => {
+  const first = { id: 'a', prompt: 'Why a hash map?' };
+  const second = { id: 'b', prompt: 'What about memory?' };
+
+  test('returns null when the answer brings no follow-ups', () => {
+    expect(advanceFollowUpThread(null, { questionText: 'Q', answerText: 'A', followUps: [] })).toBeNull();
+  });
+
+  test('starts a thread with the question, the answer and the first prompt', () => {
+    const thread = advanceFollowUpThread(null, { questionText: 'Q', answerText: 'A', followUps: [first, second] });
+    expect(thread.answered).toBe(0);
+    expect(thread.pending).toEqual([first, second]);
+    expect(thread.turns).toEqual([
+      { role: 'interviewer', text: 'Q' },
+      { role: 'candidate', text: 'A' },
+      { role: 'interviewer', text: first.prompt, follow_up_index: 0 },
+    ]);
+  });
+
+  test('moves to the next queued prompt and ends when the queue is empty', () => {
+    const thread = advanceFollowUpThread(null, { questionText: 'Q', answerText: 'A', followUps: [first, second] });
+    const next = advanceFollowUpThread(thread, { answerText: 'Because lookups', followUps: [] });
+    expect(next.answered).toBe(1);
+    expect(next.pending).toEqual([second]);
+    expect(next.turns.slice(-2)).toEqual([
+      { role: 'candidate', text: 'Because lookups', follow_up_index: 0 },
+      { role: 'interviewer', text: second.prompt, follow_up_index: 1 },
+    ]);
+    expect(advanceFollowUpThread(next, { answerText: 'O(n)', followUps: [] })).toBeNull();
+  });
+
+  test('does not queue prompts that were already asked or are still pending', () => {
+    const thread = advanceFollowUpThread(null, { questionText: 'Q', answerText: 'A', followUps: [first, second] });
+    const next = advanceFollowUpThread(thread, {
+      answerText: 'Because lookups',
+      followUps: [{ id: 'a', prompt: 'why a  HASH map?' }, second, { id: 'c', prompt: 'Can it fail?' }],
+    });
+    expect(next.pending.map((followUp) => followUp.prompt)).toEqual(['What about memory?', 'Can it fail?']);
+
+    const repeated = advanceFollowUpThread(null, { questionText: 'Q', answerText: 'A', followUps: [first, first] });
+    expect(repeated.pending).toEqual([first]);
+  });
+});
+
+describe('parseConversation', () => {
+  test('keeps interviewer and candidate turns only', () => {
+    const turns = [{ role: 'interviewer', text: 'Q' }, { role: 'system', text: 'x' }, null, { role: 'candidate', text: 'A' }];
+    expect(parseConversation(JSON.stringify(turns))).toEqual([turns[0], turns[3]]);
+    expect(parseConversation('{')).toEqual([]);
+  });
+});
@@ -0,0 +1,152 @@
+// Integrity signals for a live interview: InterviewScreen feeds browser and
+// camera observations in, attaches each question's events to its answer, and
+// IntegrityTimeline renders the session log in the admin report.
+//
+// Events carry `type`, `question`, `at` (ISO time) and `offsetMs` (since the
+// question started), plus type-specific details:
+//   paste           { chars, source: 'code_editor' | 'transcript' | 'text_input' | 'other' }
+//   window_blur     {}
+//   window_focus    { awayMs }
+//   tab_hidden      {}
+//   tab_visible     { hiddenMs }
+//   fullscreen_exit {}
+//   multiple_faces  { count }
+//   no_face         { durationMs, ongoing? }
+
+// Pastes shorter than this are treated as ordinary editing.
+export const LARGE_PASTE_CHARS = 80;
+// Camera gaps shorter than this are ignored (blinks, glances, detector misses).
+export const NO_FACE_THRESHOLD_MS = 5000;
+
+export const INTEGRITY_EVENT_LABELS = {
+  paste: 'Large paste',
+  window_blur: 'Left the interview window',
+  window_focus: 'Returned to the window',
+  tab_hidden: 'Switched tabs',
+  tab_visible: 'Returned to the tab',
+  fullscreen_exit: 'Exited fullscreen',
+  multiple_faces: 'Multiple faces on camera',
+  no_face: 'No face on camera',
+};
+
+// Events an admin should look at; the rest give context in the timeline.
+export const FLAGGED_INTEGRITY_TYPES = new Set(['paste', 'tab_hidden', 'fullscreen_exit', 'multiple_faces', 'no_face']);
+
+const PASTE_SOURCE_LABELS = {
+  code_editor: 'code editor',
+  transcript: 'answer transcript',
+  text_input: 'text field',
+};
+
+/**
+ * Create a monitor for one interview session. `setQuestion` scopes new events;
+ * `eventsFor`/`clear` read and drop a question's events around its submission.
+ */
+export const createIntegrityMonitor = () => {
+  const events = [];
+  let question = null;
+  let questionStartedAt = Date.now();
+  let faceMissingSince = null;
+  let lastFaceCount = null;
+
+  const push = (type, details = {}, at = Date.now()) => {
+    if (question == null) {
+      return;
+    }
+    events.push({
+      type,
+      question,
+      at: new Date(at).toISOString(),
+      offsetMs: Math.max(0, at - questionStartedAt),
+      ...details,
+    });
+  };
+
+  const closeNoFaceStretch = (at, ongoing = false) => {
+    if (faceMissingSince == null) {
+      return;
+    }
+    const durationMs = at - faceMissingSince;
+    if (durationMs >= NO_FACE_THRESHOLD_MS) {
+      push('no_face', { durationMs, ...(ongoing ? { ongoing: true } : {}) }, faceMissingSince);
+    }
+    faceMissingSince = ongoing ? at : null;
+  };
+
+  return {
+    setQuestion(number) {
+      if (number === question) {
+        return;
+      }
+      closeNoFaceStretch(Date.now(), true);
+      question = number;
+      questionStartedAt = Date.now();
+    },
+
+    record(type, details) {
+      push(type, details);
+    },
+
+    observeFaces(count) {
+      const now = Date.now();
+      if (count === 0) {
+        if (faceMissingSince == null) {
+          faceMissingSince = now;
+        }
+      } else {
+        closeNoFaceStretch(now);
+      }
+      if (count > 1 && !(lastFaceCount > 1)) {
+        push('multiple_faces', { count }, now);
+      }
+      lastFaceCount = count;
+    },
+
+    // Includes a still-open no-face stretch so it isn't lost when the answer is sent.
+    eventsFor(number) {
+      if (number === question) {
+        closeNoFaceStretch(Date.now(), true);
+      }
+      return events.filter((event) => event.question === number);
+    },
+
+    clear(number) {
+      for (let index = events.length - 1; index >= 0; index -= 1) {
+        if (events[index].question === number) {
+          events.splice(index, 1);
+        }
+      }
+    },
+  };
+};
+
+export const parseIntegrityEvents = (value) => {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return [];
+    }
+  }
+  return Array.isArray(parsed) ? parsed.filter((event) => event && event.type) : [];
+};
+
+const formatSeconds = (ms) => `${Math.round((ms || 0) / 1000)}s`;
+
+export const describeIntegrityEvent = (event) => {
+  switch (event.type) {
+    case 'paste':
+      return `${event.chars} characters pasted into the ${PASTE_SOURCE_LABELS[event.source] || 'page'}`;
+    case 'window_focus':
+      return event.awayMs != null ? `Away for ${formatSeconds(event.awayMs)}` : '';
+    case 'tab_visible':
+      return event.hiddenMs != null ? `Hidden for ${formatSeconds(event.hiddenMs)}` : '';
+    case 'multiple_faces':
+      return `${event.count} faces detected`;
+    case 'no_face':
+      return `${formatSeconds(event.durationMs)} without a visible face${event.ongoing ? ' (until submission)' : ''}`;
+    default:
+      return '';
+  }
+};
@@ -0,0 +1,146 @@
+import {
+  NO_FACE_THRESHOLD_MS,
+  createIntegrityMonitor,
+  describeIntegrityEvent,
+  parseIntegrityEvents,
+} from './integrityMonitor';
+
+const START = Date.parse('2026-03-02T10:00:00Z');
+let now = START;
+
+const at = (ms) => {
+  now = START + ms;
+};
+
+const summary = (events) => events.map(({ type, question, offsetMs, durationMs, ongoing, count }) => ({
+  type,
+  question,
+  offsetMs,
+  ...(durationMs != null ? { durationMs } : {}),
+  ...(ongoing ? { ongoing } : {}),
+  ...(count != null ? { count } : {}),
+}));
+
+beforeEach(() => {
+  now = START;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createIntegrityMonitor', () => {
+  test('ignores events before a question is set', () => {
+    const monitor = createIntegrityMonitor();
+    monitor.record('tab_hidden');
+    monitor.setQuestion(1);
+    expect(monitor.eventsFor(1)).toEqual([]);
+  });
+
+  test('stamps events with the question and the offset into it', () => {
+    const monitor = createIntegrityMonitor();
+    monitor.setQuestion(1);
+    at(1500);
+    monitor.record('paste', { chars: 120, source: 'code_editor' });
+    expect(monitor.eventsFor(1)).toEqual([{
+      type: 'paste',
+      question: 1,
+      at: '2026-03-02T10:00:01.500Z',
+      offsetMs: 1500,
+      chars: 120,
+      source: 'code_editor',
+    }]);
+  });
+
+  test('only logs camera gaps that reach the threshold', () => {
+    const monitor = createIntegrityMonitor();
+    monitor.setQuestion(1);
+    at(1000);
+    monitor.observeFaces(0);
+    at(1000 + NO_FACE_THRESHOLD_MS - 1);
+    monitor.observeFaces(1);
+    at(10000);
+    monitor.observeFaces(0);
+    at(10000 + NO_FACE_THRESHOLD_MS);
+    monitor.observeFaces(1);
+
+    expect(summary(monitor.eventsFor(1))).toEqual([
+      { type: 'no_face', question: 1, offsetMs: 10000, durationMs: NO_FACE_THRESHOLD_MS },
+    ]);
+  });
+
+  test('splits an ongoing gap at a question change', () => {
+    const monitor = createIntegrityMonitor();
+    monitor.setQuestion(1);
+    at(2000);
+    monitor.observeFaces(0);
+    at(9000);
+    monitor.setQuestion(2);
+    at(20000);
+    monitor.observeFaces(1);
+
+    expect(summary(monitor.eventsFor(1))).toEqual([
+      { type: 'no_face', question: 1, offsetMs: 2000, durationMs: 7000, ongoing: true },
+    ]);
+    expect(summary(monitor.eventsFor(2))).toEqual([
+      { type: 'no_face', question: 2, offsetMs: 0, durationMs: 11000 },
+    ]);
+  });
+
+  test('includes a gap still open when the answer is read', () => {
+    const monitor = createIntegrityMonitor();
+    monitor.setQuestion(3);
+    monitor.observeFaces(0);
+    at(6000);
+    expect(summary(monitor.eventsFor(3))).toEqual([
+      { type: 'no_face', question: 3, offsetMs: 0, durationMs: 6000, ongoing: true },
+    ]);
+  });
+
+  test('logs multiple faces once per stretch', () => {
+    const monitor = createIntegrityMonitor();
+    monitor.setQuestion(1);
+    monitor.observeFaces(2);
+    at(500);
+    monitor.observeFaces(3);
+    at(1000);
+    monitor.observeFaces(1);
+    at(1500);
+    monitor.observeFaces(2);
+
+    expect(summary(monitor.eventsFor(1))).toEqual([
+      { type: 'multiple_faces', question: 1, offsetMs: 0, count: 2 },
+      { type: 'multiple_faces', question: 1, offsetMs: 1500, count: 2 },
+    ]);
+  });
+
+  test('clear drops one question and keeps the others', () => {
+    const monitor = createIntegrityMonitor();
+    monitor.setQuestion(1);
+    monitor.record('tab_hidden');
+    monitor.setQuestion(2);
+    monitor.record('fullscreen_exit');
+    monitor.record('window_blur');
+
+    monitor.clear(2);
+    expect(monitor.eventsFor(2)).toEqual([]);
+    expect(monitor.eventsFor(1).map((event) => event.type)).toEqual(['tab_hidden']);
+  });
+});
+
+describe('stored events', () => {
+  test('parses JSON and drops entries without a type', () => {
+    expect(parseIntegrityEvents('[{"type":"paste"},{},null]')).toEqual([{ type: 'paste' }]);
+    expect(parseIntegrityEvents('not json')).toEqual([]);
+    expect(parseIntegrityEvents({ type: 'paste' })).toEqual([]);
+  });
+
+  test('describes events for the timeline', () => {
+    expect(describeIntegrityEvent({ type: 'paste', chars: 90, source: 'transcript' })).toBe('90 characters pasted into the answer transcript');
+    expect(describeIntegrityEvent({ type: 'paste', chars: 90, source: 'clipboard' })).toBe('90 characters pasted into the page');
+    expect(describeIntegrityEvent({ type: 'tab_visible', hiddenMs: 12400 })).toBe('Hidden for 12s');
+    expect(describeIntegrityEvent({ type: 'no_face', durationMs: 6000, ongoing: true })).toBe('6s without a visible face (until submission)');
+    expect(describeIntegrityEvent({ type: 'window_blur' })).toBe('');
+  });
+});
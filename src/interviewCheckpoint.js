@@ -0,0 +1,194 @@
+// Per-session checkpoints so an in-progress interview survives a reload or tab crash.
+// Question/draft state is written synchronously to localStorage; recorded answer
+// videos are too large for Web Storage and go to IndexedDB instead.
+
+const CHECKPOINT_PREFIX = 'interviewCheckpoint:';
+const CHECKPOINT_VERSION = 1;
+const CHECKPOINT_TTL_MS = 24 * 60 * 60 * 1000;
+
+const RECORDING_DB_NAME = 'interviewCheckpoints';
+const RECORDING_STORE = 'recordings';
+
+const storageKey = (sessionId) => `${CHECKPOINT_PREFIX}${sessionId}`;
+
+const isExpired = (checkpoint) => !checkpoint?.savedAt || Date.now() - checkpoint.savedAt > CHECKPOINT_TTL_MS;
+
+const readCheckpoint = (key) => {
+  try {
+    const stored = localStorage.getItem(key);
+    if (!stored) {
+      return null;
+    }
+    const parsed = JSON.parse(stored);
+    if (parsed?.version !== CHECKPOINT_VERSION || isExpired(parsed)) {
+      localStorage.removeItem(key);
+      return null;
+    }
+    return parsed;
+  } catch (error) {
+    console.warn('Discarding unreadable interview checkpoint', error);
+    localStorage.removeItem(key);
+    return null;
+  }
+};
+
+const checkpointKeys = () => {
+  const keys = [];
+  for (let index = 0; index < localStorage.length; index += 1) {
+    const key = localStorage.key(index);
+    if (key && key.startsWith(CHECKPOINT_PREFIX)) {
+      keys.push(key);
+    }
+  }
+  return keys;
+};
+
+export const loadCheckpoint = (sessionId) => {
+  if (!sessionId || typeof window === 'undefined') {
+    return null;
+  }
+  return readCheckpoint(storageKey(sessionId));
+};
+
+export const saveCheckpoint = (sessionId, checkpoint) => {
+  if (!sessionId || typeof window === 'undefined') {
+    return;
+  }
+  try {
+    localStorage.setItem(storageKey(sessionId), JSON.stringify({
+      ...checkpoint,
+      version: CHECKPOINT_VERSION,
+      savedAt: Date.now(),
+    }));
+  } catch (error) {
+    console.warn('Unable to save interview checkpoint', error);
+  }
+};
+
+/**
+ * Most recent unexpired checkpoint for a student, used to rehydrate the
+ * interview when the tab's sessionStorage was lost along with the tab.
+ */
+export const findLatestCheckpoint = (studentEmail) => {
+  if (!studentEmail || typeof window === 'undefined') {
+    return null;
+  }
+  return checkpointKeys()
+    .map(readCheckpoint)
+    .filter((checkpoint) => checkpoint?.interviewData?.studentEmail === studentEmail)
+    .sort((a, b) => b.savedAt - a.savedAt)[0] || null;
+};
+
+const openRecordingDb = () => new Promise((resolve, reject) => {
+  if (typeof indexedDB === 'undefined') {
+    reject(new Error('IndexedDB is not available'));
+    return;
+  }
+  const request = indexedDB.open(RECORDING_DB_NAME, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(RECORDING_STORE);
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const withRecordingStore = async (mode, operation) => {
+  const db = await openRecordingDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(RECORDING_STORE, mode);
+      const request = operation(transaction.objectStore(RECORDING_STORE));
+      transaction.oncomplete = () => resolve(request?.result ?? null);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+// Each recording attempt on a question is stored under its own key.
+const recordingKey = (sessionId, questionNumber, attempt) => (
+  attempt != null ? `${sessionId}:${questionNumber}:${attempt}` : `${sessionId}:${questionNumber}`
+);
+
+export const saveRecordingBlob = async (sessionId, questionNumber, blob, attempt = null) => {
+  try {
+    await withRecordingStore('readwrite', (store) => store.put(blob, recordingKey(sessionId, questionNumber, attempt)));
+  } catch (error) {
+    console.warn('Unable to checkpoint recording', error);
+  }
+};
+
+export const loadRecordingBlob = async (sessionId, questionNumber, attempt = null) => {
+  try {
+    return await withRecordingStore('readonly', (store) => store.get(recordingKey(sessionId, questionNumber, attempt)));
+  } catch (error) {
+    console.warn('Unable to restore checkpointed recording', error);
+    return null;
+  }
+};
+
+export const clearCheckpoint = (sessionId) => {
+  if (!sessionId || typeof window === 'undefined') {
+    return;
+  }
+  localStorage.removeItem(storageKey(sessionId));
+  // Keys start with `${sessionId}:`; ';' sorts right after ':'.
+  withRecordingStore('readwrite', (store) => store.delete(IDBKeyRange.bound(`${sessionId}:`, `${sessionId};`, false, true)))
+    .catch(() => {});
+};
+
+/**
+ * Decide how to resume given the local checkpoint and the backend's view of the
+ * session (either may be null). `currentQuestionNumber` is the number the screen
+ * was mounted with. The backend wins on question number: if it is ahead, the
+ * last answer was accepted before the reload and the local draft is stale.
+ *
+ * Returns one of:
+ *   { action: 'completed' }
+ *   { action: 'restore', questionNumber, question, maxQuestions, draft }
+ *   { action: 'advance', questionNumber, question, maxQuestions }
+ *   { action: 'refetch', questionNumber, maxQuestions }
+ *   { action: 'none' }
+ */
+export const reconcileCheckpoint = (checkpoint, progress, currentQuestionNumber = 1) => {
+  const backendStatus = (progress?.status || '').toString().toLowerCase();
+  if (backendStatus === 'completed') {
+    return { action: 'completed' };
+  }
+
+  const backendNumber = typeof progress?.question_number === 'number' ? progress.question_number : null;
+  const backendQuestion = progress?.current_question_meta || progress?.current_question || null;
+  const backendMax = typeof progress?.current_max_questions === 'number' ? progress.current_max_questions : null;
+
+  if (checkpoint && (backendNumber === null || backendNumber === checkpoint.questionNumber)) {
+    return {
+      action: 'restore',
+      questionNumber: checkpoint.questionNumber,
+      question: checkpoint.question || backendQuestion,
+      maxQuestions: backendMax ?? checkpoint.maxQuestions ?? null,
+      draft: checkpoint.draft || {},
+    };
+  }
+
+  if (backendNumber !== null && backendQuestion && (checkpoint || backendNumber !== currentQuestionNumber)) {
+    return {
+      action: 'advance',
+      questionNumber: backendNumber,
+      question: backendQuestion,
+      maxQuestions: backendMax ?? checkpoint?.maxQuestions ?? null,
+    };
+  }
+
+  // The backend is on another question but did not describe it: what the screen
+  // would show is stale, and answering it would post to the wrong number.
+  if (backendNumber !== null && backendNumber !== (checkpoint ? checkpoint.questionNumber : currentQuestionNumber)) {
+    return {
+      action: 'refetch',
+      questionNumber: backendNumber,
+      maxQuestions: backendMax ?? checkpoint?.maxQuestions ?? null,
+    };
+  }
+
+  return { action: 'none' };
+};
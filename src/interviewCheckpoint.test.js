@@ -0,0 +1,109 @@
+import {
+  findLatestCheckpoint,
+  loadCheckpoint,
+  reconcileCheckpoint,
+  saveCheckpoint,
+} from './interviewCheckpoint';
+
+const checkpoint = {
+  questionNumber: 3,
+  question: { text: 'Checkpointed question' },
+  maxQuestions: 8,
+  draft: { textAnswer: 'half an answer' },
+};
+
+describe('reconcileCheckpoint', () => {
+  test('a completed session wins over any local state', () => {
+    expect(reconcileCheckpoint(checkpoint, { status: 'COMPLETED', question_number: 3 })).toEqual({ action: 'completed' });
+  });
+
+  test('restores the draft when the backend is on the same question', () => {
+    const result = reconcileCheckpoint(checkpoint, {
+      question_number: 3,
+      current_question: { text: 'Backend copy' },
+      current_max_questions: 10,
+    });
+    expect(result).toEqual({
+      action: 'restore',
+      questionNumber: 3,
+      question: checkpoint.question,
+      maxQuestions: 10,
+      draft: checkpoint.draft,
+    });
+  });
+
+  test('restores from the checkpoint alone when the backend is unreachable', () => {
+    const result = reconcileCheckpoint({ ...checkpoint, draft: undefined }, null);
+    expect(result).toMatchObject({ action: 'restore', questionNumber: 3, maxQuestions: 8, draft: {} });
+  });
+
+  test('advances past a stale draft when the backend already accepted the answer', () => {
+    const next = { text: 'Question four' };
+    expect(reconcileCheckpoint(checkpoint, { question_number: 4, current_question_meta: next })).toEqual({
+      action: 'advance',
+      questionNumber: 4,
+      question: next,
+      maxQuestions: 8,
+    });
+  });
+
+  test('without a checkpoint, only moves when the backend is on another question', () => {
+    const progress = { question_number: 2, current_question: { text: 'Two' } };
+    expect(reconcileCheckpoint(null, progress, 2)).toEqual({ action: 'none' });
+    expect(reconcileCheckpoint(null, progress, 1)).toMatchObject({ action: 'advance', questionNumber: 2 });
+  });
+
+  test('asks for the question again when the backend moved on without describing it', () => {
+    expect(reconcileCheckpoint(checkpoint, { question_number: 5 })).toEqual({
+      action: 'refetch',
+      questionNumber: 5,
+      maxQuestions: 8,
+    });
+    expect(reconcileCheckpoint(null, { question_number: 2, current_max_questions: 6 }, 1)).toEqual({
+      action: 'refetch',
+      questionNumber: 2,
+      maxQuestions: 6,
+    });
+  });
+
+  test('does nothing when the backend agrees with the screen or is unreachable', () => {
+    expect(reconcileCheckpoint(null, { question_number: 2 }, 2)).toEqual({ action: 'none' });
+    expect(reconcileCheckpoint(null, null)).toEqual({ action: 'none' });
+  });
+});
+
+describe('checkpoint storage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('round-trips and drops expired or unreadable checkpoints', () => {
+    saveCheckpoint('s1', checkpoint);
+    expect(loadCheckpoint('s1')).toMatchObject(checkpoint);
+
+    const stored = JSON.parse(localStorage.getItem('interviewCheckpoint:s1'));
+    localStorage.setItem('interviewCheckpoint:s1', JSON.stringify({ ...stored, savedAt: Date.now() - 2 * 24 * 60 * 60 * 1000 }));
+    expect(loadCheckpoint('s1')).toBeNull();
+    expect(localStorage.getItem('interviewCheckpoint:s1')).toBeNull();
+
+    localStorage.setItem('interviewCheckpoint:s2', '{broken');
+    expect(loadCheckpoint('s2')).toBeNull();
+  });
+
+  test('finds the newest checkpoint for a student', () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now - 1000);
+    saveCheckpoint('old', { ...checkpoint, interviewData: { studentEmail: 'a@example.com' } });
+    Date.now.mockReturnValue(now);
+    saveCheckpoint('new', { ...checkpoint, questionNumber: 5, interviewData: { studentEmail: 'a@example.com' } });
+    saveCheckpoint('other', { ...checkpoint, interviewData: { studentEmail: 'b@example.com' } });
+
+    expect(findLatestCheckpoint('a@example.com').questionNumber).toBe(5);
+    expect(findLatestCheckpoint('c@example.com')).toBeNull();
+  });
+});
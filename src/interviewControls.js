@@ -0,0 +1,92 @@
+// Pause, skip and flag-for-review controls during an interview. Limits come from
+// the admin-configured policy; every control action is logged as a review event
+// and sent with the answer it belongs to (`review_events`) so the session report
+// can show it.
+//
+// Event shape: { type, question, at, durationMs? }
+
+export const DEFAULT_INTERVIEW_POLICIES = {
+  max_pauses: 2,
+  max_pause_seconds: 300,
+  allow_skip: true,
+  max_skips: 2,
+  allow_flag: true,
+};
+
+export const REVIEW_EVENT_LABELS = {
+  pause: 'Paused',
+  skip: 'Skipped',
+  flag: 'Flagged for review',
+  unflag: 'Flag removed',
+  revise: 'Revised in review',
+};
+
+const toCount = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? Math.floor(number) : fallback;
+};
+
+const toFlag = (value, fallback) => {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return fallback;
+};
+
+/**
+ * Fill gaps in a policy payload with the defaults; unknown keys are dropped.
+ */
+export const normalizeInterviewPolicies = (raw) => {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const defaults = DEFAULT_INTERVIEW_POLICIES;
+  return {
+    max_pauses: toCount(source.max_pauses, defaults.max_pauses),
+    max_pause_seconds: toCount(source.max_pause_seconds, defaults.max_pause_seconds),
+    allow_skip: toFlag(source.allow_skip, defaults.allow_skip),
+    max_skips: toCount(source.max_skips, defaults.max_skips),
+    allow_flag: toFlag(source.allow_flag, defaults.allow_flag),
+  };
+};
+
+export const createReviewEvent = (type, question, details = {}) => ({
+  type,
+  question,
+  at: new Date().toISOString(),
+  ...details,
+});
+
+export const parseReviewEvents = (value) => {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return [];
+    }
+  }
+  return Array.isArray(parsed)
+    ? parsed.filter((event) => event && REVIEW_EVENT_LABELS[event.type])
+    : [];
+};
+
+/**
+ * Per-question summary for the report: pause count and total paused time,
+ * whether the answer was skipped, left flagged, or revised during review.
+ */
+export const summarizeReviewEvents = (events) => {
+  const summary = { pauses: 0, pausedMs: 0, skipped: false, flagged: false, revised: false };
+  events.forEach((event) => {
+    if (event.type === 'pause') {
+      summary.pauses += 1;
+      summary.pausedMs += Number(event.durationMs) || 0;
+    } else if (event.type === 'skip') {
+      summary.skipped = true;
+    } else if (event.type === 'flag') {
+      summary.flagged = true;
+    } else if (event.type === 'unflag') {
+      summary.flagged = false;
+    } else if (event.type === 'revise') {
+      summary.revised = true;
+    }
+  });
+  return summary;
+};
@@ -0,0 +1,59 @@
+import {
+  createReviewEvent,
+  DEFAULT_INTERVIEW_POLICIES,
+  normalizeInterviewPolicies,
+  parseReviewEvents,
+  summarizeReviewEvents,
+} from './interviewControls';
+
+describe('normalizeInterviewPolicies', () => {
+  test('uses the defaults for a missing payload', () => {
+    expect(normalizeInterviewPolicies(null)).toEqual(DEFAULT_INTERVIEW_POLICIES);
+  });
+
+  test('keeps zero limits and string booleans, drops unknown keys', () => {
+    expect(normalizeInterviewPolicies({
+      max_pauses: 0,
+      max_pause_seconds: '90.7',
+      allow_skip: 'false',
+      max_skips: -1,
+      allow_flag: 'yes',
+      extra: true,
+    })).toEqual({
+      max_pauses: 0,
+      max_pause_seconds: 90,
+      allow_skip: false,
+      max_skips: DEFAULT_INTERVIEW_POLICIES.max_skips,
+      allow_flag: DEFAULT_INTERVIEW_POLICIES.allow_flag,
+    });
+  });
+});
+
+describe('review events', () => {
+  test('createReviewEvent stamps the time and merges details', () => {
+    const event = createReviewEvent('pause', 3, { durationMs: 1200 });
+    expect(event).toMatchObject({ type: 'pause', question: 3, durationMs: 1200 });
+    expect(Number.isNaN(Date.parse(event.at))).toBe(false);
+  });
+
+  test('parseReviewEvents accepts JSON and drops unknown or broken entries', () => {
+    const events = [{ type: 'skip', question: 1 }, { type: 'teleport', question: 1 }, null];
+    expect(parseReviewEvents(JSON.stringify(events))).toEqual([{ type: 'skip', question: 1 }]);
+    expect(parseReviewEvents('not json')).toEqual([]);
+    expect(parseReviewEvents({ type: 'skip' })).toEqual([]);
+  });
+
+  test('summarizeReviewEvents totals pauses and keeps the last flag state', () => {
+    const summary = summarizeReviewEvents([
+      { type: 'pause', durationMs: 1000 },
+      { type: 'pause', durationMs: '500' },
+      { type: 'pause' },
+      { type: 'flag' },
+      { type: 'unflag' },
+      { type: 'skip' },
+      { type: 'revise' },
+    ]);
+    expect(summary).toEqual({ pauses: 3, pausedMs: 1500, skipped: true, flagged: false, revised: true });
+    expect(summarizeReviewEvents([{ type: 'flag' }]).flagged).toBe(true);
+  });
+});
@@ -0,0 +1,142 @@
+// Interviewer voice: reads questions and acknowledgments aloud with the browser's
+// speechSynthesis. Preferences (on/off, voice, speed) are remembered per browser.
+
+const PREFERENCES_KEY = 'interviewer_voice';
+
+export const VOICE_RATES = [0.8, 0.9, 1, 1.1, 1.25];
+
+export const DEFAULT_VOICE_PREFERENCES = {
+  enabled: true,
+  voiceURI: null,
+  rate: 1,
+};
+
+export const isSpeechSynthesisSupported = () => (
+  typeof window !== 'undefined'
+  && 'speechSynthesis' in window
+  && typeof window.SpeechSynthesisUtterance === 'function'
+);
+
+export const loadVoicePreferences = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PREFERENCES_KEY) || 'null');
+    return { ...DEFAULT_VOICE_PREFERENCES, ...(stored && typeof stored === 'object' ? stored : {}) };
+  } catch (error) {
+    return { ...DEFAULT_VOICE_PREFERENCES };
+  }
+};
+
+export const saveVoicePreferences = (preferences) => {
+  try {
+    localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+  } catch (error) {
+    console.warn('Unable to save interviewer voice preferences', error);
+  }
+};
+
+/**
+ * Voices for the interview language first (exact match, then same language),
+ * then the rest; voices load asynchronously, so callers re-read on `voiceschanged`.
+ */
+export const listVoices = (lang = 'en-IN') => {
+  if (!isSpeechSynthesisSupported()) {
+    return [];
+  }
+  const base = lang.split('-')[0];
+  const rank = (voice) => {
+    if (voice.lang === lang) return 0;
+    if (voice.lang?.split(/[-_]/)[0] === base) return 1;
+    return 2;
+  };
+  return [...window.speechSynthesis.getVoices()].sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name));
+};
+
+/**
+ * Question text as it should be spoken: markdown emphasis, bullets and code
+ * fences removed.
+ */
+export const toSpokenText = (text) => (
+  (text || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/^\s*-\s+/gm, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+);
+
+// Long utterances are cut off by some engines, so speech is queued sentence by sentence.
+// Only punctuation followed by whitespace ends a sentence, so "2.5" stays whole.
+export const splitSentences = (text) => (
+  text.match(/(?:[^.!?]|[.!?](?!\s|$))+(?:[.!?]+|$)/g) || []
+).map((sentence) => sentence.trim()).filter(Boolean);
+
+/**
+ * Speak `segments` (strings) in order. `onCaption({ sentence, charIndex })` follows
+ * the current sentence and word; `onEnd()` fires once after the last sentence or
+ * on cancel. Returns a cancel function.
+ */
+export const speakSegments = (segments, {
+  voiceURI = null,
+  rate = 1,
+  lang = 'en-IN',
+  onCaption,
+  onEnd,
+} = {}) => {
+  const sentences = segments.flatMap((segment) => splitSentences(toSpokenText(segment)));
+  let cancelled = false;
+  let finished = false;
+
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    if (typeof onEnd === 'function') {
+      onEnd();
+    }
+  };
+
+  if (!isSpeechSynthesisSupported() || !sentences.length) {
+    finish();
+    return () => {};
+  }
+
+  const synth = window.speechSynthesis;
+  const voice = voiceURI ? synth.getVoices().find((candidate) => candidate.voiceURI === voiceURI) : null;
+  synth.cancel();
+
+  const speakAt = (index) => {
+    if (cancelled || index >= sentences.length) {
+      finish();
+      return;
+    }
+    const sentence = sentences[index];
+    const utterance = new window.SpeechSynthesisUtterance(sentence);
+    utterance.rate = rate;
+    utterance.lang = voice?.lang || lang;
+    if (voice) {
+      utterance.voice = voice;
+    }
+    utterance.onstart = () => onCaption?.({ sentence, charIndex: 0 });
+    utterance.onboundary = (event) => {
+      if (event.name === 'word' || event.name === undefined) {
+        onCaption?.({ sentence, charIndex: event.charIndex });
+      }
+    };
+    utterance.onend = () => speakAt(index + 1);
+    utterance.onerror = (event) => {
+      if (event.error !== 'interrupted' && event.error !== 'canceled') {
+        console.warn('Interviewer voice error:', event.error);
+      }
+      speakAt(index + 1);
+    };
+    synth.speak(utterance);
+  };
+
+  speakAt(0);
+
+  return () => {
+    cancelled = true;
+    synth.cancel();
+    finish();
+  };
+};
@@ -0,0 +1,132 @@
+import {
+  DEFAULT_VOICE_PREFERENCES,
+  listVoices,
+  loadVoicePreferences,
+  saveVoicePreferences,
+  speakSegments,
+  splitSentences,
+  toSpokenText,
+} from './interviewerVoice';
+
+const VOICES = [
+  { name: 'Zira', lang: 'en-US', voiceURI: 'zira' },
+  { name: 'Hemant', lang: 'hi-IN', voiceURI: 'hemant' },
+  { name: 'Ravi', lang: 'en-IN', voiceURI: 'ravi' },
+  { name: 'Aditi', lang: 'en_IN', voiceURI: 'aditi' },
+  { name: 'Daniel', lang: 'en-GB', voiceURI: 'daniel' },
+];
+
+let spoken = [];
+
+const installSpeechSynthesis = () => {
+  spoken = [];
+  window.SpeechSynthesisUtterance = function SpeechSynthesisUtterance(text) {
+    this.text = text;
+  };
+  window.speechSynthesis = {
+    getVoices: () => VOICES,
+    speak: (utterance) => spoken.push(utterance),
+    cancel: jest.fn(),
+  };
+};
+
+const removeSpeechSynthesis = () => {
+  delete window.speechSynthesis;
+  delete window.SpeechSynthesisUtterance;
+};
+
+describe('preferences', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('round-trips and fills in missing fields', () => {
+    expect(loadVoicePreferences()).toEqual(DEFAULT_VOICE_PREFERENCES);
+    saveVoicePreferences({ enabled: false, rate: 1.25 });
+    expect(loadVoicePreferences()).toEqual({ enabled: false, voiceURI: null, rate: 1.25 });
+  });
+
+  test('falls back to the defaults when stored preferences are unreadable', () => {
+    localStorage.setItem('interviewer_voice', '{oops');
+    expect(loadVoicePreferences()).toEqual(DEFAULT_VOICE_PREFERENCES);
+    localStorage.setItem('interviewer_voice', '"loud"');
+    expect(loadVoicePreferences()).toEqual(DEFAULT_VOICE_PREFERENCES);
+  });
+});
+
+describe('listVoices', () => {
+  afterEach(removeSpeechSynthesis);
+
+  test('returns nothing without speech synthesis', () => {
+    expect(listVoices()).toEqual([]);
+  });
+
+  test('puts the exact language first, then the same language, then the rest by name', () => {
+    installSpeechSynthesis();
+    expect(listVoices('en-IN').map((voice) => voice.name)).toEqual(['Ravi', 'Aditi', 'Daniel', 'Zira', 'Hemant']);
+    expect(listVoices('hi-IN')[0].name).toBe('Hemant');
+  });
+});
+
+describe('spoken text', () => {
+  test('strips markdown and code before speaking', () => {
+    const text = 'Write a **query** on `orders`.\n- Use a CTE.\n```sql\nSELECT 1;\n```\nThen explain.';
+    expect(toSpokenText(text)).toBe('Write a query on orders. Use a CTE. Then explain.');
+    expect(toSpokenText(null)).toBe('');
+  });
+
+  test('splits sentences without breaking decimals', () => {
+    expect(splitSentences('Costs rose 2.5 percent. Why?! Explain')).toEqual(['Costs rose 2.5 percent.', 'Why?!', 'Explain']);
+    expect(splitSentences('Use node.js... or not.')).toEqual(['Use node.js...', 'or not.']);
+    expect(splitSentences('')).toEqual([]);
+  });
+});
+
+describe('speakSegments', () => {
+  beforeEach(installSpeechSynthesis);
+  afterEach(removeSpeechSynthesis);
+
+  test('speaks sentence by sentence with the chosen voice and ends once', () => {
+    const onEnd = jest.fn();
+    const onCaption = jest.fn();
+    speakSegments(['Thanks. Next question.', 'What is a join?'], { voiceURI: 'daniel', rate: 1.1, onCaption, onEnd });
+
+    expect(spoken).toHaveLength(1);
+    expect(spoken[0]).toMatchObject({ text: 'Thanks.', rate: 1.1, lang: 'en-GB', voice: VOICES[4] });
+    spoken[0].onstart();
+    spoken[0].onboundary({ name: 'word', charIndex: 3 });
+    expect(onCaption).toHaveBeenLastCalledWith({ sentence: 'Thanks.', charIndex: 3 });
+
+    spoken[0].onend();
+    spoken[1].onerror({ error: 'interrupted' });
+    expect(spoken.map((utterance) => utterance.text)).toEqual(['Thanks.', 'Next question.', 'What is a join?']);
+    expect(onEnd).not.toHaveBeenCalled();
+    spoken[2].onend();
+    expect(onEnd).toHaveBeenCalledTimes(1);
+  });
+
+  test('falls back to the interview language when the saved voice is gone', () => {
+    speakSegments(['Hello.'], { voiceURI: 'missing', lang: 'en-IN' });
+    expect(spoken[0].lang).toBe('en-IN');
+    expect(spoken[0].voice).toBeUndefined();
+  });
+
+  test('cancelling stops the queue and ends once', () => {
+    const onEnd = jest.fn();
+    const cancel = speakSegments(['One. Two.'], { onEnd });
+    cancel();
+    spoken[0].onend();
+    expect(spoken).toHaveLength(1);
+    expect(window.speechSynthesis.cancel).toHaveBeenCalledTimes(2);
+    expect(onEnd).toHaveBeenCalledTimes(1);
+  });
+
+  test('ends straight away when there is nothing to say or no synthesis', () => {
+    const onEnd = jest.fn();
+    speakSegments(['```code only```'], { onEnd });
+    removeSpeechSynthesis();
+    speakSegments(['Hello.'], { onEnd });
+    expect(onEnd).toHaveBeenCalledTimes(2);
+    expect(spoken).toEqual([]);
+  });
+});
@@ -0,0 +1,756 @@
+import { AxiosError } from 'axios';
+import { compareOutput } from './codeJudge';
+import {
+  MOCK_STUDENT,
+  MOCK_ADMIN,
+  INDUSTRIES,
+  COMPANIES_BY_INDUSTRY,
+  INTERVIEW_TYPES,
+  WORK_EXPERIENCE_LEVELS,
+  JOB_ROLES,
+  UNIVERSITIES,
+  PROGRAMS_BY_UNIVERSITY,
+  BATCHES,
+  QUESTION_TYPES,
+  QUESTION_BANK,
+  PISTON_RUNTIMES,
+  buildMockFeedback,
+  buildPracticeFeedback,
+  buildSeedSessions,
+  ADMIN_DASHBOARD,
+  buildDailyTrends,
+  ADMIN_INSIGHTS,
+  ADMIN_UBP_COHORTS,
+  ADMIN_RETENTION,
+  ADMIN_RETENTION_WITH_PRACTICE,
+  ADMIN_LEADERBOARD,
+  ADMIN_PRACTICE_LEADERBOARD,
+  ADMIN_STUDENTS,
+  INTERVIEW_POLICIES,
+} from './mockFixtures';
+
+// Offline stand-in for the FastAPI backend, installed as the axios adapter on
+// every instance in api.js when the resolved API config has `mockBackend` set.
+// Session state lives in sessionStorage so a reload mid-interview keeps working.
+
+const STATE_STORAGE_KEY = 'mockBackendState';
+const RESPONSE_DELAY_MS = 250;
+const FEEDBACK_GENERATION_MS = 12000;
+// Share of FEEDBACK_GENERATION_MS spent in each reported stage.
+const FEEDBACK_STAGE_TIMELINE = [
+  ['transcribing', 0.15],
+  ['scoring', 0.55],
+  ['video_analysis', 0.15],
+  ['summary', 0.15],
+];
+
+const loadState = () => {
+  try {
+    const stored = sessionStorage.getItem(STATE_STORAGE_KEY);
+    if (stored) {
+      return JSON.parse(stored);
+    }
+  } catch (error) {
+    console.warn('Discarding unreadable mock backend state', error);
+  }
+  return { sessions: {}, ratings: {}, nextId: 1 };
+};
+
+let state = loadState();
+
+// Uploaded video bytes stay in memory only: chunks by upload id while an upload
+// is in flight, then the assembled recording by `<session>:<question>`. After a
+// reload the report falls back to "recording not available".
+const videoChunks = new Map();
+const answerVideos = new Map();
+const answerVideoKey = (sessionId, questionNumber) => `${sessionId}:${questionNumber}`;
+
+const answerVideo = (sessionId, questionNumber) => {
+  const video = answerVideos.get(answerVideoKey(sessionId, questionNumber));
+  return video ? [200, video] : [404, { detail: 'Recording not available' }];
+};
+
+const saveState = () => {
+  try {
+    sessionStorage.setItem(STATE_STORAGE_KEY, JSON.stringify(state));
+  } catch (error) {
+    // storage full or unavailable; state stays in memory
+  }
+};
+
+export const resetMockBackend = () => {
+  state = { sessions: {}, ratings: {}, nextId: 1 };
+  videoChunks.clear();
+  answerVideos.clear();
+  saveState();
+};
+
+const readBody = (data) => {
+  if (!data) {
+    return {};
+  }
+  if (typeof FormData !== 'undefined' && data instanceof FormData) {
+    const result = {};
+    data.forEach((value, key) => {
+      result[key] = value;
+    });
+    return result;
+  }
+  if (data instanceof URLSearchParams) {
+    return Object.fromEntries(data.entries());
+  }
+  if (typeof data === 'string') {
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      return Object.fromEntries(new URLSearchParams(data).entries());
+    }
+  }
+  return data;
+};
+
+const paginate = (items, params = {}) => {
+  const limit = Number(params.limit) || 10;
+  const page = Number(params.page) || 1;
+  const pages = Math.max(1, Math.ceil(items.length / limit));
+  return {
+    items: items.slice((page - 1) * limit, page * limit),
+    pagination: { page, pages, limit, total: items.length },
+  };
+};
+
+const comboKey = (session) => [
+  session.student_email,
+  session.job_role,
+  session.company_name,
+  session.industry_type,
+  session.interview_type,
+  session.work_experience,
+].map((value) => (value || '').toString().trim().toLowerCase()).join('::');
+
+const allSessionsFor = (email) => [
+  ...buildSeedSessions(email),
+  ...Object.values(state.sessions).filter((session) => session.student_email === email),
+];
+
+const toSessionSummary = (session) => {
+  const { answers, feedback_requested_at: requestedAt, awaiting_video_uploads: awaitingVideo, ...summary } = session;
+  return summary;
+};
+
+// Hidden test cases stay server-side; the question only says how many there are.
+const questionMeta = (question) => {
+  if (!Array.isArray(question.test_cases)) {
+    return { ...question };
+  }
+  return {
+    ...question,
+    test_cases: question.test_cases.filter((testCase) => !testCase.hidden),
+    hidden_test_count: question.test_cases.filter((testCase) => testCase.hidden).length,
+  };
+};
+
+const feedbackStatusOf = (session) => {
+  if (session.status !== 'completed') {
+    return { status: 'not_requested', error: null };
+  }
+  if (!session.answers.length) {
+    return { status: 'failed', error: 'No answered questions found for this session' };
+  }
+  if (session.awaiting_video_uploads) {
+    return { status: 'pending', error: null, stage: 'queued', progress: 0 };
+  }
+  const fraction = (Date.now() - (session.feedback_requested_at || 0)) / FEEDBACK_GENERATION_MS;
+  if (fraction >= 1) {
+    return { status: 'completed', error: null, stage: 'completed', progress: 100 };
+  }
+  // Walk the stage timeline so the progress bar and streamed scores have something to show.
+  let stageStart = 0;
+  const [stage, share] = FEEDBACK_STAGE_TIMELINE.find(([, stageShare]) => {
+    if (fraction < stageStart + stageShare) return true;
+    stageStart += stageShare;
+    return false;
+  }) || FEEDBACK_STAGE_TIMELINE[FEEDBACK_STAGE_TIMELINE.length - 1];
+  const questions = buildMockFeedback(session).questions;
+  const scoringDone = FEEDBACK_STAGE_TIMELINE.findIndex(([name]) => name === stage)
+    > FEEDBACK_STAGE_TIMELINE.findIndex(([name]) => name === 'scoring');
+  let scored = 0;
+  if (stage === 'scoring') {
+    scored = Math.floor(((fraction - stageStart) / share) * questions.length);
+  } else if (scoringDone) {
+    scored = questions.length;
+  }
+  return {
+    status: stage === 'transcribing' ? 'pending' : 'processing',
+    error: null,
+    stage,
+    progress: Math.round(fraction * 100),
+    question_index: scored,
+    question_total: questions.length,
+    question_scores: questions.slice(0, scored).map((question) => ({
+      question_number: question.number,
+      question: question.question,
+      score: question.score,
+    })),
+  };
+};
+
+// Piston stand-in: nothing is executed, but literal print/console.log output is
+// echoed so the console and submission paths behave like a real run.
+const simulateExecution = ({ language, files = [] }) => {
+  const source = files.map((file) => file.content || '').join('\n');
+  const isSql = /sql/i.test(language || '');
+  let stdout = '';
+  if (isSql && source.includes('__SQL_SECTION__:')) {
+    // Sandboxed SQL question: answer with the expected result in CSV.
+    const markers = source.match(/^\.print (__SQL_SECTION__:\w+)$/gm) || [];
+    stdout = markers
+      .map((line) => `${line.slice('.print '.length)}\ncustomer_id,total_spend\n42,1830.5\n17,1422.0\n8,990.75\n`)
+      .join('');
+  } else if (isSql) {
+    stdout = /select/i.test(source) ? 'customer_id|total_spend\n42|1830.5\n17|1422.0\n8|990.75\n' : '';
+  } else {
+    const printPattern = /(?:print|console\.log|println|puts|Println)\s*\(?\s*(["'`])(.*?)\1/g;
+    const lines = [];
+    let match;
+    while ((match = printPattern.exec(source)) !== null) {
+      lines.push(match[2]);
+    }
+    stdout = lines.length ? `${lines.join('\n')}\n` : '';
+  }
+  const hasSyntaxError = /\bsyntax_error\b/.test(source);
+  return {
+    language,
+    version: PISTON_RUNTIMES.find((runtime) => runtime.language === language)?.version || '0.0.0',
+    run: hasSyntaxError
+      ? { stdout: '', stderr: 'SyntaxError: invalid syntax\n', output: '', code: 1, signal: null }
+      : { stdout, stderr: '', output: stdout, code: 0, signal: null },
+  };
+};
+
+const submittedFiles = (fields) => {
+  try {
+    const files = JSON.parse(fields.files || 'null');
+    if (Array.isArray(files) && files.length) {
+      return files;
+    }
+  } catch (error) {
+    // fall back to the single submitted source
+  }
+  return [{ content: fields.code || '' }];
+};
+
+// Hidden cases are judged here at submit time; the sample verdicts the browser
+// sends along are advisory and never counted.
+const judgeHiddenCases = (question, fields) => {
+  const hidden = (question.test_cases || []).filter((testCase) => testCase.hidden);
+  if (!hidden.length || !fields.code) {
+    return null;
+  }
+  const { run } = simulateExecution({ language: fields.language, files: submittedFiles(fields) });
+  const passed = hidden.filter((testCase) => run.code === 0 && compareOutput(run.stdout, testCase.expected_output, {
+    matchMode: testCase.match_mode ?? question.match_mode,
+  })).length;
+  return { passed, total: hidden.length };
+};
+
+const startInterview = (body) => {
+  const email = body.student_email || MOCK_STUDENT.email;
+  const candidate = {
+    student_email: email,
+    job_role: body.job_role,
+    company_name: body.company_name,
+    industry_type: body.industry_type,
+    interview_type: body.interview_type,
+    work_experience: body.work_experience,
+  };
+  const isPractice = body.mode === 'practice';
+
+  const previous = allSessionsFor(email).filter(
+    (session) => session.status === 'completed' && comboKey(session) === comboKey(candidate)
+  );
+  if (previous.length && body.force_reattempt !== 'true' && !isPractice) {
+    return [200, {
+      requires_confirmation: true,
+      message: `You have ${previous.length} completed attempt(s) for this combination.`,
+      existing_sessions: previous.map(toSessionSummary),
+    }];
+  }
+
+  const sessionId = `mock-session-${state.nextId}`;
+  state.nextId += 1;
+  state.sessions[sessionId] = {
+    ...candidate,
+    session_id: sessionId,
+    student_name: body.student_name || MOCK_STUDENT.name,
+    status: 'active',
+    started_at: new Date().toISOString(),
+    completed_at: null,
+    overall_score: null,
+    question_number: 1,
+    mode: isPractice ? 'practice' : 'interview',
+    answers: [],
+  };
+  saveState();
+
+  const first = QUESTION_BANK[0];
+  return [200, {
+    session_id: sessionId,
+    first_question: first.question,
+    first_question_meta: questionMeta(first),
+    key_skills: first.mandatory_skills,
+    ...candidate,
+    question_number: 1,
+    current_max_questions: QUESTION_BANK.length,
+    mode: state.sessions[sessionId].mode,
+    status: 'active',
+    message: 'Mock interview started',
+  }];
+};
+
+const submitAnswer = (sessionId, body) => {
+  const session = state.sessions[sessionId];
+  if (!session) {
+    return [404, { detail: 'Session not found' }];
+  }
+  if (session.status === 'completed') {
+    return [400, { detail: 'Interview already completed' }];
+  }
+
+  const current = QUESTION_BANK[session.question_number - 1];
+  const { response_video: video, ...fields } = body;
+  if (video && fields.is_follow_up !== 'true') {
+    answerVideos.set(answerVideoKey(sessionId, session.question_number), video);
+  }
+  const hiddenTests = judgeHiddenCases(current, fields);
+  session.answers.push({
+    ...fields,
+    question_id: current.id,
+    question_number: session.question_number,
+    ...(hiddenTests ? { hidden_tests_passed: hiddenTests.passed, hidden_tests_total: hiddenTests.total } : {}),
+    has_video: Boolean(video),
+    ...(fields.video_upload_id ? { video_upload_status: 'pending' } : {}),
+    submitted_at: new Date().toISOString(),
+  });
+
+  // Follow-ups are asked one at a time; the question number only moves on after the last reply.
+  // Practice sessions skip them and score each answer straight away instead.
+  const isPractice = session.mode === 'practice';
+  const followUpIndex = fields.is_follow_up === 'true' ? Number(fields.follow_up_index) + 1 : 0;
+  const followUp = isPractice ? null : current.follow_ups?.[followUpIndex];
+  const practiceFeedback = isPractice ? { practice_feedback: buildPracticeFeedback(current, fields) } : {};
+  if (followUp) {
+    saveState();
+    return [200, {
+      completed: false,
+      follow_up: { id: followUpIndex, prompt: followUp },
+      acknowledgment: 'Thanks. One more on that.',
+      question_number: session.question_number,
+      current_max_questions: QUESTION_BANK.length,
+    }];
+  }
+
+  const isLast = session.question_number >= QUESTION_BANK.length || fields.is_final === 'true';
+  if (isLast) {
+    session.status = 'completed';
+    session.completed_at = new Date().toISOString();
+    // Video analysis waits for the client's finalize signal while uploads are in flight.
+    session.awaiting_video_uploads = session.answers.some((answer) => answer.video_upload_status === 'pending');
+    session.feedback_requested_at = session.awaiting_video_uploads ? null : Date.now();
+    session.overall_score = buildMockFeedback(session).overall_score;
+    saveState();
+    return [200, {
+      completed: true,
+      acknowledgment: 'Thanks! That was the final question.',
+      question_number: session.question_number,
+      current_max_questions: QUESTION_BANK.length,
+      ...(hiddenTests ? { hidden_tests: hiddenTests } : {}),
+      ...practiceFeedback,
+    }];
+  }
+
+  session.question_number += 1;
+  saveState();
+  const next = QUESTION_BANK[session.question_number - 1];
+  return [200, {
+    completed: false,
+    next_question: next.question,
+    next_question_meta: questionMeta(next),
+    acknowledgment: 'Got it, moving to the next question.',
+    question_number: session.question_number,
+    current_max_questions: QUESTION_BANK.length,
+    ...(hiddenTests ? { hidden_tests: hiddenTests } : {}),
+    ...practiceFeedback,
+  }];
+};
+
+// Review events are JSON arrays; a revision appends to the ones sent with the original answer.
+const mergeReviewEvents = (existing, added) => {
+  const parse = (value) => {
+    try {
+      return value ? JSON.parse(value) : [];
+    } catch (error) {
+      return [];
+    }
+  };
+  return JSON.stringify([...parse(existing), ...parse(added)]);
+};
+
+const reviseAnswer = (sessionId, questionNumber, body) => {
+  const session = state.sessions[sessionId];
+  if (!session) {
+    return [404, { detail: 'Session not found' }];
+  }
+  const entry = session.answers.find(
+    (answer) => answer.question_number === questionNumber && answer.is_follow_up !== 'true'
+  );
+  if (!entry) {
+    return [404, { detail: `No answer recorded for question ${questionNumber}` }];
+  }
+  entry.answer = body.answer;
+  if (body.code) {
+    entry.code = body.code;
+  }
+  entry.answer_status = 'revised';
+  entry.review_events = mergeReviewEvents(entry.review_events, body.review_events);
+  saveState();
+  return [200, { question_number: questionNumber, message: 'Answer revised' }];
+};
+
+// Like the backend, admin analytics only leave practice sessions out when asked to.
+const excludesPractice = (query) => String(query.exclude_practice) === 'true';
+
+const leaderboardFor = (query) => {
+  if (excludesPractice(query)) {
+    return ADMIN_LEADERBOARD;
+  }
+  const entries = new Map(ADMIN_LEADERBOARD.map((entry) => [entry.student_id, { ...entry }]));
+  ADMIN_PRACTICE_LEADERBOARD.forEach((practice) => {
+    const entry = entries.get(practice.student_id);
+    if (!entry) {
+      entries.set(practice.student_id, { ...practice });
+      return;
+    }
+    const totalSessions = entry.total_sessions + practice.total_sessions;
+    const scoreSum = entry.avg_score * entry.total_sessions + practice.avg_score * practice.total_sessions;
+    entry.avg_score = Math.round((scoreSum / totalSessions) * 10) / 10;
+    entry.total_sessions = totalSessions;
+  });
+  return [...entries.values()]
+    .sort((a, b) => b.avg_score - a.avg_score)
+    .map((entry, index) => ({ ...entry, rank: index + 1 }));
+};
+
+const currentPolicies = () => ({ ...INTERVIEW_POLICIES, ...(state.policies || {}) });
+
+// Seed sessions carry their own scores; shift the generated report to match so
+// the attempts differ when compared.
+const seedFeedback = (seed, feedback) => {
+  const shift = seed.overall_score - feedback.overall_score;
+  const rubric = seed.rubric_scores?.rubric || [];
+  const clamp = (score) => Number(Math.min(5, Math.max(0, score + shift)).toFixed(1));
+  return {
+    ...feedback,
+    overall_score: seed.overall_score,
+    questions: feedback.questions.map((item) => ({ ...item, score: clamp(item.score) })),
+    core_competencies: feedback.core_competencies.map((entry) => ({
+      ...entry,
+      score: rubric.find((item) => item.name === entry.name)?.score ?? entry.score,
+    })),
+    mandatory_skill_scores: feedback.mandatory_skill_scores.map((entry) => ({ ...entry, score: clamp(entry.score) })),
+  };
+};
+
+const getFeedback = (sessionId) => {
+  const session = state.sessions[sessionId];
+  if (!session) {
+    const seed = buildSeedSessions(MOCK_STUDENT.email).find((entry) => entry.session_id === sessionId);
+    if (!seed) {
+      return [404, { detail: 'Session not found' }];
+    }
+    const answers = QUESTION_BANK.map((question) => ({ question_id: question.id, answer: 'Recorded answer from a previous attempt.' }));
+    return [200, { status: 'completed', feedback: { structured: seedFeedback(seed, buildMockFeedback({ ...seed, answers })) } }];
+  }
+  const { status, error } = feedbackStatusOf(session);
+  if (status === 'failed') {
+    return [400, { detail: error }];
+  }
+  if (status !== 'completed') {
+    return [202, { status }];
+  }
+  return [200, { status, feedback: { structured: buildMockFeedback(session) } }];
+};
+
+// Routes are matched in order; `:name` segments become params.
+const routes = [
+  ['post', '/interview/start', ({ body }) => startInterview(body)],
+  ['post', '/interview/:id/answer', ({ params, body }) => submitAnswer(params.id, body)],
+  ['post', '/interview/:id/answer/:number/revise', ({ params, body }) => reviseAnswer(params.id, Number(params.number), body)],
+  ['get', '/interview/policies', () => [200, currentPolicies()]],
+  ['post', '/interview/bandwidth-probe', ({ body }) => [200, { received_bytes: body?.size || 0 }]],
+  ['post', '/interview/:id/device-check', ({ params, body }) => {
+    const session = state.sessions[params.id];
+    if (!session) return [404, { detail: 'Session not found' }];
+    session.device_check = body;
+    saveState();
+    return [200, { message: 'Device check saved' }];
+  }],
+  ['post', '/interview/:id/video-uploads', ({ params, body }) => {
+    const session = state.sessions[params.id];
+    if (!session) return [404, { detail: 'Session not found' }];
+    session.video_uploads = {
+      ...session.video_uploads,
+      [body.upload_id]: { ...body, size: Number(body.size) || 0, received_bytes: 0 },
+    };
+    saveState();
+    return [201, { upload_id: body.upload_id, received_bytes: 0 }];
+  }],
+  ['get', '/interview/:id/video-uploads/:uploadId', ({ params }) => {
+    const upload = state.sessions[params.id]?.video_uploads?.[params.uploadId];
+    if (!upload) return [404, { detail: 'Upload not found' }];
+    return [200, { received_bytes: upload.received_bytes }];
+  }],
+  ['put', '/interview/:id/video-uploads/:uploadId', ({ params, body, config }) => {
+    const upload = state.sessions[params.id]?.video_uploads?.[params.uploadId];
+    if (!upload) return [404, { detail: 'Upload not found' }];
+    const range = /bytes (\d+)-(\d+)\//.exec(config.headers?.['Content-Range'] || '');
+    const start = range ? Number(range[1]) : upload.received_bytes;
+    if (start !== upload.received_bytes) {
+      return [409, { detail: 'Chunk does not continue the upload', received_bytes: upload.received_bytes }];
+    }
+    upload.received_bytes = Math.min(upload.size, start + (body?.size || 0));
+    if (typeof Blob !== 'undefined' && body instanceof Blob) {
+      videoChunks.set(params.uploadId, [...(videoChunks.get(params.uploadId) || []), body]);
+    }
+    saveState();
+    return [200, { received_bytes: upload.received_bytes }];
+  }],
+  ['post', '/interview/:id/video-uploads/:uploadId/complete', ({ params }) => {
+    const session = state.sessions[params.id];
+    const upload = session?.video_uploads?.[params.uploadId];
+    if (!upload) return [404, { detail: 'Upload not found' }];
+    if (upload.received_bytes < upload.size) {
+      return [400, { detail: `Upload incomplete: ${upload.received_bytes} of ${upload.size} bytes received` }];
+    }
+    session.answers
+      .filter((answer) => answer.video_upload_id === params.uploadId)
+      .forEach((answer) => {
+        answer.has_video = true;
+        answer.video_upload_status = 'complete';
+        answer.audio_only = upload.audio_only === true;
+        const chunks = videoChunks.get(params.uploadId);
+        if (chunks && answer.is_follow_up !== 'true') {
+          answerVideos.set(
+            answerVideoKey(params.id, answer.question_number),
+            new Blob(chunks, { type: upload.mime_type || 'video/webm' }),
+          );
+        }
+      });
+    videoChunks.delete(params.uploadId);
+    saveState();
+    return [200, { status: 'complete' }];
+  }],
+  ['post', '/interview/:id/video-uploads/finalize', ({ params, body }) => {
+    const session = state.sessions[params.id];
+    if (!session) return [404, { detail: 'Session not found' }];
+    const failed = new Set(body?.failed_upload_ids || []);
+    session.answers
+      .filter((answer) => failed.has(answer.video_upload_id))
+      .forEach((answer) => {
+        answer.video_upload_status = 'failed';
+      });
+    if (session.awaiting_video_uploads) {
+      session.awaiting_video_uploads = false;
+      session.feedback_requested_at = Date.now();
+    }
+    saveState();
+    return [200, { status: 'finalized' }];
+  }],
+  ['get', '/interview/:id/answers/:number/video', ({ params }) => answerVideo(params.id, Number(params.number))],
+  ['get', '/interview/:id/progress', ({ params }) => {
+    const session = state.sessions[params.id];
+    if (!session) return [404, { detail: 'Session not found' }];
+    const current = QUESTION_BANK[session.question_number - 1];
+    return [200, {
+      status: session.status,
+      question_number: session.question_number,
+      current_max_questions: QUESTION_BANK.length,
+      current_question_meta: session.status === 'completed' ? null : questionMeta(current),
+    }];
+  }],
+  ['post', '/interview/:id/generate-feedback', ({ params }) => {
+    const session = state.sessions[params.id];
+    if (!session) return [404, { detail: 'Session not found' }];
+    session.awaiting_video_uploads = false;
+    session.feedback_requested_at = Date.now();
+    saveState();
+    return [202, { status: 'pending' }];
+  }],
+  ['get', '/feedback-status/:id', ({ params }) => {
+    const session = state.sessions[params.id];
+    if (!session) return [200, { status: 'completed', error: null }];
+    return [200, feedbackStatusOf(session)];
+  }],
+  ['get', '/feedback/:id', ({ params }) => getFeedback(params.id)],
+
+  ['get', '/piston/runtimes', () => [200, PISTON_RUNTIMES]],
+  ['post', '/piston/execute', ({ body }) => [200, simulateExecution(body)]],
+
+  ['post', '/students/login', ({ body }) => [200, { ...MOCK_STUDENT, email: body.email || MOCK_STUDENT.email }]],
+  ['post', '/students/register', ({ body }) => [200, { ...MOCK_STUDENT, ...body, message: 'Registered' }]],
+  ['post', '/students/password/forgot', () => [200, { message: 'Reset code sent (mock).' }]],
+  ['post', '/students/password/reset', () => [200, { message: 'Password updated (mock).' }]],
+  ['get', '/students/profile/:email', ({ params }) => [200, { ...MOCK_STUDENT, email: decodeURIComponent(params.email), job_roles: MOCK_STUDENT.program.job_roles }]],
+  ['get', '/students/sessions/by_email/:email', ({ params }) => [200, allSessionsFor(decodeURIComponent(params.email)).map(toSessionSummary)]],
+  ['get', '/students/sessions/:id/rating', ({ params }) => [200, state.ratings[params.id] || {}]],
+  ['post', '/students/sessions/:id/rating', ({ params, body }) => {
+    state.ratings[params.id] = { rating: body.rating, comments: body.comments || '' };
+    saveState();
+    return [200, state.ratings[params.id]];
+  }],
+  ['post', '/mentors/students/import', () => [200, { total_rows: 3, imported: 3, duplicates_ignored: 0, email_sent: 3, errors: [] }]],
+
+  ['get', '/programs', () => [200, [{ program_id: 7, program_name: MOCK_STUDENT.program_name }]]],
+  ['get', '/programs/:id/job_roles', () => [200, MOCK_STUDENT.program]],
+  ['get', '/job-roles/by-work-experience', () => [200, JOB_ROLES]],
+  ['get', '/metadata/interview-types', () => [200, INTERVIEW_TYPES]],
+  ['get', '/metadata/work-experience-levels', () => [200, WORK_EXPERIENCE_LEVELS]],
+
+  ['get', '/ubp/universities', () => [200, UNIVERSITIES]],
+  ['get', '/ubp/programs', ({ query }) => [200, PROGRAMS_BY_UNIVERSITY[query.university_name] || []]],
+  ['get', '/ubp/batches', () => [200, BATCHES]],
+  ['get', '/ubp/resolve', () => [200, { ubp_id: 7 }]],
+
+  ['get', '/interview-options/industries', () => [200, INDUSTRIES]],
+  ['get', '/interview-options/companies', ({ query }) => [200, COMPANIES_BY_INDUSTRY[query.industry] || []]],
+  ['get', '/interview-options/interview-types', () => [200, INTERVIEW_TYPES]],
+  ['get', '/interview-options/work-experience', () => [200, WORK_EXPERIENCE_LEVELS]],
+  ['get', '/interview-options/job-roles', () => [200, JOB_ROLES]],
+
+  ['post', '/admin/auth/login', ({ body }) => [200, { ...MOCK_ADMIN, email: body.email || MOCK_ADMIN.email }]],
+  ['post', '/admin/auth/logout', () => [200, { message: 'Logged out' }]],
+  ['get', '/admin/auth/me', () => [200, MOCK_ADMIN]],
+  ['get', '/admin/dashboard', () => [200, ADMIN_DASHBOARD]],
+  ['get', '/admin/students', ({ query }) => {
+    const { items, pagination } = paginate(ADMIN_STUDENTS, query);
+    return [200, { students: items, pagination }];
+  }],
+  ['get', '/admin/sessions', ({ query }) => {
+    const sessions = allSessionsFor(MOCK_STUDENT.email).map(toSessionSummary);
+    const { items, pagination } = paginate(sessions, query);
+    return [200, { sessions: items, pagination }];
+  }],
+  ['get', '/admin/session/:id/detailed', ({ params }) => getFeedback(params.id)],
+  ['get', '/admin/session/:id/answers/:number/video', ({ params }) => answerVideo(params.id, Number(params.number))],
+  ['get', '/admin/student/:id/analytics', () => [200, {
+    student: ADMIN_STUDENTS[0],
+    sessions: allSessionsFor(MOCK_STUDENT.email).map(toSessionSummary),
+  }]],
+  ['get', '/admin/analytics/performance', ({ query }) => [200, { daily_trends: buildDailyTrends(Number(query.days) || 14) }]],
+  ['get', '/admin/analytics/insights', () => [200, ADMIN_INSIGHTS]],
+  ['get', '/admin/analytics/ubp-performance', () => [200, { cohorts: ADMIN_UBP_COHORTS }]],
+  ['get', '/admin/analytics/retention', ({ query }) => [
+    200,
+    excludesPractice(query) ? ADMIN_RETENTION : ADMIN_RETENTION_WITH_PRACTICE,
+  ]],
+  ['get', '/admin/leaderboard', ({ query }) => [200, leaderboardFor(query)]],
+  ['get', '/admin/interview-policies', () => [200, currentPolicies()]],
+  ['put', '/admin/interview-policies', ({ body }) => {
+    state.policies = { ...currentPolicies(), ...body };
+    saveState();
+    return [200, state.policies];
+  }],
+  ['get', '/admin/filter-options', () => [200, {
+    roles: JOB_ROLES,
+    companies: Object.values(COMPANIES_BY_INDUSTRY).flat(),
+    universities: UNIVERSITIES,
+    programs: Object.values(PROGRAMS_BY_UNIVERSITY).flat(),
+    batches: BATCHES,
+  }]],
+  ['get', '/admin/filter-options/roles', () => [200, JOB_ROLES]],
+  ['get', '/admin/interview-types', () => [200, INTERVIEW_TYPES]],
+  ['get', '/admin/work-experience-levels', () => [200, WORK_EXPERIENCE_LEVELS]],
+  ['get', '/admin/question-types', () => [200, QUESTION_TYPES]],
+  ['get', '/admin/job-roles', () => [200, JOB_ROLES]],
+  ['post', '/admin/programs/map-roles', ({ body }) => [200, { message: 'Roles mapped (mock).', ...body }]],
+  ['post', '/admin/interview-questions', ({ body }) => [200, { message: 'Question created (mock).', id: Date.now(), ...body }]],
+  ['post', '/admin/interview-questions/bulk-upload', () => [200, { total_rows: 10, inserted: 10, skipped: 0, errors: [] }]],
+  ['get', '/admin/industry-types', () => [200, INDUSTRIES]],
+  ['get', '/admin/bulk-upload-options', () => [200, {
+    industries: INDUSTRIES,
+    companies: Object.values(COMPANIES_BY_INDUSTRY).flat(),
+    roles: JOB_ROLES,
+    interview_types: INTERVIEW_TYPES,
+    work_experiences: WORK_EXPERIENCE_LEVELS,
+    question_types: QUESTION_TYPES,
+  }]],
+  ['get', '/admin/interview-options/companies', ({ query }) => [200, COMPANIES_BY_INDUSTRY[query.industry] || []]],
+  ['get', '/admin/interview-options/interview-types', () => [200, INTERVIEW_TYPES]],
+  ['get', '/admin/interview-options/work-experience', () => [200, WORK_EXPERIENCE_LEVELS]],
+  ['get', '/admin/interview-options/job-roles', () => [200, JOB_ROLES]],
+];
+
+const compiledRoutes = routes.map(([method, pattern, handler]) => {
+  const names = [];
+  const regex = new RegExp(`^${pattern.replace(/:(\w+)/g, (_, name) => {
+    names.push(name);
+    return '([^/]+)';
+  })}/?$`);
+  return { method, regex, names, handler };
+});
+
+const resolvePath = (config) => {
+  const url = new URL(config.url || '', 'http://mock-backend.local');
+  return {
+    path: url.pathname,
+    query: { ...Object.fromEntries(url.searchParams.entries()), ...(config.params || {}) },
+  };
+};
+
+export const mockAdapter = (config) => new Promise((resolve, reject) => {
+  const method = (config.method || 'get').toLowerCase();
+  const { path, query } = resolvePath(config);
+
+  let status = 404;
+  let data = { detail: `Mock backend has no route for ${method.toUpperCase()} ${path}` };
+
+  for (const route of compiledRoutes) {
+    if (route.method !== method) continue;
+    const match = route.regex.exec(path);
+    if (!match) continue;
+    const params = route.names.reduce((acc, name, index) => {
+      acc[name] = match[index + 1];
+      return acc;
+    }, {});
+    [status, data] = route.handler({ params, query, body: readBody(config.data), config });
+    break;
+  }
+
+  setTimeout(() => {
+    const response = {
+      data,
+      status,
+      statusText: status < 400 ? 'OK' : 'Error',
+      headers: { 'content-type': 'application/json' },
+      config,
+      request: null,
+    };
+    if (status >= 400) {
+      reject(new AxiosError(
+        `Request failed with status code ${status}`,
+        status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+        config,
+        null,
+        response,
+      ));
+      return;
+    }
+    resolve(response);
+  }, RESPONSE_DELAY_MS);
+});
+
+export const installMockBackend = (instances) => {
+  instances.forEach((instance) => {
+    instance.defaults.adapter = mockAdapter;
+  });
+};
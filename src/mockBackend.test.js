@@ -0,0 +1,105 @@
+import { mockAdapter, resetMockBackend } from './mockBackend';
+import { ADMIN_LEADERBOARD, ADMIN_RETENTION, QUESTION_BANK } from './mockFixtures';
+
+const get = (url, params) => mockAdapter({ method: 'get', url, params });
+const post = (url, data) => mockAdapter({ method: 'post', url, data });
+
+describe('interview flow', () => {
+  beforeEach(() => {
+    resetMockBackend();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('walks from start through follow-ups to a generated report', async () => {
+    const startedAt = Date.now();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(startedAt);
+
+    const started = await post('/interview/start', { job_role: 'Data Analyst', student_email: 'flow@example.com' });
+    const sessionId = started.data.session_id;
+    expect(started.data).toMatchObject({ question_number: 1, first_question: QUESTION_BANK[0].question });
+
+    const firstAnswer = await post(`/interview/${sessionId}/answer`, { answer: 'I learned Kafka in a week.' });
+    expect(firstAnswer.data).toMatchObject({ completed: false, question_number: 1, follow_up: { id: 0 } });
+    const secondFollowUp = await post(`/interview/${sessionId}/answer`, { answer: 'Pair with someone.', is_follow_up: 'true', follow_up_index: '0' });
+    expect(secondFollowUp.data.follow_up.id).toBe(1);
+    const next = await post(`/interview/${sessionId}/answer`, { answer: 'Shadow traffic.', is_follow_up: 'true', follow_up_index: '1' });
+    expect(next.data).toMatchObject({ completed: false, question_number: 2, next_question: QUESTION_BANK[1].question });
+
+    const finished = await post(`/interview/${sessionId}/answer`, { answer: 'print("w")', is_final: 'true' });
+    expect(finished.data).toMatchObject({ completed: true, question_number: 2 });
+
+    expect((await get(`/feedback-status/${sessionId}`)).data).toMatchObject({ status: 'pending', stage: 'transcribing' });
+    await expect(get(`/feedback/${sessionId}`)).resolves.toMatchObject({ status: 202 });
+
+    now.mockReturnValue(startedAt + 6000);
+    expect((await get(`/feedback-status/${sessionId}`)).data).toMatchObject({ status: 'processing', stage: 'scoring' });
+
+    now.mockReturnValue(startedAt + 12000);
+    expect((await get(`/feedback-status/${sessionId}`)).data).toMatchObject({ status: 'completed', progress: 100 });
+    const report = await get(`/feedback/${sessionId}`);
+    expect(report.data.feedback.structured.overall_score).toEqual(expect.any(Number));
+  });
+
+  test('holds feedback until the client finalizes its video uploads', async () => {
+    const started = await post('/interview/start', { job_role: 'Data Analyst', student_email: 'video@example.com' });
+    const sessionId = started.data.session_id;
+    await post(`/interview/${sessionId}/answer`, { answer: 'One.' });
+    await post(`/interview/${sessionId}/answer`, { answer: 'Two.', is_follow_up: 'true', follow_up_index: '0' });
+    await post(`/interview/${sessionId}/answer`, { answer: 'Three.', is_follow_up: 'true', follow_up_index: '1' });
+    const finished = await post(`/interview/${sessionId}/answer`, { answer: 'print("w")', video_upload_id: 'up-1', is_final: 'true' });
+    expect(finished.data.completed).toBe(true);
+
+    expect((await get(`/feedback-status/${sessionId}`)).data).toMatchObject({ status: 'pending', stage: 'queued', progress: 0 });
+    await post(`/interview/${sessionId}/video-uploads/finalize`, { failed_upload_ids: ['up-1'] });
+    expect((await get(`/feedback-status/${sessionId}`)).data).toMatchObject({ status: 'pending', stage: 'transcribing' });
+  });
+
+  test('keeps hidden test cases on the server and judges them on submit', async () => {
+    const started = await post('/interview/start', { job_role: 'Data Analyst', student_email: 'hidden@example.com' });
+    const sessionId = started.data.session_id;
+    await post(`/interview/${sessionId}/answer`, { answer: 'One.' });
+    await post(`/interview/${sessionId}/answer`, { answer: 'Two.', is_follow_up: 'true', follow_up_index: '0' });
+    const coding = await post(`/interview/${sessionId}/answer`, { answer: 'Three.', is_follow_up: 'true', follow_up_index: '1' });
+
+    const meta = coding.data.next_question_meta;
+    expect(meta.hidden_test_count).toBe(2);
+    expect(meta.test_cases.some((testCase) => testCase.hidden)).toBe(false);
+    expect(JSON.stringify(meta)).not.toContain('loveleetcode');
+
+    const submitted = await post(`/interview/${sessionId}/answer`, {
+      answer: 'l',
+      code: 'print("l")',
+      language: 'python',
+      sample_tests_passed: '2',
+      sample_tests_total: '2',
+    });
+    expect(submitted.data.hidden_tests).toEqual({ passed: 1, total: 2 });
+  });
+
+  test('rejects answers for unknown sessions', async () => {
+    await expect(post('/interview/missing/answer', { answer: 'x' })).rejects.toMatchObject({ response: { status: 404 } });
+  });
+});
+
+describe('admin analytics and practice sessions', () => {
+  test('retention leaves practice-only activity out when asked to', async () => {
+    const excluded = await get('/admin/analytics/retention', { exclude_practice: true });
+    const included = await get('/admin/analytics/retention');
+    expect(excluded.data).toEqual(ADMIN_RETENTION);
+    expect(included.data.weekly_active_students).toBeGreaterThan(ADMIN_RETENTION.weekly_active_students);
+  });
+
+  test('the leaderboard only merges practice scores when they are not excluded', async () => {
+    const excluded = await get('/admin/leaderboard', { role: 'Data Analyst', exclude_practice: true });
+    expect(excluded.data).toEqual(ADMIN_LEADERBOARD);
+
+    const included = await get('/admin/leaderboard?exclude_practice=false');
+    const kabir = included.data.find((entry) => entry.student_id === 104);
+    expect(kabir).toMatchObject({ total_sessions: 18, avg_score: 4.1 });
+    expect(included.data.map((entry) => entry.rank)).toEqual([1, 2, 3, 4, 5]);
+    expect(included.data.some((entry) => entry.student_name === 'Meera Iyer')).toBe(true);
+  });
+});
@@ -0,0 +1,471 @@
+// Static fixtures served by mockBackend.js. Shapes mirror the FastAPI responses
+// consumed by the screens; keep them in sync when a backend contract changes.
+
+export const MOCK_STUDENT = {
+  student_id: 101,
+  name: 'Demo Student',
+  email: 'demo.student@example.com',
+  program_id: 7,
+  program_name: 'PG Program in Data Science',
+  university_name: 'Futurense University',
+  batch_label: '2025-A',
+  program: {
+    program_id: 7,
+    program_name: 'PG Program in Data Science',
+    job_roles: ['Data Analyst', 'Software Engineer', 'Backend Engineer'],
+  },
+};
+
+export const MOCK_ADMIN = {
+  access_token: 'mock-admin-token',
+  token_type: 'bearer',
+  email: 'admin@example.com',
+  display_name: 'Mock Admin',
+};
+
+export const INDUSTRIES = ['Technology', 'Consulting', 'Finance'];
+
+export const COMPANIES_BY_INDUSTRY = {
+  Technology: ['Google', 'Microsoft', 'Flipkart'],
+  Consulting: ['TCS', 'Accenture'],
+  Finance: ['Goldman Sachs', 'Razorpay'],
+};
+
+export const INTERVIEW_TYPES = ['Technical', 'Behavioral', 'Mixed'];
+
+export const WORK_EXPERIENCE_LEVELS = ['Fresher', '1-3 years', '3-5 years'];
+
+export const JOB_ROLES = ['Data Analyst', 'Software Engineer', 'Backend Engineer'];
+
+export const UNIVERSITIES = ['Futurense University', 'Demo Institute of Technology'];
+
+export const PROGRAMS_BY_UNIVERSITY = {
+  'Futurense University': ['PG Program in Data Science', 'Full Stack Engineering'],
+  'Demo Institute of Technology': ['B.Tech Computer Science'],
+};
+
+export const BATCHES = ['2024-B', '2025-A'];
+
+export const QUESTION_TYPES = ['Speech Based', 'Coding - Python', 'Coding - SQL', 'System Design'];
+
+// One question of each type so the whole InterviewScreen surface is reachable.
+export const QUESTION_BANK = [
+  {
+    id: 9001,
+    question: 'Tell me about a project where you had to learn a new technology quickly. How did you approach it and what was the outcome?',
+    question_type: 'Speech Based',
+    difficulty: 'easy',
+    mandatory_skills: ['Communication', 'Ownership', 'Learning Agility'],
+    hints: [
+      'Pick one concrete project and name the technology up front.',
+      'Walk through how you learned it: resources, a prototype, who you asked.',
+      'Close with a measurable outcome.',
+    ],
+    follow_ups: [
+      'What would you do differently if you had to learn it again?',
+      'How did you confirm your understanding was good enough to ship?',
+    ],
+  },
+  {
+    id: 9002,
+    question: 'Read a string from standard input and print its **first non-repeating character**.\n- Print an empty line when every character repeats.\n- Aim for O(n) time.',
+    question_type: 'Coding - Python',
+    difficulty: 'medium',
+    mandatory_skills: ['Python', 'Hash Maps', 'Problem Solving'],
+    hints: [
+      'Count every character first, then scan the string a second time.',
+      'collections.Counter gives you the counts in one line.',
+    ],
+    starter_code: '# Write your answer here\n',
+    match_mode: 'trimmed',
+    test_cases: [
+      { input: 'swiss\n', expected_output: 'w\n' },
+      { input: 'aabb\n', expected_output: '\n' },
+      { input: 'leetcode\n', expected_output: 'l\n', hidden: true },
+      { input: 'loveleetcode\n', expected_output: 'v\n', hidden: true },
+    ],
+  },
+  {
+    id: 9003,
+    question: 'Given a table `orders(id, customer_id, amount, created_at)`, write a query that returns the **top 3 customers by total spend**.',
+    question_type: 'Coding - SQL',
+    difficulty: 'medium',
+    mandatory_skills: ['SQL', 'Aggregation'],
+    hints: ['Group by customer_id and sum the amount.', 'Sort by the total descending and LIMIT the result.'],
+    schema: [
+      {
+        name: 'orders',
+        columns: ['id INTEGER PRIMARY KEY', 'customer_id INTEGER NOT NULL', 'amount REAL NOT NULL', 'created_at TEXT'],
+        rows: [
+          [1, 42, 1200.5, '2024-01-04'],
+          [2, 17, 1422.0, '2024-01-09'],
+          [3, 42, 630.0, '2024-02-11'],
+          [4, 8, 990.75, '2024-02-15'],
+          [5, 5, 120.0, '2024-03-02'],
+          [6, 5, 310.0, '2024-03-20'],
+        ],
+      },
+    ],
+    // The backend runs its reference query and ships only the result.
+    expected_result: {
+      columns: ['customer_id', 'total_spend'],
+      rows: [[42, 1830.5], [17, 1422.0], [8, 990.75]],
+    },
+    order_sensitive: true,
+  },
+  {
+    id: 9004,
+    question: 'Design a **URL shortener** like bit.ly. Show the main components, data stores and how a redirect request flows through the system.',
+    question_type: 'System Design',
+    difficulty: 'hard',
+    mandatory_skills: ['System Design', 'Scalability', 'Caching'],
+    hints: ['Separate the write path (shorten) from the read path (redirect).', 'Redirects are read-heavy — where would a cache sit?'],
+  },
+];
+
+export const PISTON_RUNTIMES = [
+  { language: 'python', version: '3.10.0', aliases: ['py', 'python3'] },
+  { language: 'javascript', version: '18.15.0', aliases: ['node-javascript', 'node', 'js'] },
+  { language: 'typescript', version: '5.0.3', aliases: ['ts'] },
+  { language: 'java', version: '15.0.2', aliases: [] },
+  { language: 'c++', version: '10.2.0', aliases: ['cpp', 'g++'] },
+  { language: 'c', version: '10.2.0', aliases: ['gcc'] },
+  { language: 'go', version: '1.16.2', aliases: ['golang'] },
+  { language: 'rust', version: '1.68.2', aliases: ['rs'] },
+  { language: 'ruby', version: '3.0.1', aliases: ['rb'] },
+  { language: 'sqlite3', version: '3.36.0', aliases: ['sqlite', 'sql'] },
+];
+
+const SCORE_BY_TYPE = {
+  'Speech Based': 3.8,
+  'Coding - Python': 4.2,
+  'Coding - SQL': 3.1,
+  'System Design': 2.7,
+};
+
+const SUGGESTED_DIAGRAM = {
+  nodes: [
+    { id: 'client', type: 'component', position: { x: 0, y: 80 }, data: { label: 'Client' } },
+    { id: 'lb', type: 'component', position: { x: 180, y: 80 }, data: { label: 'Load Balancer' } },
+    { id: 'api', type: 'component', position: { x: 360, y: 80 }, data: { label: 'Shortener API' } },
+    { id: 'cache', type: 'component', position: { x: 540, y: 0 }, data: { label: 'Redis Cache' } },
+    { id: 'db', type: 'component', position: { x: 540, y: 160 }, data: { label: 'Key-Value Store' } },
+  ],
+  edges: [
+    { id: 'e1', source: 'client', target: 'lb' },
+    { id: 'e2', source: 'lb', target: 'api' },
+    { id: 'e3', source: 'api', target: 'cache' },
+    { id: 'e4', source: 'api', target: 'db' },
+  ],
+};
+
+const BETTER_EXAMPLES = {
+  'Speech Based': 'In my final-year project I had two weeks to learn Kafka. I scoped the minimum I needed, built a throwaway prototype on day two, and paired with a senior on the consumer design. We shipped on time and cut ingestion latency by 40%.',
+  'Coding - Python': 'from collections import Counter\n\ndef first_unique(s):\n    counts = Counter(s)\n    for ch in s:\n        if counts[ch] == 1:\n            return ch\n    return ""\n\nprint(first_unique("swiss"))\n',
+  'Coding - SQL': 'SELECT customer_id, SUM(amount) AS total_spend\nFROM orders\nGROUP BY customer_id\nORDER BY total_spend DESC\nLIMIT 3;\n',
+  'System Design': JSON.stringify(SUGGESTED_DIAGRAM),
+};
+
+// Follow-up replies are stored as separate answers; the last one carries the whole
+// conversation, so it replaces the transcript of the question it belongs to.
+const mergeFollowUpReplies = (answers) => answers.reduce((merged, entry) => {
+  const owner = entry.is_follow_up === 'true'
+    ? merged.find((item) => item.question_number === entry.question_number)
+    : null;
+  if (!owner) {
+    merged.push({ ...entry });
+  } else if (entry.conversation) {
+    owner.conversation = entry.conversation;
+  }
+  return merged;
+}, []);
+
+const MARKER_QUOTE_WORDS = 6;
+
+// Point the first strength at the opening of the answer and the first gap at
+// its second half, quoting the transcript the way the scoring model does.
+const buildFeedbackMarkers = (answer, strengths, improvements) => {
+  const words = (typeof answer === 'string' ? answer : '').split(/\s+/).filter(Boolean);
+  if (words.length < MARKER_QUOTE_WORDS * 2) {
+    return [];
+  }
+  const gapStart = Math.floor(words.length * 0.6);
+  return [
+    { kind: 'strength', note: strengths[0], quote: words.slice(0, MARKER_QUOTE_WORDS).join(' ') },
+    { kind: 'gap', note: improvements[0], quote: words.slice(gapStart, gapStart + MARKER_QUOTE_WORDS).join(' ') },
+  ];
+};
+
+const CONVERSATION_COMMENTARY = [
+  'Good opening example; the outcome could be more specific.',
+  'Honest reflection, and the change you would make is concrete.',
+  'Validation steps are reasonable; mention who reviewed the work.',
+];
+
+const annotateConversation = (value) => {
+  if (!value) {
+    return null;
+  }
+  let candidateIndex = 0;
+  return JSON.parse(value).map((turn) => {
+    if (turn.role !== 'candidate') {
+      return turn;
+    }
+    const commentary = CONVERSATION_COMMENTARY[candidateIndex % CONVERSATION_COMMENTARY.length];
+    candidateIndex += 1;
+    return { ...turn, commentary, score: candidateIndex === 1 ? 3.5 : 3.8 };
+  });
+};
+
+const PRACTICE_MODEL_ANSWERS = {
+  ...BETTER_EXAMPLES,
+  'System Design': 'Clients hit a load balancer in front of stateless API servers. Shortening writes a base62 key to a key-value store; redirects read through a Redis cache first and fall back to the store, then return a 301. An async analytics queue records clicks without slowing the redirect.',
+};
+
+/**
+ * Instant feedback returned with each practice answer.
+ */
+export const buildPracticeFeedback = (question, entry) => {
+  const hintsUsed = Number(entry.hints_used) || 0;
+  const score = Math.max(1, (SCORE_BY_TYPE[question.question_type] ?? 3) - hintsUsed * 0.2);
+  return {
+    score: Number(score.toFixed(1)),
+    strengths: ['Clear structure and a confident start.'],
+    improvements: hintsUsed
+      ? ['Try the next attempt without hints to check your recall.']
+      : ['Quantify the impact of your work.'],
+    model_answer: PRACTICE_MODEL_ANSWERS[question.question_type] || '',
+  };
+};
+
+/**
+ * Build a structured feedback payload from the answers recorded for a mock session.
+ */
+export const buildMockFeedback = (session) => {
+  const questions = mergeFollowUpReplies(session.answers).map((entry, index) => {
+    const source = QUESTION_BANK.find((question) => question.id === entry.question_id) || QUESTION_BANK[index];
+    const score = entry.answer_status === 'skipped' ? 0 : SCORE_BY_TYPE[source.question_type] ?? 3;
+    const strengths = ['Clear structure and a confident start.', 'Relevant example tied back to the role.'];
+    const improvements = ['Quantify the impact of your work.', 'Call out trade-offs you considered.'];
+    return {
+      number: index + 1,
+      question: source.question,
+      question_type: source.question_type,
+      is_coding: source.question_type.startsWith('Coding'),
+      answer: entry.answer,
+      original_answer: entry.answer,
+      score,
+      strengths,
+      improvements,
+      feedback_markers: buildFeedbackMarkers(entry.answer, strengths, improvements),
+      better_example: BETTER_EXAMPLES[source.question_type] || '',
+      code_timeline: entry.code_timeline || null,
+      integrity_events: entry.integrity_events || null,
+      video_metrics: entry.video_metrics || null,
+      speaking_metrics: entry.speaking_metrics || null,
+      has_video: Boolean(entry.has_video),
+      video_upload_status: entry.video_upload_status || null,
+      audio_only: Boolean(entry.audio_only),
+      conversation: annotateConversation(entry.conversation),
+      answer_status: entry.answer_status || null,
+      review_events: entry.review_events || null,
+      selected_attempt: entry.selected_attempt ? Number(entry.selected_attempt) : null,
+      recording_attempts: entry.recording_attempts || null,
+    };
+  });
+
+  const average = questions.length
+    ? questions.reduce((total, item) => total + item.score, 0) / questions.length
+    : 0;
+
+  return {
+    metadata: {
+      company_name: session.company_name,
+      job_role: session.job_role,
+      interview_type: session.interview_type,
+      work_experience: session.work_experience,
+    },
+    overall_score: Number(average.toFixed(2)),
+    device_check: session.device_check || null,
+    questions,
+    core_competencies: [
+      {
+        name: 'Technical Depth',
+        score: 3.6,
+        highlights: ['Solid grasp of hashing and aggregation.'],
+        gaps: ['System design answer skipped caching invalidation.'],
+        next_steps: ['Practice two design problems per week.'],
+      },
+      {
+        name: 'Communication',
+        score: 3.9,
+        highlights: ['Answers followed a clear STAR structure.'],
+        gaps: ['Some filler words during the opening.'],
+        next_steps: ['Record a 2-minute answer daily and review it.'],
+      },
+      {
+        name: 'Professional Readiness',
+        score: 3.4,
+        highlights: ['Good ownership of outcomes.'],
+        gaps: ['Limited mention of collaboration.'],
+        next_steps: ['Prepare one teamwork story in STAR format.'],
+      },
+    ],
+    mandatory_skill_scores: [
+      { skill: 'Python', score: 4.2, rationale: 'Correct, idiomatic solution with linear complexity.' },
+      { skill: 'SQL', score: 3.1, rationale: 'Aggregation was right; ordering tie-breaks were not handled.' },
+      { skill: 'System Design', score: 2.7, rationale: 'Core components present but no capacity estimates.' },
+      { skill: 'Communication', score: 3.9, rationale: 'Structured and easy to follow.' },
+    ],
+  };
+};
+
+export const buildSeedSessions = (email) => [
+  {
+    session_id: 'mock-seed-1',
+    student_email: email,
+    student_name: MOCK_STUDENT.name,
+    job_role: 'Software Engineer',
+    company_name: 'Google',
+    industry_type: 'Technology',
+    interview_type: 'Technical',
+    work_experience: 'Fresher',
+    status: 'completed',
+    started_at: '2026-09-02T09:30:00Z',
+    completed_at: '2026-09-02T10:05:00Z',
+    overall_score: 2.9,
+    rubric_scores: {
+      rubric: [
+        { name: 'Technical Depth', score: 2.8 },
+        { name: 'Communication', score: 3.2 },
+        { name: 'Professional Readiness', score: 2.7 },
+      ],
+    },
+  },
+  {
+    session_id: 'mock-seed-2',
+    student_email: email,
+    student_name: MOCK_STUDENT.name,
+    job_role: 'Software Engineer',
+    company_name: 'Google',
+    industry_type: 'Technology',
+    interview_type: 'Technical',
+    work_experience: 'Fresher',
+    status: 'completed',
+    started_at: '2026-09-20T11:00:00Z',
+    completed_at: '2026-09-20T11:40:00Z',
+    overall_score: 3.5,
+    rubric_scores: {
+      rubric: [
+        { name: 'Technical Depth', score: 3.6 },
+        { name: 'Communication', score: 3.7 },
+        { name: 'Professional Readiness', score: 3.2 },
+      ],
+    },
+  },
+];
+
+export const ADMIN_DASHBOARD = {
+  total_students: 248,
+  total_sessions: 1312,
+  active_sessions: 6,
+  today_sessions: 41,
+  avg_score: 3.27,
+};
+
+export const buildDailyTrends = (days = 14) => {
+  const today = new Date();
+  return Array.from({ length: days }, (_, index) => {
+    const date = new Date(today);
+    date.setDate(today.getDate() - (days - 1 - index));
+    const sessions = 60 + ((index * 17) % 35);
+    return {
+      date: date.toISOString().slice(0, 10),
+      sessions,
+      completed: Math.round(sessions * 0.78),
+    };
+  });
+};
+
+export const ADMIN_INSIGHTS = {
+  engagement_summary: {
+    total_students: 248,
+    active_students_30_days: 183,
+    inactive_students_30_days: 65,
+    avg_sessions_per_active: 4.6,
+  },
+  program_performance: [
+    { program_name: 'PG Program in Data Science', student_count: 120, completed_sessions: 640, remaining_sessions: 80, avg_overall: 3.4 },
+    { program_name: 'Full Stack Engineering', student_count: 88, completed_sessions: 470, remaining_sessions: 62, avg_overall: 3.1 },
+    { program_name: 'B.Tech Computer Science', student_count: 40, completed_sessions: 150, remaining_sessions: 31, avg_overall: 2.9 },
+  ],
+  experience_breakdown: [
+    { work_experience: 'Fresher', sessions: 820, avg_overall: 3.0 },
+    { work_experience: '1-3 years', sessions: 390, avg_overall: 3.5 },
+    { work_experience: '3-5 years', sessions: 102, avg_overall: 3.8 },
+  ],
+  industry_company_hotspots: [
+    { industry: 'Technology', company: 'Google', total_sessions: 410 },
+    { industry: 'Technology', company: 'Microsoft', total_sessions: 260 },
+    { industry: 'Consulting', company: 'TCS', total_sessions: 300 },
+    { industry: 'Finance', company: 'Razorpay', total_sessions: 120 },
+  ],
+  trending_roles: [
+    { job_role: 'Data Analyst', total_sessions: 430 },
+    { job_role: 'Software Engineer', total_sessions: 390 },
+    { job_role: 'Backend Engineer', total_sessions: 210 },
+  ],
+  reattempt_hotspots: [
+    { job_role: 'Software Engineer', company_name: 'Google', reattempts: 64 },
+    { job_role: 'Data Analyst', company_name: 'TCS', reattempts: 41 },
+  ],
+};
+
+export const ADMIN_UBP_COHORTS = [
+  { university_name: 'Futurense University', program_name: 'PG Program in Data Science', batch_label: '2025-A', student_count: 62, completed_sessions: 340, avg_overall: 3.4 },
+  { university_name: 'Futurense University', program_name: 'Full Stack Engineering', batch_label: '2024-B', student_count: 48, completed_sessions: 255, avg_overall: 3.1 },
+];
+
+export const ADMIN_RETENTION = {
+  weekly_active_students: 121,
+  returning_students: 87,
+  churned_students: 22,
+  retention_rate: 71.9,
+};
+
+// What retention looks like when practice-only activity is counted, i.e. for
+// requests that don't pass `exclude_practice`.
+export const ADMIN_RETENTION_WITH_PRACTICE = {
+  weekly_active_students: 130,
+  returning_students: 93,
+  churned_students: 19,
+  retention_rate: 71.5,
+};
+
+export const INTERVIEW_POLICIES = {
+  max_pauses: 2,
+  max_pause_seconds: 300,
+  allow_skip: true,
+  max_skips: 2,
+  allow_flag: true,
+};
+
+export const ADMIN_LEADERBOARD = [
+  { rank: 1, student_id: 101, student_name: 'Demo Student', avg_score: 4.3, total_sessions: 14 },
+  { rank: 2, student_id: 102, student_name: 'Aarav Mehta', avg_score: 4.1, total_sessions: 11 },
+  { rank: 3, student_id: 103, student_name: 'Diya Sharma', avg_score: 3.9, total_sessions: 9 },
+  { rank: 4, student_id: 104, student_name: 'Kabir Rao', avg_score: 3.7, total_sessions: 12 },
+];
+
+// Practice-session totals per student, merged into the leaderboard only when
+// practice isn't excluded.
+export const ADMIN_PRACTICE_LEADERBOARD = [
+  { student_id: 104, student_name: 'Kabir Rao', avg_score: 4.8, total_sessions: 6 },
+  { student_id: 105, student_name: 'Meera Iyer', avg_score: 4.6, total_sessions: 5 },
+];
+
+export const ADMIN_STUDENTS = [
+  { student_id: 101, name: 'Demo Student', email: 'demo.student@example.com', status: 'active', university_name: 'Futurense University', program_name: 'PG Program in Data Science', batch_label: '2025-A', total_sessions: 14, avg_score: 4.3, last_session: '2026-10-12T10:00:00Z' },
+  { student_id: 102, name: 'Aarav Mehta', email: 'aarav.mehta@example.com', status: 'active', university_name: 'Futurense University', program_name: 'Full Stack Engineering', batch_label: '2024-B', total_sessions: 11, avg_score: 4.1, last_session: '2026-10-10T08:30:00Z' },
+  { student_id: 103, name: 'Diya Sharma', email: 'diya.sharma@example.com', status: 'inactive', university_name: 'Demo Institute of Technology', program_name: 'B.Tech Computer Science', batch_label: '2025-A', total_sessions: 9, avg_score: 3.9, last_session: '2026-08-28T14:15:00Z' },
+];
@@ -0,0 +1,388 @@
+// Minimal PDF writer for the report export, so the app does not need a PDF
+// library. It supports what the report needs: pages, text in the standard
+// Helvetica / Helvetica-Bold / Courier fonts, filled and stroked rectangles,
+// lines and JPEG images (charts and diagrams drawn on a canvas).
+//
+// Coordinates are in PDF points with the origin at the top-left of the page,
+// as in the DOM; the writer flips them when emitting drawing operators.
+// Text is encoded as WinAnsi. A line with characters outside it (Devanagari,
+// CJK, ...) is rasterised on a canvas and placed as a stencil mask in the text
+// colour, so it prints correctly but can't be selected; without a canvas those
+// characters print as "?".
+
+export const A4_PAGE = { width: 595.28, height: 841.89 };
+
+const FONT_RESOURCES = {
+  regular: { name: 'F1', base: 'Helvetica' },
+  bold: { name: 'F2', base: 'Helvetica-Bold' },
+  mono: { name: 'F3', base: 'Courier' },
+};
+
+// Advance widths (1/1000 em) of printable ASCII, from the standard Helvetica AFM files.
+const HELVETICA_WIDTHS = [278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584];
+const HELVETICA_BOLD_WIDTHS = [278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584];
+
+// Unicode punctuation that WinAnsi has its own code for.
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86,
+  '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c,
+  'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95,
+  '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+  'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f,
+};
+
+const toWinAnsiCode = (char) => {
+  const code = char.codePointAt(0);
+  if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) {
+    return code;
+  }
+  return WIN_ANSI_EXTRAS[char] ?? null;
+};
+
+/**
+ * Whether every character of `text` can be written with the standard fonts.
+ */
+export const isWinAnsiText = (text) => Array.from(String(text ?? '')).every((char) => toWinAnsiCode(char) != null);
+
+// Rasterised text: pixels per point, and the line box relative to the font size.
+const RASTER_SCALE = 4;
+const RASTER_ASCENT = 1.1;
+const RASTER_DESCENT = 0.4;
+const RASTER_FONTS = {
+  regular: 'normal 1px Helvetica, Arial, sans-serif',
+  bold: 'bold 1px Helvetica, Arial, sans-serif',
+  mono: 'normal 1px Courier, monospace',
+};
+
+let rasterCanvas;
+
+const rasterContext = () => {
+  if (rasterCanvas === undefined) {
+    rasterCanvas = typeof document !== 'undefined' ? document.createElement('canvas') : null;
+  }
+  return rasterCanvas?.getContext('2d') || null;
+};
+
+const setRasterFont = (ctx, size, font) => {
+  ctx.font = (RASTER_FONTS[font] || RASTER_FONTS.regular).replace('1px', `${size}px`);
+};
+
+const measureRasterText = (text, size, font) => {
+  const ctx = rasterContext();
+  if (!ctx) {
+    return null;
+  }
+  setRasterFont(ctx, size, font);
+  return ctx.measureText(text).width;
+};
+
+/**
+ * Draw `text` on the shared canvas and pack it into a 1-bit image mask
+ * (rows padded to whole bytes, set bits are ink). Null without a canvas.
+ */
+const rasterizeText = (text, size, font) => {
+  const ctx = rasterContext();
+  if (!ctx) {
+    return null;
+  }
+  const canvas = ctx.canvas;
+  setRasterFont(ctx, size * RASTER_SCALE, font);
+  canvas.width = Math.max(1, Math.ceil(ctx.measureText(text).width));
+  canvas.height = Math.ceil(size * (RASTER_ASCENT + RASTER_DESCENT) * RASTER_SCALE);
+  // Resizing resets the context state.
+  setRasterFont(ctx, size * RASTER_SCALE, font);
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = '#000000';
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillText(text, 0, size * RASTER_ASCENT * RASTER_SCALE);
+
+  const { width, height } = canvas;
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const rowBytes = Math.ceil(width / 8);
+  const bytes = new Uint8Array(rowBytes * height);
+  for (let row = 0; row < height; row += 1) {
+    for (let column = 0; column < width; column += 1) {
+      if (data[(row * width + column) * 4 + 3] >= 128) {
+        bytes[row * rowBytes + (column >> 3)] |= 0x80 >> (column & 7);
+      }
+    }
+  }
+  return { bytes, pixelWidth: width, pixelHeight: height };
+};
+
+const charWidth = (char, font) => {
+  if (font === 'mono') {
+    return 600;
+  }
+  const code = char.codePointAt(0);
+  const table = font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  return code >= 0x20 && code <= 0x7e ? table[code - 0x20] : 556;
+};
+
+/**
+ * Width of `text` in points at `size`.
+ */
+export const measureText = (text, size, font = 'regular') => {
+  if (!isWinAnsiText(text)) {
+    const measured = measureRasterText(String(text), size, font);
+    if (measured != null) {
+      return measured;
+    }
+  }
+  return Array.from(String(text)).reduce((total, char) => total + charWidth(char, font), 0) * size / 1000;
+};
+
+const breakLongWord = (word, maxWidth, size, font) => {
+  const pieces = [];
+  let current = '';
+  Array.from(word).forEach((char) => {
+    if (current && measureText(current + char, size, font) > maxWidth) {
+      pieces.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  });
+  if (current) {
+    pieces.push(current);
+  }
+  return pieces;
+};
+
+/**
+ * Greedy word wrap to `maxWidth`. Explicit newlines are kept; leading spaces
+ * are kept too so indented code survives.
+ */
+export const wrapText = (text, maxWidth, size, font = 'regular') => String(text ?? '')
+  .replace(/\t/g, '    ')
+  .split(/\r?\n/)
+  .flatMap((paragraph) => {
+    if (!paragraph.trim()) {
+      return [''];
+    }
+    const indent = paragraph.match(/^ */)[0];
+    const lines = [];
+    let line = indent;
+    paragraph.slice(indent.length).split(/ +/).forEach((word) => {
+      const candidate = line.trim() ? `${line} ${word}` : `${line}${word}`;
+      if (measureText(candidate, size, font) <= maxWidth) {
+        line = candidate;
+        return;
+      }
+      if (line.trim()) {
+        lines.push(line);
+      }
+      if (measureText(indent + word, size, font) <= maxWidth) {
+        line = indent + word;
+      } else {
+        const pieces = breakLongWord(word, maxWidth, size, font);
+        lines.push(...pieces.slice(0, -1));
+        line = pieces[pieces.length - 1] || '';
+      }
+    });
+    lines.push(line);
+    return lines;
+  });
+
+const escapeText = (text) => Array.from(String(text)).map((char) => {
+  const code = toWinAnsiCode(char) ?? 0x3f;
+  if (char === '(' || char === ')' || char === '\\') {
+    return `\\${char}`;
+  }
+  return code < 0x80 ? String.fromCharCode(code) : `\\${code.toString(8).padStart(3, '0')}`;
+}).join('');
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+const hexToRgb = (hex) => {
+  const value = hex.replace('#', '');
+  const full = value.length === 3 ? value.split('').map((c) => c + c).join('') : value;
+  return [0, 2, 4].map((offset) => parseInt(full.slice(offset, offset + 2), 16) / 255);
+};
+
+const colorOperands = (hex) => hexToRgb(hex).map(formatNumber).join(' ');
+
+const encodeLatin1 = (text) => {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i += 1) {
+    bytes[i] = text.charCodeAt(i) & 0xff;
+  }
+  return bytes;
+};
+
+const dataUrlToBytes = (dataUrl) => {
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+  return encodeLatin1(binary);
+};
+
+export const createPdfDocument = ({ width = A4_PAGE.width, height = A4_PAGE.height, title = '' } = {}) => {
+  const pages = [];
+  const images = [];
+  let current = null;
+  let rasterizedText = false;
+  let substitutedText = false;
+
+  const flipY = (y) => height - y;
+  const push = (operator) => {
+    if (!current) {
+      throw new Error('Call addPage() before drawing');
+    }
+    current.push(operator);
+  };
+
+  const doc = {
+    width,
+    height,
+
+    addPage() {
+      current = [];
+      pages.push(current);
+      return pages.length - 1;
+    },
+
+    get pageCount() {
+      return pages.length;
+    },
+
+    // Whether any text had to be drawn as an image, or lost characters to "?".
+    get rasterizedText() {
+      return rasterizedText;
+    },
+
+    get substitutedText() {
+      return substitutedText;
+    },
+
+    setPage(index) {
+      current = pages[index];
+    },
+
+    /**
+     * Draw one line of text with its baseline at `y`.
+     */
+    text(value, x, y, { size = 10, font = 'regular', color = '#000000' } = {}) {
+      if (!isWinAnsiText(value)) {
+        const mask = rasterizeText(String(value), size, font);
+        if (mask) {
+          const name = `Im${images.length + 1}`;
+          const w = mask.pixelWidth / RASTER_SCALE;
+          const h = mask.pixelHeight / RASTER_SCALE;
+          images.push({ name, mask: true, ...mask });
+          push(`q ${colorOperands(color)} rg ${formatNumber(w)} 0 0 ${formatNumber(h)} ${formatNumber(x)} ${formatNumber(flipY(y + size * RASTER_DESCENT))} cm /${name} Do Q`);
+          rasterizedText = true;
+          return;
+        }
+        substitutedText = true;
+      }
+      const { name } = FONT_RESOURCES[font] || FONT_RESOURCES.regular;
+      push(`BT ${colorOperands(color)} rg /${name} ${formatNumber(size)} Tf ${formatNumber(x)} ${formatNumber(flipY(y))} Td (${escapeText(value)}) Tj ET`);
+    },
+
+    rect(x, y, w, h, { fill = null, stroke = null, lineWidth = 1 } = {}) {
+      const path = `${formatNumber(x)} ${formatNumber(flipY(y + h))} ${formatNumber(w)} ${formatNumber(h)} re`;
+      if (fill && stroke) {
+        push(`q ${colorOperands(fill)} rg ${colorOperands(stroke)} RG ${formatNumber(lineWidth)} w ${path} B Q`);
+      } else if (fill) {
+        push(`q ${colorOperands(fill)} rg ${path} f Q`);
+      } else if (stroke) {
+        push(`q ${colorOperands(stroke)} RG ${formatNumber(lineWidth)} w ${path} S Q`);
+      }
+    },
+
+    line(x1, y1, x2, y2, { color = '#000000', lineWidth = 1 } = {}) {
+      push(`q ${colorOperands(color)} RG ${formatNumber(lineWidth)} w ${formatNumber(x1)} ${formatNumber(flipY(y1))} m ${formatNumber(x2)} ${formatNumber(flipY(y2))} l S Q`);
+    },
+
+    /**
+     * Place a JPEG (a `data:image/jpeg` URL, e.g. from canvas.toDataURL) of
+     * `pixelWidth` x `pixelHeight` into the box at x, y, w, h.
+     */
+    image({ dataUrl, pixelWidth, pixelHeight }, x, y, w, h) {
+      const name = `Im${images.length + 1}`;
+      images.push({ name, bytes: dataUrlToBytes(dataUrl), pixelWidth, pixelHeight });
+      push(`q ${formatNumber(w)} 0 0 ${formatNumber(h)} ${formatNumber(x)} ${formatNumber(flipY(y + h))} cm /${name} Do Q`);
+    },
+
+    toBlob() {
+      const chunks = [];
+      const offsets = [];
+      let length = 0;
+      const write = (part) => {
+        const bytes = typeof part === 'string' ? encodeLatin1(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+      };
+
+      // Object numbers: 1 catalog, 2 page tree, 3 info, fonts, images, then a page and its content per page.
+      const fontIds = {};
+      let nextId = 4;
+      Object.keys(FONT_RESOURCES).forEach((key) => {
+        fontIds[key] = nextId;
+        nextId += 1;
+      });
+      const imageIds = images.map(() => {
+        nextId += 1;
+        return nextId - 1;
+      });
+      const pageIds = pages.map(() => {
+        nextId += 2;
+        return nextId - 2;
+      });
+
+      const writeObject = (id, body, stream = null) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n${body}\n`);
+        if (stream) {
+          write('stream\n');
+          write(stream);
+          write('\nendstream\n');
+        }
+        write('endobj\n');
+      };
+
+      write('%PDF-1.4\n%âãÏÓ\n');
+      writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+      writeObject(2, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+      writeObject(3, `<< /Title (${escapeText(title)}) /Producer (Interview report export) >>`);
+      Object.entries(FONT_RESOURCES).forEach(([key, font]) => {
+        writeObject(fontIds[key], `<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`);
+      });
+      images.forEach((image, index) => {
+        // Text masks paint the current fill colour where their bits are set.
+        const format = image.mask
+          ? '/ImageMask true /BitsPerComponent 1 /Decode [1 0]'
+          : '/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode';
+        writeObject(
+          imageIds[index],
+          `<< /Type /XObject /Subtype /Image /Width ${image.pixelWidth} /Height ${image.pixelHeight} ${format} /Length ${image.bytes.length} >>`,
+          image.bytes,
+        );
+      });
+
+      const fontResources = Object.entries(FONT_RESOURCES)
+        .map(([key, font]) => `/${font.name} ${fontIds[key]} 0 R`)
+        .join(' ');
+      const imageResources = images.map((image, index) => `/${image.name} ${imageIds[index]} 0 R`).join(' ');
+      pages.forEach((operators, index) => {
+        const pageId = pageIds[index];
+        const content = encodeLatin1(operators.join('\n'));
+        writeObject(
+          pageId,
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(width)} ${formatNumber(height)}] /Resources << /Font << ${fontResources} >> /XObject << ${imageResources} >> >> /Contents ${pageId + 1} 0 R >>`,
+        );
+        writeObject(pageId + 1, `<< /Length ${content.length} >>`, content);
+      });
+
+      const xrefOffset = length;
+      const totalObjects = nextId;
+      write(`xref\n0 ${totalObjects}\n0000000000 65535 f \n`);
+      for (let id = 1; id < totalObjects; id += 1) {
+        write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+      }
+      write(`trailer\n<< /Size ${totalObjects} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+      return new Blob(chunks, { type: 'application/pdf' });
+    },
+  };
+
+  return doc;
+};
@@ -0,0 +1,119 @@
+import { createPdfDocument, isWinAnsiText, measureText, wrapText } from './pdfDocument';
+
+const HINDI = 'नमस्ते';
+
+const readBlob = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsBinaryString(blob);
+});
+
+// A 2d context that reports every line as 20px wide and inks only the first pixel column.
+const fakeContext = () => {
+  const canvas = { width: 0, height: 0 };
+  return {
+    canvas,
+    font: '',
+    measureText: () => ({ width: 20 }),
+    clearRect: jest.fn(),
+    fillText: jest.fn(),
+    getImageData: (x, y, width, height) => {
+      const data = new Uint8ClampedArray(width * height * 4);
+      for (let row = 0; row < height; row += 1) {
+        data[row * width * 4 + 3] = 255;
+      }
+      return { data };
+    },
+  };
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('isWinAnsiText', () => {
+  test('accepts Latin-1 and the WinAnsi punctuation', () => {
+    expect(isWinAnsiText('Café – “quoted” … 100€')).toBe(true);
+    expect(isWinAnsiText('')).toBe(true);
+  });
+
+  test('rejects scripts the standard fonts do not cover', () => {
+    expect(isWinAnsiText(`Score: ${HINDI}`)).toBe(false);
+    expect(isWinAnsiText('→')).toBe(false);
+  });
+});
+
+describe('measureText / wrapText', () => {
+  test('uses the Helvetica metrics', () => {
+    expect(measureText('A', 10)).toBeCloseTo(6.67);
+    expect(measureText('A', 10, 'bold')).toBeCloseTo(7.22);
+    expect(measureText('iiii', 10, 'mono')).toBeCloseTo(24);
+  });
+
+  test('wraps at the width and keeps explicit line breaks', () => {
+    const lines = wrapText('one two three four five\n\nsix', measureText('one two three', 10), 10);
+    expect(lines).toEqual(['one two three', 'four five', '', 'six']);
+  });
+
+  test('keeps code indentation on continuation lines', () => {
+    const lines = wrapText('    return alpha + beta', measureText('    return alpha', 10, 'mono'), 10, 'mono');
+    expect(lines).toEqual(['    return alpha', '    + beta']);
+  });
+
+  test('breaks words longer than a line', () => {
+    const lines = wrapText('x'.repeat(25), measureText('x'.repeat(10), 10), 10);
+    expect(lines).toEqual(['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+  });
+
+  test('expands tabs and treats empty input as one blank line', () => {
+    expect(wrapText('\tindented', 500, 10)).toEqual(['    indented']);
+    expect(wrapText(null, 500, 10)).toEqual(['']);
+  });
+});
+
+describe('createPdfDocument', () => {
+  test('requires a page before drawing', () => {
+    const doc = createPdfDocument();
+    expect(() => doc.text('hi', 0, 0)).toThrow('addPage');
+  });
+
+  test('writes WinAnsi text with escapes and a consistent xref table', async () => {
+    const doc = createPdfDocument({ title: 'Report' });
+    doc.addPage();
+    doc.text('f(x) = café', 40, 40);
+    const pdf = await readBlob(doc.toBlob());
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toContain('(f\\(x\\) = caf\\351) Tj');
+    const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+    const catalogOffset = Number(pdf.match(/0000000000 65535 f \n(\d{10})/)[1]);
+    expect(pdf.slice(catalogOffset)).toMatch(/^1 0 obj/);
+  });
+
+  test('draws text outside WinAnsi as a stencil mask in the text colour', async () => {
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(fakeContext);
+    const doc = createPdfDocument();
+    doc.addPage();
+    doc.text(HINDI, 40, 40, { size: 10, color: '#ff0000' });
+    const pdf = await readBlob(doc.toBlob());
+
+    expect(doc.rasterizedText).toBe(true);
+    expect(doc.substitutedText).toBe(false);
+    expect(pdf).toContain('/ImageMask true /BitsPerComponent 1');
+    expect(pdf).toMatch(/q 1 0 0 rg 5 0 0 15 40 \S+ cm \/Im1 Do Q/);
+    expect(pdf).not.toContain('??');
+  });
+
+  test('falls back to "?" when no canvas is available', async () => {
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+    const doc = createPdfDocument();
+    doc.addPage();
+    doc.text(`Hi ${HINDI}`, 40, 40);
+    const pdf = await readBlob(doc.toBlob());
+
+    expect(doc.substitutedText).toBe(true);
+    expect(pdf).toContain(`(Hi ${'?'.repeat(Array.from(HINDI).length)}) Tj`);
+  });
+});
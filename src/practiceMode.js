@@ -0,0 +1,47 @@
+// Practice sessions: untimed, no video, optional hints and instant per-question
+// feedback. They are started with `mode=practice` and stay out of admin
+// leaderboards and retention analytics.
+
+export const PRACTICE_MODE = 'practice';
+
+export const isPracticeSession = (session) => Boolean(
+  session && (session.mode === PRACTICE_MODE || session.is_practice === true || session.is_practice === 'true')
+);
+
+/**
+ * Hints attached to a practice question (`hints` list or a single `hint`).
+ */
+export const extractHints = (rawQuestion) => {
+  if (!rawQuestion || typeof rawQuestion !== 'object') {
+    return [];
+  }
+  const raw = Array.isArray(rawQuestion.hints)
+    ? rawQuestion.hints
+    : (rawQuestion.hint ? [rawQuestion.hint] : []);
+  return raw
+    .map((hint) => (typeof hint === 'string' ? hint : hint?.text || '').trim())
+    .filter(Boolean);
+};
+
+/**
+ * Normalize the `practice_feedback` block of an answer response.
+ */
+export const parsePracticeFeedback = (data) => {
+  const feedback = data?.practice_feedback;
+  if (!feedback || typeof feedback !== 'object') {
+    return null;
+  }
+  const toList = (value) => (Array.isArray(value) ? value : (value ? [value] : []))
+    .map((entry) => String(entry).trim())
+    .filter(Boolean);
+  // A missing score stays missing rather than reading as 0.
+  const score = feedback.score == null || feedback.score === '' ? NaN : Number(feedback.score);
+  return {
+    score: Number.isFinite(score) ? Math.min(Math.max(score, 0), 5) : null,
+    strengths: toList(feedback.strengths),
+    improvements: toList(feedback.improvements),
+    modelAnswer: typeof feedback.model_answer === 'string'
+      ? feedback.model_answer
+      : (feedback.model_answer ? JSON.stringify(feedback.model_answer, null, 2) : ''),
+  };
+};
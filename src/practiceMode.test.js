@@ -0,0 +1,57 @@
+import { extractHints, isPracticeSession, parsePracticeFeedback } from './practiceMode';
+
+describe('isPracticeSession', () => {
+  test('recognizes the mode and the legacy flag', () => {
+    expect(isPracticeSession({ mode: 'practice' })).toBe(true);
+    expect(isPracticeSession({ is_practice: true })).toBe(true);
+    expect(isPracticeSession({ is_practice: 'true' })).toBe(true);
+    expect(isPracticeSession({ mode: 'interview', is_practice: 'false' })).toBe(false);
+    expect(isPracticeSession(null)).toBe(false);
+  });
+});
+
+describe('extractHints', () => {
+  test('reads a hint list or a single hint, dropping blanks', () => {
+    expect(extractHints({ hints: [' Count first. ', { text: 'Then scan.' }, '', { text: '  ' }, null] })).toEqual([
+      'Count first.',
+      'Then scan.',
+    ]);
+    expect(extractHints({ hint: 'Use a CTE.' })).toEqual(['Use a CTE.']);
+    expect(extractHints({ hints: 'not a list', hint: 'Fallback' })).toEqual(['Fallback']);
+    expect(extractHints('question text')).toEqual([]);
+  });
+});
+
+describe('parsePracticeFeedback', () => {
+  test('returns null without a feedback block', () => {
+    expect(parsePracticeFeedback({})).toBeNull();
+    expect(parsePracticeFeedback({ practice_feedback: 'great' })).toBeNull();
+    expect(parsePracticeFeedback(null)).toBeNull();
+  });
+
+  test('clamps the score to the 0–5 scale and keeps a missing one missing', () => {
+    const scoreOf = (score) => parsePracticeFeedback({ practice_feedback: { score } }).score;
+    expect(scoreOf('3.5')).toBe(3.5);
+    expect(scoreOf(7)).toBe(5);
+    expect(scoreOf(-1)).toBe(0);
+    expect(scoreOf(0)).toBe(0);
+    expect(scoreOf(null)).toBeNull();
+    expect(scoreOf('')).toBeNull();
+    expect(scoreOf('n/a')).toBeNull();
+  });
+
+  test('turns single strengths and improvements into trimmed lists', () => {
+    const feedback = parsePracticeFeedback({
+      practice_feedback: { strengths: ' Clear structure ', improvements: ['Quantify impact', '', 42] },
+    });
+    expect(feedback.strengths).toEqual(['Clear structure']);
+    expect(feedback.improvements).toEqual(['Quantify impact', '42']);
+  });
+
+  test('keeps a text model answer and pretty-prints a structured one', () => {
+    const modelOf = (modelAnswer) => parsePracticeFeedback({ practice_feedback: { model_answer: modelAnswer } }).modelAnswer;
+    expect(modelOf('Use a hash map.')).toBe('Use a hash map.');
+    expect(modelOf({ code: 'print(1)', language: 'python' })).toBe('{\n  "code": "print(1)",\n  "language": "python"\n}');
+    expect(modelOf(null)).toBe('');
+  });
+});
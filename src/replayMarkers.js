@@ -0,0 +1,140 @@
+// Timeline markers for the answer replay in the feedback report.
+// Times are milliseconds from the start of the recording, taken from the
+// speaking metrics' `wordTimings` ({ word, startMs }) and the video metrics'
+// `noFaceSpans` ({ startMs, endMs }). Feedback markers come from the report as
+// `feedback_markers: [{ kind: 'strength' | 'gap', note, quote, start_ms? }]`;
+// without `start_ms` the quote is looked up in the timed transcript.
+//
+// Marker shape: { id, kind, startMs, endMs, label, note }, sorted by startMs.
+
+import { findFillers, normalizeWord } from './speakingAnalytics';
+
+export const REPLAY_MARKER_LABELS = {
+  strength: 'Strength',
+  gap: 'To improve',
+  filler: 'Filler word',
+  no_face: 'Face not visible',
+};
+
+// Quotes that don't match word for word are placed by their opening words.
+const QUOTE_PREFIX_WORDS = 3;
+
+const toMs = (value) => {
+  const numeric = Number(value);
+  return value != null && value !== '' && Number.isFinite(numeric) && numeric >= 0 ? numeric : null;
+};
+
+const parseList = (value) => {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return [];
+    }
+  }
+  return Array.isArray(parsed) ? parsed : [];
+};
+
+export const parseFeedbackMarkers = (value) => parseList(value)
+  .filter((marker) => marker && ['strength', 'gap'].includes(marker.kind));
+
+export const parseWordTimings = (value) => parseList(value)
+  .filter((entry) => entry && entry.word && toMs(entry.startMs) != null);
+
+const findSequence = (haystack, needle) => {
+  if (!needle.length) {
+    return -1;
+  }
+  for (let start = 0; start + needle.length <= haystack.length; start += 1) {
+    if (needle.every((word, offset) => haystack[start + offset] === word)) {
+      return start;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Index of the first transcript word of `quote`, or -1 when it can't be found.
+ */
+export const locateQuote = (quote, wordTimings) => {
+  const words = wordTimings.map((entry) => normalizeWord(entry.word));
+  const quoted = (quote || '').split(/\s+/).map(normalizeWord).filter(Boolean);
+  const exact = findSequence(words, quoted);
+  return exact >= 0 ? exact : findSequence(words, quoted.slice(0, QUOTE_PREFIX_WORDS));
+};
+
+/**
+ * Index of the word being spoken at `timeMs`, or -1 before the first word.
+ */
+export const activeWordIndex = (wordTimings, timeMs) => {
+  let low = 0;
+  let high = wordTimings.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    if (wordTimings[middle].startMs <= timeMs) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return found;
+};
+
+export const buildReplayMarkers = ({ feedbackMarkers = [], wordTimings = [], noFaceSpans = [] }) => {
+  const wordEnd = (index) => wordTimings[index + 1]?.startMs ?? wordTimings[index].startMs;
+
+  const feedback = feedbackMarkers.map((marker, index) => {
+    const quoteIndex = toMs(marker.start_ms) == null ? locateQuote(marker.quote, wordTimings) : -1;
+    const startMs = toMs(marker.start_ms) ?? (quoteIndex >= 0 ? wordTimings[quoteIndex].startMs : null);
+    return startMs == null ? null : {
+      id: `${marker.kind}-${index}`,
+      kind: marker.kind,
+      startMs,
+      endMs: toMs(marker.end_ms) ?? startMs,
+      label: REPLAY_MARKER_LABELS[marker.kind],
+      note: marker.note || marker.quote || '',
+    };
+  }).filter(Boolean);
+
+  const fillers = findFillers(wordTimings.map((entry) => normalizeWord(entry.word)))
+    .map(({ index, length, filler }) => ({
+      id: `filler-${index}`,
+      kind: 'filler',
+      startMs: wordTimings[index].startMs,
+      endMs: wordEnd(index + length - 1),
+      label: REPLAY_MARKER_LABELS.filler,
+      note: `“${filler}”`,
+    }));
+
+  const noFace = parseList(noFaceSpans)
+    .filter((span) => toMs(span?.startMs) != null && toMs(span?.endMs) != null)
+    .map((span, index) => ({
+      id: `no-face-${index}`,
+      kind: 'no_face',
+      startMs: span.startMs,
+      endMs: span.endMs,
+      label: REPLAY_MARKER_LABELS.no_face,
+      note: `${Math.max(1, Math.round((span.endMs - span.startMs) / 1000))}s`,
+    }));
+
+  return [...feedback, ...fillers, ...noFace].sort((a, b) => a.startMs - b.startMs);
+};
+
+/**
+ * Timeline length: the media duration when the browser knows it (MediaRecorder
+ * WebM files often report Infinity), otherwise the recorded metrics.
+ */
+export const replayDurationMs = (mediaDurationSeconds, speakingMetrics, videoMetrics, markers = []) => {
+  if (Number.isFinite(mediaDurationSeconds) && mediaDurationSeconds > 0) {
+    return mediaDurationSeconds * 1000;
+  }
+  return Math.max(
+    toMs(speakingMetrics?.durationMs) || 0,
+    toMs(videoMetrics?.durationMs) || 0,
+    ...markers.map((marker) => marker.endMs),
+    0,
+  ) || null;
+};
@@ -0,0 +1,101 @@
+import {
+  activeWordIndex,
+  buildReplayMarkers,
+  locateQuote,
+  parseFeedbackMarkers,
+  parseWordTimings,
+  replayDurationMs,
+} from './replayMarkers';
+
+const timed = (text, stepMs = 500) => text.split(' ').map((word, index) => ({ word, startMs: index * stepMs }));
+
+describe('parsing', () => {
+  test('keeps word timings with a usable start time', () => {
+    const stored = JSON.stringify([
+      { word: 'a', startMs: 0 },
+      { word: 'b', startMs: '' },
+      { word: 'c', startMs: -5 },
+      { word: '', startMs: 10 },
+      { word: 'd', startMs: '20' },
+    ]);
+    expect(parseWordTimings(stored).map((entry) => entry.word)).toEqual(['a', 'd']);
+    expect(parseWordTimings('not json')).toEqual([]);
+  });
+
+  test('keeps strength and gap markers only', () => {
+    expect(parseFeedbackMarkers([{ kind: 'gap' }, { kind: 'filler' }, null]).map((marker) => marker.kind)).toEqual(['gap']);
+  });
+});
+
+describe('locateQuote', () => {
+  const words = timed('So I would, um, use a hash map for lookups');
+
+  test('finds the quote word for word, ignoring case and punctuation', () => {
+    expect(locateQuote('"Use a HASH map"', words)).toBe(4);
+  });
+
+  test('falls back to the opening words of a paraphrased quote', () => {
+    expect(locateQuote('use a hash table instead', words)).toBe(4);
+  });
+
+  test('returns -1 when the quote is missing or empty', () => {
+    expect(locateQuote('binary search tree', words)).toBe(-1);
+    expect(locateQuote('', words)).toBe(-1);
+  });
+});
+
+describe('activeWordIndex', () => {
+  const words = timed('one two three');
+
+  test('finds the last word that has started', () => {
+    expect(activeWordIndex(words, -1)).toBe(-1);
+    expect(activeWordIndex(words, 0)).toBe(0);
+    expect(activeWordIndex(words, 999)).toBe(1);
+    expect(activeWordIndex(words, 1000)).toBe(2);
+    expect(activeWordIndex(words, 60000)).toBe(2);
+    expect(activeWordIndex([], 100)).toBe(-1);
+  });
+});
+
+describe('buildReplayMarkers', () => {
+  const wordTimings = timed('um I think you know a hash map works like');
+
+  test('places feedback, filler and no-face markers in time order', () => {
+    const markers = buildReplayMarkers({
+      feedbackMarkers: [
+        { kind: 'strength', note: 'Good choice', quote: 'a hash map' },
+        { kind: 'gap', note: 'Opening', start_ms: 0 },
+        { kind: 'gap', note: 'Unplaceable', quote: 'never said' },
+      ],
+      wordTimings,
+      noFaceSpans: [{ startMs: 1200, endMs: 3400 }, { startMs: 5 }],
+    });
+
+    expect(markers.map((marker) => [marker.kind, marker.startMs, marker.endMs])).toEqual([
+      ['gap', 0, 0],
+      ['filler', 0, 500],
+      ['no_face', 1200, 3400],
+      ['filler', 1500, 2500],
+      ['strength', 2500, 2500],
+      ['filler', 4500, 4500],
+    ]);
+    expect(markers.find((marker) => marker.kind === 'no_face').note).toBe('2s');
+    expect(markers.filter((marker) => marker.kind === 'filler').map((marker) => marker.note)).toEqual(['“um”', '“you know”', '“like”']);
+    expect(new Set(markers.map((marker) => marker.id)).size).toBe(markers.length);
+  });
+
+  test('works without a timed transcript', () => {
+    expect(buildReplayMarkers({ feedbackMarkers: [{ kind: 'gap', quote: 'anything' }] })).toEqual([]);
+  });
+});
+
+describe('replayDurationMs', () => {
+  test('prefers a finite media duration', () => {
+    expect(replayDurationMs(12.5, { durationMs: 99000 })).toBe(12500);
+  });
+
+  test('falls back to the recorded metrics and markers when the browser reports Infinity', () => {
+    expect(replayDurationMs(Infinity, { durationMs: 8000 }, { durationMs: 9000 }, [{ endMs: 9500 }])).toBe(9500);
+    expect(replayDurationMs(NaN, null, null)).toBeNull();
+  });
+});
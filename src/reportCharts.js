@@ -0,0 +1,348 @@
+// Canvas renderers for the report export. The on-screen charts are recharts SVG
+// and the diagrams are React Flow, neither of which can be dropped into a PDF,
+// so the exporter redraws them here from the same data. Each renderer returns
+// `{ dataUrl, pixelWidth, pixelHeight, width, height }`: a JPEG for
+// pdfDocument.js plus its size in layout units (PDF points), drawn at twice
+// that resolution so it stays sharp when printed.
+
+import { PACE_RANGE } from './speakingAnalytics';
+
+const SCALE = 2;
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+const TEXT_COLOR = '#1f2937';
+const MUTED_COLOR = '#6b7280';
+const GRID_COLOR = '#e5e7eb';
+
+export const SCORE_TONE_COLORS = {
+  great: '#16a34a',
+  average: '#d97706',
+  low: '#dc2626',
+  neutral: '#9ca3af',
+};
+
+/**
+ * Same bands as the score badges on the feedback screen.
+ */
+export const scoreTone = (score) => {
+  if (score === null || score === undefined || Number.isNaN(Number(score))) {
+    return 'neutral';
+  }
+  const value = Math.min(Math.max(Number(score), 0), 5);
+  if (value >= 3.5) return 'great';
+  if (value >= 2) return 'average';
+  return 'low';
+};
+
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * SCALE);
+  canvas.height = Math.round(height * SCALE);
+  const ctx = canvas.getContext('2d');
+  ctx.scale(SCALE, SCALE);
+  // JPEG has no alpha, so paint the page colour first.
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.textBaseline = 'middle';
+  return { canvas, ctx };
+};
+
+const toImage = (canvas, width, height) => ({
+  dataUrl: canvas.toDataURL('image/jpeg', 0.92),
+  pixelWidth: canvas.width,
+  pixelHeight: canvas.height,
+  width,
+  height,
+});
+
+const setFont = (ctx, size, weight = 'normal') => {
+  ctx.font = `${weight} ${size}px ${FONT_FAMILY}`;
+};
+
+const ellipsize = (ctx, text, maxWidth) => {
+  const value = String(text ?? '');
+  if (ctx.measureText(value).width <= maxWidth) {
+    return value;
+  }
+  let trimmed = value;
+  while (trimmed.length > 1 && ctx.measureText(`${trimmed}…`).width > maxWidth) {
+    trimmed = trimmed.slice(0, -1);
+  }
+  return `${trimmed}…`;
+};
+
+const roundedRect = (ctx, x, y, w, h, radius) => {
+  const r = Math.min(radius, w / 2, h / 2);
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r);
+  ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);
+  ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+};
+
+/**
+ * Horizontal bar per item on a 0–`max` scale, coloured by score band.
+ * Items are `{ label, score }`; a null score draws an empty track.
+ */
+export const renderScoreBars = (items, { width = 500, max = 5 } = {}) => {
+  const rowHeight = 24;
+  const labelWidth = Math.min(190, width * 0.38);
+  const valueWidth = 44;
+  const height = items.length * rowHeight + 28;
+  const { canvas, ctx } = createCanvas(width, height);
+  const trackX = labelWidth + 8;
+  const trackWidth = width - trackX - valueWidth;
+
+  setFont(ctx, 9);
+  ctx.fillStyle = MUTED_COLOR;
+  ctx.strokeStyle = GRID_COLOR;
+  ctx.lineWidth = 1;
+  for (let tick = 0; tick <= max; tick += 1) {
+    const x = trackX + (trackWidth * tick) / max;
+    ctx.beginPath();
+    ctx.moveTo(x, 4);
+    ctx.lineTo(x, height - 20);
+    ctx.stroke();
+    ctx.textAlign = 'center';
+    ctx.fillText(String(tick), x, height - 10);
+  }
+
+  items.forEach((item, index) => {
+    const centerY = 4 + index * rowHeight + rowHeight / 2;
+    const value = item.score == null || Number.isNaN(Number(item.score))
+      ? null
+      : Math.min(Math.max(Number(item.score), 0), max);
+
+    setFont(ctx, 10);
+    ctx.textAlign = 'right';
+    ctx.fillStyle = TEXT_COLOR;
+    ctx.fillText(ellipsize(ctx, item.label, labelWidth), labelWidth, centerY);
+
+    ctx.fillStyle = '#f3f4f6';
+    roundedRect(ctx, trackX, centerY - 7, trackWidth, 14, 4);
+    ctx.fill();
+    if (value != null && value > 0) {
+      ctx.fillStyle = SCORE_TONE_COLORS[scoreTone(value)];
+      roundedRect(ctx, trackX, centerY - 7, (trackWidth * value) / max, 14, 4);
+      ctx.fill();
+    }
+
+    setFont(ctx, 10, 'bold');
+    ctx.textAlign = 'left';
+    ctx.fillStyle = TEXT_COLOR;
+    ctx.fillText(value == null ? '—' : `${Number(value.toFixed(1))}/${max}`, trackX + trackWidth + 6, centerY);
+  });
+
+  return toImage(canvas, width, height);
+};
+
+/**
+ * Words per minute per answer as bars over the conversational pace band, with
+ * fillers per 100 words as a line on the right-hand axis. Rows are
+ * `{ label, wpm, fillers }`, as built for DeliveryOverviewChart.
+ */
+export const renderDeliveryChart = (rows, { width = 500, height = 220 } = {}) => {
+  const { canvas, ctx } = createCanvas(width, height);
+  const plot = { left: 36, right: width - 36, top: 12, bottom: height - 40 };
+  const plotHeight = plot.bottom - plot.top;
+  const plotWidth = plot.right - plot.left;
+  const maxWpm = Math.max(PACE_RANGE.fast + 20, ...rows.map((row) => row.wpm || 0));
+  const maxFillers = Math.max(5, ...rows.map((row) => row.fillers || 0));
+  const wpmY = (value) => plot.bottom - (plotHeight * value) / maxWpm;
+  const fillerY = (value) => plot.bottom - (plotHeight * value) / maxFillers;
+  const slot = plotWidth / Math.max(rows.length, 1);
+
+  ctx.fillStyle = '#ede9fe';
+  ctx.fillRect(plot.left, wpmY(PACE_RANGE.fast), plotWidth, wpmY(PACE_RANGE.slow) - wpmY(PACE_RANGE.fast));
+
+  setFont(ctx, 9);
+  ctx.strokeStyle = GRID_COLOR;
+  ctx.lineWidth = 1;
+  [0, 0.25, 0.5, 0.75, 1].forEach((fraction) => {
+    const y = plot.bottom - plotHeight * fraction;
+    ctx.beginPath();
+    ctx.moveTo(plot.left, y);
+    ctx.lineTo(plot.right, y);
+    ctx.stroke();
+    ctx.fillStyle = MUTED_COLOR;
+    ctx.textAlign = 'right';
+    ctx.fillText(String(Math.round(maxWpm * fraction)), plot.left - 4, y);
+    ctx.textAlign = 'left';
+    ctx.fillText(String(Number((maxFillers * fraction).toFixed(1))), plot.right + 4, y);
+  });
+
+  rows.forEach((row, index) => {
+    const barWidth = Math.min(36, slot * 0.6);
+    const x = plot.left + slot * index + (slot - barWidth) / 2;
+    const y = wpmY(row.wpm || 0);
+    ctx.fillStyle = '#8b5cf6';
+    ctx.fillRect(x, y, barWidth, plot.bottom - y);
+    ctx.fillStyle = TEXT_COLOR;
+    ctx.textAlign = 'center';
+    ctx.fillText(row.label, plot.left + slot * index + slot / 2, plot.bottom + 10);
+  });
+
+  ctx.strokeStyle = '#f59e0b';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  rows.forEach((row, index) => {
+    const x = plot.left + slot * index + slot / 2;
+    const y = fillerY(row.fillers || 0);
+    if (index === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  });
+  ctx.stroke();
+  ctx.fillStyle = '#f59e0b';
+  rows.forEach((row, index) => {
+    ctx.beginPath();
+    ctx.arc(plot.left + slot * index + slot / 2, fillerY(row.fillers || 0), 3, 0, Math.PI * 2);
+    ctx.fill();
+  });
+
+  const legend = [
+    { color: '#8b5cf6', label: 'Words per minute' },
+    { color: '#f59e0b', label: 'Fillers / 100 words' },
+    { color: '#ede9fe', label: `Comfortable pace (${PACE_RANGE.slow}–${PACE_RANGE.fast} wpm)` },
+  ];
+  let legendX = plot.left;
+  legend.forEach((entry) => {
+    ctx.fillStyle = entry.color;
+    ctx.fillRect(legendX, height - 14, 10, 8);
+    ctx.fillStyle = TEXT_COLOR;
+    ctx.textAlign = 'left';
+    ctx.fillText(entry.label, legendX + 14, height - 10);
+    legendX += 24 + ctx.measureText(entry.label).width;
+  });
+
+  return toImage(canvas, width, height);
+};
+
+const NODE_MIN_WIDTH = 120;
+const NODE_PADDING = 12;
+
+const measureNode = (ctx, node) => {
+  const data = node.data || {};
+  setFont(ctx, 12, 'bold');
+  const labelWidth = ctx.measureText(data.label || node.id || '').width;
+  setFont(ctx, 10);
+  const descriptionWidth = data.description ? Math.min(ctx.measureText(data.description).width, 200) : 0;
+  return {
+    width: node.width || Math.max(NODE_MIN_WIDTH, Math.max(labelWidth, descriptionWidth) + NODE_PADDING * 2),
+    height: node.height || (data.description ? 58 : 40),
+  };
+};
+
+const drawArrow = (ctx, from, to) => {
+  const angle = Math.atan2(to.y - from.y, to.x - from.x);
+  ctx.beginPath();
+  ctx.moveTo(from.x, from.y);
+  ctx.lineTo(to.x, to.y);
+  ctx.stroke();
+  ctx.beginPath();
+  ctx.moveTo(to.x, to.y);
+  ctx.lineTo(to.x - 8 * Math.cos(angle - Math.PI / 7), to.y - 8 * Math.sin(angle - Math.PI / 7));
+  ctx.lineTo(to.x - 8 * Math.cos(angle + Math.PI / 7), to.y - 8 * Math.sin(angle + Math.PI / 7));
+  ctx.closePath();
+  ctx.fill();
+};
+
+/**
+ * A system-design diagram (`{ nodes, edges }` as stored for SystemDesignViewer)
+ * drawn at its saved positions, scaled down to fit `width`. Returns null for
+ * an empty diagram.
+ */
+export const renderDiagram = (diagram, { width = 500, maxHeight = 560 } = {}) => {
+  const nodes = Array.isArray(diagram?.nodes) ? diagram.nodes : [];
+  if (!nodes.length) {
+    return null;
+  }
+  const measureCtx = document.createElement('canvas').getContext('2d');
+  const boxes = new Map(nodes.map((node) => {
+    const size = measureNode(measureCtx, node);
+    return [String(node.id), { x: node.position?.x || 0, y: node.position?.y || 0, ...size, node }];
+  }));
+
+  const all = Array.from(boxes.values());
+  const minX = Math.min(...all.map((box) => box.x));
+  const minY = Math.min(...all.map((box) => box.y));
+  const boundsWidth = Math.max(...all.map((box) => box.x + box.width)) - minX;
+  const boundsHeight = Math.max(...all.map((box) => box.y + box.height)) - minY;
+  const margin = 16;
+  const scale = Math.min(1, (width - margin * 2) / boundsWidth, (maxHeight - margin * 2) / boundsHeight);
+  const height = Math.ceil(boundsHeight * scale + margin * 2);
+  const offsetX = (width - boundsWidth * scale) / 2;
+
+  const { canvas, ctx } = createCanvas(width, height);
+  ctx.translate(offsetX, margin);
+  ctx.scale(scale, scale);
+  ctx.translate(-minX, -minY);
+
+  const edges = Array.isArray(diagram.edges) ? diagram.edges : [];
+  ctx.strokeStyle = '#7c3aed';
+  ctx.fillStyle = '#7c3aed';
+  ctx.lineWidth = 1.5;
+  const labels = [];
+  edges.forEach((edge) => {
+    const source = boxes.get(String(edge.source));
+    const target = boxes.get(String(edge.target));
+    if (!source || !target) {
+      return;
+    }
+    // Mirror the viewer's handles: bottom to top when the target sits below,
+    // otherwise side to side.
+    const below = target.y >= source.y + source.height;
+    const leftToRight = target.x >= source.x;
+    const from = below
+      ? { x: source.x + source.width / 2, y: source.y + source.height }
+      : { x: leftToRight ? source.x + source.width : source.x, y: source.y + source.height / 2 };
+    const to = below
+      ? { x: target.x + target.width / 2, y: target.y }
+      : { x: leftToRight ? target.x : target.x + target.width, y: target.y + target.height / 2 };
+    drawArrow(ctx, from, to);
+    if (edge.label) {
+      labels.push({ text: String(edge.label), x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 });
+    }
+  });
+
+  boxes.forEach((box) => {
+    const data = box.node.data || {};
+    roundedRect(ctx, box.x, box.y, box.width, box.height, 8);
+    ctx.fillStyle = data.bgColor || data.color || '#1e1e2f';
+    ctx.fill();
+    ctx.strokeStyle = data.borderColor || '#6366f1';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    const innerWidth = box.width - NODE_PADDING * 2;
+    const centerX = box.x + box.width / 2;
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'center';
+    setFont(ctx, 12, 'bold');
+    const label = [data.icon, data.label || box.node.id].filter(Boolean).join(' ');
+    if (data.description) {
+      ctx.fillText(ellipsize(ctx, label, innerWidth), centerX, box.y + 20);
+      setFont(ctx, 10);
+      ctx.globalAlpha = 0.8;
+      ctx.fillText(ellipsize(ctx, data.description, innerWidth), centerX, box.y + 40);
+      ctx.globalAlpha = 1;
+    } else {
+      ctx.fillText(ellipsize(ctx, label, innerWidth), centerX, box.y + box.height / 2);
+    }
+  });
+
+  setFont(ctx, 10);
+  ctx.textAlign = 'center';
+  labels.forEach((entry) => {
+    const textWidth = ctx.measureText(entry.text).width;
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(entry.x - textWidth / 2 - 3, entry.y - 7, textWidth + 6, 14);
+    ctx.fillStyle = MUTED_COLOR;
+    ctx.fillText(entry.text, entry.x, entry.y);
+  });
+
+  return toImage(canvas, width, height);
+};
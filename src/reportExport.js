@@ -0,0 +1,442 @@
+// Client-side export of the structured feedback report. buildReportPdf lays the
+// report out as paginated A4 with pdfDocument.js, drawing charts and
+// system-design diagrams through reportCharts.js. The same section ids drive
+// the print stylesheet in FeedbackScreen, so a student's selection applies to
+// both "Download PDF" and "Print".
+
+import { A4_PAGE, createPdfDocument, isWinAnsiText, measureText, wrapText } from './pdfDocument';
+import { renderDeliveryChart, renderDiagram, renderScoreBars, SCORE_TONE_COLORS, scoreTone } from './reportCharts';
+import { parseSpeakingMetrics } from './speakingAnalytics';
+
+export const REPORT_SECTIONS = [
+  { id: 'summary', label: 'Overall score and question scores' },
+  { id: 'competencies', label: 'Core competency breakdown' },
+  { id: 'skills', label: 'Mandatory skill scores' },
+  { id: 'delivery', label: 'Delivery quality' },
+  { id: 'questions', label: 'Question-wise analysis' },
+  { id: 'diagrams', label: 'System design diagrams' },
+];
+
+const REPORT_TITLE = 'Interview Performance Report';
+const MARGIN_X = 48;
+const MARGIN_TOP = 52;
+const MARGIN_BOTTOM = 56;
+const CONTENT_WIDTH = A4_PAGE.width - MARGIN_X * 2;
+const TEXT_COLOR = '#1f2937';
+const MUTED_COLOR = '#6b7280';
+const ACCENT_COLOR = '#6d28d9';
+const RULE_COLOR = '#e5e7eb';
+
+const formatScore = (score) => {
+  if (score === null || score === undefined || Number.isNaN(Number(score))) {
+    return '—';
+  }
+  return `${Number(Number(score).toFixed(1))}/5`;
+};
+
+const parseJson = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+const parseDiagram = (value) => {
+  const parsed = parseJson(value);
+  return parsed?.nodes ? parsed : null;
+};
+
+const asText = (value) => {
+  if (value == null) {
+    return '';
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+};
+
+/**
+ * Competencies as shown in the breakdown: the dynamic list when the report
+ * has one, otherwise the three fixed summaries.
+ */
+export const reportCompetencies = (structured) => {
+  if (Array.isArray(structured?.core_competencies) && structured.core_competencies.length) {
+    return structured.core_competencies.map((entry, index) => ({
+      ...entry,
+      name: entry.name || `Competency ${index + 1}`,
+    }));
+  }
+  return [
+    { name: 'Technical Mastery', ...structured?.technical_summary },
+    { name: 'Communication & STAR', ...structured?.communication_summary },
+    { name: 'Attitude & Readiness', ...structured?.attitude_summary },
+  ].filter((entry) => entry.score != null || entry.highlights?.length || entry.gaps?.length);
+};
+
+export const reportMandatorySkills = (structured) => {
+  if (Array.isArray(structured?.mandatory_skill_scores) && structured.mandatory_skill_scores.length) {
+    return structured.mandatory_skill_scores;
+  }
+  return [
+    ...(structured?.technical_summary?.mandatory_skill_scores || []),
+    ...(structured?.communication_summary?.mandatory_skill_scores || []),
+    ...(structured?.attitude_summary?.mandatory_skill_scores || []),
+  ];
+};
+
+const questionNumberOf = (item, index) => item.number ?? index + 1;
+
+const deliveryRows = (questions) => questions
+  .map((item, index) => {
+    const metrics = parseSpeakingMetrics(item.speaking_metrics);
+    if (!metrics) return null;
+    return {
+      label: `Q${questionNumberOf(item, index)}`,
+      wpm: metrics.wordsPerMinute,
+      fillers: metrics.fillersPer100Words,
+      pauses: metrics.longPauseCount,
+    };
+  })
+  .filter(Boolean);
+
+const questionDiagrams = (questions) => questions.flatMap((item, index) => {
+  const number = questionNumberOf(item, index);
+  const candidate = parseDiagram(item.original_answer || item.answer);
+  const suggested = (candidate || (item.question_type || '').toLowerCase().includes('design'))
+    ? parseDiagram(item.better_example)
+    : null;
+  return [
+    candidate && { number, title: 'Your design', question: item.question, diagram: candidate },
+    suggested && { number, title: 'Suggested design', question: item.question, diagram: suggested },
+  ].filter(Boolean);
+});
+
+/**
+ * Sections that have something to show for this report, in display order.
+ */
+export const availableReportSections = (structured) => {
+  if (!structured) {
+    return [];
+  }
+  const questions = structured.questions || [];
+  const present = {
+    summary: questions.length > 0 || structured.overall_score != null,
+    competencies: reportCompetencies(structured).length > 0,
+    skills: reportMandatorySkills(structured).length > 0,
+    delivery: deliveryRows(questions).length > 0,
+    questions: questions.length > 0,
+    diagrams: questionDiagrams(questions).length > 0,
+  };
+  return REPORT_SECTIONS.filter((section) => present[section.id]);
+};
+
+/**
+ * Whether the report holds text the PDF's standard fonts can't encode (e.g. a
+ * Hindi transcript), which the PDF then carries as images rather than text.
+ */
+export const reportHasImageText = (structured) => !isWinAnsiText(JSON.stringify(structured ?? {}));
+
+/**
+ * File name for the downloaded PDF, e.g. "interview-report-acme-data-analyst.pdf".
+ */
+export const reportFileName = (metadata = {}) => {
+  const slug = [metadata.company_name, metadata.job_role]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `interview-report${slug ? `-${slug}` : ''}.pdf`;
+};
+
+// Top-to-bottom writer that starts a new page whenever the next block would
+// run into the bottom margin.
+const createFlow = (doc) => {
+  let y = MARGIN_TOP;
+  const bottom = doc.height - MARGIN_BOTTOM;
+
+  const newPage = () => {
+    doc.addPage();
+    y = MARGIN_TOP;
+  };
+
+  const ensure = (height) => {
+    if (y + height > bottom && y > MARGIN_TOP) {
+      newPage();
+    }
+  };
+
+  const lines = (text, { size = 10, font = 'regular', color = TEXT_COLOR, indent = 0, bullet = false } = {}) => {
+    const lineHeight = size * 1.4;
+    const bulletIndent = bullet ? 12 : 0;
+    wrapText(text, CONTENT_WIDTH - indent - bulletIndent, size, font).forEach((line, index) => {
+      ensure(lineHeight);
+      if (bullet && index === 0) {
+        doc.text('•', MARGIN_X + indent, y + size, { size, color: ACCENT_COLOR });
+      }
+      doc.text(line, MARGIN_X + indent + bulletIndent, y + size, { size, font, color });
+      y += lineHeight;
+    });
+  };
+
+  const label = (text) => {
+    ensure(40);
+    lines(text, { size: 9.5, font: 'bold', color: MUTED_COLOR });
+  };
+
+  return {
+    newPage,
+    ensure,
+    label,
+
+    gap(height) {
+      y += height;
+    },
+
+    heading(text, level = 1) {
+      const size = level === 1 ? 15 : 11.5;
+      // Keep a heading on the same page as the start of what follows it.
+      ensure(size * 1.4 + 48);
+      if (level === 1) {
+        y += 6;
+      }
+      lines(text, { size, font: 'bold', color: level === 1 ? ACCENT_COLOR : TEXT_COLOR });
+      if (level === 1) {
+        doc.line(MARGIN_X, y + 2, MARGIN_X + CONTENT_WIDTH, y + 2, { color: RULE_COLOR, lineWidth: 1 });
+        y += 10;
+      } else {
+        y += 2;
+      }
+    },
+
+    paragraph(text, options = {}) {
+      if (!text) {
+        return;
+      }
+      lines(text, options);
+      y += 4;
+    },
+
+    labelled(title, items, options = {}) {
+      const list = (Array.isArray(items) ? items : [items]).map(asText).filter(Boolean);
+      if (!list.length) {
+        return;
+      }
+      label(title);
+      list.forEach((item) => lines(item, { ...options, bullet: list.length > 1 || options.bullet }));
+      y += 4;
+    },
+
+    code(text) {
+      if (!text) {
+        return;
+      }
+      lines(text, { size: 8.5, font: 'mono', indent: 8 });
+      y += 4;
+    },
+
+    scoreLine(label, score) {
+      const size = 11;
+      ensure(size * 1.6 + 48);
+      const tone = scoreTone(score);
+      const value = formatScore(score);
+      const badgeWidth = measureText(value, 10, 'bold') + 14;
+      doc.rect(MARGIN_X + CONTENT_WIDTH - badgeWidth, y, badgeWidth, 16, { fill: SCORE_TONE_COLORS[tone] });
+      doc.text(value, MARGIN_X + CONTENT_WIDTH - badgeWidth + 7, y + 11.5, { size: 10, font: 'bold', color: '#ffffff' });
+      const labelLines = wrapText(label, CONTENT_WIDTH - badgeWidth - 12, size, 'bold');
+      labelLines.forEach((line, index) => {
+        doc.text(line, MARGIN_X, y + 12 + index * size * 1.4, { size, font: 'bold', color: TEXT_COLOR });
+      });
+      y += Math.max(20, labelLines.length * size * 1.4 + 6);
+    },
+
+    image(image) {
+      if (!image) {
+        return;
+      }
+      const maxHeight = bottom - MARGIN_TOP;
+      const scale = Math.min(1, CONTENT_WIDTH / image.width, maxHeight / image.height);
+      const width = image.width * scale;
+      const height = image.height * scale;
+      ensure(height);
+      doc.image(image, MARGIN_X + (CONTENT_WIDTH - width) / 2, y, width, height);
+      y += height + 8;
+    },
+  };
+};
+
+const writeHeader = (doc, flow, metadata, { studentName, generatedAt }) => {
+  doc.rect(0, 0, doc.width, 6, { fill: ACCENT_COLOR });
+  flow.paragraph(REPORT_TITLE, { size: 20, font: 'bold', color: TEXT_COLOR });
+  const details = [
+    studentName && `Candidate: ${studentName}`,
+    metadata.company_name && `Company: ${metadata.company_name}`,
+    metadata.job_role && `Job role: ${metadata.job_role}`,
+    metadata.interview_type && `Interview type: ${metadata.interview_type}`,
+    metadata.work_experience && `Experience: ${metadata.work_experience}`,
+  ].filter(Boolean);
+  if (details.length) {
+    flow.paragraph(details.join('   ·   '), { size: 10, color: MUTED_COLOR });
+  }
+  flow.paragraph(`Generated ${generatedAt.toLocaleString()}`, { size: 9, color: MUTED_COLOR });
+  flow.gap(6);
+};
+
+const writeSummary = (flow, structured) => {
+  const questions = structured.questions || [];
+  const scored = questions.filter((item) => item.score != null && !Number.isNaN(Number(item.score)));
+  const overall = structured.overall_score ?? (scored.length
+    ? scored.reduce((total, item) => total + Number(item.score), 0) / scored.length
+    : null);
+
+  flow.heading('Overview');
+  flow.scoreLine('Overall score', overall);
+  if (questions.length) {
+    flow.paragraph(`${questions.length} question${questions.length === 1 ? '' : 's'} answered.`, { color: MUTED_COLOR });
+    flow.heading('Question scores', 2);
+    flow.image(renderScoreBars(questions.map((item, index) => ({
+      label: `Q${questionNumberOf(item, index)}. ${item.question || ''}`,
+      score: item.score,
+    })), { width: CONTENT_WIDTH }));
+  }
+};
+
+const writeCompetencies = (flow, structured) => {
+  const competencies = reportCompetencies(structured);
+  flow.heading('Core Competency Breakdown');
+  if (competencies.some((entry) => entry.score != null)) {
+    flow.image(renderScoreBars(
+      competencies.map((entry) => ({ label: entry.name, score: entry.score })),
+      { width: CONTENT_WIDTH },
+    ));
+  }
+  competencies.forEach((entry) => {
+    flow.scoreLine(entry.name, entry.score);
+    flow.labelled('Highlights', entry.highlights || [], { bullet: true });
+    flow.labelled('Improvements', entry.gaps || [], { bullet: true });
+    flow.labelled('Next steps', entry.next_steps || [], { bullet: true });
+    flow.labelled('Evidence', entry.evidence || [], { bullet: true });
+    flow.gap(6);
+  });
+};
+
+const writeSkills = (flow, structured) => {
+  const skills = reportMandatorySkills(structured);
+  flow.heading('Mandatory Skill Scores');
+  flow.image(renderScoreBars(
+    skills.map((entry) => ({ label: entry.skill || 'Skill', score: entry.score })),
+    { width: CONTENT_WIDTH },
+  ));
+  skills.forEach((entry) => {
+    flow.scoreLine(entry.skill || 'Skill', entry.score);
+    flow.paragraph(entry.rationale, { color: MUTED_COLOR });
+  });
+};
+
+const writeDelivery = (flow, structured) => {
+  const rows = deliveryRows(structured.questions || []);
+  flow.heading('Delivery Quality');
+  flow.image(renderDeliveryChart(rows, { width: CONTENT_WIDTH }));
+  rows.forEach((row) => {
+    flow.paragraph(
+      `${row.label}: ${row.wpm || '—'} words per minute · ${row.fillers ?? '—'} fillers per 100 words · `
+        + `${row.pauses ?? 0} long pause${row.pauses === 1 ? '' : 's'}`,
+      { size: 9.5 },
+    );
+  });
+};
+
+const writeQuestions = (flow, structured, includeDiagrams) => {
+  flow.heading('Question-wise Analysis');
+  (structured.questions || []).forEach((item, index) => {
+    const number = questionNumberOf(item, index);
+    const questionType = (item.question_type || '').toLowerCase();
+    const isCoding = Boolean(item.is_coding) || questionType.startsWith('coding');
+    const answerRaw = item.original_answer || item.answer;
+    const hasDiagram = Boolean(parseDiagram(answerRaw));
+    const suggestedDiagram = (hasDiagram || questionType.includes('design')) ? parseDiagram(item.better_example) : null;
+
+    flow.scoreLine(`Question ${number}. ${item.question || ''}`, item.score);
+    if (item.answer_status === 'skipped') {
+      flow.paragraph('Skipped.', { color: MUTED_COLOR });
+    }
+    if (hasDiagram) {
+      flow.paragraph(
+        includeDiagrams ? 'Answered with a diagram; see System Design Diagrams.' : 'Answered with a diagram.',
+        { color: MUTED_COLOR },
+      );
+    } else if (answerRaw) {
+      flow.label('Your answer');
+      if (isCoding) {
+        flow.code(asText(answerRaw));
+      } else {
+        flow.paragraph(asText(answerRaw));
+      }
+    }
+    flow.labelled('What you did well', item.strengths || []);
+    flow.labelled('What to improve', item.improvements || []);
+    if (item.better_example && !suggestedDiagram) {
+      flow.label('Suggested answer');
+      if (isCoding) {
+        flow.code(asText(item.better_example));
+      } else {
+        flow.paragraph(asText(item.better_example));
+      }
+    }
+    flow.gap(8);
+  });
+};
+
+const writeDiagrams = (flow, structured) => {
+  flow.heading('System Design Diagrams');
+  questionDiagrams(structured.questions || []).forEach((entry) => {
+    flow.heading(`Question ${entry.number} · ${entry.title}`, 2);
+    flow.image(renderDiagram(entry.diagram, { width: CONTENT_WIDTH }));
+  });
+};
+
+const SECTION_WRITERS = {
+  summary: writeSummary,
+  competencies: writeCompetencies,
+  skills: writeSkills,
+  delivery: writeDelivery,
+  questions: (flow, structured, sections) => writeQuestions(flow, structured, sections.includes('diagrams')),
+  diagrams: writeDiagrams,
+};
+
+const writeFooters = (doc, metadata) => {
+  const label = [REPORT_TITLE, metadata.company_name, metadata.job_role].filter(Boolean).join(' · ');
+  const y = doc.height - MARGIN_BOTTOM + 24;
+  for (let index = 0; index < doc.pageCount; index += 1) {
+    doc.setPage(index);
+    const pageLabel = `Page ${index + 1} of ${doc.pageCount}`;
+    doc.line(MARGIN_X, y - 12, MARGIN_X + CONTENT_WIDTH, y - 12, { color: RULE_COLOR, lineWidth: 0.75 });
+    doc.text(label, MARGIN_X, y, { size: 8, color: MUTED_COLOR });
+    doc.text(pageLabel, MARGIN_X + CONTENT_WIDTH - measureText(pageLabel, 8), y, { size: 8, color: MUTED_COLOR });
+  }
+};
+
+/**
+ * Render the selected sections of a structured feedback report to a PDF Blob.
+ * `sections` are ids from REPORT_SECTIONS; unavailable ones are skipped.
+ */
+export const buildReportPdf = (structured, { sections, studentName = '', generatedAt = new Date() } = {}) => {
+  const metadata = structured?.metadata || {};
+  const available = availableReportSections(structured).map((section) => section.id);
+  const selected = (sections || available).filter((id) => available.includes(id));
+  const doc = createPdfDocument({ title: REPORT_TITLE });
+  const flow = createFlow(doc);
+
+  flow.newPage();
+  writeHeader(doc, flow, metadata, { studentName, generatedAt });
+  REPORT_SECTIONS.forEach(({ id }) => {
+    if (selected.includes(id)) {
+      SECTION_WRITERS[id](flow, structured, selected);
+    }
+  });
+  writeFooters(doc, metadata);
+
+  return doc.toBlob();
+};
@@ -0,0 +1,209 @@
+// Speaking analytics computed from the speech-recognition result stream.
+// InterviewScreen feeds every onresult update into a tracker while recording,
+// shows `snapshot()` as a live meter and sends `finish()` with the answer;
+// FeedbackScreen charts the stored metrics per question and uses the word
+// timings to sync the transcript with the answer replay.
+
+// Silence between recognition results longer than this counts as a long pause.
+export const LONG_PAUSE_MS = 3000;
+// Conversational pace bounds used to label the live meter.
+export const PACE_RANGE = { slow: 110, fast: 170 };
+// Typical length of one spoken word, used to place words that arrive together in one result.
+const WORD_DURATION_MS = 400;
+
+// Multi-word fillers first so "you know" is not also counted as two words.
+const FILLER_PHRASES = ['you know', 'i mean', 'kind of', 'sort of'];
+const FILLER_WORDS = ['um', 'umm', 'uh', 'uhh', 'uhm', 'erm', 'hmm', 'like', 'basically', 'actually', 'literally', 'matlab'];
+// "like" after these words is usually meant ("I would like", "looks like").
+const LITERAL_LIKE_PRECEDERS = ['would', "i'd", "we'd", "you'd", 'look', 'looks', 'looked', 'feel', 'feels', 'seems', 'something', 'things'];
+
+const round = (value, digits = 1) => Number(value.toFixed(digits));
+
+export const normalizeWord = (word) => (
+  (word || '').toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}']+$/gu, '')
+);
+
+export const tokenizeWords = (text) => (
+  (text || '')
+    .split(/\s+/)
+    .map(normalizeWord)
+    .filter(Boolean)
+);
+
+/**
+ * Locate fillers in a list of normalized words as `{ index, length, filler }`,
+ * where `length` is 2 for phrases such as "you know".
+ */
+export const findFillers = (words) => {
+  const found = [];
+  let index = 0;
+  while (index < words.length) {
+    const pair = `${words[index]} ${words[index + 1] || ''}`;
+    if (FILLER_PHRASES.includes(pair)) {
+      found.push({ index, length: 2, filler: pair });
+      index += 2;
+      continue;
+    }
+    const isLiteralLike = words[index] === 'like' && LITERAL_LIKE_PRECEDERS.includes(words[index - 1]);
+    if (FILLER_WORDS.includes(words[index]) && !isLiteralLike) {
+      found.push({ index, length: 1, filler: words[index] });
+    }
+    index += 1;
+  }
+  return found;
+};
+
+export const countFillers = (words) => findFillers(words).reduce((counts, { filler }) => ({
+  ...counts,
+  [filler]: (counts[filler] || 0) + 1,
+}), {});
+
+/**
+ * Count stutter-style repeats: the same word twice in a row ("I I think") or
+ * the same two-word phrase back to back ("we should we should").
+ */
+export const countRepetitions = (words) => {
+  let repeats = 0;
+  let index = 1;
+  while (index < words.length) {
+    if (words[index] === words[index - 1]) {
+      repeats += 1;
+      index += 1;
+    } else if (
+      index >= 3
+      && words[index] === words[index - 2]
+      && words[index - 1] === words[index - 3]
+    ) {
+      repeats += 1;
+      index += 2;
+    } else {
+      index += 1;
+    }
+  }
+  return repeats;
+};
+
+// `speakingMs` runs from the first recognized word, so thinking time before it doesn't lower the pace.
+const summarize = ({ text, durationMs, speakingMs, pauses, timeLimitMs }) => {
+  const words = tokenizeWords(text);
+  const fillers = countFillers(words);
+  const fillerCount = Object.values(fillers).reduce((total, count) => total + count, 0);
+  const pausedMs = pauses.reduce((total, pause) => total + pause, 0);
+  const talkTimeMs = Math.max(speakingMs - pausedMs, 0);
+  return {
+    wordCount: words.length,
+    durationMs,
+    talkTimeMs,
+    wordsPerMinute: talkTimeMs > 0 ? Math.round(words.length / (talkTimeMs / 60000)) : 0,
+    fillerCount,
+    fillers,
+    fillersPer100Words: words.length ? round((fillerCount / words.length) * 100) : 0,
+    longPauseCount: pauses.length,
+    longestPauseMs: pauses.length ? Math.max(...pauses) : 0,
+    repetitionCount: countRepetitions(words),
+    timeLimitMs: timeLimitMs || null,
+    timeUsedRatio: timeLimitMs ? round(durationMs / timeLimitMs, 2) : null,
+  };
+};
+
+/**
+ * Track one recording attempt. `update` takes the full transcript so far
+ * (final plus interim text) each time the recognizer reports a result.
+ * `finish()` also returns `wordTimings`, one `{ word, startMs }` per spoken
+ * word with its offset from the start of the recording.
+ */
+export const createSpeakingTracker = ({ timeLimitMs = null } = {}) => {
+  const startedAt = Date.now();
+  let lastResultAt = startedAt;
+  let firstWordAt = null;
+  let text = '';
+  const pauses = [];
+  let wordTimings = [];
+
+  // Words already seen keep their time even when the recognizer revises them;
+  // new words are spread over the stretch just before this result.
+  const timeWords = (now) => {
+    const words = text.split(/\s+/).filter(Boolean);
+    const added = words.length - wordTimings.length;
+    const nowMs = now - startedAt;
+    const fromMs = Math.max(lastResultAt - startedAt, nowMs - added * WORD_DURATION_MS);
+    wordTimings = words.map((word, index) => {
+      if (index < wordTimings.length) {
+        return { word, startMs: wordTimings[index].startMs };
+      }
+      const position = index - wordTimings.length;
+      return { word, startMs: Math.round(fromMs + ((nowMs - fromMs) * position) / added) };
+    });
+  };
+
+  // A still-running silence counts once it passes the threshold, so the meter reacts live.
+  const pausesAt = (now) => {
+    const silence = now - lastResultAt;
+    return silence >= LONG_PAUSE_MS ? [...pauses, silence] : pauses;
+  };
+
+  return {
+    update(transcript) {
+      const now = Date.now();
+      const silence = now - lastResultAt;
+      // Leading silence before the first word is thinking time, not a pause mid-answer.
+      if (silence >= LONG_PAUSE_MS && text.trim()) {
+        pauses.push(silence);
+      }
+      text = transcript || '';
+      timeWords(now);
+      lastResultAt = now;
+      if (firstWordAt == null && text.trim()) {
+        firstWordAt = now;
+      }
+    },
+
+    snapshot() {
+      const now = Date.now();
+      return summarize({
+        text,
+        durationMs: now - startedAt,
+        speakingMs: firstWordAt == null ? 0 : now - firstWordAt,
+        pauses: firstWordAt == null ? pauses : pausesAt(now),
+        timeLimitMs,
+      });
+    },
+
+    // Trailing silence after the last word counts toward time used but not toward pace.
+    finish() {
+      if (!tokenizeWords(text).length) {
+        return null;
+      }
+      const endedAt = Date.now();
+      return {
+        ...summarize({
+          text,
+          durationMs: endedAt - startedAt,
+          speakingMs: lastResultAt - firstWordAt,
+          pauses,
+          timeLimitMs,
+        }),
+        wordTimings,
+      };
+    },
+  };
+};
+
+export const describePace = (wordsPerMinute) => {
+  if (!wordsPerMinute) return '';
+  if (wordsPerMinute < PACE_RANGE.slow) return 'slow';
+  if (wordsPerMinute > PACE_RANGE.fast) return 'fast';
+  return 'steady';
+};
+
+export const parseSpeakingMetrics = (value) => {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+  return parsed && typeof parsed === 'object' && typeof parsed.wordCount === 'number' ? parsed : null;
+};
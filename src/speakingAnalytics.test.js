@@ -0,0 +1,137 @@
+import {
+  countFillers,
+  countRepetitions,
+  createSpeakingTracker,
+  describePace,
+  findFillers,
+  normalizeWord,
+  parseSpeakingMetrics,
+  tokenizeWords,
+} from './speakingAnalytics';
+
+describe('tokenizing', () => {
+  test('lowercases and strips surrounding punctuation but keeps apostrophes and other scripts', () => {
+    expect(normalizeWord('"Hello,')).toBe('hello');
+    expect(normalizeWord("I'd")).toBe("i'd");
+    expect(normalizeWord('मतलब।')).toBe('मतलब');
+    expect(tokenizeWords('  Um... so, -- we   start ')).toEqual(['um', 'so', 'we', 'start']);
+    expect(tokenizeWords(null)).toEqual([]);
+  });
+});
+
+describe('findFillers', () => {
+  test('matches two-word phrases before single words', () => {
+    expect(findFillers(tokenizeWords('you know I mean it is kind of um fine'))).toEqual([
+      { index: 0, length: 2, filler: 'you know' },
+      { index: 2, length: 2, filler: 'i mean' },
+      { index: 6, length: 2, filler: 'kind of' },
+      { index: 8, length: 1, filler: 'um' },
+    ]);
+  });
+
+  test('does not count "like" when it is meant literally', () => {
+    const words = tokenizeWords("I would like that, it looks like rain, like, honestly I'd like it");
+    expect(findFillers(words).map((found) => found.index)).toEqual([8]);
+  });
+
+  test('handles a filler at either end and a lone last word of a phrase', () => {
+    expect(findFillers(['like', 'so', 'you'])).toEqual([{ index: 0, length: 1, filler: 'like' }]);
+    expect(findFillers([])).toEqual([]);
+  });
+
+  test('counts fillers by kind', () => {
+    expect(countFillers(tokenizeWords('um so um basically you know'))).toEqual({ um: 2, basically: 1, 'you know': 1 });
+  });
+});
+
+describe('countRepetitions', () => {
+  test('counts repeated words and back-to-back phrases', () => {
+    expect(countRepetitions(tokenizeWords('I I think we should we should go'))).toBe(2);
+    expect(countRepetitions(tokenizeWords('the the the answer'))).toBe(2);
+    expect(countRepetitions(tokenizeWords('no repeats here'))).toBe(0);
+  });
+});
+
+describe('createSpeakingTracker', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => clock);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns null when nothing was said', () => {
+    const tracker = createSpeakingTracker();
+    clock = 5000;
+    tracker.update('   ');
+    expect(tracker.finish()).toBeNull();
+  });
+
+  test('times new words just before each result and keeps times through revisions', () => {
+    const tracker = createSpeakingTracker({ timeLimitMs: 16000 });
+    clock = 1000;
+    tracker.update('I think');
+    clock = 5000;
+    tracker.update('I think um we');
+    clock = 5500;
+    tracker.update('I thought um we should');
+    clock = 8000;
+    const metrics = tracker.finish();
+
+    expect(metrics.wordTimings).toEqual([
+      { word: 'I', startMs: 200 },
+      { word: 'thought', startMs: 600 },
+      { word: 'um', startMs: 4200 },
+      { word: 'we', startMs: 4600 },
+      { word: 'should', startMs: 5100 },
+    ]);
+    expect(metrics).toMatchObject({
+      wordCount: 5,
+      durationMs: 8000,
+      longPauseCount: 1,
+      longestPauseMs: 4000,
+      talkTimeMs: 500,
+      fillerCount: 1,
+      fillers: { um: 1 },
+      timeUsedRatio: 0.5,
+    });
+  });
+
+  test('spreads words that arrive after a long silence over the time before the result', () => {
+    const tracker = createSpeakingTracker();
+    clock = 10000;
+    tracker.update('hello there');
+    expect(tracker.finish().wordTimings.map((entry) => entry.startMs)).toEqual([9200, 9600]);
+  });
+
+  test('thinking time before the first word is not a pause, but a live silence is', () => {
+    const tracker = createSpeakingTracker();
+    clock = 6000;
+    tracker.update('so');
+    expect(tracker.snapshot().longPauseCount).toBe(0);
+    clock = 9500;
+    expect(tracker.snapshot()).toMatchObject({ longPauseCount: 1, longestPauseMs: 3500 });
+    // Trailing silence after the last word is not a pause in the final metrics.
+    expect(tracker.finish().longPauseCount).toBe(0);
+  });
+});
+
+describe('describePace / parseSpeakingMetrics', () => {
+  test('labels the pace against the conversational range', () => {
+    expect(describePace(0)).toBe('');
+    expect(describePace(90)).toBe('slow');
+    expect(describePace(140)).toBe('steady');
+    expect(describePace(200)).toBe('fast');
+  });
+
+  test('accepts stored metrics as JSON or objects and rejects anything else', () => {
+    expect(parseSpeakingMetrics('{"wordCount":3}')).toEqual({ wordCount: 3 });
+    expect(parseSpeakingMetrics({ wordCount: 0 })).toEqual({ wordCount: 0 });
+    expect(parseSpeakingMetrics('{"words":3}')).toBeNull();
+    expect(parseSpeakingMetrics('oops')).toBeNull();
+  });
+});
@@ -0,0 +1,151 @@
+// Speech-recognition language profiles and role vocabulary for spoken answers.
+// Students pick a profile on the InstructionScreen; the choice is remembered per
+// student in localStorage and travels with interviewData into InterviewScreen.
+
+export const SPEECH_PROFILES = [
+  { id: 'en-IN', label: 'English (India)', description: 'Indian English accent' },
+  { id: 'en-US', label: 'English (US)', description: 'American English accent' },
+  { id: 'en-GB', label: 'English (UK)', description: 'British English accent' },
+  { id: 'hi-IN', label: 'Hindi + English (India)', description: 'Hindi-English code-switched answers' },
+];
+
+export const DEFAULT_SPEECH_PROFILE = 'en-IN';
+
+// Role terms are boosted when the browser supports phrase hints; 1 is neutral.
+const VOCABULARY_BOOST = 5;
+// Longest run of recognized words that may be joined back into one term ("node js" -> "Node.js").
+const MAX_TERM_WORDS = 4;
+
+const storageKey = (studentEmail) => `speech_profile:${(studentEmail || 'anonymous').toLowerCase()}`;
+
+export const normalizeSpeechProfile = (value) => (
+  SPEECH_PROFILES.some((profile) => profile.id === value) ? value : DEFAULT_SPEECH_PROFILE
+);
+
+export const loadSpeechProfile = (studentEmail) => {
+  try {
+    return normalizeSpeechProfile(localStorage.getItem(storageKey(studentEmail)));
+  } catch (error) {
+    return DEFAULT_SPEECH_PROFILE;
+  }
+};
+
+export const saveSpeechProfile = (studentEmail, profileId) => {
+  try {
+    localStorage.setItem(storageKey(studentEmail), normalizeSpeechProfile(profileId));
+  } catch (error) {
+    console.warn('Unable to save speech profile', error);
+  }
+};
+
+export const getSpeechRecognitionClass = () => {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+  return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+};
+
+export const isSpeechRecognitionSupported = () => Boolean(getSpeechRecognitionClass());
+
+const termKey = (value) => value.toLowerCase().replace(/[^\p{L}\p{N}+#]/gu, '');
+
+/**
+ * Turn `mandatory_skills` (array or comma-separated string) into vocabulary terms.
+ */
+export const buildVocabulary = (skills) => {
+  const list = Array.isArray(skills)
+    ? skills
+    : typeof skills === 'string'
+      ? skills.split(',')
+      : [];
+  const seen = new Set();
+  return list
+    .map((skill) => (skill == null ? '' : String(skill).trim()))
+    .filter((skill) => {
+      const key = termKey(skill);
+      if (!key || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Pass vocabulary hints to the recognizer where the browser allows it: phrase
+ * biasing (SpeechRecognitionPhrase) on newer engines, a JSGF grammar otherwise.
+ */
+export const applyVocabularyHints = (recognition, terms) => {
+  if (!recognition || !terms.length) {
+    return;
+  }
+  try {
+    if ('phrases' in recognition && typeof window.SpeechRecognitionPhrase === 'function') {
+      recognition.phrases = terms.map((term) => new window.SpeechRecognitionPhrase(term, VOCABULARY_BOOST));
+      return;
+    }
+    const GrammarList = window.SpeechGrammarList || window.webkitSpeechGrammarList;
+    if (GrammarList) {
+      const grammars = new GrammarList();
+      const alternatives = terms.map((term) => term.replace(/[;|<>=*+()[\]]/g, ' ').trim()).filter(Boolean);
+      grammars.addFromString(`#JSGF V1.0; grammar skills; public <skill> = ${alternatives.join(' | ')} ;`, 1);
+      recognition.grammars = grammars;
+    }
+  } catch (error) {
+    console.warn('Speech vocabulary hints are not supported in this browser', error);
+  }
+};
+
+// Plain title-case terms ("Communication") are left as spoken to avoid capitalizing ordinary words.
+const isCaseOnlyDifference = (spoken, term) => (
+  spoken.toLowerCase() === term.toLowerCase()
+  && term.split(/\s+/).every((word) => word.slice(1) === word.slice(1).toLowerCase())
+);
+
+/**
+ * Restore the canonical spelling of vocabulary terms in a transcript, joining
+ * words the recognizer split apart ("kuber netes" -> "Kubernetes").
+ */
+export const applyVocabulary = (text, terms) => {
+  if (!text || !terms.length) {
+    return text;
+  }
+  const byKey = new Map(terms.map((term) => [termKey(term), term]));
+  const tokens = text.split(/(\s+)/);
+  const output = [];
+  let index = 0;
+  while (index < tokens.length) {
+    const token = tokens[index];
+    if (!token || /^\s+$/.test(token)) {
+      output.push(token);
+      index += 1;
+      continue;
+    }
+    let matched = false;
+    // Longest match first; word tokens sit at even indexes between whitespace.
+    for (let words = MAX_TERM_WORDS; words >= 1 && !matched; words -= 1) {
+      const end = index + (words - 1) * 2;
+      if (end >= tokens.length) {
+        continue;
+      }
+      const span = tokens.slice(index, end + 1).filter((_, offset) => offset % 2 === 0);
+      // A trailing empty token means the span ran into the text's final whitespace.
+      if (!span[span.length - 1] || span.slice(0, -1).some((word) => /[.,!?;:]$/.test(word))) {
+        continue;
+      }
+      const trailing = span[span.length - 1].match(/[.,!?;:]+$/)?.[0] || '';
+      const spoken = span.join(' ').slice(0, trailing ? -trailing.length : undefined);
+      const term = byKey.get(termKey(spoken));
+      if (term && !isCaseOnlyDifference(spoken, term)) {
+        output.push(term + trailing);
+        index = end + 1;
+        matched = true;
+      }
+    }
+    if (!matched) {
+      output.push(token);
+      index += 1;
+    }
+  }
+  return output.join('');
+};
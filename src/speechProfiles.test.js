@@ -0,0 +1,103 @@
+import {
+  DEFAULT_SPEECH_PROFILE,
+  applyVocabulary,
+  applyVocabularyHints,
+  buildVocabulary,
+  loadSpeechProfile,
+  normalizeSpeechProfile,
+  saveSpeechProfile,
+} from './speechProfiles';
+
+describe('profiles', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('falls back to the default for unknown profiles', () => {
+    expect(normalizeSpeechProfile('en-GB')).toBe('en-GB');
+    expect(normalizeSpeechProfile('fr-FR')).toBe(DEFAULT_SPEECH_PROFILE);
+    expect(normalizeSpeechProfile(null)).toBe(DEFAULT_SPEECH_PROFILE);
+  });
+
+  test('remembers the choice per student, ignoring email case', () => {
+    expect(loadSpeechProfile('asha@example.com')).toBe(DEFAULT_SPEECH_PROFILE);
+    saveSpeechProfile('Asha@Example.com', 'hi-IN');
+    expect(loadSpeechProfile('asha@example.com')).toBe('hi-IN');
+    expect(loadSpeechProfile('ravi@example.com')).toBe(DEFAULT_SPEECH_PROFILE);
+  });
+
+  test('stores only known profiles', () => {
+    saveSpeechProfile('asha@example.com', 'xx-XX');
+    expect(localStorage.getItem('speech_profile:asha@example.com')).toBe(DEFAULT_SPEECH_PROFILE);
+    localStorage.setItem('speech_profile:anonymous', 'garbage');
+    expect(loadSpeechProfile()).toBe(DEFAULT_SPEECH_PROFILE);
+  });
+});
+
+describe('buildVocabulary', () => {
+  test('accepts arrays and comma-separated strings and drops duplicates', () => {
+    expect(buildVocabulary(['Node.js', ' nodejs ', 'C++', '', null, 'C#'])).toEqual(['Node.js', 'C++', 'C#']);
+    expect(buildVocabulary('SQL, Kubernetes ,sql')).toEqual(['SQL', 'Kubernetes']);
+    expect(buildVocabulary(undefined)).toEqual([]);
+  });
+});
+
+describe('applyVocabulary', () => {
+  const terms = buildVocabulary(['Kubernetes', 'Node.js', 'PostgreSQL', 'Communication', 'C++']);
+
+  test('restores canonical spellings and joins split words', () => {
+    expect(applyVocabulary('we ran kuber netes and node js', terms)).toBe('we ran Kubernetes and Node.js');
+    expect(applyVocabulary('I used postgre sql.', terms)).toBe('I used PostgreSQL.');
+    expect(applyVocabulary('postgresql mostly', terms)).toBe('PostgreSQL mostly');
+  });
+
+  test('leaves plain words alone when only the case differs', () => {
+    expect(applyVocabulary('good communication matters', terms)).toBe('good communication matters');
+    expect(applyVocabulary('kubernetes and c++', terms)).toBe('kubernetes and c++');
+  });
+
+  test('does not join words across punctuation', () => {
+    expect(applyVocabulary('node, js', terms)).toBe('node, js');
+  });
+
+  test('keeps whitespace and returns empty input untouched', () => {
+    expect(applyVocabulary('  node js\n', terms)).toBe('  Node.js\n');
+    expect(applyVocabulary('', terms)).toBe('');
+    expect(applyVocabulary('node js', [])).toBe('node js');
+  });
+});
+
+describe('applyVocabularyHints', () => {
+  afterEach(() => {
+    delete window.SpeechRecognitionPhrase;
+    delete window.SpeechGrammarList;
+  });
+
+  test('uses phrase biasing where the engine supports it', () => {
+    window.SpeechRecognitionPhrase = function SpeechRecognitionPhrase(phrase, boost) {
+      this.phrase = phrase;
+      this.boost = boost;
+    };
+    const recognition = { phrases: [] };
+    applyVocabularyHints(recognition, ['SQL']);
+    expect(recognition.phrases).toEqual([expect.objectContaining({ phrase: 'SQL', boost: 5 })]);
+  });
+
+  test('falls back to a JSGF grammar with special characters removed', () => {
+    const added = [];
+    window.SpeechGrammarList = function SpeechGrammarList() {
+      this.addFromString = (grammar, weight) => added.push([grammar, weight]);
+    };
+    const recognition = {};
+    applyVocabularyHints(recognition, ['C++', 'SQL']);
+    expect(added).toEqual([['#JSGF V1.0; grammar skills; public <skill> = C | SQL ;', 1]]);
+    expect(recognition.grammars).toBeInstanceOf(window.SpeechGrammarList);
+  });
+
+  test('does nothing without terms or grammar support', () => {
+    const recognition = {};
+    applyVocabularyHints(recognition, []);
+    applyVocabularyHints(recognition, ['SQL']);
+    expect(recognition).toEqual({});
+  });
+});
@@ -0,0 +1,338 @@
+// SQL question sandbox: seeds an SQLite engine with the question's schema and data,
+// runs the candidate's query in a Piston execution and diffs its result grid with
+// the expected result the server computed from its reference query. The reference
+// query itself never reaches the browser, where any candidate could read it.
+//
+// Question fields (all optional except a schema):
+//   schema          DDL string, or [{ name, columns: ['id INTEGER', { name, type }], rows }]
+//   seed_data       SQL string, or { table: [[...values]] | [{ column: value }] }
+//   expected_result { columns, rows } the candidate's query must reproduce
+//   order_sensitive true/false (or result_order: 'ordered' | 'unordered'); defaults to false
+
+const SECTION_MARKER = '__SQL_SECTION__:';
+
+const parseMaybeJson = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const trimmed = value.trim();
+  if (!trimmed.startsWith('[') && !trimmed.startsWith('{')) {
+    return value;
+  }
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    return value;
+  }
+};
+
+const quoteIdentifier = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+export const toSqlLiteral = (value) => {
+  if (value == null) return 'NULL';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'NULL';
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  return `'${String(value).replace(/'/g, "''")}'`;
+};
+
+const columnName = (column) => (typeof column === 'string' ? column.trim().split(/\s+/)[0] : column?.name);
+
+const columnDefinition = (column) => (
+  typeof column === 'string' ? column.trim() : `${quoteIdentifier(column.name)} ${column.type || ''}`.trim()
+);
+
+// Split on top-level commas so `DECIMAL(10, 2)` stays in one column definition.
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if (char === '(') depth += 1;
+    if (char === ')') depth -= 1;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+};
+
+const CONSTRAINT_KEYWORDS = /^(primary|foreign|unique|check|constraint)\b/i;
+
+// Table/column summary of a DDL string, for the schema panel only.
+const describeDdl = (ddl) => {
+  const tables = [];
+  const pattern = /create\s+table\s+(?:if\s+not\s+exists\s+)?["`[]?(\w+)["`\]]?\s*\(([\s\S]*?)\)\s*;/gi;
+  let match;
+  while ((match = pattern.exec(ddl)) !== null) {
+    tables.push({
+      name: match[1],
+      columns: splitTopLevel(match[2]).filter((part) => !CONSTRAINT_KEYWORDS.test(part)),
+    });
+  }
+  return tables;
+};
+
+const insertStatements = (table, rows, columns) => (rows || []).map((row) => {
+  if (Array.isArray(row)) {
+    const columnList = columns?.length ? ` (${columns.map(quoteIdentifier).join(', ')})` : '';
+    return `INSERT INTO ${quoteIdentifier(table)}${columnList} VALUES (${row.map(toSqlLiteral).join(', ')});`;
+  }
+  const keys = Object.keys(row || {});
+  return `INSERT INTO ${quoteIdentifier(table)} (${keys.map(quoteIdentifier).join(', ')}) VALUES (${keys.map((key) => toSqlLiteral(row[key])).join(', ')});`;
+});
+
+const normalizeResultSet = (value) => {
+  const parsed = parseMaybeJson(value);
+  if (!parsed || !Array.isArray(parsed.columns) || !Array.isArray(parsed.rows)) {
+    return null;
+  }
+  return {
+    columns: parsed.columns.map(String),
+    rows: parsed.rows.map((row) => (Array.isArray(row) ? row : parsed.columns.map((column) => row?.[column]))
+      .map((cell) => (cell == null ? null : String(cell)))),
+  };
+};
+
+/**
+ * Read the sandbox definition from a raw SQL question. Returns null when the
+ * question ships no schema, in which case the query runs on an empty engine.
+ */
+export const extractSqlSandbox = (rawQuestion) => {
+  const schema = parseMaybeJson(rawQuestion?.schema ?? rawQuestion?.schema_sql);
+  if (!schema) {
+    return null;
+  }
+
+  const statements = [];
+  const tables = [];
+  const columnsByTable = {};
+
+  if (typeof schema === 'string') {
+    statements.push(schema.trim());
+    describeDdl(schema).forEach((table) => {
+      tables.push(table);
+      columnsByTable[table.name] = table.columns.map(columnName);
+    });
+  } else if (Array.isArray(schema)) {
+    schema.forEach((table) => {
+      if (!table?.name || !Array.isArray(table.columns)) {
+        return;
+      }
+      statements.push(`CREATE TABLE ${quoteIdentifier(table.name)} (${table.columns.map(columnDefinition).join(', ')});`);
+      columnsByTable[table.name] = table.columns.map(columnName);
+      tables.push({ name: table.name, columns: table.columns.map(columnDefinition) });
+      statements.push(...insertStatements(table.name, table.rows, columnsByTable[table.name]));
+    });
+  }
+
+  const seed = parseMaybeJson(rawQuestion.seed_data ?? rawQuestion.seed_sql);
+  if (typeof seed === 'string') {
+    statements.push(seed.trim());
+  } else if (seed && typeof seed === 'object') {
+    Object.entries(seed).forEach(([table, rows]) => {
+      statements.push(...insertStatements(table, rows, columnsByTable[table]));
+    });
+  }
+
+  const explicitOrder = rawQuestion.order_sensitive ?? (
+    rawQuestion.result_order ? rawQuestion.result_order === 'ordered' : undefined
+  );
+
+  return {
+    setupScript: statements.filter(Boolean).join('\n'),
+    tables,
+    expectedResult: normalizeResultSet(rawQuestion.expected_result),
+    orderSensitive: Boolean(explicitOrder),
+  };
+};
+
+/**
+ * Full SQLite script for one run: setup, then the candidate query in CSV mode
+ * behind a section marker. The trailing `;` closes a final statement the
+ * candidate left unterminated so the next dot-command is honoured.
+ */
+export const buildSandboxScript = (sandbox, candidateSql) => [
+  sandbox.setupScript,
+  '.headers on',
+  '.mode csv',
+  '.nullvalue NULL',
+  `.print ${SECTION_MARKER}candidate`,
+  candidateSql || '',
+  ';',
+  '',
+].join('\n');
+
+/**
+ * SQLite reports errors against the whole script ("Parse error near line 15");
+ * shift those line numbers so they point into the candidate's own query.
+ */
+export const rebaseSandboxErrors = (stderr, sandbox) => {
+  if (!stderr) {
+    return stderr;
+  }
+  const marker = `.print ${SECTION_MARKER}candidate`;
+  const offset = buildSandboxScript(sandbox, '').split('\n').indexOf(marker) + 1;
+  return stderr.replace(/(near line )(\d+)/g, (match, prefix, line) => (
+    Number(line) > offset ? `${prefix}${Number(line) - offset}` : match
+  ));
+};
+
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let wasQuoted = false;
+  const pushField = () => {
+    row.push(!wasQuoted && field === 'NULL' ? null : field);
+    field = '';
+    wasQuoted = false;
+  };
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+      wasQuoted = true;
+    } else if (char === ',') {
+      pushField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1;
+      pushField();
+      rows.push(row);
+      row = [];
+    } else {
+      field += char;
+    }
+  }
+  if (field || wasQuoted || row.length) {
+    pushField();
+    rows.push(row);
+  }
+  return rows;
+};
+
+const toResultSet = (csvText) => {
+  const rows = parseCsv(csvText).filter((row) => !(row.length === 1 && (row[0] === '' || row[0] === null)));
+  if (!rows.length) {
+    return { columns: [], rows: [] };
+  }
+  const [columns, ...body] = rows;
+  return { columns: columns.map((column) => column ?? 'NULL'), rows: body };
+};
+
+/**
+ * Split sandbox stdout into the candidate's result set. Output printed before the
+ * marker (e.g. from the seed script) is returned as `logs`.
+ */
+export const parseSandboxOutput = (stdout) => {
+  const sections = { logs: '', candidate: null };
+  const text = (stdout || '').replace(/\r\n/g, '\n');
+  const pattern = new RegExp(`^${SECTION_MARKER}(candidate)$`, 'gm');
+  const markers = [...text.matchAll(pattern)];
+  if (!markers.length) {
+    sections.logs = text.trim();
+    return sections;
+  }
+  sections.logs = text.slice(0, markers[0].index).trim();
+  markers.forEach((marker, index) => {
+    const start = marker.index + marker[0].length + 1;
+    const end = index + 1 < markers.length ? markers[index + 1].index : text.length;
+    sections[marker[1]] = toResultSet(text.slice(start, end));
+  });
+  return sections;
+};
+
+const normalizeCell = (cell) => {
+  if (cell == null) return '\u0000NULL';
+  const trimmed = String(cell).trim();
+  const number = Number(trimmed);
+  return trimmed !== '' && Number.isFinite(number) ? String(number) : trimmed;
+};
+
+const rowKey = (row) => JSON.stringify(row.map(normalizeCell));
+
+/**
+ * Diff two result grids. Column names are not compared (aliases are free), only
+ * the column count and the cell values; numbers compare by value so `1.0`
+ * equals `1`. Returns { matches, reason, extraRowIndexes, missingRows }.
+ */
+export const compareResultSets = (actual, expected, { orderSensitive = false } = {}) => {
+  if (!actual) {
+    return { matches: false, reason: 'Your query did not return a result set.', extraRowIndexes: [], missingRows: [] };
+  }
+  // SQLite prints no header for an empty result, so there are no columns to compare.
+  if (!actual.columns.length && expected.rows.length) {
+    return { matches: false, reason: 'Your query returned no rows.', extraRowIndexes: [], missingRows: expected.rows };
+  }
+  if (actual.columns.length !== expected.columns.length) {
+    return {
+      matches: false,
+      reason: `Expected ${expected.columns.length} column(s) but got ${actual.columns.length}.`,
+      extraRowIndexes: [],
+      missingRows: [],
+    };
+  }
+
+  const actualKeys = actual.rows.map(rowKey);
+  const expectedKeys = expected.rows.map(rowKey);
+
+  const remaining = new Map();
+  expectedKeys.forEach((key) => remaining.set(key, (remaining.get(key) || 0) + 1));
+  const unorderedExtra = [];
+  actualKeys.forEach((key, index) => {
+    if (remaining.get(key)) {
+      remaining.set(key, remaining.get(key) - 1);
+    } else {
+      unorderedExtra.push(index);
+    }
+  });
+  const missingRows = expected.rows.filter((row, index) => {
+    const key = expectedKeys[index];
+    if (remaining.get(key)) {
+      remaining.set(key, remaining.get(key) - 1);
+      return true;
+    }
+    return false;
+  });
+  const sameRows = !unorderedExtra.length && !missingRows.length;
+
+  if (orderSensitive && sameRows) {
+    const outOfOrder = actualKeys
+      .map((key, index) => (key === expectedKeys[index] ? null : index))
+      .filter((index) => index != null);
+    if (outOfOrder.length) {
+      return {
+        matches: false,
+        reason: 'The rows are correct but not in the expected order.',
+        extraRowIndexes: outOfOrder,
+        missingRows: [],
+      };
+    }
+  }
+
+  if (sameRows) {
+    return { matches: true, reason: null, extraRowIndexes: [], missingRows: [] };
+  }
+  const parts = [];
+  if (unorderedExtra.length) parts.push(`${unorderedExtra.length} unexpected row(s)`);
+  if (missingRows.length) parts.push(`${missingRows.length} missing row(s)`);
+  return {
+    matches: false,
+    reason: `Result differs from the expected output: ${parts.join(', ')}.`,
+    extraRowIndexes: unorderedExtra,
+    missingRows,
+  };
+};
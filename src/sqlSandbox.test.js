@@ -0,0 +1,80 @@
+import {
+  buildSandboxScript,
+  compareResultSets,
+  extractSqlSandbox,
+  parseSandboxOutput,
+  rebaseSandboxErrors,
+  toSqlLiteral,
+} from './sqlSandbox';
+
+const question = {
+  schema: [{ name: 'orders', columns: ['id INTEGER', 'amount REAL'], rows: [[1, 2.5], [2, null]] }],
+  seed_data: { orders: [[3, 4]] },
+  reference_query: 'SELECT secret FROM answers;',
+  solution_query: 'SELECT secret FROM answers;',
+  expected_result: JSON.stringify({ columns: ['id'], rows: [[1], [2]] }),
+};
+
+describe('extractSqlSandbox', () => {
+  test('returns null without a schema', () => {
+    expect(extractSqlSandbox({ reference_query: 'SELECT 1;' })).toBeNull();
+  });
+
+  test('builds the setup script and keeps any reference query out of the sandbox', () => {
+    const sandbox = extractSqlSandbox(question);
+    expect(sandbox.setupScript).toContain('CREATE TABLE "orders" (id INTEGER, amount REAL);');
+    expect(sandbox.setupScript).toContain('INSERT INTO "orders" ("id", "amount") VALUES (2, NULL);');
+    expect(sandbox.setupScript).toContain('VALUES (3, 4);');
+    expect(sandbox).not.toHaveProperty('referenceQuery');
+    expect(JSON.stringify(sandbox)).not.toContain('secret');
+    expect(buildSandboxScript(sandbox, 'SELECT id FROM orders')).not.toContain('secret');
+    expect(sandbox.expectedResult).toEqual({ columns: ['id'], rows: [['1'], ['2']] });
+  });
+
+  test('row order is only checked when the question asks for it', () => {
+    expect(extractSqlSandbox(question).orderSensitive).toBe(false);
+    expect(extractSqlSandbox({ ...question, result_order: 'ordered' }).orderSensitive).toBe(true);
+  });
+
+  test('describes DDL schemas without splitting typed columns', () => {
+    const sandbox = extractSqlSandbox({ schema: 'CREATE TABLE t (id INTEGER, price DECIMAL(10, 2), PRIMARY KEY (id));' });
+    expect(sandbox.tables).toEqual([{ name: 't', columns: ['id INTEGER', 'price DECIMAL(10, 2)'] }]);
+  });
+});
+
+describe('sandbox output', () => {
+  test('escapes SQL literals', () => {
+    expect(toSqlLiteral("O'Brien")).toBe("'O''Brien'");
+    expect(toSqlLiteral(Infinity)).toBe('NULL');
+    expect(toSqlLiteral(true)).toBe('1');
+  });
+
+  test('parses the candidate section and seed logs', () => {
+    const sections = parseSandboxOutput('seeded\n__SQL_SECTION__:candidate\nid,name\n1,"a,b"\n2,NULL\n');
+    expect(sections.logs).toBe('seeded');
+    expect(sections.candidate).toEqual({ columns: ['id', 'name'], rows: [['1', 'a,b'], ['2', null]] });
+  });
+
+  test('rebases error line numbers onto the candidate query', () => {
+    const sandbox = extractSqlSandbox(question);
+    const offset = buildSandboxScript(sandbox, '').split('\n').indexOf('.print __SQL_SECTION__:candidate') + 1;
+    expect(rebaseSandboxErrors(`Parse error near line ${offset + 2}: syntax`, sandbox)).toBe('Parse error near line 2: syntax');
+  });
+});
+
+describe('compareResultSets', () => {
+  const expected = { columns: ['id', 'total'], rows: [['1', '10'], ['2', '20']] };
+
+  test('ignores column names and compares numbers by value', () => {
+    expect(compareResultSets({ columns: ['a', 'b'], rows: [['2', '20.0'], ['1', '10']] }, expected).matches).toBe(true);
+  });
+
+  test('reports order, missing and extra rows', () => {
+    const reversed = { columns: ['a', 'b'], rows: [['2', '20'], ['1', '10']] };
+    expect(compareResultSets(reversed, expected, { orderSensitive: true }).reason).toMatch(/order/);
+    const result = compareResultSets({ columns: ['a', 'b'], rows: [['1', '10'], ['3', '30']] }, expected);
+    expect(result).toMatchObject({ matches: false, extraRowIndexes: [1], missingRows: [['2', '20']] });
+    expect(compareResultSets({ columns: ['a'], rows: [] }, expected).reason).toMatch(/2 column/);
+    expect(compareResultSets({ columns: [], rows: [] }, expected).reason).toMatch(/no rows/);
+  });
+});
@@ -0,0 +1,276 @@
+// Study plans built from a student's weakest skills. The Dashboard loads the
+// feedback reports of the most recent completed sessions, averages every
+// competency and mandatory skill across them (recent sessions weigh more) and
+// schedules practice interviews for the ones below the target score, spread
+// over a few weeks. Each practice item carries the role, company and interview
+// type of the session the skill scored lowest in, so Dashboard.startInterview
+// can launch it in one click. Plans live in localStorage per student.
+//
+// Report entry shape (newest first): { session, structured }
+// Plan shape:
+//   { id, created_at, target, skills: [{ key, name, kind, baseline, latest, latest_at }],
+//     weeks: [{ week, starts_on, items: [{ id, skill_key, skill, kind, baseline, config,
+//       status: 'pending' | 'started' | 'completed', session_id, started_at,
+//       completed_at, score }] }] }
+
+import { reportCompetencies, reportMandatorySkills } from './reportExport';
+
+export const STUDY_PLAN_TARGET_SCORE = 3.5;
+export const RECENT_SESSION_LIMIT = 5;
+export const DEFAULT_PLAN_WEEKS = 4;
+export const PRACTICE_PER_WEEK = 2;
+const MAX_FOCUS_SKILLS = 4;
+// Weight of each older session relative to the one after it.
+const RECENCY_DECAY = 0.75;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const storageKey = (studentEmail) => `study_plan:${(studentEmail || 'anonymous').toLowerCase()}`;
+
+export const loadStudyPlan = (studentEmail) => {
+  try {
+    const raw = localStorage.getItem(storageKey(studentEmail));
+    const plan = raw ? JSON.parse(raw) : null;
+    return plan && Array.isArray(plan.weeks) ? plan : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const saveStudyPlan = (studentEmail, plan) => {
+  try {
+    if (plan) {
+      localStorage.setItem(storageKey(studentEmail), JSON.stringify(plan));
+    } else {
+      localStorage.removeItem(storageKey(studentEmail));
+    }
+  } catch (error) {
+    console.warn('Unable to save study plan', error);
+  }
+};
+
+const toScore = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : null;
+};
+
+const skillKey = (name) => (name || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+
+const sessionTime = (session) => {
+  const time = new Date(session?.completed_at || session?.started_at || 0).getTime();
+  return Number.isNaN(time) ? 0 : time;
+};
+
+export const sessionConfig = (session) => ({
+  jobRole: session.job_role || '',
+  companyName: session.company_name || '',
+  industryType: session.industry_type || '',
+  interviewType: session.interview_type || '',
+  workExperience: session.work_experience || '',
+});
+
+/**
+ * Every scored competency and mandatory skill in one feedback report.
+ */
+export const skillScoresFromReport = (structured) => [
+  ...reportCompetencies(structured).map((entry) => ({ name: entry.name, kind: 'competency', score: entry.score })),
+  ...reportMandatorySkills(structured).map((entry) => ({ name: entry.skill, kind: 'skill', score: entry.score })),
+]
+  .map((entry) => ({ ...entry, key: skillKey(entry.name), score: toScore(entry.score) }))
+  .filter((entry) => entry.key && entry.score != null);
+
+/**
+ * Skills averaging below `target` across the reports, weakest first. Each
+ * carries the configuration of the session it scored lowest in.
+ */
+export const aggregateWeakSkills = (entries, { target = STUDY_PLAN_TARGET_SCORE, limit = MAX_FOCUS_SKILLS } = {}) => {
+  const skills = new Map();
+  entries.forEach(({ session, structured }, index) => {
+    const weight = RECENCY_DECAY ** index;
+    skillScoresFromReport(structured).forEach((entry) => {
+      if (!skills.has(entry.key)) {
+        skills.set(entry.key, {
+          key: entry.key,
+          name: entry.name,
+          kind: entry.kind,
+          weightedTotal: 0,
+          weight: 0,
+          samples: 0,
+          lowest: null,
+        });
+      }
+      const skill = skills.get(entry.key);
+      skill.weightedTotal += entry.score * weight;
+      skill.weight += weight;
+      skill.samples += 1;
+      if (!skill.lowest || entry.score < skill.lowest.score) {
+        skill.lowest = { score: entry.score, session };
+      }
+    });
+  });
+
+  return Array.from(skills.values())
+    .map((skill) => ({
+      key: skill.key,
+      name: skill.name,
+      kind: skill.kind,
+      average: Number((skill.weightedTotal / skill.weight).toFixed(2)),
+      samples: skill.samples,
+      config: sessionConfig(skill.lowest.session),
+    }))
+    .filter((skill) => skill.average < target)
+    .sort((a, b) => a.average - b.average)
+    .slice(0, limit);
+};
+
+/**
+ * Spread practice interviews for the weak skills over `weeks`, cycling from
+ * the weakest skill so it is practised first and most often.
+ */
+export const buildStudyPlan = (weakSkills, {
+  weeks = DEFAULT_PLAN_WEEKS,
+  perWeek = PRACTICE_PER_WEEK,
+  target = STUDY_PLAN_TARGET_SCORE,
+  now = new Date(),
+} = {}) => {
+  if (!weakSkills.length) {
+    return null;
+  }
+  const createdAt = now.toISOString();
+  const planId = `plan-${now.getTime()}`;
+  let slot = 0;
+  return {
+    id: planId,
+    created_at: createdAt,
+    target,
+    skills: weakSkills.map((skill) => ({
+      key: skill.key,
+      name: skill.name,
+      kind: skill.kind,
+      baseline: skill.average,
+      latest: null,
+      latest_at: null,
+    })),
+    weeks: Array.from({ length: weeks }, (_, weekIndex) => ({
+      week: weekIndex + 1,
+      starts_on: new Date(now.getTime() + weekIndex * 7 * DAY_MS).toISOString().slice(0, 10),
+      items: Array.from({ length: perWeek }, () => {
+        const skill = weakSkills[slot % weakSkills.length];
+        slot += 1;
+        return {
+          id: `${planId}-${slot}`,
+          skill_key: skill.key,
+          skill: skill.name,
+          kind: skill.kind,
+          baseline: skill.average,
+          config: skill.config,
+          status: 'pending',
+          session_id: null,
+          started_at: null,
+          completed_at: null,
+          score: null,
+        };
+      }),
+    })),
+  };
+};
+
+const mapItems = (plan, update) => ({
+  ...plan,
+  weeks: plan.weeks.map((week) => ({ ...week, items: week.items.map(update) })),
+});
+
+export const planItems = (plan) => (plan ? plan.weeks.flatMap((week) => week.items) : []);
+
+export const markPlanItemStarted = (plan, itemId, sessionId, now = new Date()) => mapItems(plan, (item) => (
+  item.id === itemId
+    ? { ...item, status: 'started', session_id: sessionId || null, started_at: now.toISOString() }
+    : item
+));
+
+/**
+ * Fold completed sessions into the plan: practice items whose session has a
+ * report are marked complete with that session's score for the skill, and each
+ * skill's latest score is taken from sessions completed after the plan began.
+ */
+export const reconcileStudyPlan = (plan, entries) => {
+  if (!plan) {
+    return plan;
+  }
+  const bySession = new Map(entries.map((entry) => [entry.session.session_id, entry]));
+  const scoreFor = (entry, key) => skillScoresFromReport(entry.structured).find((score) => score.key === key)?.score
+    ?? toScore(entry.structured?.overall_score ?? entry.session.overall_score);
+
+  const next = mapItems(plan, (item) => {
+    const entry = item.session_id ? bySession.get(item.session_id) : null;
+    if (!entry || item.status === 'completed') {
+      return item;
+    }
+    return {
+      ...item,
+      status: 'completed',
+      completed_at: entry.session.completed_at || new Date().toISOString(),
+      score: scoreFor(entry, item.skill_key),
+    };
+  });
+
+  const planStart = new Date(plan.created_at).getTime();
+  const later = entries
+    .filter((entry) => sessionTime(entry.session) >= planStart)
+    .sort((a, b) => sessionTime(b.session) - sessionTime(a.session));
+  return {
+    ...next,
+    skills: plan.skills.map((skill) => {
+      const latestEntry = later.find((entry) => (
+        skillScoresFromReport(entry.structured).some((score) => score.key === skill.key)
+      ));
+      if (!latestEntry) {
+        return skill;
+      }
+      return {
+        ...skill,
+        latest: scoreFor(latestEntry, skill.key),
+        latest_at: latestEntry.session.completed_at || latestEntry.session.started_at || null,
+      };
+    }),
+  };
+};
+
+/**
+ * Counts for the plan header, plus the week the student should be on.
+ */
+export const summarizeStudyPlan = (plan, now = new Date()) => {
+  const items = planItems(plan);
+  const completed = items.filter((item) => item.status === 'completed').length;
+  const elapsedWeeks = plan ? Math.floor((now.getTime() - new Date(plan.created_at).getTime()) / (7 * DAY_MS)) : 0;
+  return {
+    total: items.length,
+    completed,
+    currentWeek: plan ? Math.min(plan.weeks.length, Math.max(1, elapsedWeeks + 1)) : null,
+    targetsMet: plan ? plan.skills.filter((skill) => skill.latest != null && skill.latest >= plan.target).length : 0,
+  };
+};
+
+/**
+ * Completed sessions newer than the plan, plus any linked to its items, whose
+ * reports are needed to reconcile it.
+ */
+export const sessionsToReconcile = (plan, sessions) => {
+  if (!plan) {
+    return [];
+  }
+  const linked = new Set(planItems(plan).map((item) => item.session_id).filter(Boolean));
+  const planStart = new Date(plan.created_at).getTime();
+  return sessions.filter((session) => linked.has(session.session_id) || sessionTime(session) >= planStart);
+};
+
+/**
+ * The most recent completed sessions to build a plan from, newest first.
+ */
+export const recentSessionsForPlan = (sessions, limit = RECENT_SESSION_LIMIT) => sessions
+  .filter((session) => (session.status || '').toLowerCase() === 'completed')
+  .slice()
+  .sort((a, b) => sessionTime(b) - sessionTime(a))
+  .slice(0, limit);
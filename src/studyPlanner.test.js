@@ -0,0 +1,164 @@
+import {
+  aggregateWeakSkills,
+  buildStudyPlan,
+  loadStudyPlan,
+  markPlanItemStarted,
+  planItems,
+  recentSessionsForPlan,
+  reconcileStudyPlan,
+  saveStudyPlan,
+  sessionsToReconcile,
+  skillScoresFromReport,
+  summarizeStudyPlan,
+} from './studyPlanner';
+
+const session = (id, completedAt, extra = {}) => ({
+  session_id: id,
+  status: 'completed',
+  completed_at: completedAt,
+  job_role: `Role ${id}`,
+  company_name: 'Acme',
+  interview_type: 'Technical',
+  ...extra,
+});
+
+const report = (competencies, skills = [], extra = {}) => ({
+  core_competencies: Object.entries(competencies).map(([name, score]) => ({ name, score })),
+  mandatory_skill_scores: Object.entries(skills).map(([skill, score]) => ({ skill, score })),
+  ...extra,
+});
+
+// Newest first, as the Dashboard loads them.
+const entries = [
+  { session: session('s2', '2026-01-03T10:00:00Z'), structured: report({ SQL: 2, Python: 4 }, { Joins: 4 }) },
+  { session: session('s1', '2026-01-01T10:00:00Z'), structured: report({ sql: 3, Python: 2 }) },
+];
+
+const NOW = new Date('2026-01-05T00:00:00Z');
+
+const planFor = ({ weeks = 2, perWeek = 2 } = {}) => buildStudyPlan(aggregateWeakSkills(entries), { weeks, perWeek, now: NOW });
+
+describe('skillScoresFromReport', () => {
+  test('collects competencies and skills with a usable score', () => {
+    const scores = skillScoresFromReport(report({ SQL: '2.5', Blank: '' }, { Joins: 3, '  ': 1 }));
+    expect(scores).toEqual([
+      { name: 'SQL', kind: 'competency', score: 2.5, key: 'sql' },
+      { name: 'Joins', kind: 'skill', score: 3, key: 'joins' },
+    ]);
+  });
+});
+
+describe('aggregateWeakSkills', () => {
+  test('weights recent sessions more and keeps the session each skill scored lowest in', () => {
+    const weak = aggregateWeakSkills(entries);
+    expect(weak.map((skill) => [skill.key, skill.average, skill.samples])).toEqual([
+      ['sql', 2.43, 2],
+      ['python', 3.14, 2],
+    ]);
+    expect(weak[0].config.jobRole).toBe('Role s2');
+    expect(weak[1].config.jobRole).toBe('Role s1');
+  });
+
+  test('respects the target and the limit', () => {
+    expect(aggregateWeakSkills(entries, { target: 3 }).map((skill) => skill.key)).toEqual(['sql']);
+    expect(aggregateWeakSkills(entries, { limit: 1 })).toHaveLength(1);
+    expect(aggregateWeakSkills([])).toEqual([]);
+  });
+});
+
+describe('buildStudyPlan', () => {
+  test('returns null when there is nothing to practise', () => {
+    expect(buildStudyPlan([])).toBeNull();
+  });
+
+  test('cycles through the weak skills week by week, weakest first', () => {
+    const plan = planFor({ perWeek: 3 });
+    expect(plan.weeks.map((week) => week.starts_on)).toEqual(['2026-01-05', '2026-01-12']);
+    expect(planItems(plan).map((item) => item.skill_key)).toEqual(['sql', 'python', 'sql', 'python', 'sql', 'python']);
+    expect(new Set(planItems(plan).map((item) => item.id)).size).toBe(6);
+    expect(plan.skills[0]).toMatchObject({ key: 'sql', baseline: 2.43, latest: null });
+  });
+});
+
+describe('plan progress', () => {
+  test('marks practice sessions complete with their skill score, or the overall score without one', () => {
+    const base = planFor();
+    const [sqlItem, pythonItem] = planItems(base);
+    let plan = markPlanItemStarted(base, sqlItem.id, 'p1', new Date('2026-01-06T09:00:00Z'));
+    plan = markPlanItemStarted(plan, pythonItem.id, 'p1');
+    expect(planItems(plan)[0]).toMatchObject({ status: 'started', session_id: 'p1', started_at: '2026-01-06T09:00:00.000Z' });
+
+    const practice = {
+      session: session('p1', '2026-01-07T10:00:00Z'),
+      structured: report({ SQL: 3.8 }, [], { overall_score: 3.2 }),
+    };
+    const reconciled = reconcileStudyPlan(plan, [practice]);
+    const [sqlDone, pythonDone] = planItems(reconciled);
+    expect(sqlDone).toMatchObject({ status: 'completed', score: 3.8, completed_at: '2026-01-07T10:00:00Z' });
+    expect(pythonDone).toMatchObject({ status: 'completed', score: 3.2 });
+    expect(reconciled.skills.map((skill) => skill.latest)).toEqual([3.8, null]);
+
+    expect(summarizeStudyPlan(reconciled, new Date('2026-01-13T00:00:00Z'))).toEqual({
+      total: 4,
+      completed: 2,
+      currentWeek: 2,
+      targetsMet: 1,
+    });
+  });
+
+  test('ignores sessions from before the plan when updating the latest scores', () => {
+    const reconciled = reconcileStudyPlan(planFor(), entries);
+    expect(reconciled.skills.map((skill) => skill.latest)).toEqual([null, null]);
+    expect(reconcileStudyPlan(null, entries)).toBeNull();
+  });
+
+  test('summarizes a missing plan and caps the current week', () => {
+    expect(summarizeStudyPlan(null)).toEqual({ total: 0, completed: 0, currentWeek: null, targetsMet: 0 });
+    expect(summarizeStudyPlan(planFor(), new Date('2026-06-01T00:00:00Z')).currentWeek).toBe(2);
+  });
+});
+
+describe('session selection', () => {
+  test('reconciles sessions newer than the plan or linked to an item', () => {
+    const base = planFor({ weeks: 1 });
+    const plan = markPlanItemStarted(base, planItems(base)[0].id, 'old-linked');
+    const sessions = [
+      session('new', '2026-01-08T00:00:00Z'),
+      session('old', '2025-12-01T00:00:00Z'),
+      session('old-linked', '2025-12-02T00:00:00Z'),
+    ];
+    expect(sessionsToReconcile(plan, sessions).map((item) => item.session_id)).toEqual(['new', 'old-linked']);
+    expect(sessionsToReconcile(null, sessions)).toEqual([]);
+  });
+
+  test('builds plans from the most recent completed sessions', () => {
+    const sessions = [
+      session('a', '2026-01-01T00:00:00Z'),
+      session('b', '2026-01-03T00:00:00Z', { status: 'in_progress' }),
+      session('c', '2026-01-02T00:00:00Z', { status: 'COMPLETED' }),
+      session('d', null, { started_at: '2026-01-04T00:00:00Z' }),
+    ];
+    expect(recentSessionsForPlan(sessions, 2).map((item) => item.session_id)).toEqual(['d', 'c']);
+  });
+});
+
+describe('storage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('round-trips a plan per student and clears it with null', () => {
+    const plan = planFor({ weeks: 1 });
+    saveStudyPlan('Student@Example.com', plan);
+    expect(loadStudyPlan('student@example.com')).toEqual(plan);
+    saveStudyPlan('student@example.com', null);
+    expect(loadStudyPlan('student@example.com')).toBeNull();
+  });
+
+  test('ignores unreadable or malformed plans', () => {
+    localStorage.setItem('study_plan:a@example.com', '{oops');
+    expect(loadStudyPlan('a@example.com')).toBeNull();
+    localStorage.setItem('study_plan:a@example.com', '{"weeks":"none"}');
+    expect(loadStudyPlan('a@example.com')).toBeNull();
+  });
+});
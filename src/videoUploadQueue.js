@@ -0,0 +1,334 @@
+// Background upload queue for answer videos. The answer itself is posted
+// without the video and carries a client-generated `video_upload_id`; the
+// recording is queued here and sent in chunks while the candidate moves on.
+// The backend links the video to the answer when the upload completes.
+//
+// Queue entries live in IndexedDB with their blob, so an upload cut off by a
+// network drop or a reload resumes from the last byte the server confirmed.
+// Failed chunks retry with exponential backoff; the `online` event retries at once.
+// When the interview ends, `finishSessionUploads` waits for the session's uploads
+// and then tells the backend its video set is final, so video analysis never
+// starts on a partial set.
+//
+// Entry shape:
+//   { id, sessionId, questionNumber, blob, mimeType, size, uploadedBytes, remoteCreated,
+//     status: 'queued' | 'uploading' | 'retrying' | 'failed' | 'done', retries, retryAt, error, createdAt }
+
+import {
+  completeVideoUpload,
+  createVideoUpload,
+  fetchVideoUploadStatus,
+  finalizeVideoUploads,
+  uploadVideoChunk,
+} from './api';
+
+const UPLOAD_DB_NAME = 'videoUploads';
+const UPLOAD_STORE = 'uploads';
+const CHUNK_SIZE = 1024 * 1024;
+const BASE_RETRY_MS = 2000;
+const MAX_RETRY_MS = 60000;
+// After this many consecutive failures an upload waits for a manual retry.
+const MAX_RETRIES = 8;
+// Finished uploads stay visible briefly so the progress display can show them complete.
+const DONE_VISIBLE_MS = 5000;
+
+let uploads = [];
+let isProcessing = false;
+let retryTimer = null;
+let hasLoaded = false;
+// Settles once uploads stored by an earlier page load are back in the queue.
+let restoring = Promise.resolve();
+const listeners = new Set();
+
+const openUploadDb = () => new Promise((resolve, reject) => {
+  if (typeof indexedDB === 'undefined') {
+    reject(new Error('IndexedDB is not available'));
+    return;
+  }
+  const request = indexedDB.open(UPLOAD_DB_NAME, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(UPLOAD_STORE, { keyPath: 'id' });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const withUploadStore = async (mode, operation) => {
+  const db = await openUploadDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(UPLOAD_STORE, mode);
+      const request = operation(transaction.objectStore(UPLOAD_STORE));
+      transaction.oncomplete = () => resolve(request?.result ?? null);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+// Persistence is best-effort: without IndexedDB the queue still works for the
+// lifetime of the page.
+const persist = (entry) => withUploadStore('readwrite', (store) => store.put(entry))
+  .catch((error) => console.warn('Unable to persist video upload', error));
+
+const forget = (id) => withUploadStore('readwrite', (store) => store.delete(id))
+  .catch(() => {});
+
+const notify = () => {
+  const snapshot = getVideoUploads();
+  listeners.forEach((listener) => listener(snapshot));
+};
+
+const update = (id, changes) => {
+  uploads = uploads.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry));
+  notify();
+  return uploads.find((entry) => entry.id === id);
+};
+
+const retryDelay = (retries) => {
+  const delay = Math.min(BASE_RETRY_MS * 2 ** (retries - 1), MAX_RETRY_MS);
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+const generateUploadId = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+const scheduleRetry = () => {
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+  const waiting = uploads.filter((entry) => entry.status === 'retrying');
+  if (!waiting.length) {
+    return;
+  }
+  const nextAt = Math.min(...waiting.map((entry) => entry.retryAt));
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    processQueue();
+  }, Math.max(0, nextAt - Date.now()));
+};
+
+// Ask the server how much it already has, so a resumed upload skips confirmed bytes.
+const syncRemoteOffset = async (entry) => {
+  if (!entry.remoteCreated) {
+    await createVideoUpload(entry.sessionId, {
+      upload_id: entry.id,
+      question_number: entry.questionNumber,
+      size: entry.size,
+      mime_type: entry.mimeType,
+      ...entry.metadata,
+    });
+    return update(entry.id, { remoteCreated: true, uploadedBytes: 0 });
+  }
+  try {
+    const { data } = await fetchVideoUploadStatus(entry.sessionId, entry.id);
+    return update(entry.id, { uploadedBytes: Math.min(Number(data?.received_bytes) || 0, entry.size) });
+  } catch (error) {
+    if (error?.response?.status === 404) {
+      // The server dropped the partial upload; start it again.
+      return syncRemoteOffset(update(entry.id, { remoteCreated: false }));
+    }
+    throw error;
+  }
+};
+
+const uploadEntry = async (initial) => {
+  let entry = update(initial.id, { status: 'uploading', error: null });
+  entry = await syncRemoteOffset(entry);
+  while (entry.uploadedBytes < entry.size) {
+    const start = entry.uploadedBytes;
+    const end = Math.min(start + CHUNK_SIZE, entry.size);
+    const { data } = await uploadVideoChunk(entry.sessionId, entry.id, entry.blob.slice(start, end), start, entry.size);
+    const confirmed = Number(data?.received_bytes);
+    entry = update(entry.id, {
+      uploadedBytes: Number.isFinite(confirmed) ? Math.min(confirmed, entry.size) : end,
+      retries: 0,
+    });
+    persist(entry);
+  }
+  await completeVideoUpload(entry.sessionId, entry.id);
+};
+
+const finishUpload = (entry) => {
+  update(entry.id, { status: 'done', uploadedBytes: entry.size, blob: null });
+  forget(entry.id);
+  setTimeout(() => {
+    uploads = uploads.filter((item) => item.id !== entry.id);
+    notify();
+  }, DONE_VISIBLE_MS);
+};
+
+const processQueue = async () => {
+  if (isProcessing) {
+    return;
+  }
+  isProcessing = true;
+  try {
+    for (;;) {
+      const next = uploads.find((entry) => (
+        entry.status === 'queued' || (entry.status === 'retrying' && entry.retryAt <= Date.now())
+      ));
+      if (!next) {
+        break;
+      }
+      try {
+        await uploadEntry(next);
+        finishUpload(next);
+      } catch (error) {
+        const current = uploads.find((entry) => entry.id === next.id);
+        const retries = (current?.retries || 0) + 1;
+        const message = error?.response?.data?.detail || error?.message || 'Upload failed';
+        console.warn(`Video upload ${next.id} failed (attempt ${retries}):`, error);
+        persist(update(next.id, retries >= MAX_RETRIES
+          ? { status: 'failed', retries, error: message, retryAt: null }
+          : { status: 'retrying', retries, error: message, retryAt: Date.now() + retryDelay(retries) }));
+      }
+    }
+  } finally {
+    isProcessing = false;
+    scheduleRetry();
+  }
+};
+
+const handleOnline = () => {
+  uploads = uploads.map((entry) => (
+    entry.status === 'retrying' ? { ...entry, retryAt: Date.now() } : entry
+  ));
+  notify();
+  processQueue();
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', handleOnline);
+}
+
+/**
+ * Upload progress for display; blobs are left out.
+ */
+export const getVideoUploads = () => uploads.map(({ blob, ...entry }) => entry);
+
+export const subscribeToVideoUploads = (listener) => {
+  listeners.add(listener);
+  listener(getVideoUploads());
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Build a queue entry for a recording. Its `id` goes with the answer as
+ * `video_upload_id`; hand the entry to `startVideoUpload` once the answer has
+ * been accepted.
+ */
+export const createVideoUploadEntry = ({ sessionId, questionNumber, blob, metadata = {} }) => ({
+  id: generateUploadId(),
+  sessionId,
+  questionNumber,
+  blob,
+  mimeType: blob.type || 'video/webm',
+  size: blob.size,
+  uploadedBytes: 0,
+  remoteCreated: false,
+  status: 'queued',
+  retries: 0,
+  retryAt: null,
+  error: null,
+  metadata,
+  createdAt: Date.now(),
+});
+
+export const startVideoUpload = (entry) => {
+  uploads = [...uploads.filter((item) => item.id !== entry.id), entry];
+  notify();
+  persist(entry);
+  processQueue();
+};
+
+const restoreStoredUploads = async () => {
+  try {
+    const stored = await withUploadStore('readonly', (store) => store.getAll());
+    const known = new Set(uploads.map((entry) => entry.id));
+    const restored = (stored || [])
+      .filter((entry) => entry.blob && !known.has(entry.id))
+      // Whatever was in flight when the page went away is picked up from the server's offset.
+      .map((entry) => ({ ...entry, status: entry.status === 'failed' ? 'failed' : 'queued', retryAt: null }));
+    if (restored.length) {
+      uploads = [...uploads, ...restored];
+      notify();
+    }
+  } catch (error) {
+    console.warn('Unable to restore queued video uploads', error);
+  }
+};
+
+/**
+ * Pick up uploads left over from an earlier page load.
+ */
+export const resumeVideoUploads = async () => {
+  if (hasLoaded) {
+    processQueue();
+    return;
+  }
+  hasLoaded = true;
+  restoring = restoreStoredUploads();
+  await restoring;
+  processQueue();
+};
+
+export const retryVideoUpload = (id) => {
+  const entry = uploads.find((item) => item.id === id);
+  if (!entry || entry.status !== 'failed') {
+    return;
+  }
+  persist(update(id, { status: 'queued', retries: 0, error: null }));
+  processQueue();
+};
+
+const isInFlight = (entry) => entry.status === 'queued' || entry.status === 'uploading' || entry.status === 'retrying';
+
+/**
+ * Resolve once none of the session's uploads is still in flight, with the
+ * entries that ended up failed.
+ */
+export const waitForSessionUploads = async (sessionId) => {
+  await restoring;
+  return new Promise((resolve) => {
+    let unsubscribe = null;
+    let settled = false;
+    unsubscribe = subscribeToVideoUploads((entries) => {
+      const sessionUploads = entries.filter((entry) => entry.sessionId === sessionId);
+      if (settled || sessionUploads.some(isInFlight)) {
+        return;
+      }
+      settled = true;
+      resolve(sessionUploads.filter((entry) => entry.status === 'failed'));
+      // Subscribing calls the listener synchronously, before unsubscribe exists.
+      if (unsubscribe) {
+        unsubscribe();
+      }
+    });
+    if (settled) {
+      unsubscribe();
+    }
+  });
+};
+
+/**
+ * End-of-interview handoff: wait for the session's uploads, then tell the
+ * backend no more video is coming. Failed uploads are listed so the backend
+ * analyses the videos it has instead of waiting for them. Resolves with the
+ * failed entries. A failed signal is only logged: requesting feedback again
+ * also releases the backend's hold.
+ */
+export const finishSessionUploads = async (sessionId) => {
+  const failed = await waitForSessionUploads(sessionId);
+  try {
+    await finalizeVideoUploads(sessionId, { failed_upload_ids: failed.map((entry) => entry.id) });
+  } catch (error) {
+    console.warn('Unable to finalize video uploads', error);
+  }
+  return failed;
+};
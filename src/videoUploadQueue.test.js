@@ -0,0 +1,190 @@
+import {
+  completeVideoUpload,
+  createVideoUpload,
+  fetchVideoUploadStatus,
+  finalizeVideoUploads,
+  uploadVideoChunk,
+} from './api';
+import {
+  createVideoUploadEntry,
+  finishSessionUploads,
+  getVideoUploads,
+  retryVideoUpload,
+  startVideoUpload,
+  subscribeToVideoUploads,
+} from './videoUploadQueue';
+
+jest.mock('./api', () => ({
+  completeVideoUpload: jest.fn(),
+  createVideoUpload: jest.fn(),
+  fetchVideoUploadStatus: jest.fn(),
+  finalizeVideoUploads: jest.fn(),
+  uploadVideoChunk: jest.fn(),
+}));
+
+const MB = 1024 * 1024;
+
+const videoBlob = (bytes) => new Blob([new Uint8Array(bytes)], { type: 'video/webm' });
+
+// Resolve with the entry once it matches `predicate`.
+const waitForEntry = (id, predicate) => new Promise((resolve) => {
+  const unsubscribe = subscribeToVideoUploads((entries) => {
+    const entry = entries.find((item) => item.id === id);
+    if (entry && predicate(entry)) {
+      // Subscribing calls the listener synchronously, before unsubscribe exists.
+      setTimeout(() => unsubscribe(), 0);
+      resolve(entry);
+    }
+  });
+});
+
+const waitForStatus = (id, status) => waitForEntry(id, (entry) => entry.status === status);
+
+const confirmChunk = (sessionId, uploadId, chunk, offset) => Promise.resolve({
+  data: { received_bytes: offset + chunk.size },
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  // IndexedDB is missing under jsdom, so persisting only warns.
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  createVideoUpload.mockResolvedValue({ data: {} });
+  completeVideoUpload.mockResolvedValue({ data: {} });
+  finalizeVideoUploads.mockResolvedValue({ data: {} });
+  uploadVideoChunk.mockImplementation(confirmChunk);
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+describe('createVideoUploadEntry', () => {
+  test('describes the recording without starting it', () => {
+    const entry = createVideoUploadEntry({ sessionId: 's1', questionNumber: 2, blob: videoBlob(10), metadata: { attempt: 1 } });
+    expect(entry).toMatchObject({
+      sessionId: 's1',
+      questionNumber: 2,
+      mimeType: 'video/webm',
+      size: 10,
+      uploadedBytes: 0,
+      remoteCreated: false,
+      status: 'queued',
+      metadata: { attempt: 1 },
+    });
+    expect(entry.id).toEqual(expect.any(String));
+    expect(getVideoUploads().some((item) => item.id === entry.id)).toBe(false);
+  });
+});
+
+describe('upload queue', () => {
+  test('registers the upload, sends it in chunks and completes it', async () => {
+    const entry = createVideoUploadEntry({ sessionId: 's1', questionNumber: 1, blob: videoBlob(2.5 * MB) });
+    const done = waitForStatus(entry.id, 'done');
+    startVideoUpload(entry);
+    const finished = await done;
+
+    expect(createVideoUpload).toHaveBeenCalledWith('s1', expect.objectContaining({ upload_id: entry.id, size: 2.5 * MB }));
+    expect(uploadVideoChunk.mock.calls.map((call) => call[3])).toEqual([0, MB, 2 * MB]);
+    expect(completeVideoUpload).toHaveBeenCalledWith('s1', entry.id);
+    expect(finished.uploadedBytes).toBe(2.5 * MB);
+  });
+
+  test('after a failure, resumes from the offset the server confirmed', async () => {
+    uploadVideoChunk
+      .mockImplementationOnce(confirmChunk)
+      .mockRejectedValueOnce(new Error('network down'));
+    fetchVideoUploadStatus.mockResolvedValue({ data: { received_bytes: MB } });
+    const entry = createVideoUploadEntry({ sessionId: 's2', questionNumber: 1, blob: videoBlob(2 * MB) });
+
+    const retrying = waitForStatus(entry.id, 'retrying');
+    startVideoUpload(entry);
+    expect(await retrying).toMatchObject({ retries: 1, error: 'network down', uploadedBytes: MB });
+
+    const done = waitForStatus(entry.id, 'done');
+    window.dispatchEvent(new Event('online'));
+    await done;
+
+    expect(createVideoUpload).toHaveBeenCalledTimes(1);
+    expect(fetchVideoUploadStatus).toHaveBeenCalledWith('s2', entry.id);
+    expect(uploadVideoChunk.mock.calls.map((call) => call[3])).toEqual([0, MB, MB]);
+  });
+
+  test('registers the upload again when the server lost the partial one', async () => {
+    uploadVideoChunk.mockRejectedValueOnce(new Error('timeout'));
+    fetchVideoUploadStatus.mockRejectedValue({ response: { status: 404 } });
+    const entry = createVideoUploadEntry({ sessionId: 's3', questionNumber: 1, blob: videoBlob(100) });
+
+    const retrying = waitForStatus(entry.id, 'retrying');
+    startVideoUpload(entry);
+    await retrying;
+    const done = waitForStatus(entry.id, 'done');
+    window.dispatchEvent(new Event('online'));
+    await done;
+
+    expect(createVideoUpload).toHaveBeenCalledTimes(2);
+  });
+
+  test('stops after repeated failures until retried by hand', async () => {
+    uploadVideoChunk.mockRejectedValue(new Error('server error'));
+    fetchVideoUploadStatus.mockResolvedValue({ data: { received_bytes: 0 } });
+    const entry = createVideoUploadEntry({ sessionId: 's4', questionNumber: 1, blob: videoBlob(100) });
+
+    startVideoUpload(entry);
+    for (let attempt = 1; attempt < 8; attempt += 1) {
+      await waitForEntry(entry.id, (current) => current.status === 'retrying' && current.retries === attempt);
+      window.dispatchEvent(new Event('online'));
+    }
+    expect(await waitForStatus(entry.id, 'failed')).toMatchObject({ retries: 8, retryAt: null });
+
+    uploadVideoChunk.mockImplementation(confirmChunk);
+    const done = waitForStatus(entry.id, 'done');
+    retryVideoUpload(entry.id);
+    await done;
+  });
+});
+
+describe('finishSessionUploads', () => {
+  test('finalizes only after the final answer’s upload completes', async () => {
+    let releaseChunk;
+    uploadVideoChunk.mockImplementationOnce((...args) => new Promise((resolve) => {
+      releaseChunk = () => resolve(confirmChunk(...args));
+    }));
+    const otherSession = createVideoUploadEntry({ sessionId: 'other', questionNumber: 1, blob: videoBlob(10) });
+    const finalAnswer = createVideoUploadEntry({ sessionId: 's5', questionNumber: 3, blob: videoBlob(100) });
+    startVideoUpload(finalAnswer);
+    startVideoUpload(otherSession);
+
+    const finished = finishSessionUploads('s5');
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(finalizeVideoUploads).not.toHaveBeenCalled();
+
+    releaseChunk();
+    await expect(finished).resolves.toEqual([]);
+    expect(finalizeVideoUploads).toHaveBeenCalledWith('s5', { failed_upload_ids: [] });
+    const completed = completeVideoUpload.mock.calls.findIndex(([sessionId]) => sessionId === 's5');
+    expect(completeVideoUpload.mock.invocationCallOrder[completed])
+      .toBeLessThan(finalizeVideoUploads.mock.invocationCallOrder[0]);
+  });
+
+  test('lists failed uploads instead of waiting for them', async () => {
+    uploadVideoChunk.mockRejectedValue(new Error('server error'));
+    fetchVideoUploadStatus.mockResolvedValue({ data: { received_bytes: 0 } });
+    const entry = createVideoUploadEntry({ sessionId: 's6', questionNumber: 1, blob: videoBlob(100) });
+
+    startVideoUpload(entry);
+    const finished = finishSessionUploads('s6');
+    for (let attempt = 1; attempt < 8; attempt += 1) {
+      await waitForEntry(entry.id, (current) => current.status === 'retrying' && current.retries === attempt);
+      window.dispatchEvent(new Event('online'));
+    }
+
+    expect((await finished).map((failed) => failed.id)).toEqual([entry.id]);
+    expect(finalizeVideoUploads).toHaveBeenCalledWith('s6', { failed_upload_ids: [entry.id] });
+  });
+
+  test('still resolves when the backend misses the signal', async () => {
+    finalizeVideoUploads.mockRejectedValue(new Error('offline'));
+    await expect(finishSessionUploads('s7')).resolves.toEqual([]);
+    expect(console.warn).toHaveBeenCalledWith('Unable to finalize video uploads', expect.any(Error));
+  });
+});